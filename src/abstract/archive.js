@@ -0,0 +1 @@
+archive_node.js
\ No newline at end of file
@@ -0,0 +1,171 @@
+import * as fs from "fs";
+import * as os from "os";
+import * as npath from "path";
+import * as zlib from "zlib";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import JSZip from "jszip";
+
+export function addFile(zip, path, file) {
+    // Streaming files from disk so that they don't all need to be in memory at once.
+    let content = file.content();
+    if (typeof content == "string") {
+        content = fs.createReadStream(content);
+    }
+    zip.file(path, content);
+}
+
+export async function generate(zip, path) {
+    if (path === null) {
+        return zip.generateAsync({ type: "uint8array", streamFiles: true });
+    }
+
+    await new Promise((resolve, reject) => {
+        let output = fs.createWriteStream(path);
+        output.on("finish", resolve);
+        output.on("error", reject);
+        zip.generateNodeStream({ type: "nodebuffer", streamFiles: true }).on("error", reject).pipe(output);
+    });
+    return path;
+}
+
+function read_bytes(handle, start, length) {
+    let output = Buffer.alloc(length);
+    let read = fs.readSync(handle, output, 0, length, start);
+    return output.subarray(0, read);
+}
+
+function list_entries(file) {
+    let handle = fs.openSync(file, "r");
+    try {
+        // The end of central directory record is at the end of the file, possibly followed by a comment of up to 65535 bytes.
+        let size = fs.fstatSync(handle).size;
+        let tail_start = Math.max(0, size - 65557);
+        let tail = read_bytes(handle, tail_start, size - tail_start);
+        let eocd = -1;
+        for (var i = tail.length - 22; i >= 0; i--) {
+            if (tail.readUInt32LE(i) == 0x06054b50) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd < 0) {
+            throw new Error("failed to find the central directory of the ZIP file");
+        }
+
+        let count = tail.readUInt16LE(eocd + 10);
+        let dir_size = tail.readUInt32LE(eocd + 12);
+        let dir_offset = tail.readUInt32LE(eocd + 16);
+        if (count == 0xFFFF || dir_offset == 0xFFFFFFFF) {
+            throw new Error("ZIP64 archives are not supported");
+        }
+
+        let dir = read_bytes(handle, dir_offset, dir_size);
+        let entries = new Map;
+        let pos = 0;
+        for (var e = 0; e < count; e++) {
+            if (pos + 46 > dir.length || dir.readUInt32LE(pos) != 0x02014b50) {
+                throw new Error("invalid entry in the central directory of the ZIP file");
+            }
+            let name_length = dir.readUInt16LE(pos + 28);
+            let name = dir.toString("utf8", pos + 46, pos + 46 + name_length);
+            entries.set(name, {
+                method: dir.readUInt16LE(pos + 10),
+                compressed: dir.readUInt32LE(pos + 20),
+                offset: dir.readUInt32LE(pos + 42)
+            });
+            pos += 46 + name_length + dir.readUInt16LE(pos + 30) + dir.readUInt16LE(pos + 32);
+        }
+
+        return entries;
+    } finally {
+        fs.closeSync(handle);
+    }
+}
+
+function entry_streams(file, entry) {
+    // The data follows the local header, whose extra field may differ from that in the central directory.
+    let handle = fs.openSync(file, "r");
+    let start;
+    try {
+        let local = read_bytes(handle, entry.offset, 30);
+        if (local.length < 30 || local.readUInt32LE(0) != 0x04034b50) {
+            throw new Error("invalid local header in the ZIP file");
+        }
+        start = entry.offset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28);
+    } finally {
+        fs.closeSync(handle);
+    }
+
+    let streams = [ entry.compressed == 0 ? Readable.from([]) : fs.createReadStream(file, { start: start, end: start + entry.compressed - 1 }) ];
+
+    if (entry.method == 8) {
+        streams.push(zlib.createInflateRaw());
+    } else if (entry.method != 0) {
+        throw new Error("unsupported compression method " + String(entry.method) + " in the ZIP file");
+    }
+    return streams;
+}
+
+/*
+ * Entries are extracted to a temporary directory so that the archive and its
+ * contents never need to be held in memory. Paths to the extracted files are
+ * directly usable in the SimpleFile constructor. The directory is removed by
+ * free(), after which the extracted paths are no longer valid.
+ */
+export async function open(archive) {
+    let dir = null;
+    let counter = 0;
+    let destination = () => {
+        if (dir === null) {
+            dir = fs.mkdtempSync(npath.join(os.tmpdir(), "bakana-archive-"));
+        }
+        counter++;
+        return npath.join(dir, String(counter));
+    };
+    let free = () => {
+        if (dir !== null) {
+            fs.rmSync(dir, { recursive: true, force: true });
+            dir = null;
+        }
+    };
+
+    if (typeof archive == "string") {
+        let entries = list_entries(archive);
+        return {
+            has: name => entries.has(name),
+            text: async name => {
+                let chunks = [];
+                await pipeline(...entry_streams(archive, entries.get(name)), async function* (source) {
+                    for await (const chunk of source) {
+                        chunks.push(chunk);
+                    }
+                });
+                return Buffer.concat(chunks).toString("utf8");
+            },
+            extract: async name => {
+                let output = destination();
+                await pipeline(...entry_streams(archive, entries.get(name)), fs.createWriteStream(output));
+                return output;
+            },
+            free: free
+        };
+    }
+
+    // Already in memory, but we still extract to file to avoid creating another copy of each entry.
+    let zip = await JSZip.loadAsync(archive);
+    return {
+        has: name => zip.file(name) !== null,
+        text: name => zip.file(name).async("string"),
+        extract: async name => {
+            let output = destination();
+            await pipeline(zip.file(name).nodeStream(), fs.createWriteStream(output));
+            return output;
+        },
+        free: free
+    };
+}
+
+export function discard(extracted) {
+    fs.rmSync(extracted, { force: true });
+}
@@ -0,0 +1,32 @@
+import JSZip from "jszip";
+
+const chunk_size = 16777216;
+
+export function addFile(zip, path, file) {
+    // Assembling a Blob from chunks, which allows the browser to offload the contents from memory.
+    let size = file.size();
+    let chunks = [];
+    for (var start = 0; start < size; start += chunk_size) {
+        chunks.push(file.slice(start, Math.min(size, start + chunk_size)));
+    }
+    zip.file(path, new Blob(chunks));
+}
+
+export async function generate(zip, path) {
+    if (path !== null) {
+        throw new Error("saving to a file path is not supported in the browser");
+    }
+    return zip.generateAsync({ type: "blob", streamFiles: true });
+}
+
+export async function open(archive) {
+    let zip = await JSZip.loadAsync(archive);
+    return {
+        has: name => zip.file(name) !== null,
+        text: name => zip.file(name).async("string"),
+        extract: name => zip.file(name).async("uint8array"),
+        free: () => {}
+    };
+}
+
+export function discard(extracted) {}
@@ -33,6 +33,13 @@ import * as custom_markers from "./steps/custom_selections.js";
 
 import * as feature_set_enrichment from "./steps/feature_set_enrichment.js";
 
+import * as utils from "./steps/utils/general.js";
+import * as reloaded from "./steps/utils/reloaded.js";
+import * as schemautils from "./steps/utils/schema.js";
+import * as registry from "./steps/utils/registry.js";
+import * as defaults from "./defaults.js";
+import { bakana_version } from "./version.js";
+
 export { setCreateLink, setResolveLink } from "./steps/inputs.js";
 export { MarkerDetectionState } from "./steps/marker_detection.js";
 export { CustomSelectionsState } from "./steps/custom_selections.js";
@@ -68,52 +75,99 @@ const load_flag = "_loaded";
  * Create a new analysis state in preparation for calling {@linkcode runAnalysis}.
  * Multiple states can be created and used interchangeably within the same Javascript runtime.
  *
+ * @param {object} [options={}] - Optional parameters.
+ * @param {?number} [options.memoryBudget=null] - Budget for the Wasm memory used by this state, in bytes.
+ * If the estimated usage from {@linkcode reportMemoryUsage} exceeds this budget at the end of {@linkcode runAnalysis},
+ * re-computable caches are evicted until the usage falls below the budget or no evictable caches remain.
+ * These caches are recomputed on demand, e.g., when calling {@linkcode MarkerDetectionState#computeVersus computeVersus} or when a step needs to be rerun.
+ * If `null`, no caches are evicted.
+ * @param {number} [options.historySize=0] - Maximum number of previous runs for which the results are cached for {@linkcode undo} and {@linkcode redo}.
+ * Cached runs share unchanged results with each other and with `state`, and they do not hold any t-SNE/UMAP worker threads (see {@linkcode forkAnalysis}),
+ * but larger values will still increase memory usage.
+ * If zero, no results are cached and all undo/redo operations will recompute the affected steps.
+ * @param {number} [options.historyLength=20] - Maximum number of runs to record in the history for {@linkcode undo} and {@linkcode redo}.
+ * Older runs are discarded from the history.
+ * If zero, no history is recorded.
+ *
  * @return A promise that resolves to an object containing states for all analysis steps.
  * This object can be used as input into {@linkcode runAnalysis}.
  */
-export async function createAnalysis() {
-    return create_analysis(new inputs.InputsState);
+export async function createAnalysis({ memoryBudget = null, historySize = 0, historyLength = default_history_length } = {}) {
+    if (memoryBudget !== null && !(memoryBudget >= 0)) {
+        throw new Error("'memoryBudget' should be a non-negative number");
+    }
+    if (!Number.isInteger(historySize) || historySize < 0) {
+        throw new Error("'historySize' should be a non-negative integer");
+    }
+    if (!Number.isInteger(historyLength) || historyLength < 0) {
+        throw new Error("'historyLength' should be a non-negative integer");
+    }
+    let state = await create_analysis(new inputs.InputsState);
+    if (memoryBudget !== null) {
+        budgets.set(state, memoryBudget);
+    }
+    histories.set(state, new_history(historySize, historyLength));
+    return state;
 }
 
-function create_analysis(input_state) {
+function restore(module, handle, ...upstream) {
+    if (handle === null) {
+        return [null, null];
+    }
+    return module.unserialize(handle, ...upstream);
+}
+
+function create_analysis(input_state, handle = null) {
     let output = {};
     output[step_inputs] = input_state;
 
-    output[step_qc] = new qc.RnaQualityControlState(output[step_inputs]);
-    output[step_qc_adt] = new qcadt.AdtQualityControlState(output[step_inputs]);
-    output[step_qc_crispr] = new qccrispr.CrisprQualityControlState(output[step_inputs]);
+    output[step_qc] = new qc.RnaQualityControlState(output[step_inputs], ...restore(qc, handle));
+    output[step_qc_adt] = new qcadt.AdtQualityControlState(output[step_inputs], ...restore(qcadt, handle));
+    output[step_qc_crispr] = new qccrispr.CrisprQualityControlState(output[step_inputs], ...restore(qccrispr, handle));
 
     let qc_states = { "RNA": output[step_qc], "ADT": output[step_qc_adt], "CRISPR": output[step_qc_crispr] }
-    output[step_filter] = new filters.CellFilteringState(output[step_inputs], qc_states);
+    output[step_filter] = new filters.CellFilteringState(output[step_inputs], qc_states, ...restore(filters, handle));
 
-    output[step_norm] = new normalization.RnaNormalizationState(output[step_qc], output[step_filter]);
-    output[step_norm_adt] = new normadt.AdtNormalizationState(output[step_qc_adt], output[step_filter]);
-    output[step_norm_crispr] = new normcrispr.CrisprNormalizationState(output[step_qc_crispr], output[step_filter]);
+    output[step_norm] = new normalization.RnaNormalizationState(output[step_qc], output[step_filter], ...restore(normalization, handle));
+    output[step_norm_adt] = new normadt.AdtNormalizationState(output[step_qc_adt], output[step_filter], ...restore(normadt, handle));
+    output[step_norm_crispr] = new normcrispr.CrisprNormalizationState(output[step_qc_crispr], output[step_filter], ...restore(normcrispr, handle));
 
-    output[step_feat] = new variance.FeatureSelectionState(output[step_filter], output[step_norm]);
+    output[step_feat] = new variance.FeatureSelectionState(output[step_filter], output[step_norm], ...restore(variance, handle));
 
-    output[step_pca] = new pca.RnaPcaState(output[step_filter], output[step_norm], output[step_feat]);
-    output[step_pca_adt] = new pcaadt.AdtPcaState(output[step_filter], output[step_norm_adt]);
-    output[step_pca_crispr] = new pcacrispr.CrisprPcaState(output[step_filter], output[step_norm_crispr]);
+    output[step_pca] = new pca.RnaPcaState(output[step_filter], output[step_norm], output[step_feat], ...restore(pca, handle));
+    output[step_pca_adt] = new pcaadt.AdtPcaState(output[step_filter], output[step_norm_adt], ...restore(pcaadt, handle));
+    output[step_pca_crispr] = new pcacrispr.CrisprPcaState(output[step_filter], output[step_norm_crispr], ...restore(pcacrispr, handle));
 
     let pca_states = { "RNA": output[step_pca], "ADT": output[step_pca_adt], "CRISPR": output[step_pca_crispr] }
-    output[step_combine] = new combine.CombineEmbeddingsState(pca_states);
-    output[step_correct] = new correct.BatchCorrectionState(output[step_filter], output[step_combine]);
+    output[step_combine] = new combine.CombineEmbeddingsState(pca_states, ...restore(combine, handle, pca_states));
+    output[step_correct] = new correct.BatchCorrectionState(output[step_filter], output[step_combine], ...restore(correct, handle, output[step_combine]));
 
-    output[step_neighbors] = new index.NeighborIndexState(output[step_correct]);
+    output[step_neighbors] = new index.NeighborIndexState(output[step_correct], ...restore(index, handle));
 
-    output[step_tsne] = new tsne.TsneState(output[step_neighbors]);
-    output[step_umap] = new umap.UmapState(output[step_neighbors]);
+    output[step_tsne] = new tsne.TsneState(output[step_neighbors], ...restore(tsne, handle));
+    output[step_umap] = new umap.UmapState(output[step_neighbors], ...restore(umap, handle));
 
-    output[step_kmeans] = new kmeans_cluster.KmeansClusterState(output[step_correct]);
-    output[step_snn] = new snn_cluster.SnnGraphClusterState(output[step_neighbors]);
-    output[step_choice] = new cluster_choice.ChooseClusteringState(output[step_snn], output[step_kmeans]);
+    output[step_kmeans] = new kmeans_cluster.KmeansClusterState(output[step_correct], ...restore(kmeans_cluster, handle));
+    output[step_snn] = new snn_cluster.SnnGraphClusterState(output[step_neighbors], ...restore(snn_cluster, handle));
+    output[step_choice] = new cluster_choice.ChooseClusteringState(output[step_snn], output[step_kmeans], ...restore(cluster_choice, handle));
 
     let norm_states = { "RNA": output[step_norm], "ADT": output[step_norm_adt], "CRISPR": output[step_norm_crispr] };
-    output[step_markers] = new cluster_markers.MarkerDetectionState(output[step_filter], norm_states, output[step_choice]);
-    output[step_labels] = new label_cells.CellLabellingState(output[step_inputs]);
+    output[step_markers] = new cluster_markers.MarkerDetectionState(output[step_filter], norm_states, output[step_choice], ...restore(cluster_markers, handle));
+
+    output[step_labels] = new label_cells.CellLabellingState(output[step_inputs], output[step_markers], ...restore(label_cells, handle, output[step_markers]));
+
+    // Enrichment is cheap enough to be recomputed by runAnalysis() after a reload.
     output[step_enrichment] = new feature_set_enrichment.FeatureSetEnrichmentState(output[step_inputs], output[step_filter], output[step_norm]);
-    output[step_custom] = new custom_markers.CustomSelectionsState(output[step_filter], norm_states);
+    output[step_custom] = new custom_markers.CustomSelectionsState(output[step_filter], norm_states, ...restore(custom_markers, handle));
+
+    // Custom steps are never reloaded, so they are recomputed by runAnalysis() after a reload.
+    for (const [name, info] of registry.steps) {
+        let upstream = {};
+        for (const u of info.upstream) {
+            upstream[u] = output[u];
+        }
+        output[name] = new info.cls(upstream);
+    }
 
     return Promise.all([output[step_tsne].ready(), output[step_umap].ready()]).then(val => output);
 }
@@ -127,6 +181,17 @@ function create_analysis(input_state) {
  * @return A promise that resolves to `null` when all states are freed.
  */
 export function freeAnalysis(state) {
+    let promises = free_steps(state);
+    if (histories.has(state)) {
+        for (const snapshot of histories.get(state).snapshots.values()) {
+            promises.push(freeAnalysis(snapshot));
+        }
+        histories.delete(state);
+    }
+    return Promise.all(promises).then(x => null);
+}
+
+function free_steps(state) {
     let promises = [];
     for (const [k, v] of Object.entries(state)) {
         if (k == load_flag) {
@@ -137,13 +202,182 @@ export function freeAnalysis(state) {
             promises.push(p); 
         }
     }
-    return Promise.all(promises).then(x => null);
+    return promises;
+}
+
+// Steps that must be completed before each step can be started by runAnalysis(),
+// based on the upstream states that are used by each step's compute() method.
+// Steps are listed in topological order, i.e., after all of their dependencies.
+const step_dependencies = {};
+step_dependencies[step_inputs] = [];
+step_dependencies[step_qc] = [step_inputs];
+step_dependencies[step_qc_adt] = [step_inputs];
+step_dependencies[step_qc_crispr] = [step_inputs];
+step_dependencies[step_filter] = [step_inputs, step_qc, step_qc_adt, step_qc_crispr];
+step_dependencies[step_norm] = [step_qc, step_filter];
+step_dependencies[step_norm_adt] = [step_qc_adt, step_filter];
+step_dependencies[step_norm_crispr] = [step_qc_crispr, step_filter];
+step_dependencies[step_feat] = [step_filter, step_norm];
+step_dependencies[step_pca] = [step_filter, step_norm, step_feat];
+step_dependencies[step_pca_adt] = [step_filter, step_norm_adt];
+step_dependencies[step_pca_crispr] = [step_filter, step_norm_crispr];
+step_dependencies[step_combine] = [step_pca, step_pca_adt, step_pca_crispr];
+step_dependencies[step_correct] = [step_filter, step_combine];
+step_dependencies[step_neighbors] = [step_correct];
+step_dependencies[step_tsne] = [step_neighbors];
+step_dependencies[step_umap] = [step_neighbors];
+step_dependencies[step_kmeans] = [step_correct];
+step_dependencies[step_snn] = [step_neighbors];
+step_dependencies[step_choice] = [step_kmeans, step_snn];
+step_dependencies[step_markers] = [step_filter, step_norm, step_norm_adt, step_norm_crispr, step_choice];
+step_dependencies[step_labels] = [step_inputs];
+step_dependencies[step_custom] = [step_filter, step_norm, step_norm_adt, step_norm_crispr];
+step_dependencies[step_enrichment] = [step_inputs];
+
+// Start each step as soon as all of its dependencies are complete. All Wasm
+// calls are synchronous, so concurrently running steps only interleave at
+// their await points (e.g., reference downloads, worker results) and never
+// in the middle of a computation on the Wasm heap. If any step fails, no
+// new steps are started, but we still wait for the running steps to finish
+// so that the state is not modified after we return.
+async function run_graph(dependencies, run) {
+    let failure = null;
+    let promises = {};
+
+    for (const [step, upstream] of Object.entries(dependencies)) {
+        promises[step] = Promise.all(upstream.map(x => promises[x]))
+            .then(() => {
+                if (failure !== null) {
+                    throw failure;
+                }
+                return run(step);
+            })
+            .catch(e => {
+                if (failure === null) {
+                    failure = e;
+                }
+                throw e;
+            });
+    }
+
+    await Promise.allSettled(Object.values(promises));
+    if (failure !== null) {
+        throw failure;
+    }
+}
+
+function analysis_dependencies(state) {
+    let output = { ...step_dependencies };
+
+    // Labels reloaded from a snapshot are discarded by compute() if the
+    // markers change, so the markers need to be computed first. Otherwise,
+    // the references can be loaded while the rest of the analysis runs.
+    if (state[step_labels]._hasReloaded()) {
+        output[step_labels] = [...output[step_labels], step_markers];
+    }
+
+    for (const [name, info] of registry.steps) {
+        output[name] = info.upstream;
+    }
+    return output;
+}
+
+/**************************
+ ****** Custom steps ******
+ **************************/
+
+/**
+ * Register a custom analysis step, to be run by {@linkcode runAnalysis} alongside the built-in steps.
+ * Once registered, the step is treated like a built-in step by {@linkcode createAnalysis}, {@linkcode analysisDefaults}, {@linkcode validateParameters},
+ * {@linkcode runAnalysis}, {@linkcode planAnalysis}, {@linkcode retrieveParameters}, {@linkcode freeAnalysis} and {@linkcode saveSingleCellExperiment}.
+ * Steps should be registered before calling {@linkcode createAnalysis}, as existing states will not contain the new step.
+ *
+ * @param {string} name - Name of the step.
+ * This is used as the name of the step's property in the analysis state and in the parameters.
+ * It should not be the same as any built-in or previously registered step.
+ * @param {function} cls - Class that satisfies the custom step contract, see [here](https://github.com/kanaverse/bakana/blob/master/docs/related/custom_steps.md) for details.
+ * @param {object} [options] - Optional parameters.
+ * @param {Array} [options.upstream=[]] - Array of names of the upstream steps, which may be built-in or previously registered steps.
+ * The states of these steps are passed to the constructor of `cls`, and the custom step is only run after all upstream steps are complete.
+ * @param {string} [options.cost="medium"] - Rough cost of rerunning the step, for use in {@linkcode planAnalysis}.
+ * This should be one of `"low"`, `"medium"` or `"high"`.
+ *
+ * @return The step is registered, and `null` is returned.
+ */
+export function registerStep(name, cls, { upstream = [], cost = "medium" } = {}) {
+    if (typeof name !== "string" || name === "" || name == load_flag) {
+        throw new Error("invalid name for a custom step");
+    }
+    if (name in step_dependencies || registry.steps.has(name)) {
+        throw new Error("a step named '" + name + "' already exists");
+    }
+
+    for (const method of [ "defaults" ]) {
+        if (typeof cls[method] !== "function") {
+            throw new Error("class for custom step '" + name + "' should have a static '" + method + "' method");
+        }
+    }
+    for (const method of [ "compute", "fetchParameters", "free" ]) {
+        if (typeof cls.prototype[method] !== "function") {
+            throw new Error("class for custom step '" + name + "' should have a '" + method + "' method");
+        }
+    }
+
+    for (const u of upstream) {
+        if (!(u in step_dependencies) && !registry.steps.has(u)) {
+            throw new Error("unknown upstream step '" + u + "' for custom step '" + name + "'");
+        }
+    }
+
+    if (!(cost in { low: true, medium: true, high: true })) {
+        throw new Error("'cost' should be one of 'low', 'medium' or 'high'");
+    }
+
+    registry.steps.set(name, { cls: cls, upstream: upstream.slice(), cost: cost });
+    return null;
 }
 
+/**
+ * Unregister a custom analysis step that was previously registered with {@linkcode registerStep}.
+ * This does not affect existing analysis states, which should not be used in {@linkcode runAnalysis} afterwards.
+ *
+ * @param {string} name - Name of the custom step.
+ * This should not be an upstream step of any other registered step.
+ *
+ * @return The step is unregistered, and `null` is returned.
+ */
+export function unregisterStep(name) {
+    if (!registry.steps.has(name)) {
+        throw new Error("no custom step named '" + name + "' has been registered");
+    }
+    for (const [other, info] of registry.steps) {
+        if (info.upstream.indexOf(name) >= 0) {
+            throw new Error("cannot unregister '" + name + "' as it is an upstream step of '" + other + "'");
+        }
+    }
+    registry.steps.delete(name);
+    return null;
+}
+
+/**
+ * @return {Array} Array of the names of all custom steps registered with {@linkcode registerStep}, in order of registration.
+ */
+export function registeredSteps() {
+    return Array.from(registry.steps.keys());
+}
+
+// Steps that changed in an aborted run of each state, such that their downstream steps may not have been updated.
+const interrupted = new WeakMap;
+
 /**
  * Run a basic single-cell RNA-seq analysis with the specified files and parameters.
  * This will cache the results from each step so that, if the parameters change, only the affected steps will be rerun.
  *
+ * Each step is started as soon as all of its upstream steps are complete, so independent steps may run concurrently.
+ * For example, the downloads for cell labelling and feature set enrichment can proceed while the rest of the analysis is running.
+ * As a result, `startFun` and `finishFun` are not necessarily called in the same order across runs,
+ * though each step is always started after its upstream steps have finished.
+ *
  * @param {object} state - Object containing the analysis state, produced by {@linkcode createAnalysis} or {@linkcode loadAnalysis}.
  * @param {object} datasets - Object where each (arbitrarily named) property corresponds to an input dataset.
  * Each dataset should be a object that satisfies the {@linkplain Dataset} contract.
@@ -152,24 +386,46 @@ export function freeAnalysis(state) {
  * This avoids the need to respecify the inputs after a previous call to {@linkcode runAnalysis} or from {@linkcode loadAnalysis}.
  * @param {object} params - An object containing parameters for all steps.
  * See {@linkcode analysisDefaults} for more details.
+ * An error is raised if any parameters are invalid, see {@linkcode validateParameters} for details.
  * @param {object} [options] - Optional parameters.
  * @param {?function} [options.startFun=null] - Function that is called when each step is started.
  * This should accept a single argument - the name of the step.
- * The return value is ignored, but any promises will be awaited before the analysis proceeds to the next step.
+ * The return value is ignored, but any promises will be awaited before the step is run.
  * If `null`, nothing is executed.
  * @param {?function} [options.finishFun=null] - Function that is called on successful execution of each step.
  * This should accept a single argument - the name of the step.
- * The return value is ignored, but any promises will be awaited before the analysis proceeds to the next step.
+ * The return value is ignored, but any promises will be awaited before any downstream steps are started.
  * If `null`, nothing is executed.
+ * @param {?AbortSignal} [options.signal=null] - Signal to cancel the analysis.
+ * This is checked before each step, and in-flight t-SNE/UMAP calculations on the worker threads are also cancelled.
+ * Once aborted, the returned promise is rejected with an error named `"AbortError"`.
+ * The state is left partially computed, such that a subsequent call to {@linkcode runAnalysis} will only rerun the steps that are not yet up to date.
+ * If `null`, the analysis cannot be cancelled.
  * 
  * @return A promise that resolves to `null` when all asynchronous analysis steps are complete.
  * The contents of `state` are modified by reference to reflect the latest state of the analysis with the supplied parameters.
+ * The parameters are also recorded in the history of `state`, see {@linkcode undo} for details.
  */
-export async function runAnalysis(state, datasets, params, { startFun = null, finishFun = null } = {}) {
+export async function runAnalysis(state, datasets, params, options = {}) {
+    await run_analysis(state, datasets, params, options);
+    await record_history(state);
+    return null;
+}
+
+async function run_analysis(state, datasets, params, { startFun = null, finishFun = null, signal = null } = {}) {
+    schemautils.assertValidParameters(defaults.validateParameters(params));
+    for (const name of registry.steps.keys()) {
+        if (!(name in state)) {
+            throw new Error("custom step '" + name + "' is missing from the analysis state, was it registered after 'createAnalysis'?");
+        }
+    }
+    utils.checkAbort(signal);
+
     let quickStart = async step => {
         if (startFun !== null) {
             await startFun(step);
         }
+        utils.checkAbort(signal);
     }
 
     let quickFinish = async step => {
@@ -178,92 +434,603 @@ export async function runAnalysis(state, datasets, params, { startFun = null, fi
         }
     }
 
-    let promises = [];
-    let deferredQuickFinish = (step, p) => {
-        if (finishFun !== null) {
-            if (state[step].changed) {
-                p = p.then(out => finishFun(step, state[step]));
-            } else {
-                p = p.then(out => finishFun(step));
-            }
+    // Forcing a rerun of everything downstream of the steps that changed in
+    // an aborted run, as we can't tell how far their changes propagated.
+    let pending = (interrupted.has(state) ? interrupted.get(state) : new Set);
+    let touched = new Set;
+    let markChanged = step => {
+        if (pending.has(step)) {
+            state[step].changed = true;
+        }
+        if (state[step].changed) {
+            touched.add(step);
         }
-        promises.push(p);
     }
 
-    /*** Loading ***/
-    await quickStart(step_inputs);
-    await state[step_inputs].compute(datasets, params[step_inputs]);
-    await quickFinish(step_inputs);
+    let method = params[step_choice]["method"];
 
-    if (load_flag in state) {
-        // Force recompute for all downstream steps. This avoids mixing results
-        // from different versions if we're re-running off a reloaded state; if
-        // some steps rerun, but others don't, we end up with a bastard state
-        // from possibly different versions of this pipeline. It's also
-        // difficult to guarantee that enough results were saved for use in
-        // downstream steps, given that not everything is saved to file (and
-        // indeed, the requirements of downstream steps may change in future
-        // versions). So we just keep it simple and flush the whole state.
-        state[step_inputs].changed = true;
-        delete state[load_flag];
-    }
-
-    /*** Preprocessing steps ***/
-    let basic_steps = [
-        step_qc, step_qc_adt, step_qc_crispr,
-        step_filter,
-        step_norm, step_norm_adt, step_norm_crispr,
-        step_feat,
-        step_pca, step_pca_adt, step_pca_crispr,
-        step_combine,
-        step_correct,
-        step_neighbors
-    ];
-
-    for (const step of basic_steps) {
+    let runStep = async step => {
         await quickStart(step);
-        await state[step].compute(params[step]);
+
+        if (step == step_tsne || step == step_umap) {
+            // The message to the worker is sent synchronously, so we can mark
+            // the state before waiting for the worker to finish.
+            let p = state[step].compute(params[step], { signal });
+            markChanged(step);
+            await p;
+            if (finishFun !== null) {
+                if (state[step].changed) {
+                    await finishFun(step, state[step]);
+                } else {
+                    await finishFun(step);
+                }
+            }
+            return;
+        }
+
+        if (step == step_inputs) {
+            await state[step].compute(datasets, params[step]);
+        } else if (step == step_kmeans) {
+            state[step].compute(method == "kmeans", params[step]);
+        } else if (step == step_snn) {
+            state[step].compute(method == "snn_graph", params[step]);
+        } else {
+            await state[step].compute(params[step]);
+        }
+        markChanged(step);
         await quickFinish(step);
+
+        if (step == step_inputs && load_flag in state) {
+            // Force recompute for all downstream steps. This avoids mixing results
+            // from different versions if we're re-running off a reloaded state; if
+            // some steps rerun, but others don't, we end up with a bastard state
+            // from possibly different versions of this pipeline. It's also
+            // difficult to guarantee that enough results were saved for use in
+            // downstream steps, given that not everything is saved to file (and
+            // indeed, the requirements of downstream steps may change in future
+            // versions). So we just keep it simple and flush the whole state.
+            state[step].changed = true;
+            touched.add(step);
+            delete state[load_flag];
+        }
     }
 
-    /*** Visualization ***/
-    for (const step of [ step_tsne, step_umap ]) {
-        await quickStart(step);
-        let p = state[step].compute(params[step]);
-        deferredQuickFinish(step, p);
+    try {
+        await run_graph(analysis_dependencies(state), runStep);
+    } catch (e) {
+        if (signal !== null && signal.aborted) {
+            interrupted.set(state, new Set([...pending, ...touched]));
+        }
+        throw e;
     }
 
-    /*** Clustering ***/
-    let method = params[step_choice]["method"];
+    interrupted.delete(state);
+    enforce_budget(state);
+    return null;
+}
 
-    await quickStart(step_kmeans);
-    state[step_kmeans].compute(method == "kmeans", params[step_kmeans]);
-    await quickFinish(step_kmeans);
+/**************************
+ ********* Memory *********
+ **************************/
 
-    await quickStart(step_snn);
-    state[step_snn].compute(method == "snn_graph", params[step_snn]);
-    await quickFinish(step_snn);
+// Memory budgets for states created by createAnalysis().
+const budgets = new WeakMap;
 
-    await quickStart(step_choice);
-    state[step_choice].compute(params[step_choice]);
-    await quickFinish(step_choice);
+// Steps with caches that can be evicted to meet the memory budget,
+// in order of increasing cost of recomputing those caches.
+const evictable_steps = [step_markers, step_custom, step_neighbors];
 
-    /*** Markers and labels ***/
-    let remaining = [
-        step_markers,
-        step_labels,
-        step_custom,
-        step_enrichment
-    ];
+function enforce_budget(state) {
+    if (!budgets.has(state)) {
+        return;
+    }
+    let budget = budgets.get(state);
+    for (const step of evictable_steps) {
+        if (reportMemoryUsage(state).wasm <= budget) {
+            break;
+        }
+        state[step]._evictCaches();
+    }
+}
 
-    for (const step of remaining) {
-        await quickStart(step);
-        await state[step].compute(params[step]);
-        await quickFinish(step);
+/**
+ * Report the memory used by each step of an analysis state.
+ * Usage is estimated from the dimensions of each cached object (e.g., count matrices, PCs, neighbor index, marker results),
+ * so the reported values should only be treated as rough guides.
+ * For sparse count matrices, the number of non-zero elements is extrapolated from a sample of columns to avoid a full pass over the data.
+ * Delayed matrices (e.g., the filtered and normalized matrices) are assumed to share their data with the count matrices.
+ * Results that are shared with a fork from {@linkcode forkAnalysis} are reported in full for each state.
+ *
+ * @param {object} state - Object containing the analysis state, produced by {@linkcode createAnalysis} or {@linkcode loadAnalysis}.
+ *
+ * @return {object} Object containing:
+ *
+ * - `steps`, an object where each key is the name of a step and each value is an object containing:
+ *   - `wasm`, the number of bytes allocated on the **scran.js** Wasm heap for this step.
+ *   - `js`, the number of bytes allocated in Javascript arrays for this step.
+ *   - `components`, an object where each key is the name of a cached object and each value is an object containing the `wasm` and `js` usage of that object,
+ *     along with `evictable`, a boolean indicating whether the object can be evicted to meet the memory budget in {@linkcode createAnalysis}.
+ * - `wasm`, the total number of bytes allocated on the Wasm heap across all steps.
+ * - `js`, the total number of bytes allocated in Javascript arrays across all steps.
+ * - `evictable`, the total number of bytes that can be evicted to meet the memory budget.
+ * - `heapSize`, the current size of the Wasm heap in bytes, which is shared by all states.
+ * - `budget`, the memory budget for `state`, or `null` if no budget was specified.
+ */
+export function reportMemoryUsage(state) {
+    let output = { steps: {}, wasm: 0, js: 0, evictable: 0 };
+
+    for (const [step, current] of Object.entries(state)) {
+        if (step == load_flag) {
+            continue;
+        }
+
+        let components = ("_memoryUsage" in current ? current._memoryUsage() : {});
+        let summary = { wasm: 0, js: 0, components };
+        for (const x of Object.values(components)) {
+            summary.wasm += x.wasm;
+            summary.js += x.js;
+            if (x.evictable) {
+                output.evictable += x.wasm + x.js;
+            }
+        }
+
+        output.steps[step] = summary;
+        output.wasm += summary.wasm;
+        output.js += summary.js;
     }
 
-    await Promise.all(promises);
-    return null;
+    output.heapSize = scran.heapSize();
+    output.budget = (budgets.has(state) ? budgets.get(state) : null);
+    return output;
+}
+
+/**************************
+ ******** History *********
+ **************************/
+
+// Parameter history of each state. Each entry contains the parameters of a
+// successful run, and the snapshots are forks of the state after each run,
+// keyed by the parameters and datasets of that run. The entries only hold
+// keys for the datasets, so that the history doesn't keep any Dataset
+// objects alive beyond those in the snapshots.
+const histories = new WeakMap;
+
+const default_history_length = 20;
+
+function new_history(limit, length) {
+    return { limit: limit, length: length, entries: [], position: -1, snapshots: new Map };
+}
+
+function fetch_history(state) {
+    // States from loadAnalysis() or subsetInputs() don't cache any results.
+    if (!histories.has(state)) {
+        histories.set(state, new_history(0, default_history_length));
+    }
+    return histories.get(state);
+}
+
+function datasets_key(datasets) {
+    return stable_stringify(datasets ? abbreviate_datasets(datasets) : null);
+}
+
+function stable_stringify(x) {
+    // Sorting the properties so that the key does not depend on the order in which the parameters were supplied.
+    return JSON.stringify(x, (k, v) => {
+        if (v !== null && typeof v == "object" && !(v instanceof Array)) {
+            let sorted = {};
+            for (const k2 of Object.keys(v).sort()) {
+                sorted[k2] = v[k2];
+            }
+            return sorted;
+        }
+        return v;
+    });
+}
+
+function copy_parameters(parameters) {
+    let output = {};
+    for (const [k, v] of Object.entries(parameters)) {
+        output[k] = { ...v };
+    }
+    return output;
+}
+
+async function cache_snapshot(state, history, key) {
+    // Re-inserting to mark the snapshot as the most recently used.
+    if (history.snapshots.has(key)) {
+        await freeAnalysis(history.snapshots.get(key));
+        history.snapshots.delete(key);
+    }
+    history.snapshots.set(key, await forkAnalysis(state));
+
+    for (const [old, snapshot] of history.snapshots) {
+        if (history.snapshots.size <= history.limit) {
+            break;
+        }
+        await freeAnalysis(snapshot);
+        history.snapshots.delete(old);
+    }
+}
+
+async function record_history(state) {
+    let history = fetch_history(state);
+    if (history.length == 0) {
+        return;
+    }
+
+    let parameters = retrieveParameters(state);
+    let dkey = datasets_key(state[step_inputs].fetchDatasets());
+    let key = dkey + "\n" + stable_stringify(parameters);
+    if (history.position >= 0 && history.entries[history.position].key == key) {
+        return;
+    }
+
+    // Any entries that could have been redone are discarded, along with their snapshots.
+    history.entries.splice(history.position + 1);
+    history.entries.push({ key: key, datasets: dkey, parameters: parameters });
+    if (history.entries.length > history.length) {
+        history.entries.splice(0, history.entries.length - history.length);
+    }
+    history.position = history.entries.length - 1;
+
+    let retained = new Set(history.entries.map(x => x.key));
+    for (const [old, snapshot] of history.snapshots) {
+        if (!retained.has(old)) {
+            await freeAnalysis(snapshot);
+            history.snapshots.delete(old);
+        }
+    }
+
+    if (history.limit > 0) {
+        await cache_snapshot(state, history, key);
+    }
+}
+
+function replace_contents(state, replacement) {
+    let old = {};
+    for (const k of Object.keys(state)) {
+        old[k] = state[k];
+        delete state[k];
+    }
+    Object.assign(state, replacement);
+    return old;
+}
+
+async function restore_history(state, position, signal) {
+    let history = fetch_history(state);
+    let entry = history.entries[position];
+    let cached = history.snapshots.has(entry.key);
+    if (!cached && entry.datasets != datasets_key(state[step_inputs].fetchDatasets())) {
+        throw new Error("cannot restore a run that used different datasets and is no longer cached");
+    }
+
+    let datasets = (cached ? history.snapshots.get(entry.key)[step_inputs].fetchDatasets() : null);
+    let affected = planAnalysis(state, datasets, entry.parameters).map(x => x.step);
+
+    // The previous contents are kept until the run succeeds, so that they can be put back on failure.
+    let previous = null;
+    let previous_interrupted = interrupted.get(state);
+    if (cached) {
+        let snapshot = history.snapshots.get(entry.key);
+        history.snapshots.delete(entry.key);
+        history.snapshots.set(entry.key, snapshot);
+
+        // Replacing the contents of the state (rather than the state itself)
+        // so that any per-state settings like the memory budget still apply.
+        let replacement = await forkAnalysis(snapshot);
+        previous = replace_contents(state, replacement);
+        interrupted.delete(state);
+    }
+
+    // Any steps that were not cached (e.g., custom steps) are recomputed here.
+    try {
+        await run_analysis(state, null, entry.parameters, { signal });
+    } catch (e) {
+        if (previous !== null) {
+            await Promise.all(free_steps(replace_contents(state, previous)));
+            if (previous_interrupted === undefined) {
+                interrupted.delete(state);
+            } else {
+                interrupted.set(state, previous_interrupted);
+            }
+        }
+        throw e;
+    }
+
+    if (previous !== null) {
+        await Promise.all(free_steps(previous));
+    }
+    history.position = position;
+    for (const step of affected) {
+        state[step].changed = true;
+    }
+
+    if (history.limit > 0 && !cached) {
+        await cache_snapshot(state, history, entry.key);
+    }
+    return copy_parameters(entry.parameters);
+}
+
+/**
+ * Undo the last call to {@linkcode runAnalysis}, restoring the results from the previous set of parameters.
+ * Each successful call to {@linkcode runAnalysis} with new parameters or datasets is recorded in the history of `state`,
+ * up to the `historyLength` most recent runs, and the results of the last few runs are cached according to `historySize` in {@linkcode createAnalysis}.
+ * If the results of the previous run are still cached, they are restored without any recomputation;
+ * otherwise, only the affected steps are recomputed, as if {@linkcode runAnalysis} was called with the previous parameters.
+ * The history does not retain the datasets of runs that are no longer cached,
+ * so an error is raised if such a run used different datasets from those currently loaded into `state`.
+ *
+ * After restoration, each step has `changed = true` if its results differ from those before the undo.
+ * Note that the step states in `state` may be replaced, so any references to the old step states should not be used.
+ * If the restoration fails or is aborted, the position in the history is not changed and any cached results are not restored,
+ * though any recomputed steps will have the same status as after an aborted {@linkcode runAnalysis}.
+ * Calling {@linkcode runAnalysis} after an undo will discard all entries that could have been redone.
+ *
+ * @param {object} state - Object containing the analysis state, produced by {@linkcode createAnalysis}.
+ * This should not be in the middle of a call to {@linkcode runAnalysis}.
+ * @param {object} [options={}] - Optional parameters.
+ * @param {?AbortSignal} [options.signal=null] - Signal to cancel any recomputation, see {@linkcode runAnalysis} for details.
+ *
+ * @return A promise that resolves to an object containing the restored parameters, like that produced by {@linkcode retrieveParameters}.
+ * If there is no previous run to restore, the promise resolves to `null` and `state` is not modified.
+ */
+export async function undo(state, { signal = null } = {}) {
+    let history = fetch_history(state);
+    if (history.position <= 0) {
+        return null;
+    }
+    return restore_history(state, history.position - 1, signal);
+}
+
+/**
+ * Redo a run that was previously undone by {@linkcode undo}.
+ * If the results of that run are still cached, they are restored without any recomputation;
+ * otherwise, only the affected steps are recomputed.
+ *
+ * @param {object} state - Object containing the analysis state, produced by {@linkcode createAnalysis}.
+ * This should not be in the middle of a call to {@linkcode runAnalysis}.
+ * @param {object} [options={}] - Optional parameters.
+ * @param {?AbortSignal} [options.signal=null] - Signal to cancel any recomputation, see {@linkcode runAnalysis} for details.
+ *
+ * @return A promise that resolves to an object containing the restored parameters, like that produced by {@linkcode retrieveParameters}.
+ * If there is no run to redo, the promise resolves to `null` and `state` is not modified.
+ * An error is raised in the same situations as {@linkcode undo}.
+ */
+export async function redo(state, { signal = null } = {}) {
+    let history = fetch_history(state);
+    if (history.position + 1 >= history.entries.length) {
+        return null;
+    }
+    return restore_history(state, history.position + 1, signal);
+}
+
+/**
+ * Retrieve the parameter history of an analysis state, e.g., to display the runs that can be undone or redone.
+ *
+ * @param {object} state - Object containing the analysis state, produced by {@linkcode createAnalysis}.
+ *
+ * @return {object} Object containing:
+ *
+ * - `entries`, an array of objects in the order in which the runs were performed.
+ *   Each object contains `parameters`, the parameters used in that run (see {@linkcode retrieveParameters});
+ *   and `cached`, a boolean indicating whether the results of that run can be restored without recomputation.
+ * - `position`, the index of the entry corresponding to the current results in `state`.
+ *   This is -1 if {@linkcode runAnalysis} has not yet been successfully run.
+ */
+export function retrieveHistory(state) {
+    let history = fetch_history(state);
+    return {
+        entries: history.entries.map(x => {
+            return { parameters: copy_parameters(x.parameters), cached: history.snapshots.has(x.key) };
+        }),
+        position: history.position
+    };
+}
+
+/**************************
+ ******** Planning ********
+ **************************/
+
+
+// Upstream steps whose changes cause each step to be rerun, mirroring the checks in each compute() method.
+// This is the same as the dependencies for runAnalysis(), except for the steps that use some of their
+// upstream states without rerunning when those states change. The choice of clustering is handled
+// separately in planAnalysis() as it only depends on the chosen method.
+const step_upstream = { ...step_dependencies };
+
+// Marker detection only checks the clusters and the normalized matrices, which already reflect any change in the filtering.
+step_upstream[step_markers] = step_dependencies[step_markers].filter(x => x != step_filter);
+
+// Custom selections are only invalidated by the filtering, as the markers for existing selections are not recomputed for new normalized matrices.
+step_upstream[step_custom] = [step_filter];
+
+// Cell labelling only checks its own parameters; the RNA features are only used when the references are (re)built.
+// Labels reloaded from a snapshot also depend on the markers, see analysis_dependencies().
+step_upstream[step_labels] = [];
+
+// Rough cost of rerunning each step, for display purposes.
+const step_cost = {};
+step_cost[step_inputs] = "high";
+step_cost[step_qc] = "medium";
+step_cost[step_qc_adt] = "medium";
+step_cost[step_qc_crispr] = "low";
+step_cost[step_filter] = "low";
+step_cost[step_norm] = "medium";
+step_cost[step_norm_adt] = "medium";
+step_cost[step_norm_crispr] = "low";
+step_cost[step_feat] = "medium";
+step_cost[step_pca] = "high";
+step_cost[step_pca_adt] = "medium";
+step_cost[step_pca_crispr] = "medium";
+step_cost[step_combine] = "medium";
+step_cost[step_correct] = "high";
+step_cost[step_neighbors] = "high";
+step_cost[step_tsne] = "high";
+step_cost[step_umap] = "high";
+step_cost[step_kmeans] = "medium";
+step_cost[step_snn] = "high";
+step_cost[step_choice] = "low";
+step_cost[step_markers] = "high";
+step_cost[step_labels] = "medium";
+step_cost[step_custom] = "medium";
+step_cost[step_enrichment] = "medium";
+
+// Parameters that are not used by each step given the values of the other parameters,
+// such that changes to the former do not cause the step to be rerun.
+const step_ignored = {};
+step_ignored[step_qc] = p => {
+    if (p.guess_ids) {
+        return [ "gene_id_column", "species", "gene_id_type", "mito_prefix" ];
+    } else if (p.use_reference_mito) {
+        return [ "mito_prefix" ];
+    } else {
+        return [ "species", "gene_id_type" ];
+    }
+};
+step_ignored[step_qc_adt] = p => (p.guess_ids ? [ "tag_id_column" ] : []);
+step_ignored[step_labels] = p => (p.guess_ids ? [ "species", "gene_id_column", "gene_id_type" ] : []);
+step_ignored[step_enrichment] = p => {
+    if (p.skip) {
+        return [ "guess_ids", "species", "gene_id_column", "gene_id_type", "top_markers" ];
+    } else if (p.guess_ids) {
+        return [ "species", "gene_id_column", "gene_id_type" ];
+    } else {
+        return [];
+    }
+};
+step_ignored[step_tsne] = p => [ "animate" ];
+step_ignored[step_umap] = p => [ "animate" ];
+
+function abbreviate_datasets(datasets) {
+    let output = {};
+    for (const [key, val] of Object.entries(datasets)) {
+        output[key] = { format: val.constructor.format(), details: val.abbreviate() };
+    }
+    return output;
+}
+
+/**
+ * Determine which steps would be rerun by {@linkcode runAnalysis} with the specified datasets and parameters, without performing any computation.
+ * This is useful for informing users about the consequences of a parameter change before they commit to it.
+ *
+ * The plan is based on the differences between `params` and the parameters used in the previous run of `state`.
+ * It is conservative in that a step may be reported even if it eventually ends up with `changed = false` in {@linkcode runAnalysis},
+ * e.g., if the new datasets lack the relevant modality.
+ * Conversely, steps that operate on modalities that are absent from the existing datasets are not reported unless the datasets themselves have changed.
+ *
+ * @param {object} state - Object containing the analysis state, produced by {@linkcode createAnalysis}.
+ * @param {?object} datasets - Object where each property corresponds to an input dataset, see {@linkcode runAnalysis} for details.
+ * This may be `null` to re-use the datasets that were already loaded into `state`.
+ * @param {object} params - An object containing parameters for all steps, see {@linkcode runAnalysis} for details.
+ * An error is raised if any parameters are invalid, see {@linkcode validateParameters}.
+ *
+ * @return {Array} Array of objects in the order that the steps would be started by {@linkcode runAnalysis}, i.e., each step is reported after its upstream steps.
+ * Each object corresponds to a step that would have `changed = true` and contains:
+ *
+ * - `step`: string containing the name of the step.
+ * - `cost`: string containing a rough estimate of the cost of rerunning the step, i.e., `"low"`, `"medium"` or `"high"`.
+ * - `reasons`: array of objects describing why the step would be rerun.
+ *   Each object has a `type` property, which can be:
+ *   - `"uncomputed"`, if the step has not been run before.
+ *   - `"datasets"`, if the input datasets have changed.
+ *   - `"parameters"`, if the step's own parameters have changed.
+ *     The object also contains `parameters`, an array of the names of the changed parameters.
+ *   - `"upstream"`, if upstream steps would be rerun.
+ *     The object also contains `steps`, an array of the names of the relevant upstream steps.
+ *   - `"interrupted"`, if the step was run in a previous call to {@linkcode runAnalysis} that was aborted,
+ *     such that its changes may not have been propagated to its downstream steps.
+ */
+export function planAnalysis(state, datasets, params) {
+    schemautils.assertValidParameters(defaults.validateParameters(params));
+
+    let plan = [];
+    let rerun = new Set;
+
+    // Everything is rerun if the inputs were never loaded, or if the state was reloaded from file.
+    let fresh = (state[step_inputs].fetchCountMatrix() === undefined || load_flag in state);
+
+    let method = params[step_choice].method;
+    if (typeof method == "undefined") {
+        method = cluster_choice.ChooseClusteringState.defaults().method;
+    }
+    let chosen = {};
+    chosen[step_kmeans] = "kmeans";
+    chosen[step_snn] = "snn_graph";
+
+    // Topological order of the steps in runAnalysis().
+    for (const step of Object.keys(analysis_dependencies(state))) {
+        let current = state[step];
+        let reasons = [];
+
+        if (fresh) {
+            reasons.push({ type: "uncomputed" });
+        } else {
+            if (step == step_inputs && datasets !== null) {
+                if (utils.changedParameters(abbreviate_datasets(datasets), abbreviate_datasets(current.fetchDatasets()))) {
+                    reasons.push({ type: "datasets" });
+                }
+            }
+
+            // Interrupted t-SNE/UMAP runs discard their previous parameters, so comparisons are not meaningful.
+            let was_interrupted = (interrupted.has(state) && interrupted.get(state).has(step));
+            if (was_interrupted) {
+                reasons.push({ type: "interrupted" });
+            }
+
+            let updated = { ...current.constructor.defaults(), ...params[step] };
+            let previous = current.fetchParameters();
+            let ignored = (step in step_ignored ? step_ignored[step](updated) : []);
+            if (step == step_inputs && current.fetchDirectSubset({ copy: false }) !== null) {
+                ignored.push("subset"); // direct subsets take precedence.
+            }
+
+            let changed_params = [];
+            for (const k of Object.keys(current.constructor.defaults())) {
+                if (ignored.indexOf(k) < 0 && utils.changedParameters(updated[k], previous[k])) {
+                    changed_params.push(k);
+                }
+            }
+            if (changed_params.length && !was_interrupted) {
+                reasons.push({ type: "parameters", parameters: changed_params });
+            }
+
+            let upstream;
+            if (step == step_choice) {
+                upstream = (method == "kmeans" ? [step_kmeans] : [step_snn]);
+            } else if (step == step_labels && current._hasReloaded()) {
+                upstream = [step_markers]; // only these can trigger the rebuild of reloaded labels.
+            } else if (registry.steps.has(step)) {
+                upstream = registry.steps.get(step).upstream;
+            } else {
+                upstream = step_upstream[step];
+            }
+            let changed_upstream = upstream.filter(x => rerun.has(x));
+            if (changed_upstream.length) {
+                reasons.push({ type: "upstream", steps: changed_upstream });
+            }
+
+            // Clustering methods are only run when chosen, but need to be run if they were skipped previously.
+            if (step in chosen && chosen[step] == method && !current._hasClusters() && !reasons.length) {
+                reasons.push({ type: "uncomputed" });
+            }
+
+            // Steps for absent modalities do not change, unless the inputs themselves change.
+            if ("valid" in current && !rerun.has(step_inputs) && !current.valid()) {
+                reasons = [];
+            }
+        }
+
+        if (reasons.length) {
+            rerun.add(step);
+            let cost = (registry.steps.has(step) ? registry.steps.get(step).cost : step_cost[step]);
+            if (step in chosen && chosen[step] != method) {
+                cost = "low"; // the results are just discarded.
+            }
+            plan.push({ step, cost, reasons });
+        }
+    }
+
+    return plan;
 }
 
 /**
@@ -308,3 +1075,205 @@ export function retrieveParameters(state) {
 export async function subsetInputs(state, indices, { copy = true, onOriginal = false } = {}) {
     return create_analysis(state.inputs.createDirectSubset(indices, { copy: copy, onOriginal: onOriginal }));
 }
+
+/**
+ * Create a fork of an existing analysis state, e.g., to compare the results of different parameters side-by-side.
+ * The fork shares the results of each step with `state` by reference, so no extra memory is used until the fork is passed to {@linkcode runAnalysis} with different parameters.
+ * At that point, only the rerun steps will create new results in the fork, while the results in `state` are left unchanged (and vice versa).
+ * Shared results are only released once all states holding them are freed, so `state` and its fork can be passed to {@linkcode freeAnalysis} in any order.
+ *
+ * The t-SNE/UMAP coordinates are copied into the fork, which only starts its own worker threads if the visualizations need to be recomputed.
+ * Custom steps from {@linkcode registerStep} are forked with their `_fork()` method if present,
+ * otherwise they are not shared and will be recomputed by the next call to {@linkcode runAnalysis} on the fork.
+ * Any memory budget from {@linkcode createAnalysis} is also applied to the fork.
+ * The fork inherits the parameter history of `state` but not its cached results, so any {@linkcode undo} or {@linkcode redo} on the fork will recompute the affected steps.
+ *
+ * @param {object} state - State object produced by {@linkcode createAnalysis}.
+ * This should not be in the middle of a call to {@linkcode runAnalysis}.
+ *
+ * @return A promise that resolves to a new state object containing the same results as `state`.
+ * This can be used as input into {@linkcode runAnalysis} with the same or different parameters.
+ */
+export async function forkAnalysis(state) {
+    let output = {};
+    output[step_inputs] = state[step_inputs]._fork();
+
+    output[step_qc] = state[step_qc]._fork(output[step_inputs]);
+    output[step_qc_adt] = state[step_qc_adt]._fork(output[step_inputs]);
+    output[step_qc_crispr] = state[step_qc_crispr]._fork(output[step_inputs]);
+
+    let qc_states = { "RNA": output[step_qc], "ADT": output[step_qc_adt], "CRISPR": output[step_qc_crispr] }
+    output[step_filter] = state[step_filter]._fork(output[step_inputs], qc_states);
+
+    output[step_norm] = state[step_norm]._fork(output[step_qc], output[step_filter]);
+    output[step_norm_adt] = state[step_norm_adt]._fork(output[step_qc_adt], output[step_filter]);
+    output[step_norm_crispr] = state[step_norm_crispr]._fork(output[step_qc_crispr], output[step_filter]);
+
+    output[step_feat] = state[step_feat]._fork(output[step_filter], output[step_norm]);
+
+    output[step_pca] = state[step_pca]._fork(output[step_filter], output[step_norm], output[step_feat]);
+    output[step_pca_adt] = state[step_pca_adt]._fork(output[step_filter], output[step_norm_adt]);
+    output[step_pca_crispr] = state[step_pca_crispr]._fork(output[step_filter], output[step_norm_crispr]);
+
+    let pca_states = { "RNA": output[step_pca], "ADT": output[step_pca_adt], "CRISPR": output[step_pca_crispr] }
+    output[step_combine] = state[step_combine]._fork(pca_states);
+    output[step_correct] = state[step_correct]._fork(output[step_filter], output[step_combine]);
+
+    output[step_neighbors] = state[step_neighbors]._fork(output[step_correct]);
+
+    [ output[step_tsne], output[step_umap] ] = await Promise.all([
+        state[step_tsne]._fork(output[step_neighbors]),
+        state[step_umap]._fork(output[step_neighbors])
+    ]);
+
+    output[step_kmeans] = state[step_kmeans]._fork(output[step_correct]);
+    output[step_snn] = state[step_snn]._fork(output[step_neighbors]);
+    output[step_choice] = state[step_choice]._fork(output[step_snn], output[step_kmeans]);
+
+    let norm_states = { "RNA": output[step_norm], "ADT": output[step_norm_adt], "CRISPR": output[step_norm_crispr] };
+    output[step_markers] = state[step_markers]._fork(output[step_filter], norm_states, output[step_choice]);
+
+    output[step_labels] = state[step_labels]._fork(output[step_inputs], output[step_markers]);
+    output[step_enrichment] = state[step_enrichment]._fork(output[step_inputs], output[step_filter], output[step_norm]);
+    output[step_custom] = state[step_custom]._fork(output[step_filter], norm_states);
+
+    // Custom steps without a _fork() method are recomputed in the next run of the fork.
+    for (const [name, info] of registry.steps) {
+        let upstream = {};
+        for (const u of info.upstream) {
+            upstream[u] = output[u];
+        }
+        if (typeof state[name]._fork == "function") {
+            output[name] = await state[name]._fork(upstream);
+        } else {
+            output[name] = new info.cls(upstream);
+        }
+    }
+
+    if (load_flag in state) {
+        output[load_flag] = state[load_flag];
+    }
+    if (interrupted.has(state)) {
+        interrupted.set(output, new Set(interrupted.get(state)));
+    }
+    if (budgets.has(state)) {
+        budgets.set(output, budgets.get(state));
+    }
+    if (histories.has(state)) {
+        let history = histories.get(state);
+        let copy = new_history(history.limit, history.length);
+        copy.entries = history.entries.slice();
+        copy.position = history.position;
+        histories.set(output, copy);
+    }
+
+    await Promise.all([output[step_tsne].ready(), output[step_umap].ready()]);
+    return output;
+}
+
+const results_format = "bakana-results-snapshot";
+
+// Steps that are not listed here are recomputed after reloading.
+const snapshot_steps = [
+    step_qc, step_qc_adt, step_qc_crispr,
+    step_filter,
+    step_norm, step_norm_adt, step_norm_crispr,
+    step_feat,
+    step_pca, step_pca_adt, step_pca_crispr,
+    step_combine,
+    step_correct,
+    step_neighbors,
+    step_tsne, step_umap,
+    step_kmeans, step_snn, step_choice,
+    step_markers,
+    step_labels,
+    step_custom
+];
+
+/**
+ * Save a snapshot of the analysis results to a HDF5 file, for use in {@linkcode reloadAnalysis}.
+ * The snapshot contains the parameters and the per-cell results of each step after the inputs,
+ * so that a reloaded analysis does not need to recompute the expensive steps like the PCA, clustering and visualizations.
+ * Cell labels are saved for the clusters, so that the reference datasets do not need to be downloaded upon reloading;
+ * the references are only loaded if the labelling parameters or the marker results are subsequently changed.
+ * Feature set enrichment results are not saved and are recomputed upon reloading.
+ *
+ * @param {object} state - State object produced by {@linkcode createAnalysis} and run through {@linkcode runAnalysis}.
+ *
+ * @return {Uint8Array} Contents of the HDF5 file containing the snapshot.
+ * @async
+ */
+export async function serializeResults(state) {
+    let tmppath = scran.chooseTemporaryPath({ extension: ".h5" });
+    try {
+        let handle = scran.createNewHdf5File(tmppath);
+        reloaded.writeString(handle, "format", results_format);
+        reloaded.writeString(handle, "bakana_version", bakana_version);
+        reloaded.writeNumber(handle, "num_cells", state[step_inputs].fetchCountMatrix().numberOfColumns());
+
+        for (const step of snapshot_steps) {
+            if (step == step_labels) {
+                // Labels are saved for the clusters, to avoid downloading the references after reloading.
+                await state[step].serialize(handle, state[step_markers]);
+            } else {
+                await state[step].serialize(handle);
+            }
+        }
+
+        return scran.readFile(tmppath);
+    } finally {
+        if (scran.existsFile(tmppath)) {
+            scran.removeFile(tmppath);
+        }
+    }
+}
+
+/**
+ * Reload analysis results from a snapshot created by {@linkcode serializeResults}.
+ * This replaces all steps in `state` after the inputs with their reloaded counterparts.
+ * A subsequent call to {@linkcode runAnalysis} with the same parameters will only recompute the steps that were not saved in the snapshot,
+ * while any changes to the parameters will trigger recomputation of the affected steps as usual.
+ *
+ * @param {object} state - State object produced by {@linkcode createAnalysis}.
+ * Its `inputs` step should already be computed on the same datasets and parameters that were used to create the snapshot,
+ * e.g., by calling {@linkcode InputsState#compute InputsState.compute}.
+ * @param {Uint8Array|string} results - Contents of a HDF5 file created by {@linkcode serializeResults}.
+ * In Node.js, this may also be a string containing a path to the file.
+ *
+ * @return `state` is modified by reference to contain the reloaded results.
+ * A promise is returned that resolves to `null` once the replaced steps are freed.
+ * @async
+ */
+export async function reloadAnalysis(state, results) {
+    let info = scran.realizeFile(results);
+    let fresh;
+    try {
+        let handle = new scran.H5File(info.path);
+        if (!("format" in handle.children) || reloaded.readString(handle, "format") !== results_format) {
+            throw new Error("results should be a snapshot created by 'serializeResults'");
+        }
+
+        let ncells = reloaded.readNumber(handle, "num_cells");
+        if (ncells !== state[step_inputs].fetchCountMatrix().numberOfColumns()) {
+            throw new Error("number of cells in the snapshot (" + String(ncells) + ") is not the same as that in the 'inputs' step");
+        }
+
+        fresh = await create_analysis(state[step_inputs], handle);
+    } finally {
+        info.flush();
+    }
+
+    let promises = [];
+    for (const [k, v] of Object.entries(fresh)) {
+        if (k == step_inputs) {
+            continue;
+        }
+        let p = state[k].free();
+        if (p) {
+            promises.push(p);
+        }
+        state[k] = v;
+    }
+
+    return Promise.all(promises).then(x => null);
+}
@@ -22,6 +22,8 @@ import * as markers from "./steps/marker_detection.js";
 import * as custom from "./steps/custom_selections.js";
 import * as enrichment from "./steps/feature_set_enrichment.js";
 import * as labelling from "./steps/cell_labelling.js";
+import * as schemautils from "./steps/utils/schema.js";
+import * as registry from "./steps/utils/registry.js";
 
 /**
  * Generate an object containing all of the default analysis parameters.
@@ -50,6 +52,8 @@ import * as labelling from "./steps/cell_labelling.js";
  * - {@linkcode CellLabellingState#compute cell_labelling}
  * - {@linkcode FeatureSetEnrichmentState#compute feature_set_enrichment}
  *
+ * Custom steps registered with {@linkcode registerStep} are also included, using the `defaults()` static method of each step's class.
+ *
  * See also {@linkcode configureBatchCorrection} and {@linkcode configureApproximateNeighbors} to synchronize certain parameter settings across multiple steps.
  */
 export function analysisDefaults() {
@@ -88,9 +92,102 @@ export function analysisDefaults() {
     output[enrichment.step_name] = enrichment.FeatureSetEnrichmentState.defaults();
     output[labelling.step_name] = labelling.CellLabellingState.defaults();
 
+    for (const [name, info] of registry.steps) {
+        output[name] = info.cls.defaults();
+    }
+
     return output;
 }
 
+function analysis_schemas() {
+    var output = {};
+
+    output[inputs.step_name] = inputs.InputsState.schema();
+    output[fsel.step_name] = fsel.FeatureSelectionState.schema();
+
+    output[qc.step_name] = qc.RnaQualityControlState.schema();
+    output[qcadt.step_name] = qcadt.AdtQualityControlState.schema();
+    output[qccrispr.step_name] = qccrispr.CrisprQualityControlState.schema();
+    output[filter.step_name] = filter.CellFilteringState.schema();
+
+    output[norm.step_name] = norm.RnaNormalizationState.schema();
+    output[normadt.step_name] = normadt.AdtNormalizationState.schema();
+    output[normcrispr.step_name] = normcrispr.CrisprNormalizationState.schema();
+
+    output[pca.step_name] = pca.RnaPcaState.schema();
+    output[pcaadt.step_name] = pcaadt.AdtPcaState.schema();
+    output[pcacrispr.step_name] = pcacrispr.CrisprPcaState.schema();
+
+    output[combine.step_name] = combine.CombineEmbeddingsState.schema();
+    output[correct.step_name] = correct.BatchCorrectionState.schema();
+
+    output[index.step_name] = index.NeighborIndexState.schema();
+    output[snngraph.step_name] = snngraph.SnnGraphClusterState.schema();
+    output[tsne.step_name] = tsne.TsneState.schema();
+    output[umap.step_name] = umap.UmapState.schema();
+
+    output[kmeans.step_name] = kmeans.KmeansClusterState.schema();
+    output[choose.step_name] = choose.ChooseClusteringState.schema();
+
+    output[markers.step_name] = markers.MarkerDetectionState.schema();
+    output[custom.step_name] = custom.CustomSelectionsState.schema();
+
+    output[enrichment.step_name] = enrichment.FeatureSetEnrichmentState.schema();
+    output[labelling.step_name] = labelling.CellLabellingState.schema();
+
+    // Custom steps without a schema are not checked beyond the presence of their parameters.
+    for (const [name, info] of registry.steps) {
+        output[name] = (typeof info.cls.schema === "function" ? info.cls.schema() : null);
+    }
+
+    return output;
+}
+
+/**
+ * Check an object of analysis parameters against the schema for each step, e.g., from {@linkcode RnaPcaState.schema}.
+ * For custom steps registered with {@linkcode registerStep}, the parameters are only checked if the step's class has a static `schema()` method.
+ * This is automatically called by {@linkcode runAnalysis} and {@linkcode unserializeConfiguration} so that invalid parameters are rejected before any computation.
+ *
+ * @param {object} parameters - Object containing parameters for all steps, e.g., from {@linkcode analysisDefaults}.
+ * Each step must be present, but individual parameters may be omitted in which case their defaults are used.
+ *
+ * @return {Array} Array of objects describing each problem, containing:
+ *
+ * - `path`: a string of the form `<step>.<parameter>`, or just `<step>` for problems with an entire step.
+ * - `message`: a string describing the problem.
+ *
+ * This is empty if all parameters are valid.
+ * Problems include unknown steps or parameters, missing steps, incorrect types, values outside of the allowed set or range,
+ * and violated dependencies between parameters, e.g., an empty `species` in {@linkcode RnaQualityControlState#compute rna_quality_control} when `guess_ids = false`.
+ */
+export function validateParameters(parameters) {
+    let problems = [];
+    if (parameters === null || typeof parameters !== "object" || Array.isArray(parameters)) {
+        problems.push({ path: "", message: "parameters should be an object" });
+        return problems;
+    }
+
+    let schemas = analysis_schemas();
+    for (const step of Object.keys(parameters)) {
+        if (!(step in schemas)) {
+            problems.push({ path: step, message: "unknown step" });
+        }
+    }
+
+    for (const [step, schema] of Object.entries(schemas)) {
+        let current = parameters[step];
+        if (typeof current === "undefined") {
+            problems.push({ path: step, message: "is required" });
+        } else if (current === null || typeof current !== "object" || Array.isArray(current)) {
+            problems.push({ path: step, message: "should be an object of parameters" });
+        } else if (schema !== null) {
+            schemautils.checkParameters(step, schema, current, problems);
+        }
+    }
+
+    return problems;
+}
+
 const correctible_pca_steps = [pca.step_name, pcaadt.step_name, pcacrispr.step_name];
 
 /**
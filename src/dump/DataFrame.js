@@ -1,5 +1,6 @@
 import * as wa from "wasmarrays.js";
 import * as bioc from "bioconductor";
+import * as registry from "../steps/utils/registry.js";
 
 // Monkey-patching these methods so that we can use these WasmArrays as columns in a bioc.DataFrame.
 wa.Uint8WasmArray.prototype._bioconductor_LENGTH = function() { return this.length; };
@@ -150,5 +151,14 @@ export function formatColumnData(state, all_modalities, main_modality, all_other
         }
     }
 
+    // Per-cell results from custom steps, if they report any.
+    for (const name of registry.steps.keys()) {
+        if (typeof state[name].fetchColumnData === "function") {
+            for (const [k, v] of Object.entries(state[name].fetchColumnData())) {
+                all_coldata[main_modality] = all_coldata[main_modality].setColumn("kana::" + name + "::" + k, v);
+            }
+        }
+    }
+
     return all_coldata;
 }
@@ -2,6 +2,7 @@ import * as bioc from "bioconductor";
 import * as df from "./DataFrame.js";
 import { MockSparseMatrix, MockNormalizedMatrix } from "./assays.js";
 import { MockReducedDimensionMatrix } from "./reducedDimensions.js";
+import * as registry from "../steps/utils/registry.js";
 
 export async function formatSingleCellExperiment(state, { reportOneIndex = false, storeModalityColumnData = false } = {}) {
     let all_rowdata = state.inputs.fetchFeatureAnnotations();
@@ -123,6 +124,11 @@ export async function formatSingleCellExperiment(state, { reportOneIndex = false
         }
         let meta = all_se[main].metadata();
         meta.set("custom_selections", customs, { inPlace: true });
+        for (const name of registry.steps.keys()) {
+            if (typeof state[name].fetchMetadata === "function") {
+                meta.set("kana::" + name, state[name].fetchMetadata(), { inPlace: true });
+            }
+        }
         all_se[main].setMetadata(meta, { inPlace: true });
     }
 
@@ -59,6 +59,9 @@ function saveOtherDataFrameColumns(y, handle, name) {
  * @param {?string} [options.directory=null] - Directory in which to save the components of the SingleCellExperiment.
  * If `null` or if no local file system exists, files are stored in memory as Uint8Arrays.
  *
+ * Results from custom steps (see {@linkcode registerStep}) are also saved if the step's state has a `fetchColumnData()` or `fetchMetadata()` method,
+ * in the main experiment's column data and metadata, respectively, with names prefixed by `kana::<step>`.
+ *
  * @return {?Object} If `directory` is supplied and a local filesystem exists, the components are saved to disk and `null` is returned.
  * Otherwise, if `directory = null` or a local filesystem does not exist, an object is returned where each key is a local path to a component file and each value is a Uint8Array with the file contents.
  */
@@ -1,6 +1,7 @@
 export * from "./defaults.js";
 export * from "./analysis.js";
 export * from "./serialize.js";
+export * from "./migrate.js";
 export * from "./readers/index.js";
 export * from "./dump/index.js";
 
@@ -0,0 +1,176 @@
+import * as bioc from "bioconductor";
+import { bakana_version } from "./version.js";
+import { analysisDefaults } from "./defaults.js";
+
+function parse_version(version) {
+    if (typeof version !== "string") {
+        // Configurations from very old versions did not record a version at all.
+        return [0, 0, 0];
+    }
+    let parts = version.split(".").map(Number);
+    if (parts.length != 3 || parts.some(x => !Number.isInteger(x) || x < 0)) {
+        throw new Error("invalid version string '" + version + "' in the configuration");
+    }
+    return parts;
+}
+
+function compare_versions(left, right) {
+    for (var i = 0; i < 3; i++) {
+        if (left[i] != right[i]) {
+            return left[i] - right[i];
+        }
+    }
+    return 0;
+}
+
+function rename_step(parameters, from, to, changes) {
+    if (from in parameters && !(to in parameters)) {
+        parameters[to] = parameters[from];
+        delete parameters[from];
+        changes.push("renamed the '" + from + "' step to '" + to + "'");
+    }
+}
+
+function rename_parameter(step, parameters, from, to, changes) {
+    if (from in parameters) {
+        parameters[to] = parameters[from];
+        delete parameters[from];
+        changes.push("renamed '" + step + "." + from + "' to '" + step + "." + to + "'");
+    }
+}
+
+const species_to_taxonomy = { human: "9606", mouse: "10090" };
+
+/**************************
+ ******* Registry *********
+ **************************/
+
+// Each migration upgrades the parameters from the previous version to the listed version.
+// Migrations should only modify the parameters that were actually present in the old
+// configuration, and should push a human-readable description of each change. Steps
+// that are still missing after all migrations are filled in by migrateConfiguration().
+const migrations = [
+    {
+        version: "2.0.0",
+        migrate: (parameters, changes) => {
+            rename_step(parameters, "quality_control", "rna_quality_control", changes);
+            rename_step(parameters, "normalization", "rna_normalization", changes);
+            rename_step(parameters, "pca", "rna_pca", changes);
+
+            // MNN correction used to be a 'block_method' of the PCA steps.
+            let used_mnn = false;
+            let has_pca = false;
+            for (const step of [ "rna_pca", "adt_pca", "crispr_pca" ]) {
+                if (step in parameters) {
+                    has_pca = true;
+                    if (parameters[step].block_method == "mnn") {
+                        parameters[step].block_method = "project";
+                        changes.push("replaced '" + step + ".block_method = \"mnn\"' with '" + step + ".block_method = \"project\"'");
+                        used_mnn = true;
+                    }
+                }
+            }
+
+            if (has_pca && !("batch_correction" in parameters)) {
+                let method = (used_mnn ? "mnn" : "none");
+                parameters.batch_correction = { method: method };
+                changes.push("added 'batch_correction.method = \"" + method + "\"'");
+            }
+        }
+    },
+    {
+        version: "3.0.0",
+        migrate: (parameters, changes) => {
+            if ("rna_quality_control" in parameters) {
+                let current = parameters.rna_quality_control;
+                rename_parameter("rna_quality_control", current, "use_mito_default", "use_reference_mito", changes);
+                if (typeof current.species == "string") {
+                    current.species = [ species_to_taxonomy[current.species] || current.species ];
+                    changes.push("converted 'rna_quality_control.species' to an array of taxonomy IDs");
+                }
+            }
+
+            if ("cell_labelling" in parameters) {
+                let current = parameters.cell_labelling;
+                if ("human_references" in current || "mouse_references" in current) {
+                    let human = current.human_references || [];
+                    let mouse = current.mouse_references || [];
+                    delete current.human_references;
+                    delete current.mouse_references;
+
+                    current.references = human.concat(mouse);
+                    let species = [];
+                    if (human.length) {
+                        species.push(species_to_taxonomy.human);
+                    }
+                    if (mouse.length) {
+                        species.push(species_to_taxonomy.mouse);
+                    }
+                    current.species = species;
+                    changes.push("combined 'cell_labelling.human_references' and 'cell_labelling.mouse_references' into 'cell_labelling.references'");
+                }
+            }
+        }
+    }
+];
+
+/**************************
+ ******* Migration ********
+ **************************/
+
+/**
+ * Upgrade a serialized configuration from an older version of **bakana** so that it can be used with the current version.
+ * Each registered migration between the recorded version of the configuration and the current version is applied in order.
+ * This is automatically called by {@linkcode unserializeConfiguration}.
+ *
+ * @param {object} serialized - Configuration object produced by {@linkcode serializeConfiguration}.
+ * The `version` property is used to determine which migrations to apply; if absent, the configuration is assumed to be from a very old version.
+ *
+ * @return {object} Object containing:
+ *
+ * - `configuration`: a copy of `serialized` with upgraded parameters.
+ *   If `serialized` is from an older version, the `version` of the copy is set to the current version,
+ *   and any steps that are missing from its parameters are filled in from {@linkcode analysisDefaults}.
+ * - `changes`: an array of objects describing each change, containing `version`, the version of the migration that made the change;
+ *   and `description`, a string describing the change.
+ *   This is empty if no changes were required.
+ *
+ * An error is raised if `serialized` was created by a newer major version of **bakana**.
+ */
+export function migrateConfiguration(serialized) {
+    let recorded = parse_version(serialized.version);
+    let current = parse_version(bakana_version);
+    if (recorded[0] > current[0]) {
+        throw new Error("configuration was created by bakana version " + serialized.version +
+            ", which is not supported by the current version " + bakana_version + "; update bakana to load this configuration");
+    }
+
+    let configuration = { ...serialized, parameters: bioc.CLONE(serialized.parameters) };
+    if (compare_versions(recorded, current) < 0) {
+        configuration.version = bakana_version;
+    }
+    let changes = [];
+
+    for (const m of migrations) {
+        if (compare_versions(parse_version(m.version), recorded) <= 0) {
+            continue;
+        }
+        let latest = [];
+        m.migrate(configuration.parameters, latest);
+        for (const description of latest) {
+            changes.push({ version: m.version, description: description });
+        }
+    }
+
+    // Steps that were added after the recorded version use their default parameters.
+    if (compare_versions(recorded, current) < 0) {
+        for (const [step, params] of Object.entries(analysisDefaults())) {
+            if (!(step in configuration.parameters)) {
+                configuration.parameters[step] = params;
+                changes.push({ version: bakana_version, description: "added the '" + step + "' step with default parameters" });
+            }
+        }
+    }
+
+    return { configuration, changes };
+}
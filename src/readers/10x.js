@@ -1,8 +1,10 @@
 import * as scran from "scran.js";
 import * as bioc from "bioconductor";
 import * as afile from "./abstract/file.js";
+import * as remote from "./utils/remote.js";
 import * as eutils from "./utils/extract.js";
 import * as futils from "./utils/features.js";
+import * as butils from "./utils/barcodes.js";
 
 /**
  * Dataset in the 10X HDF5 feature-barcode matrix format, see [here](https://support.10xgenomics.com/single-cell-gene-expression/software/pipelines/latest/output/matrices) for details.
@@ -94,7 +96,7 @@ export class TenxHdf5Dataset {
             return;
         }
 
-        let info = scran.realizeFile(this.#h5_file.content());
+        let info = remote.realizeFile(this.#h5_file);
         this.#h5_path = info.path;
         this.#h5_flush = info.flush;
     }
@@ -183,7 +185,22 @@ export class TenxHdf5Dataset {
         }
         this.#raw_shape = shandle.values;
 
-        this.#raw_cells = new bioc.DataFrame({}, { numberOfRows: this.#raw_shape[1] });
+        let cells = new bioc.DataFrame({}, { numberOfRows: this.#raw_shape[1] });
+
+        // Aggregated runs have barcodes suffixed by the GEM well, which we
+        // map back to the library IDs (if present) for use in blocking.
+        let barcodes = eutils.extractHdf5Strings(dhandle, "barcodes");
+        if (barcodes !== null && barcodes.length == this.#raw_shape[1]) {
+            let libraries = null;
+            if (fhandle.attributes.indexOf("library_ids") >= 0) {
+                libraries = fhandle.readAttribute("library_ids").values;
+            } else if ("library_ids" in fhandle.children && fhandle.children["library_ids"] == "DataSet") {
+                libraries = eutils.extractHdf5Strings(fhandle, "library_ids");
+            }
+            cells = butils.annotateGemWells(cells, barcodes, { libraryIds: libraries });
+        }
+
+        this.#raw_cells = cells;
     }
 
     /**
@@ -197,6 +214,8 @@ export class TenxHdf5Dataset {
      * - `modality_features`: an object where each key is a modality name and each value is a {@linkplain external:DataFrame DataFrame} of per-feature annotations for that modality.
      *   Unlike {@linkcode TenxMatrixMarketDataset#load load}, modality names are arbitrary.
      * - `cells`: a {@linkplain external:DataFrame DataFrame} of per-cell annotations.
+     *   If the barcodes have GEM well suffixes (e.g., from `cellranger aggr`) spanning multiple wells, this contains a `gem_well` column with the well number for each cell.
+     *   If the file also contains `library_ids`, this contains a `library_id` column with the library identifier for each cell.
      */
     summary({ cache = false } = {}) {
         this.#features();
@@ -250,6 +269,8 @@ export class TenxHdf5Dataset {
      * @param {object} [options={}] - Optional parameters.
      * @param {boolean} [options.cache=false] - Whether to cache the intermediate results for re-use in subsequent calls to any methods with a `cache` option.
      * If `true`, users should consider calling {@linkcode TenxHdf5Dataset#clear clear} to release the memory once this dataset instance is no longer needed.
+     * @param {?(Array|TypedArray)} [options.columns=null] - Sorted and unique indices of the columns (i.e., cells) to load.
+     * If `null`, all columns are loaded.
      *
      * @return {object} Object containing the per-feature and per-cell annotations.
      * This has the following properties:
@@ -265,7 +286,7 @@ export class TenxHdf5Dataset {
      *
      * If the feature annotation lacks information about the feature types, it is assumed that all features are genes, i.e., only the RNA modality is present.
      */
-    load({ cache = false } = {}) {
+    load({ cache = false, columns = null } = {}) {
         this.#features();
         this.#cells();
 
@@ -275,11 +296,11 @@ export class TenxHdf5Dataset {
             this.#raw_shape[0],
             this.#raw_shape[1],
             /* byRow = */ false,
-            { forceInteger: true, layered: true }
+            { forceInteger: true, layered: true, subsetColumn: columns }
         ); // collection gets handled inside splitScranMatrixAndFeatures.
 
         let output = futils.splitScranMatrixAndFeatures(loaded, this.#raw_features, "type", this.#feature_type_mapping(), "RNA");
-        output.cells = this.#raw_cells;
+        output.cells = (columns === null ? this.#raw_cells : bioc.SLICE(this.#raw_cells, columns));
 
         output.primary_ids = futils.extractPrimaryIds(output.features, this.#primary_mapping());
 
@@ -313,7 +334,7 @@ export class TenxHdf5Dataset {
             throw new Error("expected exactly one file of type 'h5' for 10X HDF5 unserialization");
         }
         let output = new TenxHdf5Dataset(files[0].file);
-        output.setOptions(output);
+        output.setOptions(options);
         return output;
     }
 }
@@ -0,0 +1,144 @@
+import * as adb from "./ArtifactDB-abstract.js";
+import * as lutils from "./utils/directory.js";
+
+class LocalProjectNavigator {
+    #source;
+
+    constructor(source) {
+        this.#source = source;
+    }
+
+    file(path) {
+        return this.#source.get(path, false);
+    }
+
+    metadata(path) {
+        let dec = new TextDecoder;
+        while (1) {
+            if (!path.endsWith(".json")) {
+                path += ".json";
+            }
+
+            let contents = this.#source.get(path, true);
+            let values = JSON.parse(dec.decode(contents));
+
+            if (values["$schema"].startsWith("redirection/")){
+                path = values.redirection.targets[0].location;
+            } else {
+                return values;
+            }
+        }
+    }
+};
+
+function create_source(directory) {
+    if (directory instanceof lutils.LocalDirectorySource) {
+        return directory;
+    } else {
+        return new lutils.LocalDirectorySource(directory);
+    }
+}
+
+/************************
+ ******* Dataset ********
+ ************************/
+
+/**
+ * Dataset as a SummarizedExperiment in the **ArtifactDB** representation, stored in a project directory on the local filesystem.
+ * This project directory may contain multiple objects; the SummarizedExperiment of interest is identified in the constructor.
+ * Reading from the local filesystem is only supported on Node.js, though a dataset that was serialized with bundled files can be restored anywhere.
+ *
+ * @extends AbstractArtifactdbDataset
+ */
+export class LocalArtifactdbDataset extends adb.AbstractArtifactdbDataset {
+    #name;
+    #source;
+    #bundle;
+
+    /**
+     * @param {string} name - Name of the SummarizedExperiment object inside the project directory.
+     * @param {string|LocalDirectorySource} directory - Path to the project directory.
+     * @param {object} [options={}] - Optional parameters.
+     * @param {boolean} [options.bundle=false] - Whether {@linkcode LocalArtifactdbDataset#serialize serialize} should bundle all files in `directory`.
+     * If `false`, only a reference to the path of `directory` is serialized, which assumes that the directory still exists at the same location when the dataset is unserialized.
+     */
+    constructor(name, directory, { bundle = false } = {}) {
+        let source = create_source(directory);
+        super(name, new LocalProjectNavigator(source));
+        this.#name = name;
+        this.#source = source;
+        this.#bundle = bundle;
+    }
+
+    /**
+     * @return {string} String specifying the format for this dataset.
+     */
+    static format() {
+        return "ArtifactDB-local";
+    }
+
+    #dump_summary(fun) {
+        let files = this.#source.serialize(this.#bundle).map(x => { return { type: x.type, file: fun(x.file) }; });
+        let opt = this.options();
+        opt.datasetName = this.#name; // storing the name as a special option, see also ZippedArtifactdbDataset.
+        return { files: files, options: opt };
+    }
+
+    /**
+     * @return {object} Object containing the abbreviated details of this dataset.
+     */
+    abbreviate() {
+        return this.#dump_summary(f => {
+            return { size: f.size(), name: f.name() }
+        });
+    }
+
+    /**
+     * @return {object} Object describing this dataset, containing:
+     *
+     * - `files`: Array of objects representing the files used in this dataset.
+     *   Each object corresponds to a single file and contains:
+     *   - `type`: a string denoting the type.
+     *     This is either `"directory"` for a reference to the directory path, or `"bundled"` for each file inside the directory.
+     *   - `file`: a {@linkplain SimpleFile} object representing the file contents.
+     *     For bundled files, the name of each SimpleFile is set to its relative path inside the directory.
+     * - `options`: An object containing additional options to saved.
+     */
+    serialize() {
+        return this.#dump_summary(f => f);
+    }
+
+    /**
+     * @param {Array} files - Array of objects like that produced by {@linkcode LocalArtifactdbDataset#serialize serialize}.
+     * @param {object} options - Object containing additional options to be passed to the constructor.
+     * @return {LocalArtifactdbDataset} A new instance of this class.
+     * @static
+     */
+    static unserialize(files, options) {
+        let { datasetName, ...others } = options;
+        let source = lutils.LocalDirectorySource.unserialize(files);
+        let output = new LocalArtifactdbDataset(datasetName, source, { bundle: source.directory() === null });
+        output.setOptions(others);
+        return output;
+    }
+}
+
+/***********************
+ ******* Result ********
+ ***********************/
+
+/**
+ * Result as a SummarizedExperiment in the **ArtifactDB** representation, stored in a project directory on the local filesystem.
+ * This project directory may contain multiple objects; the SummarizedExperiment of interest is identified in the constructor.
+ *
+ * @extends AbstractArtifactdbResult
+ */
+export class LocalArtifactdbResult extends adb.AbstractArtifactdbResult {
+    /**
+     * @param {string} name - Name of the SummarizedExperiment object inside the project directory.
+     * @param {string|LocalDirectorySource} directory - Path to the project directory.
+     */
+    constructor(name, directory) {
+        super(name, new LocalProjectNavigator(create_source(directory)));
+    }
+}
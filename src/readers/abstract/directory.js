@@ -0,0 +1 @@
+directory_node.js
\ No newline at end of file
@@ -0,0 +1,36 @@
+import * as fs from "fs";
+import * as pp from "path";
+
+export function fsexists() {
+    return true;
+}
+
+export function read(dir, path, asBuffer) {
+    let loc = pp.join(dir, path);
+    if (asBuffer) {
+        return new Uint8Array(fs.readFileSync(loc));
+    } else {
+        return loc;
+    }
+}
+
+export function exists(dir, path) {
+    return fs.existsSync(pp.join(dir, path));
+}
+
+export function list(dir) {
+    let output = [];
+    let recursive = prefix => {
+        let host = (prefix == "" ? dir : pp.join(dir, prefix));
+        for (const f of fs.readdirSync(host).sort()) {
+            let rel = (prefix == "" ? f : prefix + "/" + f);
+            if (fs.statSync(pp.join(dir, rel)).isDirectory()) {
+                recursive(rel);
+            } else {
+                output.push(rel);
+            }
+        }
+    };
+    recursive("");
+    return output;
+}
@@ -0,0 +1,17 @@
+// Stub file to ensure that something is loaded.
+
+export function fsexists() {
+    return false;
+}
+
+export function read(dir, path, asBuffer) {
+    throw new Error("local directories are not supported in a web context");
+}
+
+export function exists(dir, path) {
+    throw new Error("local directories are not supported in a web context");
+}
+
+export function list(dir) {
+    throw new Error("local directories are not supported in a web context");
+}
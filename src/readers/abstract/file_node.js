@@ -1,5 +1,6 @@
 import * as fs from "fs";
 import * as path from "path";
+import * as remote from "../utils/remote.js";
 
 /**
  * Simple wrapper to represent a file in both Node.js and the browser.
@@ -9,19 +10,38 @@ export class SimpleFile {
     #mode;
     #path;
     #buffer;
+    #url;
+    #remote;
     #name;
 
     /**
-     * @param {Uint8Array|string|File} x - Contents of a file or a pointer to it.
+     * @param {Uint8Array|string|File|URL} x - Contents of a file or a pointer to it.
      * For browsers, this may be a File object;
      * for Node.js, this may be a string containing a file path.
+     *
+     * This may also be a URL object pointing to a remote file, in which case the contents are lazily fetched with HTTP range requests.
+     * The server should support range requests, otherwise the entire file is downloaded on first access.
+     * Each request blocks the calling thread until the response is received, so applications may prefer to run **bakana** in a worker thread.
+     * Readers for HDF5-based formats (e.g., {@linkplain H5adDataset}, {@linkplain TenxHdf5Dataset}) still download the entire file to a temporary location, as the HDF5 library cannot read from a URL.
      * @param {object} [options={}] - Optional parameters.
      * @param {?string} [options.name=null] - Name of the file.
-     * If `null`, it is determined automatically from `x` where possible (i.e., basename of the file path or extracted from the File object).
+     * If `null`, it is determined automatically from `x` where possible (i.e., basename of the file path or URL, or extracted from the File object).
      * If `x` is a Uint8Array, an explicit name is required.
+     * @param {number} [options.blockSize=1048576] - Size of the blocks in bytes, when fetching and caching the contents of a remote file.
+     * Only used if `x` is a URL.
+     * @param {number} [options.maxBlocks=64] - Maximum number of blocks to cache for a remote file.
+     * Only used if `x` is a URL.
      */
-    constructor(x, { name = null } = {}) {
-        if (typeof x == "string") {
+    constructor(x, { name = null, blockSize = 1048576, maxBlocks = 64 } = {}) {
+        if (x instanceof URL) {
+            this.#mode = "url";
+            this.#url = x.href;
+            this.#remote = new remote.RemoteBlockCache(this.#url, { blockSize, maxBlocks });
+            if (name === null) {
+                name = remote.urlBasename(x);
+            }
+            this.#name = name;
+        } else if (typeof x == "string") {
             this.#mode = "path";
             this.#path = x;
             if (name === null) {
@@ -57,11 +77,37 @@ export class SimpleFile {
             let f = fs.readFileSync(this.#path);
             let b = f.buffer.slice(f.byteOffset, f.byteOffset + f.byteLength);
             return new Uint8Array(b);
+        } else if (this.#mode == "url") {
+            return this.#remote.read(0, this.#remote.size());
         } else {
             return this.#get_buffer(copy);
         }
     }
 
+    /**
+     * @param {number} start - Position of the first byte to extract.
+     * @param {number} end - Position past the last byte to extract.
+     * This is capped at the size of the file.
+     * @return {Uint8Array} Contents of the file in `[start, end)`.
+     * For remote files, only the blocks overlapping this interval are fetched.
+     */
+    slice(start, end) {
+        if (this.#mode == "url") {
+            return this.#remote.read(start, end);
+        } else if (this.#mode == "path") {
+            let handle = fs.openSync(this.#path, "r");
+            try {
+                let output = new Uint8Array(Math.max(0, end - start));
+                let read = fs.readSync(handle, output, 0, output.length, start);
+                return output.slice(0, read);
+            } finally {
+                fs.closeSync(handle);
+            }
+        } else {
+            return this.#buffer.slice(start, end);
+        }
+    }
+
     /**
      * @return {string} Name of the file, for disambiguation purposes.
      */
@@ -69,12 +115,21 @@ export class SimpleFile {
         return this.#name;
     }
 
+    /**
+     * @return {?string} URL of the remote file, or `null` if this SimpleFile was not constructed from a URL.
+     */
+    url() {
+        return (this.#mode == "url" ? this.#url : null);
+    }
+
     /**
      * @return {number} Size of the file, in bytes.
      */
     size() {
         if (this.#mode == "path") {
             return fs.statSync(this.#path).size;
+        } else if (this.#mode == "url") {
+            return this.#remote.size();
         } else {
             return this.#buffer.length;
         }
@@ -90,6 +145,8 @@ export class SimpleFile {
     content({ copy = false } = {}) {
         if (this.#mode == "path") {
             return this.#path;
+        } else if (this.#mode == "url") {
+            return this.buffer();
         } else {
             return this.#get_buffer(copy);
         }
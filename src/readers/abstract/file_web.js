@@ -1,11 +1,23 @@
+import * as remote from "../utils/remote.js";
+
 export class SimpleFile {
     #mode;
     #buffer;
     #file;
+    #url;
+    #remote;
     #name;
 
-    constructor(x, { name = null } = {}) {
-        if (x instanceof File) {
+    constructor(x, { name = null, blockSize = 1048576, maxBlocks = 64 } = {}) {
+        if (x instanceof URL) {
+            this.#mode = "url";
+            this.#url = x.href;
+            this.#remote = new remote.RemoteBlockCache(this.#url, { blockSize, maxBlocks });
+            if (name === null) {
+                name = remote.urlBasename(x);
+            }
+            this.#name = name;
+        } else if (x instanceof File) {
             this.#mode = "file";
             this.#file = x;
             if (name === null) {
@@ -29,6 +41,8 @@ export class SimpleFile {
             let reader = new FileReaderSync();
             let b = reader.readAsArrayBuffer(this.#file);
             return new Uint8Array(b);
+        } else if (this.#mode == "url") {
+            return this.#remote.read(0, this.#remote.size());
         } else {
             if (copy) {
                 return this.#buffer.slice();
@@ -38,9 +52,23 @@ export class SimpleFile {
         }
     }
 
+    slice(start, end) {
+        if (this.#mode == "file") {
+            let reader = new FileReaderSync();
+            let b = reader.readAsArrayBuffer(this.#file.slice(start, end));
+            return new Uint8Array(b);
+        } else if (this.#mode == "url") {
+            return this.#remote.read(start, end);
+        } else {
+            return this.#buffer.slice(start, end);
+        }
+    }
+
     size() {
         if (this.#mode == "file") {
             return this.#file.size;
+        } else if (this.#mode == "url") {
+            return this.#remote.size();
         } else {
             return this.#buffer.length;
         }
@@ -50,6 +78,10 @@ export class SimpleFile {
         return this.#name;
     }
 
+    url() {
+        return (this.#mode == "url" ? this.#url : null);
+    }
+
     content({ copy = false } = {}) {
         return this.buffer({ copy: copy });
     }
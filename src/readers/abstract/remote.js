@@ -0,0 +1 @@
+remote_node.js
\ No newline at end of file
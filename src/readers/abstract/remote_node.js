@@ -0,0 +1,83 @@
+import { Worker, MessageChannel, receiveMessageOnPort } from "worker_threads";
+import * as fs from "fs";
+import * as scran from "scran.js";
+
+// Node.js has no synchronous HTTP client, so the requests are performed by a
+// dedicated worker while the calling thread blocks on a shared flag with
+// Atomics.wait(). This stalls the event loop for the duration of each request,
+// so consecutive blocks are fetched in a single request to limit the number
+// of round trips; applications that need a responsive main thread should run
+// bakana in a worker, as is done in the browser.
+const worker_code = `
+const { parentPort } = require("worker_threads");
+parentPort.on("message", async ({ url, method, headers, flag, port }) => {
+    let output;
+    try {
+        let res = await fetch(url, { method: method, headers: headers });
+        let body = new Uint8Array(await res.arrayBuffer());
+        output = { status: res.status, headers: Object.fromEntries(res.headers.entries()), body: body };
+    } catch (e) {
+        output = { error: e.message };
+    }
+    port.postMessage(output);
+    port.close();
+    Atomics.store(flag, 0, 1);
+    Atomics.notify(flag, 0);
+});
+`;
+
+var worker = null;
+
+export function request(url, { method = "GET", headers = {} } = {}) {
+    if (worker === null) {
+        worker = new Worker(worker_code, { eval: true });
+        worker.unref(); // don't keep the process alive just for this.
+    }
+
+    let flag = new Int32Array(new SharedArrayBuffer(4));
+    let { port1, port2 } = new MessageChannel;
+    worker.postMessage({ url, method, headers, flag, port: port2 }, [ port2 ]);
+    Atomics.wait(flag, 0, 0);
+
+    let received = receiveMessageOnPort(port1);
+    port1.close();
+    if (typeof received == "undefined") {
+        throw new Error("no response for " + method + " request to '" + url + "'");
+    }
+
+    let res = received.message;
+    if ("error" in res) {
+        throw new Error(method + " request to '" + url + "' failed; " + res.error);
+    }
+
+    return {
+        status: res.status,
+        header: name => {
+            let lower = name.toLowerCase();
+            return (lower in res.headers ? res.headers[lower] : null);
+        },
+        body: res.body
+    };
+}
+
+// scran.js reads HDF5 files directly from the file system, so the remote file
+// is copied to a temporary file in chunks; this avoids holding the entire
+// file in memory, but the whole file still needs to be downloaded.
+export function realize(file, { extension = "", chunkSize = 16777216 } = {}) {
+    let path = scran.chooseTemporaryPath({ extension });
+    let handle = fs.openSync(path, "w");
+    try {
+        let size = file.size();
+        for (var start = 0; start < size; start += chunkSize) {
+            let chunk = file.slice(start, start + chunkSize);
+            fs.writeSync(handle, chunk, 0, chunk.length, start);
+        }
+    } catch (e) {
+        fs.closeSync(handle);
+        fs.unlinkSync(path);
+        throw e;
+    }
+
+    fs.closeSync(handle);
+    return { path: path, flush: () => scran.removeFile(path) };
+}
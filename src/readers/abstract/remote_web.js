@@ -0,0 +1,30 @@
+import * as scran from "scran.js";
+
+// Synchronous requests are only permitted with binary responses inside web workers,
+// which is where bakana is expected to run anyway.
+export function request(url, { method = "GET", headers = {} } = {}) {
+    let xhr = new XMLHttpRequest;
+    xhr.open(method, url, false);
+    xhr.responseType = "arraybuffer";
+    for (const [k, v] of Object.entries(headers)) {
+        xhr.setRequestHeader(k, v);
+    }
+
+    try {
+        xhr.send();
+    } catch (e) {
+        throw new Error(method + " request to '" + url + "' failed; " + e.message);
+    }
+
+    return {
+        status: xhr.status,
+        header: name => xhr.getResponseHeader(name),
+        body: (xhr.response === null ? new Uint8Array(0) : new Uint8Array(xhr.response))
+    };
+}
+
+// The virtual file system is held in memory anyway, so there's no point
+// writing it in chunks.
+export function realize(file, { extension = "" } = {}) {
+    return scran.realizeFile(file.buffer(), { extension });
+}
@@ -162,7 +162,7 @@ class MockMatrix {
         return this.#ncol;
     }
 
-    async realize(globals, forceInteger, forceSparse) {
+    async realize(globals, forceInteger, forceSparse, subsetColumn = null) {
         let metadata = await jsp.readObjectFile(this.#path, globals);
         if (metadata.type == "delayed_array") {
             let contents = await globals.get(jsp.joinPath(this.#path, "array.h5"));
@@ -174,6 +174,14 @@ class MockMatrix {
                     if (output == null) {
                         throw new Error("currently only supporting bakana-generated log-counts for delayed arrays");
                     }
+                    if (subsetColumn !== null) {
+                        // Delayed operations don't support subsetting on read, so we do it afterwards.
+                        try {
+                            return scran.subsetColumns(output, subsetColumn);
+                        } finally {
+                            scran.free(output);
+                        }
+                    }
                     return output;
                 } finally {
                     realized.flush();
@@ -182,12 +190,12 @@ class MockMatrix {
                 await globals.clean(contents);
             }
         } else {
-            return extract_matrix(this.#path, metadata, globals, forceInteger, forceSparse);
+            return extract_matrix(this.#path, metadata, globals, forceInteger, forceSparse, subsetColumn);
         }
     }
 }
 
-async function extract_matrix(path, metadata, globals, forceInteger, forceSparse) {
+async function extract_matrix(path, metadata, globals, forceInteger, forceSparse, subsetColumn) {
     if (metadata.type == "compressed_sparse_matrix") {
         let contents = await globals.get(jsp.joinPath(path, "matrix.h5"));
         try {
@@ -200,7 +208,7 @@ async function extract_matrix(path, metadata, globals, forceInteger, forceSparse
                 const shape = dhandle.open("shape").values; 
                 const layout = dhandle.readAttribute("layout").values[0];
 
-                let out = scran.initializeSparseMatrixFromHdf5Group(realized.path, name, shape[0], shape[1], (layout == "CSR"), { forceInteger });
+                let out = scran.initializeSparseMatrixFromHdf5Group(realized.path, name, shape[0], shape[1], (layout == "CSR"), { forceInteger, subsetColumn });
                 return out;
             } finally {
                 realized.flush();
@@ -223,7 +231,7 @@ async function extract_matrix(path, metadata, globals, forceInteger, forceSparse
                     transposed = (trans_info.values[0] != 0);
                 }
 
-                return scran.initializeMatrixFromHdf5Dataset(realized.path, name + "/data", { transposed, forceInteger, forceSparse });
+                return scran.initializeMatrixFromHdf5Dataset(realized.path, name + "/data", { transposed, forceInteger, forceSparse, subsetColumn });
             } finally {
                 realized.flush();
             }
@@ -600,6 +608,8 @@ export class AbstractAlabasterDataset {
      * @param {object} [options={}] - Optional parameters.
      * @param {boolean} [options.cache=false] - Whether to cache the intermediate results for re-use in subsequent calls to any methods with a `cache` option.
      * If `true`, users should consider calling {@linkcode AbstractAlabasterDataset#clear clear} to release the memory once this dataset instance is no longer needed.
+     * @param {?(Array|TypedArray)} [options.columns=null] - Sorted and unique indices of the columns (i.e., cells) to load.
+     * If `null`, all columns are loaded.
      *
      * @return {object} Object containing the per-feature and per-cell annotations.
      * This has the following properties:
@@ -615,13 +625,14 @@ export class AbstractAlabasterDataset {
      *
      * @async
      */
-    async load({ cache = false } = {}) {
+    async load({ cache = false, columns = null } = {}) {
         await this.#populate();
 
+        let cells = this.#raw_se.columnData();
         let output = { 
             matrix: new scran.MultiMatrix,
             features: {},
-            cells: this.#raw_se.columnData()
+            cells: (columns === null ? cells : bioc.SLICE(cells, columns))
         };
 
         let mapping = { 
@@ -637,7 +648,7 @@ export class AbstractAlabasterDataset {
                     continue;
                 }
                 let chosen_se = experiments_by_name[v.exp];
-                let loaded = await chosen_se.assay(v.assay).realize(this.#create_globals(), /* forceInteger = */ true, /* forceSparse = */ true);
+                let loaded = await chosen_se.assay(v.assay).realize(this.#create_globals(), /* forceInteger = */ true, /* forceSparse = */ true, /* subsetColumn = */ columns);
                 output.matrix.add(k, loaded);
                 output.features[k] = chosen_se.rowData();
             }
@@ -0,0 +1,125 @@
+import * as adb from "./alabaster-abstract.js";
+import * as lutils from "./utils/directory.js";
+
+class LocalObjectNavigator {
+    #source;
+
+    constructor(source) {
+        this.#source = source;
+    }
+
+    get(path, asBuffer) {
+        return this.#source.get(path, asBuffer);
+    }
+
+    exists(path) {
+        return this.#source.exists(path);
+    }
+
+    clean(path) {}
+};
+
+function create_source(directory) {
+    if (directory instanceof lutils.LocalDirectorySource) {
+        return directory;
+    } else {
+        return new lutils.LocalDirectorySource(directory);
+    }
+}
+
+/************************
+ ******* Dataset ********
+ ************************/
+
+/**
+ * Dataset as a SummarizedExperiment in the **alabaster** representation, stored in a directory on the local filesystem.
+ * This is typically the output of {@linkcode saveSingleCellExperiment} with `directory` specified.
+ * Reading from the local filesystem is only supported on Node.js, though a dataset that was serialized with bundled files can be restored anywhere.
+ *
+ * @extends AbstractAlabasterDataset
+ */
+export class LocalAlabasterDataset extends adb.AbstractAlabasterDataset {
+    #source;
+    #bundle;
+
+    /**
+     * @param {string|LocalDirectorySource} directory - Path to the object directory containing the SummarizedExperiment, i.e., the directory containing its `OBJECT` file.
+     * @param {object} [options={}] - Optional parameters.
+     * @param {boolean} [options.bundle=false] - Whether {@linkcode LocalAlabasterDataset#serialize serialize} should bundle all files in `directory`.
+     * If `false`, only a reference to the path of `directory` is serialized, which assumes that the directory still exists at the same location when the dataset is unserialized.
+     */
+    constructor(directory, { bundle = false } = {}) {
+        let source = create_source(directory);
+        super(new LocalObjectNavigator(source));
+        this.#source = source;
+        this.#bundle = bundle;
+    }
+
+    /**
+     * @return {string} String specifying the format for this dataset.
+     */
+    static format() {
+        return "alabaster-local";
+    }
+
+    #dump_summary(fun) {
+        let files = this.#source.serialize(this.#bundle).map(x => { return { type: x.type, file: fun(x.file) }; });
+        return { files: files, options: this.options() };
+    }
+
+    /**
+     * @return {object} Object containing the abbreviated details of this dataset.
+     */
+    abbreviate() {
+        return this.#dump_summary(f => {
+            return { size: f.size(), name: f.name() }
+        });
+    }
+
+    /**
+     * @return {object} Object describing this dataset, containing:
+     *
+     * - `files`: Array of objects representing the files used in this dataset.
+     *   Each object corresponds to a single file and contains:
+     *   - `type`: a string denoting the type.
+     *     This is either `"directory"` for a reference to the directory path, or `"bundled"` for each file inside the directory.
+     *   - `file`: a {@linkplain SimpleFile} object representing the file contents.
+     *     For bundled files, the name of each SimpleFile is set to its relative path inside the directory.
+     * - `options`: An object containing additional options to saved.
+     */
+    serialize() {
+        return this.#dump_summary(f => f);
+    }
+
+    /**
+     * @param {Array} files - Array of objects like that produced by {@linkcode LocalAlabasterDataset#serialize serialize}.
+     * @param {object} options - Object containing additional options to be passed to the constructor.
+     * @return {LocalAlabasterDataset} A new instance of this class.
+     * @static
+     */
+    static unserialize(files, options) {
+        let source = lutils.LocalDirectorySource.unserialize(files);
+        let output = new LocalAlabasterDataset(source, { bundle: source.directory() === null });
+        output.setOptions(options);
+        return output;
+    }
+}
+
+/***********************
+ ******* Result ********
+ ***********************/
+
+/**
+ * Result as a SummarizedExperiment in the **alabaster** representation, stored in a directory on the local filesystem.
+ * This is typically the output of {@linkcode saveSingleCellExperiment} with `directory` specified.
+ *
+ * @extends AbstractAlabasterResult
+ */
+export class LocalAlabasterResult extends adb.AbstractAlabasterResult {
+    /**
+     * @param {string|LocalDirectorySource} directory - Path to the object directory containing the SummarizedExperiment, i.e., the directory containing its `OBJECT` file.
+     */
+    constructor(directory) {
+        super(new LocalObjectNavigator(create_source(directory)));
+    }
+}
@@ -0,0 +1,174 @@
+import * as afile from "./abstract/file.js";
+import * as autils from "./utils/archive.js";
+
+/************************
+ ******* Dataset ********
+ ************************/
+
+/**
+ * Dataset stored inside an archive file, e.g., a tarball or ZIP file of a CellRanger output directory.
+ * The archive is unpacked in memory and the relevant files are passed to another {@linkplain Dataset} class for reading.
+ * All options are passed to the inner dataset, except for `archivePath` that is used to choose between multiple candidates in the archive.
+ *
+ * This is a base class that should be extended by concrete subclasses for each type of inner dataset.
+ * Subclasses should define the static `defaults()`, `format()` and `unserialize()` methods -
+ * see the [Dataset contract](https://github.com/LTLA/bakana/blob/master/docs/related/custom_readers.md) for more details.
+ */
+export class AbstractArchivedDataset {
+    #archive_file;
+    #locate;
+    #inner;
+    #options;
+
+    /**
+     * @param {SimpleFile|string|Uint8Array|File} archiveFile - Contents of the archive file.
+     * On browsers, this may be a File object.
+     * On Node.js, this may also be a string containing a file path.
+     * @param {function} locate - Async function that accepts the archive handle from {@linkcode openArchive} and the `archivePath` option,
+     * and returns an instance of the inner {@linkplain Dataset} class.
+     */
+    constructor(archiveFile, locate) {
+        if (archiveFile instanceof afile.SimpleFile) {
+            this.#archive_file = archiveFile;
+        } else {
+            this.#archive_file = new afile.SimpleFile(archiveFile);
+        }
+
+        this.#locate = locate;
+        this.#inner = null;
+        this.#options = this.constructor.defaults();
+    }
+
+    /**
+     * @return {object} Object containing all options used for loading.
+     */
+    options() {
+        return { ...(this.#options) };
+    }
+
+    #inner_options() {
+        let copy = this.options();
+        delete copy.archivePath;
+        return copy;
+    }
+
+    /**
+     * @param {object} options - Optional parameters that affect {@linkcode AbstractArchivedDataset#load load} and {@linkcode AbstractArchivedDataset#summary summary}.
+     * @param {?string} [options.archivePath] - Path inside the archive to the files of interest, see the concrete subclasses for details.
+     * If `null`, the archive should contain exactly one candidate.
+     *
+     * All other options are passed to the inner dataset.
+     */
+    setOptions(options) {
+        for (const [k, v] of Object.entries(options)) {
+            if (k == "archivePath") {
+                if (this.#options[k] !== v) {
+                    this.clear(); // need to pick a different set of files.
+                }
+            } else if (this.#inner !== null) {
+                let single = {};
+                single[k] = v;
+                this.#inner.setOptions(single);
+            }
+            this.#options[k] = v;
+        }
+    }
+
+    /**
+     * Destroy caches if present, releasing the associated memory.
+     * This may be called at any time but only has an effect if `cache = true` in {@linkcode AbstractArchivedDataset#load load} or {@linkcode AbstractArchivedDataset#summary summary}.
+     */
+    clear() {
+        if (this.#inner !== null) {
+            this.#inner.clear();
+        }
+        this.#inner = null;
+    }
+
+    #dump_summary(fun) {
+        let files = [{ type: "archive", file: fun(this.#archive_file) }];
+        let options = this.options();
+        return { files, options };
+    }
+
+    /**
+     * @return {object} Object containing the abbreviated details of this dataset.
+     */
+    abbreviate() {
+        return this.#dump_summary(f => { return { name: f.name(), size: f.size() }; });
+    }
+
+    async #instantiate() {
+        if (this.#inner === null) {
+            let handle = await autils.openArchive(this.#archive_file.buffer());
+            let inner = await this.#locate(handle, this.#options.archivePath);
+            inner.setOptions(this.#inner_options());
+            this.#inner = inner;
+        }
+        return this.#inner;
+    }
+
+    /**
+     * @param {object} [options={}] - Optional parameters.
+     * @param {boolean} [options.cache=false] - Whether to cache the unpacked archive for re-use in subsequent calls to any methods with a `cache` option.
+     * If `true`, users should consider calling {@linkcode AbstractArchivedDataset#clear clear} to release the memory once this dataset instance is no longer needed.
+     *
+     * @return {object} Object containing the per-feature and per-cell annotations, same as the `summary` method of the inner dataset.
+     * @async
+     */
+    async summary({ cache = false } = {}) {
+        let inner = await this.#instantiate();
+        let output = await inner.summary({ cache: true });
+        if (!cache) {
+            this.clear();
+        }
+        return output;
+    }
+
+    /**
+     * @param {object} [options={}] - Optional parameters.
+     * @param {boolean} [options.cache=false] - Whether to cache the unpacked archive for re-use in subsequent calls to any methods with a `cache` option.
+     * If `true`, users should consider calling {@linkcode AbstractArchivedDataset#clear clear} to release the memory once this dataset instance is no longer needed.
+     *
+     * @return {object} An object where each key is a modality name and each value is an array (usually of strings) containing the primary feature identifiers for each row in that modality,
+     * same as the `previewPrimaryIds` method of the inner dataset.
+     * @async
+     */
+    async previewPrimaryIds({ cache = false } = {}) {
+        let inner = await this.#instantiate();
+        let output = await inner.previewPrimaryIds({ cache: true });
+        if (!cache) {
+            this.clear();
+        }
+        return output;
+    }
+
+    /**
+     * @param {object} [options={}] - Optional parameters.
+     * @param {boolean} [options.cache=false] - Whether to cache the unpacked archive for re-use in subsequent calls to any methods with a `cache` option.
+     * If `true`, users should consider calling {@linkcode AbstractArchivedDataset#clear clear} to release the memory once this dataset instance is no longer needed.
+     * @param {?(Array|TypedArray)} [options.columns=null] - Sorted and unique indices of the columns (i.e., cells) to load, passed to the `load` method of the inner dataset.
+     *
+     * @return {object} Object containing the count matrices and annotations, same as the `load` method of the inner dataset.
+     * @async
+     */
+    async load({ cache = false, columns = null } = {}) {
+        let inner = await this.#instantiate();
+        let output = await inner.load({ cache: true, columns });
+        if (!cache) {
+            this.clear();
+        }
+        return output;
+    }
+
+    /**
+     * @return {object} Object describing this dataset, containing:
+     *
+     * - `files`: Array of objects representing the files used in this dataset.
+     *   This contains a single object with `type` set to `"archive"` and `file` set to a {@linkplain SimpleFile} of the archive.
+     * - `options`: An object containing additional options to saved.
+     */
+    serialize() {
+        return this.#dump_summary(f => f);
+    }
+}
@@ -0,0 +1,168 @@
+import * as afile from "./abstract/file.js";
+import * as autils from "./utils/archive.js";
+import * as aa from "./archive-abstract.js";
+import { TenxMatrixMarketDataset } from "./mtx.js";
+import { TenxHdf5Dataset } from "./10x.js";
+
+/**
+ * Search an archive file for 10X-formatted count matrices to use in {@linkplain ArchivedTenxMatrixMarketDataset} or {@linkplain ArchivedTenxHdf5Dataset}.
+ *
+ * @param {SimpleFile|string|Uint8Array|File} archiveFile - Contents of a tar file (possibly Gzip-compressed) or ZIP file.
+ * On browsers, this may be a File object.
+ * On Node.js, this may also be a string containing a file path.
+ *
+ * @return {object} Object containing:
+ *
+ * - `mtx`: an array of strings containing the paths of directories inside the archive with a `matrix.mtx` file (possibly Gzip-compressed).
+ *   Any of these can be used as the `archivePath` option in {@linkplain ArchivedTenxMatrixMarketDataset}.
+ * - `h5`: an array of strings containing the paths of HDF5 files inside the archive.
+ *   Any of these can be used as the `archivePath` option in {@linkplain ArchivedTenxHdf5Dataset}.
+ *
+ * Paths inside nested archives are prefixed with the path of the nested archive, e.g., `foo.tar.gz/filtered_feature_bc_matrix`.
+ * @async
+ */
+export async function searchArchivedTenx(archiveFile) {
+    if (!(archiveFile instanceof afile.SimpleFile)) {
+        archiveFile = new afile.SimpleFile(archiveFile);
+    }
+    let handle = await autils.openArchive(archiveFile.buffer());
+    let found = autils.findTenxFiles(handle.names);
+    return { mtx: found.mtx.map(x => x.directory), h5: found.h5 };
+}
+
+function basename(path) {
+    return path.slice(path.lastIndexOf("/") + 1);
+}
+
+async function extract_file(handle, path) {
+    return new afile.SimpleFile(await handle.get(path), { name: basename(path) });
+}
+
+function choose_candidate(candidates, archivePath, describe) {
+    if (archivePath !== null) {
+        let chosen = candidates.filter(x => x.path == archivePath);
+        if (chosen.length == 0) {
+            throw new Error("no " + describe + " at '" + archivePath + "' in the archive");
+        }
+        return chosen[0];
+    }
+
+    if (candidates.length == 0) {
+        throw new Error("no " + describe + " found in the archive");
+    } else if (candidates.length > 1) {
+        throw new Error("multiple " + describe + "s found in the archive, use 'archivePath' to choose between " + candidates.map(x => "'" + x.path + "'").join(", "));
+    }
+    return candidates[0];
+}
+
+/**
+ * Dataset in the 10X Matrix Market format inside an archive, e.g., a tarball of the `filtered_feature_bc_matrix` directory created by CellRanger.
+ * The archive may be a tar file (possibly Gzip-compressed) or a ZIP file, and may itself contain nested archives.
+ * The `matrix.mtx`, `features.tsv` (or `genes.tsv`) and `barcodes.tsv` files, possibly Gzip-compressed, are extracted from the same directory and passed to a {@linkplain TenxMatrixMarketDataset}.
+ *
+ * @extends AbstractArchivedDataset
+ */
+export class ArchivedTenxMatrixMarketDataset extends aa.AbstractArchivedDataset {
+    /**
+     * @param {SimpleFile|string|Uint8Array|File} archiveFile - Contents of the archive file.
+     * On browsers, this may be a File object.
+     * On Node.js, this may also be a string containing a file path.
+     */
+    constructor(archiveFile) {
+        super(archiveFile, async (handle, archivePath) => {
+            let candidates = autils.findTenxFiles(handle.names).mtx.map(x => { return { path: x.directory, ...x }; });
+            let chosen = choose_candidate(candidates, archivePath, "Matrix Market directory");
+            return new TenxMatrixMarketDataset(
+                await extract_file(handle, chosen.matrix),
+                (chosen.features === null ? null : await extract_file(handle, chosen.features)),
+                (chosen.barcodes === null ? null : await extract_file(handle, chosen.barcodes))
+            );
+        });
+    }
+
+    /**
+     * @return {object} Default options, containing all of the defaults from {@linkcode TenxMatrixMarketDataset#defaults TenxMatrixMarketDataset.defaults}
+     * along with `archivePath`, the path to the directory inside the archive containing the Matrix Market file.
+     * See {@linkcode searchArchivedTenx} for possible values.
+     */
+    static defaults() {
+        return { ...TenxMatrixMarketDataset.defaults(), archivePath: null };
+    }
+
+    /**
+     * @return {string} Format of this dataset class.
+     * @static
+     */
+    static format() {
+        return "MatrixMarket-archive";
+    }
+
+    /**
+     * @param {Array} files - Array of objects like that produced by {@linkcode AbstractArchivedDataset#serialize serialize}.
+     * @param {object} options - Object containing additional options to be passed to the constructor.
+     * @return {ArchivedTenxMatrixMarketDataset} A new instance of this class.
+     * @static
+     */
+    static unserialize(files, options) {
+        if (files.length != 1 || files[0].type != "archive") {
+            throw new Error("expected exactly one file of type 'archive' for MatrixMarket-archive unserialization");
+        }
+        let output = new ArchivedTenxMatrixMarketDataset(files[0].file);
+        output.setOptions(options);
+        return output;
+    }
+}
+
+/**
+ * Dataset in the 10X HDF5 feature-barcode matrix format inside an archive, e.g., a ZIP file of a CellRanger output directory.
+ * The archive may be a tar file (possibly Gzip-compressed) or a ZIP file, and may itself contain nested archives.
+ * The HDF5 file is extracted from the archive and passed to a {@linkplain TenxHdf5Dataset}.
+ *
+ * @extends AbstractArchivedDataset
+ */
+export class ArchivedTenxHdf5Dataset extends aa.AbstractArchivedDataset {
+    /**
+     * @param {SimpleFile|string|Uint8Array|File} archiveFile - Contents of the archive file.
+     * On browsers, this may be a File object.
+     * On Node.js, this may also be a string containing a file path.
+     */
+    constructor(archiveFile) {
+        super(archiveFile, async (handle, archivePath) => {
+            let candidates = autils.findTenxFiles(handle.names).h5.map(x => { return { path: x }; });
+            let chosen = choose_candidate(candidates, archivePath, "HDF5 file");
+            return new TenxHdf5Dataset(await extract_file(handle, chosen.path));
+        });
+    }
+
+    /**
+     * @return {object} Default options, containing all of the defaults from {@linkcode TenxHdf5Dataset#defaults TenxHdf5Dataset.defaults}
+     * along with `archivePath`, the path to the HDF5 file inside the archive.
+     * See {@linkcode searchArchivedTenx} for possible values.
+     */
+    static defaults() {
+        return { ...TenxHdf5Dataset.defaults(), archivePath: null };
+    }
+
+    /**
+     * @return {string} Format of this dataset class.
+     * @static
+     */
+    static format() {
+        return "10X-archive";
+    }
+
+    /**
+     * @param {Array} files - Array of objects like that produced by {@linkcode AbstractArchivedDataset#serialize serialize}.
+     * @param {object} options - Object containing additional options to be passed to the constructor.
+     * @return {ArchivedTenxHdf5Dataset} A new instance of this class.
+     * @static
+     */
+    static unserialize(files, options) {
+        if (files.length != 1 || files[0].type != "archive") {
+            throw new Error("expected exactly one file of type 'archive' for 10X-archive unserialization");
+        }
+        let output = new ArchivedTenxHdf5Dataset(files[0].file);
+        output.setOptions(options);
+        return output;
+    }
+}
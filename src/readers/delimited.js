@@ -0,0 +1,479 @@
+import * as scran from "scran.js";
+import * as bioc from "bioconductor";
+import * as afile from "./abstract/file.js";
+import * as eutils from "./utils/extract.js";
+import * as futils from "./utils/features.js";
+import * as dutils from "./utils/delimiter.js";
+
+/**************************
+ ******* Internals ********
+ **************************/
+
+function strip_carriage_return(row) {
+    let last = row.length - 1;
+    if (last >= 0 && row[last].endsWith("\r")) {
+        row[last] = row[last].slice(0, -1);
+    }
+}
+
+function is_numeric_field(x) {
+    return eutils.promoteToNumber([x]) !== null;
+}
+
+function detect_layout(parsed, hasHeader, hasRowNames) {
+    if (parsed.length == 0) {
+        throw new Error("delimited matrix file should contain at least one line");
+    }
+
+    if (hasHeader === null) {
+        // Any non-numeric field in the first line (excluding a possible row name) indicates the presence of a header.
+        let first = parsed[0];
+        hasHeader = false;
+        for (var j = 1; j < first.length; j++) {
+            if (!is_numeric_field(first[j])) {
+                hasHeader = true;
+                break;
+            }
+        }
+    }
+
+    let start = (hasHeader ? 1 : 0);
+    if (start >= parsed.length) {
+        throw new Error("delimited matrix file should contain at least one non-header line");
+    }
+    let width = parsed[start].length;
+
+    if (hasRowNames === null) {
+        // Checking up to the first 100 lines for non-numeric values in the first field.
+        hasRowNames = false;
+        let end = Math.min(parsed.length, start + 100);
+        for (var i = start; i < end; i++) {
+            if (!is_numeric_field(parsed[i][0])) {
+                hasRowNames = true;
+                break;
+            }
+        }
+    }
+
+    let offset = (hasRowNames ? 1 : 0);
+    let names = null;
+    if (hasHeader) {
+        let header = parsed[0];
+        if (header.length == width) {
+            names = header.slice(offset); // skipping the corner field.
+        } else if (hasRowNames && header.length == width - 1) {
+            names = header.slice(); // header does not have a corner field, e.g., from R's write.table.
+        } else {
+            throw new Error("number of fields in the header is not consistent with the number of fields in the first non-header line");
+        }
+    }
+
+    return { start, offset, width, names };
+}
+
+function grow_array(x, n) {
+    if (n <= x.length) {
+        return x;
+    }
+    let output = new x.constructor(Math.max(n, x.length * 2));
+    output.set(x);
+    return output;
+}
+
+async function parse_table(file, delim, { hasHeader = null, hasRowNames = null, namesOnly = false } = {}) {
+    // Holding the first few lines until we have enough to detect the layout.
+    const detection_lines = 101;
+    let pending = [];
+    let layout = null;
+    let line = 0;
+
+    let row_names = [];
+    let nrows = 0;
+    let nnz = 0;
+    let values = new Float64Array(1024);
+    let indices = new Int32Array(1024);
+    let pointers = new Float64Array(1024);
+
+    let add_row = (row, i) => {
+        let { offset, width } = layout;
+        if (row.length != width) {
+            throw new Error("expected " + String(width) + " fields on line " + String(i + 1) + " of the delimited matrix file");
+        }
+
+        if (offset) {
+            row_names.push(row[0]);
+        }
+
+        if (!namesOnly) {
+            values = grow_array(values, nnz + width);
+            indices = grow_array(indices, nnz + width);
+            for (var j = offset; j < width; j++) {
+                let field = row[j];
+                if (field === "0") {
+                    continue;
+                }
+                let val = Number(field);
+                if (Number.isNaN(val) || field === "") {
+                    throw new Error("non-numeric value '" + field + "' on line " + String(i + 1) + " of the delimited matrix file");
+                }
+                if (val !== 0) {
+                    values[nnz] = val;
+                    indices[nnz] = j - offset;
+                    nnz++;
+                }
+            }
+
+            pointers = grow_array(pointers, nrows + 2);
+            pointers[nrows + 1] = nnz;
+        }
+
+        nrows++;
+    };
+
+    let flush_pending = () => {
+        layout = detect_layout(pending, hasHeader, hasRowNames);
+        for (var i = layout.start; i < pending.length; i++) {
+            add_row(pending[i], i);
+        }
+        pending = null;
+    };
+
+    // Errors are deferred until the end of the stream, as throwing inside the callback may not reject the promise.
+    let error = null;
+    await eutils.streamTable(file, row => {
+        if (error !== null) {
+            return;
+        }
+        try {
+            strip_carriage_return(row);
+            if (layout === null) {
+                pending.push(row);
+                if (pending.length >= detection_lines) {
+                    flush_pending();
+                }
+            } else {
+                add_row(row, line);
+            }
+            line++;
+        } catch (e) {
+            error = e;
+        }
+    }, { delim: delim });
+
+    if (error !== null) {
+        throw error;
+    }
+    if (layout === null) {
+        flush_pending();
+    }
+
+    let output = {
+        rows: nrows,
+        columns: layout.width - layout.offset,
+        row_names: (layout.offset ? row_names : null),
+        column_names: layout.names
+    };
+
+    if (!namesOnly) {
+        output.values = values.slice(0, nnz);
+        output.indices = indices.slice(0, nnz);
+        output.pointers = pointers.slice(0, nrows + 1);
+    }
+
+    return output;
+}
+
+function names_to_frame(names, n) {
+    let output = new bioc.DataFrame({}, { numberOfRows: n });
+    if (names !== null) {
+        output.$setColumn("id", names);
+    }
+    return output;
+}
+
+/************************
+ ******* Dataset ********
+ ************************/
+
+/**
+ * Dataset containing a dense count matrix in a delimited text file (e.g., CSV or TSV, possibly Gzip-compressed),
+ * typically distributed as supplementary files on the Gene Expression Omnibus.
+ * By default, each line of the file corresponds to a feature and each field (after the row name) corresponds to a cell.
+ *
+ * The layout is automatically detected from the file contents.
+ * The first line is treated as a header containing the cell names if it contains any non-numeric fields,
+ * and the first field of each line is treated as the feature name if it is non-numeric.
+ * The header may or may not contain a field for the top-left corner.
+ *
+ * The file is parsed one chunk at a time, so the full table of strings is never held in memory.
+ * {@linkcode DelimitedMatrixDataset#summary summary} and {@linkcode DelimitedMatrixDataset#previewPrimaryIds previewPrimaryIds} only retain the header and the first field of each line.
+ */
+export class DelimitedMatrixDataset {
+    #matrix_file;
+    #contents;
+    #raw_features;
+    #raw_cells;
+    #options;
+
+    #dump_summary(fun) {
+        let files = [{ type: "table", file: fun(this.#matrix_file) }];
+        let options = this.options();
+        return { files, options };
+    }
+
+    /**
+     * @param {SimpleFile|string|Uint8Array|File} matrixFile - A delimited text file containing a dense matrix.
+     * On browsers, this may be a File object.
+     * On Node.js, this may also be a string containing a file path.
+     */
+    constructor(matrixFile) {
+        if (matrixFile instanceof afile.SimpleFile) {
+            this.#matrix_file = matrixFile;
+        } else {
+            this.#matrix_file = new afile.SimpleFile(matrixFile);
+        }
+
+        this.#options = DelimitedMatrixDataset.defaults();
+        this.clear();
+    }
+
+    /**
+     * @return {object} Default options, see {@linkcode DelimitedMatrixDataset#setOptions setOptions} for more details.
+     */
+    static defaults() {
+        return {
+            delimiter: null,
+            hasHeader: null,
+            hasRowNames: null,
+            transposed: false,
+            featureTypeRnaName: "Gene Expression",
+            featureTypeAdtName: null,
+            featureTypeCrisprName: null,
+            primaryRnaFeatureIdColumn: 0,
+            primaryAdtFeatureIdColumn: 0,
+            primaryCrisprFeatureIdColumn: 0
+        };
+    }
+
+    /**
+     * @return {object} Object containing all options used for loading.
+     */
+    options() {
+        return { ...(this.#options) };
+    }
+
+    /**
+     * @param {object} options - Optional parameters that affect {@linkcode DelimitedMatrixDataset#load load} and {@linkcode DelimitedMatrixDataset#summary summary}.
+     * @param {?string} [options.delimiter] - Delimiter between fields.
+     * If `null`, this is automatically chosen from tabs or commas based on the contents of the first line.
+     * @param {?boolean} [options.hasHeader] - Whether the first line contains a header with the column names.
+     * If `null`, this is automatically detected.
+     * @param {?boolean} [options.hasRowNames] - Whether the first field of each line contains the row name.
+     * If `null`, this is automatically detected.
+     * @param {boolean} [options.transposed] - Whether the table is cells-by-features, i.e., each line corresponds to a cell.
+     * @param {?string} [options.featureTypeRnaName] - Name of the feature type for gene expression.
+     * As the file does not contain any feature type information, all features are considered to be genes if this is the only non-`null` value among all `featureType*Name` parameters.
+     * @param {?string} [options.featureTypeAdtName] - Name of the feature type for ADTs.
+     * All features are considered to be ADTs if this is the only non-`null` value among all `featureType*Name` parameters.
+     * @param {?string} [options.featureTypeCrisprName] - Name of the feature type for CRISPR guides.
+     * All features are considered to be guides if this is the only non-`null` value among all `featureType*Name` parameters.
+     * @param {string|number} [options.primaryRnaFeatureIdColumn] - Name or index of the column of the `features` {@linkplain external:DataFrame DataFrame} that contains the primary feature identifier for gene expression.
+     * If `i` is invalid (e.g., out of range index, unavailable name), it is ignored and the primary identifier is treated as undefined.
+     * @param {string|number} [options.primaryAdtFeatureIdColumn] - Name or index of the column of the `features` {@linkplain external:DataFrame DataFrame} that contains the primary feature identifier for the ADTs.
+     * If `i` is invalid (e.g., out of range index, unavailable name), it is ignored and the primary identifier is treated as undefined.
+     * @param {string|number} [options.primaryCrisprFeatureIdColumn] - Name or index of the column of the `features` {@linkplain external:DataFrame DataFrame} that contains the primary feature identifier for the CRISPR guides.
+     * If `i` is invalid (e.g., out of range index, unavailable name), it is ignored and the primary identifier is treated as undefined.
+     */
+    setOptions(options) {
+        for (const [k, v] of Object.entries(options)) {
+            if (k == "delimiter" || k == "hasHeader" || k == "hasRowNames" || k == "transposed") {
+                if (this.#options[k] !== v) {
+                    this.clear(); // changes to the layout invalidate any cached parsing results.
+                }
+            }
+            this.#options[k] = v;
+        }
+    }
+
+    /**
+     * Destroy caches if present, releasing the associated memory.
+     * This may be called at any time but only has an effect if `cache = true` in {@linkcode DelimitedMatrixDataset#load load} or {@linkcode DelimitedMatrixDataset#summary summary}.
+     */
+    clear() {
+        this.#contents = null;
+        this.#raw_features = null;
+        this.#raw_cells = null;
+    }
+
+    /**
+     * @return {string} Format of this dataset class.
+     * @static
+     */
+    static format() {
+        return "DelimitedMatrix";
+    }
+
+    /**
+     * @return {object} Object containing the abbreviated details of this dataset,
+     * in a form that can be cheaply stringified.
+     */
+    abbreviate() {
+        return this.#dump_summary(f => { return { name: f.name(), size: f.size() }; });
+    }
+
+    async #parse(namesOnly) {
+        if (this.#contents !== null || (namesOnly && this.#raw_features !== null)) {
+            return;
+        }
+
+        let delim = this.#options.delimiter;
+        if (delim === null) {
+            delim = dutils.guessDelimiter(this.#matrix_file);
+        }
+
+        let contents = await parse_table(this.#matrix_file, delim, { hasHeader: this.#options.hasHeader, hasRowNames: this.#options.hasRowNames, namesOnly: namesOnly });
+
+        if (this.#options.transposed) {
+            this.#raw_features = names_to_frame(contents.column_names, contents.columns);
+            this.#raw_cells = names_to_frame(contents.row_names, contents.rows);
+        } else {
+            this.#raw_features = names_to_frame(contents.row_names, contents.rows);
+            this.#raw_cells = names_to_frame(contents.column_names, contents.columns);
+        }
+        if (!namesOnly) {
+            this.#contents = contents;
+        }
+    }
+
+    /**
+     * @param {object} [options={}] - Optional parameters.
+     * @param {boolean} [options.cache=false] - Whether to cache the intermediate results for re-use in subsequent calls to any methods with a `cache` option.
+     * If `true`, users should consider calling {@linkcode DelimitedMatrixDataset#clear clear} to release the memory once this dataset instance is no longer needed.
+     *
+     * @return {object} Object containing the per-feature and per-cell annotations.
+     * This has the following properties:
+     *
+     * - `modality_features`: an object where each key is a modality name and each value is a {@linkplain external:DataFrame DataFrame} of per-feature annotations for that modality.
+     *   As there is no feature type information, this only ever contains a single modality with an empty name.
+     * - `cells`: a {@linkplain external:DataFrame DataFrame} of per-cell annotations.
+     *
+     * @async
+     */
+    async summary({ cache = false } = {}) {
+        await this.#parse(true);
+
+        let output = {
+            "modality_features": { "": this.#raw_features }, // no feature type information, so everything is in the unnamed modality.
+            "cells": this.#raw_cells
+        };
+
+        if (!cache) {
+            this.clear();
+        }
+        return output;
+    }
+
+    #feature_type_mapping() {
+        return {
+            RNA: this.#options.featureTypeRnaName,
+            ADT: this.#options.featureTypeAdtName,
+            CRISPR: this.#options.featureTypeCrisprName
+        };
+    }
+
+    #primary_mapping() {
+        return {
+            RNA: this.#options.primaryRnaFeatureIdColumn,
+            ADT: this.#options.primaryAdtFeatureIdColumn,
+            CRISPR: this.#options.primaryCrisprFeatureIdColumn
+        };
+    }
+
+    /**
+     * @param {object} [options={}] - Optional parameters.
+     * @param {boolean} [options.cache=false] - Whether to cache the intermediate results for re-use in subsequent calls to any methods with a `cache` option.
+     * If `true`, users should consider calling {@linkcode DelimitedMatrixDataset#clear clear} to release the memory once this dataset instance is no longer needed.
+     *
+     * @return {object} An object where each key is a modality name and each value is an array (usually of strings) containing the primary feature identifiers for each row in that modality.
+     * The contents are the same as the `primary_ids` returned by {@linkcode DelimitedMatrixDataset#load load} but the order of values may be different.
+     * @async
+     */
+    async previewPrimaryIds({ cache = false } = {}) {
+        await this.#parse(true);
+        let preview = futils.extractSplitPrimaryIds(this.#raw_features, null, this.#feature_type_mapping(), "RNA", this.#primary_mapping());
+        if (!cache) {
+            this.clear();
+        }
+        return preview;
+    }
+
+    /**
+     * @param {object} [options={}] - Optional parameters.
+     * @param {boolean} [options.cache=false] - Whether to cache the intermediate results for re-use in subsequent calls to any methods with a `cache` option.
+     * If `true`, users should consider calling {@linkcode DelimitedMatrixDataset#clear clear} to release the memory once this dataset instance is no longer needed.
+     *
+     * @return {object} Object containing the per-feature and per-cell annotations.
+     * This has the following properties:
+     *
+     * - `features`: an object where each key is a modality name and each value is a {@linkplain external:DataFrame DataFrame} of per-feature annotations for that modality.
+     * - `cells`: a {@linkplain external:DataFrame DataFrame} containing per-cell annotations.
+     * - `matrix`: a {@linkplain external:MultiMatrix MultiMatrix} containing one {@linkplain external:ScranMatrix ScranMatrix} per modality.
+     * - `primary_ids`: an object where each key is a modality name and each value is an array (usually of strings) containing the primary feature identifiers for each row in that modality.
+     *
+     * Modality names are guaranteed to be one of `"RNA"`, `"ADT"` or `"CRISPR"`.
+     * As the file contains no feature type information, all features are assigned to the same modality, see {@linkcode DelimitedMatrixDataset#setOptions setOptions} for details.
+     *
+     * @async
+     */
+    async load({ cache = false } = {}) {
+        await this.#parse(false);
+
+        let contents = this.#contents;
+        let transposed = this.#options.transposed;
+        let loaded = scran.initializeSparseMatrixFromSparseArrays(
+            (transposed ? contents.columns : contents.rows),
+            (transposed ? contents.rows : contents.columns),
+            contents.values,
+            contents.indices,
+            contents.pointers,
+            { byRow: !transposed, forceInteger: true, layered: true }
+        );
+
+        let output = futils.splitScranMatrixAndFeatures(loaded, this.#raw_features, null, this.#feature_type_mapping(), "RNA");
+        output.cells = this.#raw_cells;
+        output.primary_ids = futils.extractPrimaryIds(output.features, this.#primary_mapping());
+
+        if (!cache) {
+            this.clear();
+        }
+        return output;
+    }
+
+    /**
+     * @return {object} Object describing this dataset, containing:
+     *
+     * - `files`: Array of objects representing the files used in this dataset.
+     *   Each object corresponds to a single file and contains:
+     *   - `type`: a string denoting the type.
+     *   - `file`: a {@linkplain SimpleFile} object representing the file contents.
+     * - `options`: An object containing additional options to saved.
+     */
+    async serialize() {
+        return this.#dump_summary(f => f);
+    }
+
+    /**
+     * @param {Array} files - Array of objects like that produced by {@linkcode DelimitedMatrixDataset#serialize serialize}.
+     * @param {object} options - Object containing additional options to be passed to the constructor.
+     * @return {DelimitedMatrixDataset} A new instance of this class.
+     * @static
+     */
+    static async unserialize(files, options) {
+        if (files.length != 1 || files[0].type != "table") {
+            throw new Error("expected exactly one file of type 'table' for DelimitedMatrix unserialization");
+        }
+        let output = new DelimitedMatrixDataset(files[0].file);
+        output.setOptions(options);
+        return output;
+    }
+}
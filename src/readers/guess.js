@@ -0,0 +1,316 @@
+import * as scran from "scran.js";
+import * as pako from "pako";
+import JSZip from "jszip";
+import * as afile from "./abstract/file.js";
+import * as remote from "./utils/remote.js";
+import { TenxHdf5Dataset } from "./10x.js";
+import { H5adDataset } from "./h5ad.js";
+import { LoomDataset } from "./loom.js";
+import { TenxMatrixMarketDataset } from "./mtx.js";
+import { DelimitedMatrixDataset } from "./delimited.js";
+import { SummarizedExperimentDataset } from "./se.js";
+import { SeuratDataset } from "./seurat.js";
+import { ZippedArtifactdbDataset, searchZippedArtifactdb } from "./ArtifactDB-zipped.js";
+import { ZippedAlabasterDataset, searchZippedAlabaster } from "./alabaster-zipped.js";
+import { ZarrAnnDataDataset, searchZippedZarr } from "./zarr-zipped.js";
+
+/**************************
+ ******* Internals ********
+ **************************/
+
+function has_magic(head, magic) {
+    if (head.length < magic.length) {
+        return false;
+    }
+    for (var i = 0; i < magic.length; i++) {
+        if (head[i] != magic[i]) {
+            return false;
+        }
+    }
+    return true;
+}
+
+const hdf5_magic = [ 0x89, 0x48, 0x44, 0x46, 0x0D, 0x0A, 0x1A, 0x0A ];
+const zip_magic = [ 0x50, 0x4B, 0x03, 0x04 ];
+const gzip_magic = [ 0x1F, 0x8B, 0x08 ];
+
+function peek_text(file, n) {
+    let head = file.slice(0, n);
+    if (has_magic(head, gzip_magic)) {
+        let chunks = [];
+        let gz = new pako.Inflate();
+        gz.onData = chunk => chunks.push(chunk);
+        gz.push(head, false);
+        head = new Uint8Array(chunks.reduce((total, x) => total + x.length, 0));
+        let offset = 0;
+        for (const x of chunks) {
+            head.set(x, offset);
+            offset += x.length;
+        }
+    }
+    return (new TextDecoder).decode(head);
+}
+
+function strip_compression(name) {
+    return name.replace(/\.gz$/, "");
+}
+
+function guess_hdf5(file) {
+    let info = remote.realizeFile(file);
+    try {
+        let handle = new scran.H5File(info.path);
+        let children = handle.children;
+
+        if ("matrix" in children && children["matrix"] == "Group") {
+            let mhandle = handle.open("matrix");
+            if ("barcodes" in mhandle.children && "indptr" in mhandle.children) {
+                return { dataset: new TenxHdf5Dataset(file), confidence: "high", reason: "HDF5 file contains a 'matrix' group with 10X-formatted contents" };
+            }
+        }
+
+        if ("matrix" in children && children["matrix"] == "DataSet" && ("row_attrs" in children || "col_attrs" in children)) {
+            return { dataset: new LoomDataset(file), confidence: "high", reason: "HDF5 file contains a 'matrix' dataset with 'row_attrs' or 'col_attrs'" };
+        }
+
+        if (("X" in children || "layers" in children) && ("obs" in children || "var" in children)) {
+            return { dataset: new H5adDataset(file), confidence: "high", reason: "HDF5 file contains 'X' or 'layers' along with 'obs' or 'var'" };
+        }
+    } finally {
+        info.flush();
+    }
+
+    // Falling back to the file extension.
+    let name = file.name();
+    if (name.endsWith(".h5ad")) {
+        return { dataset: new H5adDataset(file), confidence: "low", reason: "HDF5 file with a '.h5ad' extension but an unexpected layout" };
+    } else if (name.endsWith(".loom")) {
+        return { dataset: new LoomDataset(file), confidence: "low", reason: "HDF5 file with a '.loom' extension but an unexpected layout" };
+    } else if (name.endsWith(".h5")) {
+        return { dataset: new TenxHdf5Dataset(file), confidence: "low", reason: "HDF5 file with a '.h5' extension but an unexpected layout" };
+    }
+
+    return null;
+}
+
+const se_classes = [ "SummarizedExperiment", "RangedSummarizedExperiment", "SingleCellExperiment", "SpatialExperiment" ];
+
+function guess_rds(file) {
+    let rds;
+    let value;
+    try {
+        rds = scran.readRds(file.content());
+        value = rds.value();
+        if (!(value instanceof scran.RdsS4Object)) {
+            return null;
+        }
+
+        let cls = value.className();
+        if (se_classes.indexOf(cls) >= 0) {
+            return { dataset: new SummarizedExperimentDataset(file), confidence: "high", reason: "RDS file contains a " + cls + " object" };
+        } else if (cls == "Seurat") {
+            return { dataset: new SeuratDataset(file), confidence: "high", reason: "RDS file contains a Seurat object" };
+        }
+    } catch (e) {
+        return null;
+    } finally {
+        scran.free(value);
+        scran.free(rds);
+    }
+
+    return null;
+}
+
+async function guess_zip(file) {
+    let handle = await JSZip.loadAsync(file.buffer());
+
+    let found = await searchZippedAlabaster(handle);
+    let format = "alabaster";
+    let constructor = (name, f) => new ZippedAlabasterDataset(name, f);
+    if (found.size == 0) {
+        found = await searchZippedArtifactdb(handle);
+        format = "ArtifactDB";
+        constructor = (name, f) => new ZippedArtifactdbDataset(name, f);
+    }
+
+    if (found.size > 0) {
+        // Multiple SummarizedExperiments in the same ZIP file make each choice less certain.
+        let confidence = (found.size == 1 ? "high" : "medium");
+        let output = [];
+        for (const name of found.keys()) {
+            output.push({
+                dataset: constructor(name, file),
+                confidence: confidence,
+                reason: "ZIP file contains a SummarizedExperiment in the " + format + " representation at '" + name + "'"
+            });
+        }
+        return output;
+    }
+
+    let prefix;
+    try {
+        prefix = searchZippedZarr(handle);
+    } catch (e) {
+        return [];
+    }
+
+    let full = (prefix == "" ? "" : prefix + "/");
+    let confidence = (handle.file(full + "obs/.zgroup") !== null || handle.file(full + "obs/.zattrs") !== null ? "high" : "low");
+    return [{
+        dataset: new ZarrAnnDataDataset(file, { storePrefix: prefix }),
+        confidence: confidence,
+        reason: "ZIP file contains a Zarr store" + (confidence == "high" ? " with an AnnData layout" : "")
+    }];
+}
+
+const mtx_pattern = /\.mtx$/;
+const feature_pattern = /(features|genes)\.(tsv|csv|txt)$/;
+const barcode_pattern = /(barcodes|cell_metadata)\.(tsv|csv|txt)$/;
+const delimited_pattern = /\.(tsv|csv|txt)$/;
+
+function companion_prefix(name, pattern) {
+    return strip_compression(name).replace(pattern, "").replace(/[._-]+$/, "");
+}
+
+function choose_companion(prefix, candidates, pattern, used, only) {
+    let available = candidates.filter(x => !used.has(x));
+    let matched = available.filter(x => companion_prefix(x.name(), pattern) == prefix);
+    if (matched.length == 1) {
+        return matched[0];
+    }
+
+    // If there's only one Matrix Market file, we can be more relaxed about the naming.
+    if (only && matched.length == 0 && available.length == 1) {
+        return available[0];
+    }
+    return null;
+}
+
+function guess_mtx(matrices, texts, used) {
+    let output = [];
+    let feature_candidates = texts.filter(x => feature_pattern.test(strip_compression(x.name())));
+    let barcode_candidates = texts.filter(x => barcode_pattern.test(strip_compression(x.name())));
+
+    for (const mtx of matrices) {
+        let prefix = companion_prefix(mtx.name(), /(matrix)?\.mtx$/);
+        let features = choose_companion(prefix, feature_candidates, feature_pattern, used, matrices.length == 1);
+        if (features !== null) {
+            used.add(features);
+        }
+        let barcodes = choose_companion(prefix, barcode_candidates, barcode_pattern, used, matrices.length == 1);
+        if (barcodes !== null) {
+            used.add(barcodes);
+        }
+
+        let companions = [];
+        if (features !== null) {
+            companions.push("features in '" + features.name() + "'");
+        }
+        if (barcodes !== null) {
+            companions.push("barcodes in '" + barcodes.name() + "'");
+        }
+
+        let guess = {
+            dataset: new TenxMatrixMarketDataset(mtx, features, barcodes),
+            confidence: (features !== null ? "high" : "medium"),
+            reason: "Matrix Market file" + (companions.length ? " with " + companions.join(" and ") : " without any companion files")
+        };
+        output.push({ guess: guess, members: [ mtx, features, barcodes ].filter(x => x !== null) });
+    }
+
+    return output;
+}
+
+/**
+ * Guess the {@linkplain Dataset} classes to use for an arbitrary collection of files, e.g., as supplied by a user in an upload form.
+ * Each file is inspected based on its name and contents:
+ *
+ * - HDF5 files are assigned to {@linkplain TenxHdf5Dataset}, {@linkplain H5adDataset} or {@linkplain LoomDataset} based on the layout of their groups.
+ * - RDS files are assigned to {@linkplain SummarizedExperimentDataset} or {@linkplain SeuratDataset} based on the class of the stored object.
+ * - ZIP files are searched with {@linkcode searchZippedAlabaster}, {@linkcode searchZippedArtifactdb} and {@linkcode searchZippedZarr},
+ *   and each SummarizedExperiment or Zarr store is assigned to {@linkplain ZippedAlabasterDataset}, {@linkplain ZippedArtifactdbDataset} or {@linkplain ZarrAnnDataDataset}, respectively.
+ * - Matrix Market files are assigned to {@linkplain TenxMatrixMarketDataset}, along with any feature or barcode files with the same prefix.
+ * - Any remaining delimited text files are assigned to {@linkplain DelimitedMatrixDataset}.
+ *
+ * No attempt is made to set the options of each Dataset, so callers may still need to call `setOptions` based on the contents of `summary`.
+ *
+ * @param {Array} files - Array of {@linkplain SimpleFile} objects, or any value that can be used in the SimpleFile constructor.
+ * @return {object} Object containing:
+ *
+ * - `datasets`: an array of objects, each of which corresponds to a guessed dataset and contains:
+ *   - `dataset`: a {@linkplain Dataset} instance.
+ *   - `files`: an array of strings containing the names of the files used in `dataset`.
+ *   - `confidence`: a string specifying the confidence of the guess, one of `"high"`, `"medium"` or `"low"`.
+ *   - `reason`: a string describing the evidence for the guess.
+ * - `unused`: an array of strings containing the names of files that could not be assigned to any dataset.
+ *
+ * @async
+ */
+export async function guessDatasets(files) {
+    files = files.map(x => (x instanceof afile.SimpleFile ? x : new afile.SimpleFile(x)));
+
+    let datasets = [];
+    let used = new Set;
+    let record = (guess, members) => {
+        guess.files = members.map(x => x.name());
+        datasets.push(guess);
+        for (const m of members) {
+            used.add(m);
+        }
+    };
+
+    let matrices = [];
+    let texts = [];
+    for (const f of files) {
+        let head = f.slice(0, 8);
+
+        if (has_magic(head, hdf5_magic)) {
+            let guess = guess_hdf5(f);
+            if (guess !== null) {
+                record(guess, [f]);
+            }
+            continue;
+        }
+
+        if (has_magic(head, zip_magic)) {
+            for (const guess of await guess_zip(f)) {
+                record(guess, [f]);
+            }
+            continue;
+        }
+
+        let name = strip_compression(f.name());
+        if (name.endsWith(".rds")) {
+            let guess = guess_rds(f);
+            if (guess !== null) {
+                record(guess, [f]);
+            }
+            continue;
+        }
+
+        if (mtx_pattern.test(name) || peek_text(f, 256).startsWith("%%MatrixMarket")) {
+            matrices.push(f);
+        } else if (delimited_pattern.test(name)) {
+            texts.push(f);
+        }
+    }
+
+    for (const { guess, members } of guess_mtx(matrices, texts, used)) {
+        record(guess, members);
+    }
+
+    for (const f of texts) {
+        if (used.has(f)) {
+            continue;
+        }
+
+        let line = peek_text(f, 65536).split("\n")[0];
+        if (line.indexOf("\t") >= 0 || line.indexOf(",") >= 0) {
+            record({ dataset: new DelimitedMatrixDataset(f), confidence: "low", reason: "delimited text file that is not a companion to any Matrix Market file" }, [f]);
+        }
+    }
+
+    return {
+        datasets: datasets,
+        unused: files.filter(x => !used.has(x)).map(x => x.name())
+    };
+}
@@ -3,6 +3,7 @@ import * as bioc from "bioconductor";
 import * as eutils from "./utils/extract.js";
 import * as futils from "./utils/features.js";
 import * as afile from "./abstract/file.js";
+import * as remote from "./utils/remote.js";
 
 /**************************
  ******* Internals ********
@@ -253,7 +254,7 @@ export class H5adDataset {
             return;
         }
 
-        let info = scran.realizeFile(this.#h5_file.content());
+        let info = remote.realizeFile(this.#h5_file);
         this.#h5_path = info.path;
         this.#h5_flush = info.flush;
         this.#h5_handle = new scran.H5File(this.#h5_path);
@@ -397,6 +398,8 @@ export class H5adDataset {
      * @param {object} [options={}] - Optional parameters.
      * @param {boolean} [options.cache=false] - Whether to cache the intermediate results for re-use in subsequent calls to any methods with a `cache` option.
      * If `true`, users should consider calling {@linkcode H5adDataset#clear clear} to release the memory once this dataset instance is no longer needed.
+     * @param {?(Array|TypedArray)} [options.columns=null] - Sorted and unique indices of the columns (i.e., cells) to load.
+     * If `null`, all columns are loaded.
      *
      * @return {object} Object containing the per-feature and per-cell annotations.
      * This has the following properties:
@@ -410,7 +413,7 @@ export class H5adDataset {
      * We assume that the instance already contains an appropriate mapping from the observed feature types to each expected modality,
      * either from the {@linkcode H5adDataset#defaults defaults} or with {@linkcode H5adDataset#setOptions setOptions}.
      */
-    load({ cache = false } = {}) {
+    load({ cache = false, columns = null } = {}) {
         this.#features();
         this.#cells();
         this.#fetch_assay_details();
@@ -420,9 +423,9 @@ export class H5adDataset {
             chosen_assay = this.#assay_details.names[0];
         }
 
-        let loaded = load_matrix(this.#h5_path, chosen_assay, this.#assay_details.details[chosen_assay], { forceInteger: true, layered: true }); 
+        let loaded = load_matrix(this.#h5_path, chosen_assay, this.#assay_details.details[chosen_assay], { forceInteger: true, layered: true, subsetColumn: columns }); 
         let output = futils.splitScranMatrixAndFeatures(loaded, this.#raw_features, this.#options.featureTypeColumnName, this.#feature_type_mapping(), "RNA");
-        output.cells = this.#raw_cells;
+        output.cells = (columns === null ? this.#raw_cells : bioc.SLICE(this.#raw_cells, columns));
 
         output.primary_ids = futils.extractPrimaryIds(output.features, this.#primary_mapping());
 
@@ -560,7 +563,7 @@ export class H5adResult {
             return;
         }
 
-        let info = scran.realizeFile(this.#h5_file.content());
+        let info = remote.realizeFile(this.#h5_file);
         this.#h5_path = info.path;
         this.#h5_flush = info.flush;
         this.#h5_handle = new scran.H5File(this.#h5_path);
@@ -1,26 +1,46 @@
 export * from "./10x.js";
 export * from "./h5ad.js";
+export * from "./loom.js";
 export * from "./mtx.js"
+export * from "./delimited.js";
 export * from "./se.js";
+export * from "./seurat.js";
 export * from "./ArtifactDB-abstract.js";
 export * from "./ArtifactDB-zipped.js";
+export * from "./ArtifactDB-local.js";
 export * from "./alabaster-abstract.js";
 export * from "./alabaster-zipped.js";
+export * from "./alabaster-local.js";
+export * from "./zarr-abstract.js";
+export * from "./zarr-zipped.js";
+export * from "./inmemory.js";
+export * from "./archive-abstract.js";
+export * from "./archive.js";
+export * from "./guess.js";
 export * from "./utils/extract.js";
+export * from "./utils/directory.js";
 export * from "./abstract/file.js";
 
 import { TenxHdf5Dataset } from "./10x.js";
 import { H5adDataset } from "./h5ad.js";
+import { LoomDataset } from "./loom.js";
 import { TenxMatrixMarketDataset } from "./mtx.js"
+import { DelimitedMatrixDataset } from "./delimited.js";
 import { SummarizedExperimentDataset } from "./se.js";
+import { SeuratDataset } from "./seurat.js";
 import { ZippedArtifactdbDataset } from "./ArtifactDB-zipped.js";
+import { LocalArtifactdbDataset } from "./ArtifactDB-local.js";
+import { LocalAlabasterDataset } from "./alabaster-local.js";
+import { ZarrAnnDataDataset } from "./zarr-zipped.js";
+import { InMemoryDataset } from "./inmemory.js";
+import { ArchivedTenxMatrixMarketDataset, ArchivedTenxHdf5Dataset } from "./archive.js";
 
 /**
  * Any class that satisfies the [Dataset contract](https://github.com/LTLA/bakana/blob/master/docs/related/custom_readers.md).
  * Each class contains methods to load data from some arbitrary data source into {@linkplain ScranMatrix} objects (for the counts)
  * and {@linkplain DataFrame} objects (for the feature or cell annotations).
  * The default set of known dataset reader classes is listed in the {@linkcode availableReaders} object
- * and includes {@linkplain TenxHdf5Dataset}, {@linkplain TenxMatrixMarketDataset}, {@linkplain H5adDataset} and {@linkplain SummarizedExperimentDataset} instances.
+ * and includes {@linkplain TenxHdf5Dataset}, {@linkplain TenxMatrixMarketDataset}, {@linkplain DelimitedMatrixDataset}, {@linkplain H5adDataset}, {@linkplain LoomDataset}, {@linkplain ZarrAnnDataDataset}, {@linkplain SummarizedExperimentDataset}, {@linkplain SeuratDataset} and {@linkplain InMemoryDataset} instances.
  *
  * @typedef Dataset
  */
@@ -53,7 +73,16 @@ import { ZippedArtifactdbDataset } from "./ArtifactDB-zipped.js";
 export const availableReaders = {
     "10X": TenxHdf5Dataset,
     "MatrixMarket": TenxMatrixMarketDataset,
+    "DelimitedMatrix": DelimitedMatrixDataset,
     "H5AD": H5adDataset,
+    "Loom": LoomDataset,
+    "ZarrAnnData": ZarrAnnDataDataset,
     "SummarizedExperiment": SummarizedExperimentDataset,
-    "ArtifactDB-zipped": ZippedArtifactdbDataset
+    "Seurat": SeuratDataset,
+    "ArtifactDB-zipped": ZippedArtifactdbDataset,
+    "ArtifactDB-local": LocalArtifactdbDataset,
+    "alabaster-local": LocalAlabasterDataset,
+    "InMemory": InMemoryDataset,
+    "MatrixMarket-archive": ArchivedTenxMatrixMarketDataset,
+    "10X-archive": ArchivedTenxHdf5Dataset
 };
@@ -0,0 +1,427 @@
+import * as scran from "scran.js";
+import * as bioc from "bioconductor";
+import * as afile from "./abstract/file.js";
+import * as futils from "./utils/features.js";
+
+/**************************
+ ******* Internals ********
+ **************************/
+
+function generate_id() {
+    // Cheap identifier to distinguish between instances in abbreviate(), which should not need to inspect the contents.
+    return Date.now().toString(36) + "-" + Math.random().toString(36).slice(2);
+}
+
+function matrix_dimensions(x) {
+    if (x instanceof scran.ScranMatrix) {
+        return [ x.numberOfRows(), x.numberOfColumns() ];
+    }
+
+    if (typeof x !== "object" || x === null || !("numberOfRows" in x) || !("numberOfColumns" in x) || !("values" in x)) {
+        throw new Error("each matrix should be a ScranMatrix or an object containing 'numberOfRows', 'numberOfColumns' and 'values'");
+    }
+    return [ x.numberOfRows, x.numberOfColumns ];
+}
+
+function create_matrix(x) {
+    if (x instanceof scran.ScranMatrix) {
+        return x.clone();
+    }
+
+    if ("pointers" in x) {
+        let { byRow = true } = x;
+        return scran.initializeSparseMatrixFromSparseArrays(x.numberOfRows, x.numberOfColumns, x.values, x.indices, x.pointers, { byRow: byRow, forceInteger: true, layered: true });
+    }
+
+    let { columnMajor = true } = x;
+    return scran.initializeSparseMatrixFromDenseArray(x.numberOfRows, x.numberOfColumns, x.values, { columnMajor: columnMajor, forceInteger: true, layered: true });
+}
+
+function is_typed_array(x) {
+    return ArrayBuffer.isView(x) && !(x instanceof DataView);
+}
+
+function encode_frame(df) {
+    let columns = [];
+    for (const name of df.columnNames()) {
+        let col = df.column(name);
+        if (col instanceof bioc.DataFrame) {
+            columns.push({ name: name, type: "DataFrame", values: encode_frame(col) });
+        } else if (is_typed_array(col)) {
+            columns.push({ name: name, type: col.constructor.name, values: Array.from(col) });
+        } else if (col instanceof Array) {
+            columns.push({ name: name, type: "Array", values: col });
+        } else {
+            throw new Error("unsupported type for column '" + name + "' in an InMemoryDataset");
+        }
+    }
+    return { numberOfRows: df.numberOfRows(), rowNames: df.rowNames(), columns: columns };
+}
+
+const typed_array_classes = {
+    Int8Array, Uint8Array, Int16Array, Uint16Array, Int32Array, Uint32Array, Float32Array, Float64Array
+};
+
+function decode_frame(encoded) {
+    let columns = {};
+    let order = [];
+    for (const { name, type, values } of encoded.columns) {
+        if (type == "DataFrame") {
+            columns[name] = decode_frame(values);
+        } else if (type == "Array") {
+            columns[name] = values;
+        } else if (type in typed_array_classes) {
+            // NaNs in floating-point columns are stored as nulls in JSON.
+            columns[name] = typed_array_classes[type].from(values, x => (x === null ? NaN : x));
+        } else {
+            throw new Error("unknown column type '" + type + "' in serialized InMemoryDataset annotations");
+        }
+        order.push(name);
+    }
+    return new bioc.DataFrame(columns, { numberOfRows: encoded.numberOfRows, rowNames: encoded.rowNames, columnOrder: order });
+}
+
+function write_matrices(matrices) {
+    let tmppath = scran.chooseTemporaryPath({ extension: ".h5" });
+    try {
+        let first = true;
+        for (const [i, x] of Object.values(matrices).entries()) {
+            let mat = create_matrix(x);
+            try {
+                scran.writeSparseMatrixToHdf5(mat, tmppath, String(i), { format: "tenx_matrix", overwrite: first });
+            } finally {
+                scran.free(mat);
+            }
+            first = false;
+        }
+
+        if (first) {
+            scran.createNewHdf5File(tmppath); // no modalities, so we just create an empty file.
+        }
+        return scran.readFile(tmppath);
+    } finally {
+        if (scran.existsFile(tmppath)) {
+            scran.removeFile(tmppath);
+        }
+    }
+}
+
+function read_matrices(file, names) {
+    let info = scran.realizeFile(file.content());
+    let output = {};
+    try {
+        let handle = new scran.H5File(info.path);
+        for (const [i, name] of names.entries()) {
+            let mhandle = handle.open(String(i));
+            let shape = mhandle.open("shape", { load: true }).values;
+            output[name] = {
+                numberOfRows: shape[0],
+                numberOfColumns: shape[1],
+                values: mhandle.open("data", { load: true }).values,
+                indices: mhandle.open("indices", { load: true }).values,
+                pointers: mhandle.open("indptr", { load: true }).values,
+                byRow: false
+            };
+        }
+    } finally {
+        info.flush();
+    }
+    return output;
+}
+
+/************************
+ ******* Dataset ********
+ ************************/
+
+/**
+ * Dataset containing count matrices and annotations that are already in memory,
+ * e.g., when the data has been generated or retrieved by the application itself rather than being supplied in files.
+ * Each modality is represented by a separate count matrix with the same number of columns.
+ *
+ * Unlike the file-based readers, the contents of this dataset are written to new files by {@linkcode InMemoryDataset#serialize serialize},
+ * so that instances can be saved and restored with {@linkcode serializeConfiguration} and {@linkcode unserializeConfiguration}.
+ */
+export class InMemoryDataset {
+    #matrices;
+    #features;
+    #cells;
+    #id;
+    #options;
+
+    /**
+     * @param {object} matrices - Object where each key is the name of a modality and each value is the count matrix for that modality.
+     * Each matrix may be any of:
+     *
+     * - A {@linkplain external:ScranMatrix ScranMatrix}.
+     *   This is cloned on every {@linkcode InMemoryDataset#load load}, so the caller retains ownership and should not free it while this dataset is in use.
+     * - An object describing a dense matrix, containing `numberOfRows`, `numberOfColumns` and `values`, a (typed) array of length equal to the product of the dimensions.
+     *   This may also contain `columnMajor`, a boolean specifying whether `values` is in column-major order (default `true`).
+     * - An object describing a compressed sparse matrix, containing `numberOfRows`, `numberOfColumns`, `values`, `indices` and `pointers`.
+     *   This may also contain `byRow`, a boolean specifying whether the arrays are in the compressed sparse row format (default `true`).
+     *
+     * Values in the array-based representations are truncated to integers as they are assumed to be counts.
+     * All matrices should have the same number of columns.
+     * @param {object} [features={}] - Object where each key is the name of a modality in `matrices`
+     * and each value is a {@linkplain external:DataFrame DataFrame} of per-feature annotations with number of rows equal to that of the corresponding matrix.
+     * If a modality is absent, an empty DataFrame is used instead.
+     * @param {?external:DataFrame} [cells=null] - A DataFrame of per-cell annotations with number of rows equal to the number of columns of each matrix.
+     * If `null`, an empty DataFrame is used instead.
+     */
+    constructor(matrices, features = {}, cells = null) {
+        let ncols = null;
+        let full_features = {};
+
+        for (const [k, v] of Object.entries(matrices)) {
+            let [ nr, nc ] = matrix_dimensions(v);
+            if (ncols === null) {
+                ncols = nc;
+            } else if (ncols != nc) {
+                throw new Error("all matrices should have the same number of columns in an InMemoryDataset");
+            }
+
+            if (k in features) {
+                if (features[k].numberOfRows() != nr) {
+                    throw new Error("number of rows in the feature annotations for '" + k + "' should be equal to the number of rows in its matrix");
+                }
+                full_features[k] = features[k];
+            } else {
+                full_features[k] = new bioc.DataFrame({}, { numberOfRows: nr });
+            }
+        }
+
+        for (const k of Object.keys(features)) {
+            if (!(k in matrices)) {
+                throw new Error("feature annotations for '" + k + "' have no corresponding matrix");
+            }
+        }
+
+        if (cells === null) {
+            cells = new bioc.DataFrame({}, { numberOfRows: (ncols === null ? 0 : ncols) });
+        } else if (ncols !== null && cells.numberOfRows() != ncols) {
+            throw new Error("number of rows in the cell annotations should be equal to the number of columns in each matrix");
+        }
+
+        this.#matrices = { ...matrices };
+        this.#features = full_features;
+        this.#cells = cells;
+        this.#id = generate_id();
+        this.#options = InMemoryDataset.defaults();
+    }
+
+    /**
+     * @return {object} Default options, see {@linkcode InMemoryDataset#setOptions setOptions} for more details.
+     */
+    static defaults() {
+        return {
+            rnaModality: "RNA",
+            adtModality: "ADT",
+            crisprModality: "CRISPR",
+            primaryRnaFeatureIdColumn: null,
+            primaryAdtFeatureIdColumn: null,
+            primaryCrisprFeatureIdColumn: null
+        };
+    }
+
+    /**
+     * @return {object} Object containing all options used for loading.
+     */
+    options() {
+        return { ...(this.#options) };
+    }
+
+    /**
+     * @param {object} options - Optional parameters that affect {@linkcode InMemoryDataset#load load} (but not {@linkcode InMemoryDataset#summary summary}).
+     * @param {?string} [options.rnaModality] - Name of the modality in the constructor's `matrices` that contains gene expression data.
+     * If `null` or the name does not exist, it is ignored and no RNA data is assumed to be present.
+     * @param {?string} [options.adtModality] - Name of the modality in the constructor's `matrices` that contains ADT data.
+     * If `null` or the name does not exist, it is ignored and no ADTs are assumed to be present.
+     * @param {?string} [options.crisprModality] - Name of the modality in the constructor's `matrices` that contains CRISPR guide data.
+     * If `null` or the name does not exist, it is ignored and no CRISPR guides are assumed to be present.
+     * @param {?(string|number)} [options.primaryRnaFeatureIdColumn] - Name or index of the column of the `features` {@linkplain external:DataFrame DataFrame} that contains the primary feature identifier for gene expression.
+     * If `null` or invalid (e.g., out of range index, unavailable name), the row names are used as the primary identifier, if they exist.
+     * @param {?(string|number)} [options.primaryAdtFeatureIdColumn] - Name or index of the column of the `features` {@linkplain external:DataFrame DataFrame} that contains the primary feature identifier for the ADTs.
+     * If `null` or invalid (e.g., out of range index, unavailable name), the row names are used as the primary identifier, if they exist.
+     * @param {?(string|number)} [options.primaryCrisprFeatureIdColumn] - Name or index of the column of the `features` {@linkplain external:DataFrame DataFrame} that contains the primary feature identifier for the CRISPR guides.
+     * If `null` or invalid (e.g., out of range index, unavailable name), the row names are used as the primary identifier, if they exist.
+     */
+    setOptions(options) {
+        for (const [k, v] of Object.entries(options)) {
+            this.#options[k] = v;
+        }
+    }
+
+    /**
+     * This is a no-op as all contents are already held in memory.
+     * It is only provided for consistency with the other {@linkplain Dataset} classes.
+     */
+    clear() {}
+
+    /**
+     * @return {string} Format of this dataset class.
+     * @static
+     */
+    static format() {
+        return "InMemory";
+    }
+
+    /**
+     * @return {object} Object containing the abbreviated details of this dataset.
+     * As there are no files, each instance is distinguished by a randomly generated identifier along with the dimensions of each matrix.
+     * The identifier is preserved by {@linkcode InMemoryDataset#serialize serialize} and {@linkcode InMemoryDataset#unserialize unserialize}.
+     */
+    abbreviate() {
+        let dimensions = {};
+        for (const [k, v] of Object.entries(this.#matrices)) {
+            dimensions[k] = matrix_dimensions(v);
+        }
+        return { id: this.#id, dimensions: dimensions, options: this.options() };
+    }
+
+    /**
+     * @param {object} [options={}] - Optional parameters.
+     * @param {boolean} [options.cache=false] - Ignored, as all contents are already held in memory.
+     *
+     * @return {object} Object containing the per-feature and per-cell annotations.
+     * This has the following properties:
+     *
+     * - `modality_features`: an object where each key is a modality name and each value is a {@linkplain external:DataFrame DataFrame} of per-feature annotations for that modality.
+     * - `cells`: a {@linkplain external:DataFrame DataFrame} of per-cell annotations.
+     */
+    summary({ cache = false } = {}) {
+        return {
+            modality_features: { ...(this.#features) },
+            cells: this.#cells
+        };
+    }
+
+    #modality_mapping() {
+        return {
+            RNA: this.#options.rnaModality,
+            ADT: this.#options.adtModality,
+            CRISPR: this.#options.crisprModality
+        };
+    }
+
+    #primary_mapping() {
+        return {
+            RNA: this.#options.primaryRnaFeatureIdColumn,
+            ADT: this.#options.primaryAdtFeatureIdColumn,
+            CRISPR: this.#options.primaryCrisprFeatureIdColumn
+        };
+    }
+
+    /**
+     * @param {object} [options={}] - Optional parameters.
+     * @param {boolean} [options.cache=false] - Ignored, as all contents are already held in memory.
+     *
+     * @return {object} An object where each key is a modality name and each value is an array (usually of strings) containing the primary feature identifiers for each row in that modality.
+     * The contents are the same as the `primary_ids` returned by {@linkcode InMemoryDataset#load load}.
+     */
+    previewPrimaryIds({ cache = false } = {}) {
+        return futils.extractRemappedPrimaryIds(this.#features, Object.keys(this.#matrices), this.#modality_mapping(), this.#primary_mapping());
+    }
+
+    /**
+     * @param {object} [options={}] - Optional parameters.
+     * @param {boolean} [options.cache=false] - Ignored, as all contents are already held in memory.
+     *
+     * @return {object} Object containing the per-feature and per-cell annotations.
+     * This has the following properties:
+     *
+     * - `features`: an object where each key is a modality name and each value is a {@linkplain external:DataFrame DataFrame} of per-feature annotations for that modality.
+     * - `cells`: a {@linkplain external:DataFrame DataFrame} containing per-cell annotations.
+     * - `matrix`: a {@linkplain external:MultiMatrix MultiMatrix} containing one {@linkplain external:ScranMatrix ScranMatrix} per modality.
+     * - `primary_ids`: an object where each key is a modality name and each value is an array (usually of strings) containing the primary feature identifiers for each row in that modality.
+     *
+     * Modality names are guaranteed to be one of `"RNA"`, `"ADT"` or `"CRISPR"`,
+     * based on the mapping from the constructor's modalities in {@linkcode InMemoryDataset#setOptions setOptions}.
+     */
+    load({ cache = false } = {}) {
+        let output = {
+            matrix: new scran.MultiMatrix,
+            features: {},
+            cells: this.#cells
+        };
+
+        try {
+            for (const [k, v] of Object.entries(this.#modality_mapping())) {
+                if (v === null || !(v in this.#matrices)) {
+                    continue;
+                }
+                output.matrix.add(k, create_matrix(this.#matrices[v]));
+                output.features[k] = this.#features[v];
+            }
+
+            output.primary_ids = futils.extractPrimaryIds(output.features, this.#primary_mapping());
+
+        } catch (e) {
+            scran.free(output.matrix);
+            throw e;
+        }
+
+        return output;
+    }
+
+    /**
+     * @return {object} Object describing this dataset, containing:
+     *
+     * - `files`: Array of objects representing the files used in this dataset.
+     *   Each object corresponds to a single file and contains:
+     *   - `type`: a string denoting the type.
+     *     This is either `"matrix"` for a HDF5 file containing all count matrices, or `"annotations"` for a JSON file containing the feature and cell annotations.
+     *   - `file`: a {@linkplain SimpleFile} object representing the file contents.
+     * - `options`: An object containing additional options to saved.
+     *
+     * All files are generated from the in-memory contents.
+     * Each matrix is saved in the 10X HDF5 layout, while the annotations are saved as JSON;
+     * the latter only supports DataFrame columns that are arrays, typed arrays or nested DataFrames.
+     */
+    async serialize() {
+        let annotations = {
+            id: this.#id,
+            modalities: Object.keys(this.#matrices),
+            features: Object.values(this.#features).map(encode_frame),
+            cells: encode_frame(this.#cells)
+        };
+
+        let files = [
+            { type: "matrix", file: new afile.SimpleFile(write_matrices(this.#matrices), { name: "matrices.h5" }) },
+            { type: "annotations", file: new afile.SimpleFile((new TextEncoder).encode(JSON.stringify(annotations)), { name: "annotations.json" }) }
+        ];
+
+        return { files: files, options: this.options() };
+    }
+
+    /**
+     * @param {Array} files - Array of objects like that produced by {@linkcode InMemoryDataset#serialize serialize}.
+     * @param {object} options - Object containing additional options to be passed to the constructor.
+     * @return {InMemoryDataset} A new instance of this class.
+     * @static
+     */
+    static async unserialize(files, options) {
+        let matrix_file = null;
+        let annotation_file = null;
+        for (const x of files) {
+            if (x.type == "matrix") {
+                matrix_file = x.file;
+            } else if (x.type == "annotations") {
+                annotation_file = x.file;
+            }
+        }
+        if (files.length != 2 || matrix_file === null || annotation_file === null) {
+            throw new Error("expected exactly one file of type 'matrix' and one file of type 'annotations' for InMemory unserialization");
+        }
+
+        let annotations = JSON.parse((new TextDecoder).decode(annotation_file.buffer()));
+        let matrices = read_matrices(matrix_file, annotations.modalities);
+        let features = {};
+        for (const [i, name] of annotations.modalities.entries()) {
+            features[name] = decode_frame(annotations.features[i]);
+        }
+
+        let output = new InMemoryDataset(matrices, features, decode_frame(annotations.cells));
+        output.#id = annotations.id;
+        output.setOptions(options);
+        return output;
+    }
+}
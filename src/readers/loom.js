@@ -0,0 +1,662 @@
+import * as scran from "scran.js";
+import * as bioc from "bioconductor";
+import * as futils from "./utils/features.js";
+import * as afile from "./abstract/file.js";
+import * as remote from "./utils/remote.js";
+
+/**************************
+ ******* Internals ********
+ **************************/
+
+function fetch_dimensions(handle) {
+    if (!("matrix" in handle.children) || handle.children["matrix"] != "DataSet") {
+        throw new Error("expected a 'matrix' dataset at the top level of the Loom file");
+    }
+
+    let shape = handle.open("matrix").shape;
+    if (shape.length != 2) {
+        throw new Error("expected 'matrix' to be a 2-dimensional dataset");
+    }
+
+    // Loom stores features in the rows and cells in the columns, no flipping required.
+    return { rows: shape[0], columns: shape[1] };
+}
+
+function fetch_assay_names(handle, dimensions) {
+    let available = [ "matrix" ];
+
+    if ("layers" in handle.children) {
+        if (handle.children["layers"] != "Group") {
+            throw new Error("expected a 'layers' group in a Loom file");
+        }
+
+        let lhandle = handle.open("layers");
+        for (const [k, v] of Object.entries(lhandle.children)) {
+            if (v != "DataSet") {
+                continue;
+            }
+            let shape = lhandle.open(k).shape;
+            if (shape.length == 2 && shape[0] == dimensions.rows && shape[1] == dimensions.columns) {
+                available.push("layers/" + k);
+            }
+        }
+    }
+
+    return available;
+}
+
+function load_attributes(handle, name, expected) {
+    let columns = {};
+    let order = [];
+
+    if (name in handle.children && handle.children[name] == "Group") {
+        let ahandle = handle.open(name);
+        for (const [key, val] of Object.entries(ahandle.children)) {
+            if (val != "DataSet") {
+                continue;
+            }
+
+            // Multi-dimensional attributes are skipped, as they don't fit into a DataFrame column.
+            let dhandle = ahandle.open(key);
+            if (dhandle.shape.length != 1 || dhandle.shape[0] != expected) {
+                continue;
+            }
+
+            let dtype = dhandle.type;
+            if (dtype instanceof scran.H5EnumType) {
+                let levels = [];
+                for (const [lev, code] of Object.entries(dtype.levels)) {
+                    levels[code] = lev;
+                }
+                columns[key] = Array.from(dhandle.values).map(x => levels[x]);
+            } else if (dtype instanceof scran.H5StringType || (typeof dtype == "string" && dtype !== "Other")) {
+                columns[key] = dhandle.values;
+            } else {
+                continue;
+            }
+            order.push(key);
+        }
+    }
+
+    return new bioc.DataFrame(columns, { columnOrder: order, numberOfRows: expected });
+}
+
+function fetch_embedding_names(handle, ncells) {
+    let available = [];
+    if ("col_attrs" in handle.children && handle.children["col_attrs"] == "Group") {
+        let chandle = handle.open("col_attrs");
+        for (const [k, v] of Object.entries(chandle.children)) {
+            if (v == "DataSet") {
+                let shape = chandle.open(k).shape;
+                if (shape.length == 2 && shape[0] == ncells) {
+                    available.push(k);
+                }
+            }
+        }
+    }
+    return available;
+}
+
+function load_matrix(path, name, options) {
+    return scran.initializeSparseMatrixFromHdf5Dataset(path, name, { transposed: false, ...options });
+}
+
+/************************
+ ******* Dataset ********
+ ************************/
+
+/**
+ * Dataset in the [Loom](https://linnarssonlab.org/loompy/format/index.html) format, e.g., as produced by **velocyto** or **loompy**.
+ */
+export class LoomDataset {
+    #h5_file;
+    #h5_path;
+    #h5_flush;
+    #h5_handle;
+
+    #dimensions;
+    #raw_features;
+    #raw_cells;
+    #assay_names;
+
+    #options;
+
+    #dump_summary(fun) {
+        let files = [{ type: "h5", file: fun(this.#h5_file) }];
+        let options = this.options();
+        return { files, options };
+    }
+
+    /**
+     * @param {SimpleFile|string|Uint8Array|File} h5File - Contents of a Loom file.
+     * On browsers, this may be a File object.
+     * On Node.js, this may also be a string containing a file path.
+     */
+    constructor(h5File) {
+        if (h5File instanceof afile.SimpleFile) {
+            this.#h5_file = h5File;
+        } else {
+            this.#h5_file = new afile.SimpleFile(h5File);
+        }
+
+        this.#options = LoomDataset.defaults();
+        this.clear();
+    }
+
+    /**
+     * @return {object} Default options, see {@linkcode LoomDataset#setOptions setOptions} for more details.
+     */
+    static defaults() {
+        return {
+            countMatrixName: null,
+            featureTypeColumnName: null,
+            featureTypeRnaName: "Gene Expression",
+            featureTypeAdtName: "Antibody Capture",
+            featureTypeCrisprName: "CRISPR Guide Capture",
+            primaryRnaFeatureIdColumn: "Gene",
+            primaryAdtFeatureIdColumn: "Gene",
+            primaryCrisprFeatureIdColumn: "Gene"
+        };
+    }
+
+    /**
+     * @return {object} Object containing all options used for loading.
+     */
+    options() {
+        return { ...(this.#options) };
+    }
+
+    /**
+     * @param {object} options - Optional parameters that affect {@linkcode LoomDataset#load load} (but not {@linkcode LoomDataset#summary summary}).
+     * @param {?string} [options.countMatrixName] - Name of the assay containing the count matrix, as reported in the `all_assay_names` of {@linkcode LoomDataset#summary summary}.
+     * If `null`, the main `"matrix"` dataset is used.
+     * @param {?string} [options.featureTypeColumnName] - Name of the row attribute containing the feature types.
+     * If `null`, no column is assumed to contain feature type information.
+     * @param {?string} [options.featureTypeRnaName] - Name of the feature type for gene expression.
+     * If `null` or the string is not present among the feature types, no RNA features are to be loaded.
+     *
+     * If no feature type information is available in the dataset (i.e., `featureTypeColumnName = null`), all features are considered to be genes by default.
+     * This behavior can also be explicitly requested by setting this argument to the only non-`null` value among all `featureType*Name` parameters.
+     * @param {?string} [options.featureTypeAdtName] - Name of the feature type for ADTs.
+     * If `null` or the string is not present among the feature types, no ADT features are to be loaded.
+     *
+     * If no feature type information is available in the dataset and this argument is set to the only non-`null` value among all `featureType*Name` parameters, all features are considered to be ADTs.
+     * @param {?string} [options.featureTypeCrisprName] - Name of the feature type for CRISPR guides.
+     * If `null` or the string is not present among the feature types, no guides are to be loaded.
+     *
+     * If no feature type information is available in the dataset and this argument is set to the only non-`null` value among all `featureType*Name` parameters, all features are considered to be guides.
+     * @param {?(string|number)} [options.primaryRnaFeatureIdColumn] - Name or index of the column of the `features` {@linkplain external:DataFrame DataFrame} that contains the primary feature identifier for gene expression.
+     * This defaults to the conventional `Gene` row attribute, but may be set to, e.g., `Accession` to use Ensembl identifiers instead.
+     *
+     * If `i` is `null` or invalid (e.g., out of range index, unavailable name), it is ignored and no primary identifier is defined.
+     * @param {?(string|number)} [options.primaryAdtFeatureIdColumn] - Name or index of the column of the `features` {@linkplain external:DataFrame DataFrame} that contains the primary feature identifier for the ADTs.
+     *
+     * If `i` is `null` or invalid (e.g., out of range index, unavailable name), it is ignored and no primary identifier is defined.
+     * @param {?(string|number)} [options.primaryCrisprFeatureIdColumn] - Name or index of the column of the `features` {@linkplain external:DataFrame DataFrame} that contains the primary feature identifier for the CRISPR guides.
+     *
+     * If `i` is `null` or invalid (e.g., out of range index, unavailable name), it is ignored and no primary identifier is defined.
+     */
+    setOptions(options) {
+        for (const [k, v] of Object.entries(options)) {
+            this.#options[k] = v;
+        }
+    }
+
+    #instantiate() {
+        if (this.#h5_path != null) {
+            return;
+        }
+
+        let info = remote.realizeFile(this.#h5_file);
+        this.#h5_path = info.path;
+        this.#h5_flush = info.flush;
+        this.#h5_handle = new scran.H5File(this.#h5_path);
+    }
+
+    /**
+     * Destroy caches if present, releasing the associated memory.
+     * This may be called at any time but only has an effect if `cache = true` in {@linkcode LoomDataset#load load} or {@linkcode LoomDataset#summary summary}.
+     */
+    clear() {
+        if (typeof this.#h5_flush == "function") {
+            this.#h5_flush();
+        }
+        this.#h5_flush = null;
+        this.#h5_path = null;
+        this.#h5_handle = null;
+
+        this.#dimensions = null;
+        this.#raw_features = null;
+        this.#raw_cells = null;
+        this.#assay_names = null;
+    }
+
+    /**
+     * @return {string} Format of this dataset class.
+     * @static
+     */
+    static format() {
+        return "Loom";
+    }
+
+    /**
+     * @return {object} Object containing the abbreviated details of this dataset.
+     */
+    abbreviate() {
+        return this.#dump_summary(f => { return { name: f.name(), size: f.size() }; });
+    }
+
+    #fetch_dimensions() {
+        if (this.#dimensions !== null) {
+            return;
+        }
+        this.#instantiate();
+        this.#dimensions = fetch_dimensions(this.#h5_handle);
+    }
+
+    #fetch_assay_names() {
+        if (this.#assay_names !== null) {
+            return;
+        }
+        this.#fetch_dimensions();
+        this.#assay_names = fetch_assay_names(this.#h5_handle, this.#dimensions);
+    }
+
+    #features() {
+        if (this.#raw_features !== null) {
+            return;
+        }
+        this.#fetch_dimensions();
+        this.#raw_features = load_attributes(this.#h5_handle, "row_attrs", this.#dimensions.rows);
+    }
+
+    #cells() {
+        if (this.#raw_cells !== null) {
+            return;
+        }
+        this.#fetch_dimensions();
+        this.#raw_cells = load_attributes(this.#h5_handle, "col_attrs", this.#dimensions.columns);
+    }
+
+    /**
+     * @param {object} [options={}] - Optional parameters.
+     * @param {boolean} [options.cache=false] - Whether to cache the intermediate results for re-use in subsequent calls to any methods with a `cache` option.
+     * If `true`, users should consider calling {@linkcode LoomDataset#clear clear} to release the memory once this dataset instance is no longer needed.
+     *
+     * @return {object} Object containing the per-feature and per-cell annotations.
+     * This has the following properties:
+     *
+     * - `all_features`: a {@linkplain external:DataFrame DataFrame} of per-feature annotations, containing all one-dimensional row attributes.
+     * - `cells`: a {@linkplain external:DataFrame DataFrame} of per-cell annotations, containing all one-dimensional column attributes.
+     * - `all_assay_names`: an Array of strings containing names of potential count matrices.
+     *   This contains `"matrix"` for the main matrix and `"layers/<NAME>"` for each layer.
+     */
+    summary({ cache = false } = {}) {
+        this.#features();
+        this.#cells();
+        this.#fetch_assay_names();
+
+        let output = {
+            all_features: this.#raw_features,
+            cells: this.#raw_cells,
+            all_assay_names: this.#assay_names
+        };
+
+        if (!cache) {
+            this.clear();
+        }
+        return output;
+    }
+
+    #feature_type_mapping() {
+        return {
+            RNA: this.#options.featureTypeRnaName,
+            ADT: this.#options.featureTypeAdtName,
+            CRISPR: this.#options.featureTypeCrisprName
+        };
+    }
+
+    #primary_mapping() {
+        return {
+            RNA: this.#options.primaryRnaFeatureIdColumn,
+            ADT: this.#options.primaryAdtFeatureIdColumn,
+            CRISPR: this.#options.primaryCrisprFeatureIdColumn
+        };
+    }
+
+    /**
+     * @param {object} [options={}] - Optional parameters.
+     * @param {boolean} [options.cache=false] - Whether to cache the intermediate results for re-use in subsequent calls to any methods with a `cache` option.
+     * If `true`, users should consider calling {@linkcode LoomDataset#clear clear} to release the memory once this dataset instance is no longer needed.
+     *
+     * @return {object} An object where each key is a modality name and each value is an array (usually of strings) containing the primary feature identifiers for each row in that modality.
+     * The contents are the same as the `primary_ids` returned by {@linkcode LoomDataset#load load} but the order of values may be different.
+     */
+    previewPrimaryIds({ cache = false } = {}) {
+        this.#features();
+        let preview = futils.extractSplitPrimaryIds(this.#raw_features, this.#options.featureTypeColumnName, this.#feature_type_mapping(), "RNA", this.#primary_mapping());
+        if (!cache) {
+            this.clear();
+        }
+        return preview;
+    }
+
+    /**
+     * @param {object} [options={}] - Optional parameters.
+     * @param {boolean} [options.cache=false] - Whether to cache the intermediate results for re-use in subsequent calls to any methods with a `cache` option.
+     * If `true`, users should consider calling {@linkcode LoomDataset#clear clear} to release the memory once this dataset instance is no longer needed.
+     *
+     * @return {object} Object containing the per-feature and per-cell annotations.
+     * This has the following properties:
+     *
+     * - `features`: an object where each key is a modality name and each value is a {@linkplain external:DataFrame DataFrame} of per-feature annotations for that modality.
+     * - `cells`: a {@linkplain external:DataFrame DataFrame} containing per-cell annotations.
+     * - `matrix`: a {@linkplain external:MultiMatrix MultiMatrix} containing one {@linkplain external:ScranMatrix ScranMatrix} per modality.
+     * - `primary_ids`: an object where each key is a modality name and each value is an array (usually of strings) containing the primary feature identifiers for each row in that modality.
+     *
+     * Modality names are guaranteed to be one of `"RNA"`, `"ADT"` or `"CRISPR"`.
+     * We assume that the instance already contains an appropriate mapping from the observed feature types to each expected modality,
+     * either from the {@linkcode LoomDataset#defaults defaults} or with {@linkcode LoomDataset#setOptions setOptions}.
+     */
+    load({ cache = false } = {}) {
+        this.#features();
+        this.#cells();
+        this.#fetch_assay_names();
+
+        let chosen_assay = this.#options.countMatrixName;
+        if (chosen_assay == null) {
+            chosen_assay = this.#assay_names[0];
+        } else if (this.#assay_names.indexOf(chosen_assay) < 0) {
+            throw new Error("no assay named '" + chosen_assay + "' in the Loom file");
+        }
+
+        let loaded = load_matrix(this.#h5_path, chosen_assay, { forceInteger: true, layered: true });
+        let output = futils.splitScranMatrixAndFeatures(loaded, this.#raw_features, this.#options.featureTypeColumnName, this.#feature_type_mapping(), "RNA");
+        output.cells = this.#raw_cells;
+
+        output.primary_ids = futils.extractPrimaryIds(output.features, this.#primary_mapping());
+
+        if (!cache) {
+            this.clear();
+        }
+        return output;
+    }
+
+    /**
+     * @return {object} Object describing this dataset, containing:
+     *
+     * - `files`: Array of objects representing the files used in this dataset.
+     *   Each object corresponds to a single file and contains:
+     *   - `type`: a string denoting the type.
+     *   - `file`: a {@linkplain SimpleFile} object representing the file contents.
+     * - `options`: An object containing additional options to saved.
+     */
+    serialize() {
+        return this.#dump_summary(f => f);
+    }
+
+    /**
+     * @param {Array} files - Array of objects like that produced by {@linkcode LoomDataset#serialize serialize}.
+     * @param {object} options - Object containing additional options to be passed to the constructor.
+     * @return {LoomDataset} A new instance of this class.
+     * @static
+     */
+    static async unserialize(files, options) {
+        if (files.length != 1 || files[0].type != "h5") {
+            throw new Error("expected exactly one file of type 'h5' for Loom unserialization");
+        }
+        let output = new LoomDataset(files[0].file);
+        output.setOptions(options);
+        return output;
+    }
+}
+
+/************************
+ ******* Results ********
+ ************************/
+
+/**
+ * Pre-computed analysis results in the [Loom](https://linnarssonlab.org/loompy/format/index.html) format.
+ * Dimensionality reduction results are expected to be stored as two-dimensional column attributes, e.g., as produced by **scanpy**'s `write_loom`.
+ */
+export class LoomResult {
+    #h5_file;
+    #h5_path;
+    #h5_flush;
+    #h5_handle;
+
+    #dimensions;
+    #raw_features;
+    #raw_cells;
+    #assay_names;
+    #reddim_names;
+
+    #options;
+
+    /**
+     * @param {SimpleFile|string|Uint8Array|File} h5File - Contents of a Loom file.
+     * On browsers, this may be a File object.
+     * On Node.js, this may also be a string containing a file path.
+     */
+    constructor(h5File) {
+        if (h5File instanceof afile.SimpleFile) {
+            this.#h5_file = h5File;
+        } else {
+            this.#h5_file = new afile.SimpleFile(h5File);
+        }
+
+        this.#options = LoomResult.defaults();
+        this.clear();
+    }
+
+    /**
+     * @return {object} Default options, see {@linkcode LoomResult#setOptions setOptions} for more details.
+     */
+    static defaults() {
+        return {
+            primaryMatrixName: null,
+            isPrimaryNormalized: true,
+            featureTypeColumnName: null,
+            reducedDimensionNames: null
+        };
+    }
+
+    /**
+     * @return {object} Object containing all options used for loading.
+     */
+    options() {
+        return { ...(this.#options) };
+    }
+
+    /**
+     * @param {object} options - Optional parameters that affect {@linkcode LoomResult#load load} (but not {@linkcode LoomResult#summary summary}).
+     * @param {?string} [options.primaryMatrixName] - Name of the assay containing the primary matrix, as reported in the `all_assay_names` of {@linkcode LoomResult#summary summary}.
+     * If `null`, the main `"matrix"` dataset is used.
+     * @param {boolean} [options.isPrimaryNormalized] - Whether the primary matrix is already normalized.
+     * If `false`, it is assumed to contain count data and is subjected to library size normalization within each modality.
+     * @param {?string} [options.featureTypeColumnName] - Name of the row attribute containing the feature types.
+     * If `null`, no column is assumed to contain the feature types, and all features are assumed to be genes (i.e., only the RNA modality is present).
+     * @param {?Array} [options.reducedDimensionNames=null] - Array of names of the reduced dimensions to load.
+     * If `null`, all reduced dimensions found in the file are loaded.
+     */
+    setOptions(options) {
+        for (const [k, v] of Object.entries(options)) {
+            if (k == "reducedDimensionNames") {
+                this.#options[k] = bioc.CLONE(v); // avoid pass-by-reference links.
+            } else {
+                this.#options[k] = v;
+            }
+        }
+    }
+
+    /**
+     * Destroy caches if present, releasing the associated memory.
+     * This may be called at any time but only has an effect if `cache = true` in {@linkcode LoomResult#load load} or {@linkcode LoomResult#summary summary}.
+     */
+    clear() {
+        if (typeof this.#h5_flush == "function") {
+            this.#h5_flush();
+        }
+        this.#h5_flush = null;
+        this.#h5_path = null;
+        this.#h5_handle = null;
+
+        this.#dimensions = null;
+        this.#raw_features = null;
+        this.#raw_cells = null;
+        this.#assay_names = null;
+        this.#reddim_names = null;
+    }
+
+    #instantiate() {
+        if (this.#h5_path != null) {
+            return;
+        }
+
+        let info = remote.realizeFile(this.#h5_file);
+        this.#h5_path = info.path;
+        this.#h5_flush = info.flush;
+        this.#h5_handle = new scran.H5File(this.#h5_path);
+    }
+
+    #fetch_dimensions() {
+        if (this.#dimensions !== null) {
+            return;
+        }
+        this.#instantiate();
+        this.#dimensions = fetch_dimensions(this.#h5_handle);
+    }
+
+    #fetch_assay_names() {
+        if (this.#assay_names !== null) {
+            return;
+        }
+        this.#fetch_dimensions();
+        this.#assay_names = fetch_assay_names(this.#h5_handle, this.#dimensions);
+    }
+
+    #fetch_reddim_names() {
+        if (this.#reddim_names !== null) {
+            return;
+        }
+        this.#fetch_dimensions();
+        this.#reddim_names = fetch_embedding_names(this.#h5_handle, this.#dimensions.columns);
+    }
+
+    #features() {
+        if (this.#raw_features !== null) {
+            return;
+        }
+        this.#fetch_dimensions();
+        this.#raw_features = load_attributes(this.#h5_handle, "row_attrs", this.#dimensions.rows);
+    }
+
+    #cells() {
+        if (this.#raw_cells !== null) {
+            return;
+        }
+        this.#fetch_dimensions();
+        this.#raw_cells = load_attributes(this.#h5_handle, "col_attrs", this.#dimensions.columns);
+    }
+
+    /**
+     * @param {object} [options={}] - Optional parameters.
+     * @param {boolean} [options.cache=false] - Whether to cache the results for re-use in subsequent calls to this method or {@linkcode LoomResult#load load}.
+     * If `true`, users should consider calling {@linkcode LoomResult#clear clear} to release the memory once this dataset instance is no longer needed.
+     *
+     * @return {object} Object containing the per-feature and per-cell annotations.
+     * This has the following properties:
+     *
+     * - `all_features`: a {@linkplain external:DataFrame DataFrame} of per-feature annotations.
+     * - `cells`: a {@linkplain external:DataFrame DataFrame} of per-cell annotations.
+     * - `all_assay_names`: an Array of strings containing names of potential primary matrices.
+     * - `reduced_dimension_names`: an Array of strings containing names of dimensionality reduction results.
+     */
+    summary({ cache = false } = {}) {
+        this.#features();
+        this.#cells();
+        this.#fetch_assay_names();
+        this.#fetch_reddim_names();
+
+        let output = {
+            all_features: this.#raw_features,
+            cells: this.#raw_cells,
+            all_assay_names: this.#assay_names,
+            reduced_dimension_names: this.#reddim_names
+        };
+
+        if (!cache) {
+            this.clear();
+        }
+        return output;
+    }
+
+    /**
+     * @param {object} [options={}] - Optional parameters.
+     * @param {boolean} [options.cache=false] - Whether to cache the results for re-use in subsequent calls to this method or {@linkcode LoomResult#summary summary}.
+     * If `true`, users should consider calling {@linkcode LoomResult#clear clear} to release the memory once this dataset instance is no longer needed.
+     *
+     * @return {object} Object containing the per-feature and per-cell annotations.
+     * This has the following properties:
+     *
+     * - `features`: an object where each key is a modality name and each value is a {@linkplain external:DataFrame DataFrame} of per-feature annotations for that modality.
+     * - `cells`: a {@linkplain external:DataFrame DataFrame} containing per-cell annotations.
+     * - `matrix`: a {@linkplain external:MultiMatrix MultiMatrix} containing one {@linkplain external:ScranMatrix ScranMatrix} per modality.
+     * - `reduced_dimensions`: an object containing the dimensionality reduction results.
+     *   Each value is an array of arrays, where each inner array contains the coordinates for one dimension.
+     */
+    load({ cache = false } = {}) {
+        this.#features();
+        this.#cells();
+        this.#fetch_assay_names();
+        this.#fetch_reddim_names();
+
+        let chosen_assay = this.#options.primaryMatrixName;
+        if (chosen_assay == null) {
+            chosen_assay = this.#assay_names[0];
+        } else if (this.#assay_names.indexOf(chosen_assay) < 0) {
+            throw new Error("no assay named '" + chosen_assay + "' in the Loom file");
+        }
+
+        let loaded = load_matrix(this.#h5_path, chosen_assay, { forceInteger: !this.#options.isPrimaryNormalized });
+        let output = futils.splitScranMatrixAndFeatures(loaded, this.#raw_features, this.#options.featureTypeColumnName, null, "");
+        output.cells = this.#raw_cells;
+
+        if (!this.#options.isPrimaryNormalized) {
+            for (const mod of output.matrix.available()) {
+                let mat = output.matrix.get(mod);
+                output.matrix.add(mod, scran.normalizeCounts(mat, { allowZeros: true }));
+            }
+        }
+
+        // Loading the dimensionality reduction results.
+        let chosen_reddims = this.#options.reducedDimensionNames;
+        if (chosen_reddims == null) {
+            chosen_reddims = this.#reddim_names;
+        }
+
+        let reddims = {};
+        if (chosen_reddims.length) {
+            let chandle = this.#h5_handle.open("col_attrs");
+            for (const k of chosen_reddims) {
+                let loaded = chandle.open(k, { load: true });
+                let shape = loaded.shape;
+                let ncells = shape[0];
+                let ndims = shape[1];
+                let transposed = scran.transposeMatrix(ncells, ndims, loaded.values, { columnMajor: false }); // HDF5 stores matrices in row-major format.
+                let contents = [];
+                for (var d = 0; d < ndims; d++) {
+                    let offset = d * ncells;
+                    contents.push(transposed.slice(offset, offset + ncells));
+                }
+                reddims[k] = contents;
+            }
+        }
+        output.reduced_dimensions = reddims;
+
+        if (!cache) {
+            this.clear();
+        }
+        return output;
+    }
+}
@@ -1,11 +1,39 @@
 import * as scran from "scran.js";
 import * as bioc from "bioconductor";
+import * as pako from "pako";
 import * as afile from "./abstract/file.js";
 import * as eutils from "./utils/extract.js";
 import * as futils from "./utils/features.js";
+import * as dutils from "./utils/delimiter.js";
+import * as butils from "./utils/barcodes.js";
+
+function peek_header(file, is_gz) {
+    let head = file.slice(0, 65536);
+    if (is_gz) {
+        let chunks = [];
+        let gz = new pako.Inflate();
+        gz.onData = chunk => chunks.push(chunk);
+        gz.push(head, false);
+        head = new Uint8Array(chunks.reduce((total, x) => total + x.length, 0));
+        let offset = 0;
+        for (const x of chunks) {
+            head.set(x, offset);
+            offset += x.length;
+        }
+    }
+
+    // Only keeping complete lines, as the last line is probably truncated.
+    let last = head.lastIndexOf(10);
+    return head.slice(0, last + 1);
+}
 
 /**
  * Dataset in the 10X Matrix Market format, see [here](https://support.10xgenomics.com/single-cell-gene-expression/software/pipelines/latest/advanced/matrices) for details.
+ *
+ * Other Matrix Market-based layouts can also be loaded by setting the appropriate options in {@linkcode TenxMatrixMarketDataset#setOptions setOptions}.
+ * For example, **kallisto|bustools** and Parse Biosciences produce cells-by-genes matrices that require `transposed = true`.
+ * Feature and barcode annotation files may be tab- or comma-delimited, with or without a header,
+ * and the feature file may contain only a single column of identifiers (e.g., the `genes.txt` from **kallisto|bustools**).
  */
 export class TenxMatrixMarketDataset {
     #matrix_file;
@@ -70,6 +98,8 @@ export class TenxMatrixMarketDataset {
      */
     static defaults() {
         return {
+            transposed: false,
+            featureTypeColumnName: "type",
             featureTypeRnaName: "Gene Expression", 
             featureTypeAdtName: "Antibody Capture", 
             featureTypeCrisprName: "CRISPR Guide Capture", 
@@ -87,7 +117,13 @@ export class TenxMatrixMarketDataset {
     }
 
     /**
-     * @param {object} options - Optional parameters that affect {@linkcode TenxMatrixMarketDataset#load load} (but not {@linkcode TenxMatrixMarketDataset#summary summary}).
+     * @param {object} options - Optional parameters that affect {@linkcode TenxMatrixMarketDataset#load load}.
+     * Only `transposed` and `featureTypeColumnName` also affect {@linkcode TenxMatrixMarketDataset#summary summary}.
+     * @param {boolean} [options.transposed] - Whether the Matrix Market file contains a cells-by-features matrix, e.g., as produced by **kallisto|bustools** or Parse Biosciences.
+     * If `false`, the file is assumed to contain a features-by-cells matrix as produced by CellRanger or STARsolo.
+     * @param {?string} [options.featureTypeColumnName] - Name of the column of the feature annotations containing the feature types.
+     * For feature files without a header, the columns are named `id`, `name` and `type` (in that order), so the default of `"type"` corresponds to the third column of a CellRanger-formatted file.
+     * If `null` or the column does not exist, all features are assumed to belong to a single modality.
      * @param {?string} [options.featureTypeRnaName] - Name of the feature type for gene expression.
      * If `null` or the string is not present among the feature types, no RNA features are to be loaded.
      *
@@ -110,6 +146,9 @@ export class TenxMatrixMarketDataset {
      */
     setOptions(options) {
         for (const [k, v] of Object.entries(options)) {
+            if (k == "transposed" && this.#options[k] !== v) {
+                this.clear(); // dimensions are no longer valid.
+            }
             this.#options[k] = v;
         }
     }
@@ -145,8 +184,18 @@ export class TenxMatrixMarketDataset {
             return;
         }
         var is_gz = this.#matrix_file.name().endsWith(".gz");
-        let headers = scran.extractMatrixMarketDimensions(this.#matrix_file.content(), { "compression": (is_gz ? "gzip" : "none") });
-        this.#dimensions = [headers.rows, headers.columns];
+        let headers;
+        if (this.#matrix_file.url() !== null) {
+            // Avoid pulling down the entire matrix just to get the dimensions from the header.
+            headers = scran.extractMatrixMarketDimensions(peek_header(this.#matrix_file, is_gz), { "compression": "none" });
+        } else {
+            headers = scran.extractMatrixMarketDimensions(this.#matrix_file.content(), { "compression": (is_gz ? "gzip" : "none") });
+        }
+        if (this.#options.transposed) {
+            this.#dimensions = [headers.columns, headers.rows];
+        } else {
+            this.#dimensions = [headers.rows, headers.columns];
+        }
     }
 
     async #features() {
@@ -163,14 +212,15 @@ export class TenxMatrixMarketDataset {
 
         let fname = this.#feature_file.name();
         var is_gz = fname.endsWith(".gz");
-        let parsed = await eutils.readTable2(this.#feature_file.content(), { compression: (is_gz ? "gz" : "none") });
+        let delim = dutils.guessDelimiter(this.#feature_file);
+        let parsed = await eutils.readTable2(this.#feature_file, { compression: (is_gz ? "gz" : "none"), delim: delim });
 
         if (parsed.length == NR + 1) {
             // If it seems to have a header, we just use that directly.
-            let output = {};
+            let output = new bioc.DataFrame({}, { numberOfRows: NR });
             let headers = parsed.shift();
             headers.forEach((x, i) => {
-                output[x] = parsed.map(y => y[i]);
+                output.$setColumn(x, parsed.map(y => y[i]));
             });
             this.#raw_features = output;
             return;
@@ -181,17 +231,15 @@ export class TenxMatrixMarketDataset {
             throw new Error("number of matrix rows is not equal to the number of rows in '" + fname + "'");
         } 
 
-        var ids = [], symb = [];
-        parsed.forEach(x => {
-            ids.push(x[0]);
-            symb.push(x[1]);
-        });
-
         let output = new bioc.DataFrame({}, { numberOfRows: NR }); // build it piece-by-piece for a well-defined order.
-        output.$setColumn("id", ids);
-        output.$setColumn("name", symb);
+        output.$setColumn("id", parsed.map(x => x[0]));
+
+        // Single-column files are allowed, e.g., the genes.txt from kallisto|bustools.
+        if (NR > 0 && parsed[0].length > 1) {
+            output.$setColumn("name", parsed.map(x => x[1]));
+        }
 
-        if (parsed[0].length > 2) {
+        if (NR > 0 && parsed[0].length > 2) {
             let types = [];
             parsed.forEach(x => { types.push(x[2]); });
             output.$setColumn("type", types);
@@ -214,7 +262,8 @@ export class TenxMatrixMarketDataset {
 
         let bname = this.#barcode_file.name();
         var is_gz = bname.endsWith(".gz");
-        let parsed = await eutils.readTable2(this.#barcode_file.content(), { compression: (is_gz ? "gz" : "none") });
+        let delim = dutils.guessDelimiter(this.#barcode_file);
+        let parsed = await eutils.readTable2(this.#barcode_file, { compression: (is_gz ? "gz" : "none"), delim: delim });
 
         // Check if a header is present or not. Standard 10X output doesn't have a 
         // header but we'd like to support some kind of customization.
@@ -240,7 +289,14 @@ export class TenxMatrixMarketDataset {
             }
         }
 
-        this.#raw_cells = new bioc.DataFrame(annotations);
+        // Standard 10X barcodes are in the first column; aggregated runs
+        // have a GEM well suffix that is useful for blocking.
+        let cells = new bioc.DataFrame(annotations);
+        if (headers.length > 0) {
+            cells = butils.annotateGemWells(cells, parsed.map(y => y[0]));
+        }
+
+        this.#raw_cells = cells;
         return;
     }
 
@@ -255,6 +311,7 @@ export class TenxMatrixMarketDataset {
      * - `modality_features`: an object where each key is a modality name and each value is a {@linkplain external:DataFrame DataFrame} of per-feature annotations for that modality.
      *   Unlike {@linkcode TenxMatrixMarketDataset#load load}, modality names are arbitrary.
      * - `cells`: a {@linkplain external:DataFrame DataFrame} of per-cell annotations.
+     *   If the barcodes in the first column have GEM well suffixes (e.g., from `cellranger aggr`) spanning multiple wells, this contains a `gem_well` column with the well number for each cell.
      *
      * @async
      */
@@ -263,7 +320,7 @@ export class TenxMatrixMarketDataset {
         await this.#cells();
 
         let output = {
-            "modality_features": futils.reportFeatures(this.#raw_features, "type"),
+            "modality_features": futils.reportFeatures(this.#raw_features, this.#options.featureTypeColumnName),
             "cells": this.#raw_cells
         };
 
@@ -300,7 +357,7 @@ export class TenxMatrixMarketDataset {
      */
     async previewPrimaryIds({ cache = false } = {}) {
         await this.#features();
-        let preview = futils.extractSplitPrimaryIds(this.#raw_features, "type", this.#feature_type_mapping(), "RNA", this.#primary_mapping());
+        let preview = futils.extractSplitPrimaryIds(this.#raw_features, this.#options.featureTypeColumnName, this.#feature_type_mapping(), "RNA", this.#primary_mapping());
         if (!cache) {
             this.clear();
         }
@@ -324,7 +381,7 @@ export class TenxMatrixMarketDataset {
      * We assume that the instance already contains an appropriate mapping from the observed feature types to each expected modality,
      * either from the {@linkcode TenxMatrixMarketDataset#defaults defaults} or with {@linkcode TenxMatrixMarketDataset#setOptions setOptions}.
      *
-     * If the feature annotation file is absent or if it lacks a third column for the feature types,
+     * If the feature annotation file is absent or if it lacks a `featureTypeColumnName` column for the feature types,
      * `load()` will assume that all features are genes (i.e., only the RNA modality is present).
      *
      * @async
@@ -335,8 +392,11 @@ export class TenxMatrixMarketDataset {
 
         var is_gz = this.#matrix_file.name().endsWith(".gz");
         let loaded = scran.initializeSparseMatrixFromMatrixMarket(this.#matrix_file.content(), { "compression": (is_gz ? "gzip" : "none") });
+        if (this.#options.transposed) {
+            scran.transpose(loaded, { inPlace: true });
+        }
 
-        let output = futils.splitScranMatrixAndFeatures(loaded, this.#raw_features, "type", this.#feature_type_mapping(), "RNA"); 
+        let output = futils.splitScranMatrixAndFeatures(loaded, this.#raw_features, this.#options.featureTypeColumnName, this.#feature_type_mapping(), "RNA"); 
         output.cells = this.#raw_cells;
 
         output.primary_ids = futils.extractPrimaryIds(output.features, this.#primary_mapping());
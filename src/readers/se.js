@@ -3,152 +3,12 @@ import * as bioc from "bioconductor";
 import * as afile from "./abstract/file.js";
 import * as eutils from "./utils/extract.js";
 import * as futils from "./utils/features.js";
+import * as rutils from "./utils/rds.js";
 
 /**************************
  ******* Internals ********
  **************************/
 
-function load_listData_names(lhandle) {
-    let ndx = lhandle.findAttribute("names");
-    if (ndx < 0) {
-        return null;
-    }
-
-    let nhandle;
-    let names;
-    try {
-        nhandle = lhandle.attribute(ndx);
-        names = nhandle.values();
-    } catch(e) {
-        throw new Error("failed to load listData names; " + e.message);
-    } finally {
-        scran.free(nhandle);
-    }
-
-    if (names.length != lhandle.length()) {
-        throw new Error("expected names to have same length as listData");
-    }
-    return names;
-}
-
-const acceptable_df_subclasses = { "DFrame": "S4Vectors" };
-
-function load_data_frame(handle) {
-    check_class(handle, acceptable_df_subclasses, "DFrame");
-
-    let columns = {};
-    let colnames = [];
-    let lhandle;
-    try {
-        lhandle = handle.attribute("listData");
-        if (!(lhandle instanceof scran.RdsGenericVector)) {
-            throw new Error("listData slot should be a generic list");
-        }
-
-        colnames = load_listData_names(lhandle);
-        if (colnames == null) {
-            throw new Error("expected the listData list to be named");
-        }
-
-        for (var i = 0; i < lhandle.length(); i++) {
-            let curhandle;
-            try {
-                curhandle = lhandle.load(i);
-
-                if (curhandle instanceof scran.RdsVector && !(curhandle instanceof scran.RdsGenericVector)) {
-                    let curcol = curhandle.values();
-
-                    // Expand factors, if we detect them.
-                    if (curhandle.findAttribute("class") >= 0) {
-                        let clshandle;
-                        let levhandle;
-                        try {
-                            clshandle = curhandle.attribute("class");
-                            if (clshandle.values().indexOf("factor") >= 0 && curhandle.findAttribute("levels") >= 0) {
-                                levhandle = curhandle.attribute("levels");
-                                let copy = curcol.slice();
-                                copy.forEach((x, i) => { copy[i] = x - 1 }); // get back to 0-based indices.
-                                curcol = bioc.SLICE(levhandle.values(), copy);
-                            }
-                        } finally {
-                            scran.free(clshandle);
-                            scran.free(levhandle);
-                        }
-                    }
-
-                    columns[colnames[i]] = curcol;
-
-                } else if (curhandle instanceof scran.RdsS4Object && check_acceptable_class(curhandle, acceptable_df_subclasses)) {
-                    // Handle nested DataFrames.
-                    columns[colnames[i]] = load_data_frame(curhandle);
-                }
-
-            } finally {
-                scran.free(curhandle);
-            }
-        }
-    } catch(e) {
-        throw new Error("failed to retrieve data from DataFrame's listData; " + e.message);
-    } finally {
-        scran.free(lhandle);
-    }
-
-    // Loading the row names.
-    let rnhandle;
-    let rownames = null;
-    try {
-        rnhandle = handle.attribute("rownames");
-        if (rnhandle instanceof scran.RdsStringVector) {
-            rownames = rnhandle.values();
-        }
-    } catch(e) {
-        throw new Error("failed to retrieve row names from DataFrame; " + e.message);
-    } finally {
-        scran.free(rnhandle);
-    }
-
-    // Loading the number of rows.
-    let nrows = null;
-    if (colnames.length == 0 && rownames == null) {
-        let nrhandle;
-        try {
-            nrhandle = handle.attribute("nrows");
-            if (!(nrhandle instanceof scran.RdsIntegerVector)) {
-                throw new Error("expected an integer vector as the 'nrows' slot");
-            }
-            let NR = nrhandle.values();
-            if (NR.length != 1) {
-                throw new Error("expected an integer vector of length 1 as the 'nrows' slot");
-            }
-            nrows = NR[0];
-        } catch (e) {
-            throw new Error("failed to retrieve nrows from DataFrame; " + e.message);
-        } finally {
-            scran.free(nrhandle);
-        }
-    }
-
-    return new bioc.DataFrame(columns, { columnOrder: colnames, rowNames: rownames, numberOfRows: nrows });
-}
-
-function check_acceptable_class(handle, accepted) {
-    for (const [k, v] of Object.entries(accepted)) {
-        if (handle.className() == k && handle.packageName() == v) {
-            return true;
-        }
-    }
-    return false;
-}
-
-function check_class(handle, accepted, base) {
-    if (!(handle instanceof scran.RdsS4Object)) {
-        throw new Error("expected an S4 object as the data frame");
-    }
-    if (!check_acceptable_class(handle, accepted)) {
-        throw new Error("object is not a " + base + " or one of its recognized subclasses");
-    }
-}
-
 function extract_NAMES(handle) {
     let nidx = handle.findAttribute("NAMES");
     if (nidx < 0) {
@@ -181,7 +41,7 @@ function extract_features(handle) {
         let rhandle;
         try {
             rhandle = handle.attribute("elementMetadata");
-            rowdata = load_data_frame(rhandle);
+            rowdata = rutils.loadDataFrame(rhandle);
         } catch(e) {
             throw new Error("failed to extract features from the rowData; " + e.message);
         } finally {
@@ -197,7 +57,7 @@ function extract_features(handle) {
             rrhandle = handle.attribute(rrdx);
             let ehandle = rrhandle.attribute("elementMetadata");
             try {
-                rowdata = load_data_frame(ehandle);
+                rowdata = rutils.loadDataFrame(ehandle);
             } catch(e) {
                 throw new Error("failed to extract mcols from the rowRanges; " + e.message);
             } finally {
@@ -251,7 +111,7 @@ function extract_assay_names(handle) {
         dhandle = ahandle.attribute("data");
         lhandle = dhandle.attribute("listData");
 
-        output = load_listData_names(lhandle);
+        output = rutils.loadListDataNames(lhandle);
         if (output == null) {
             output = new Array(lhandle.length());
             output.fill("");
@@ -281,7 +141,7 @@ function extract_assay(handle, assay, forceInteger) {
         // Choosing the assay index.
         let chosen = null;
         if (typeof assay == "string") {
-            let names = load_listData_names(lhandle);
+            let names = rutils.loadListDataNames(lhandle);
             if (assay !== null && names != null) {
                 for (var n = 0; n < names.length; n++) {
                     if (names[n] == assay) {
@@ -530,7 +390,7 @@ function extract_reduced_dims(handle) {
 }
 
 function check_for_se(handle) {
-    check_class(handle, { 
+    rutils.checkClass(handle, { 
         "SummarizedExperiment": "SummarizedExperiment",
         "RangedSummarizedExperiment": "SummarizedExperiment",
         "SingleCellExperiment": "SingleCellExperiment",
@@ -724,7 +584,7 @@ export class SummarizedExperimentDataset {
         this.#initialize();
         let chandle = this.#se_handle.attribute("colData");
         try {
-            this.#raw_cells = load_data_frame(chandle);
+            this.#raw_cells = rutils.loadDataFrame(chandle);
         } catch(e) {
             throw new Error("failed to extract colData from a SummarizedExperiment; " + e.message);
         } finally {
@@ -1080,7 +940,7 @@ export class SummarizedExperimentResult {
         this.#initialize();
         let chandle = this.#se_handle.attribute("colData");
         try {
-            this.#raw_cells = load_data_frame(chandle);
+            this.#raw_cells = rutils.loadDataFrame(chandle);
         } catch(e) {
             throw new Error("failed to extract colData from a SummarizedExperiment; " + e.message);
         } finally {
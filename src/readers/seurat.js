@@ -0,0 +1,892 @@
+import * as scran from "scran.js";
+import * as bioc from "bioconductor";
+import * as afile from "./abstract/file.js";
+import * as futils from "./utils/features.js";
+import * as rutils from "./utils/rds.js";
+
+/**************************
+ ******* Internals ********
+ **************************/
+
+const seurat_packages = [ "SeuratObject", "Seurat" ];
+
+function check_for_seurat(handle) {
+    if (!(handle instanceof scran.RdsS4Object) || handle.className() != "Seurat" || seurat_packages.indexOf(handle.packageName()) < 0) {
+        throw new Error("object is not a Seurat object");
+    }
+}
+
+function is_assay5(handle) {
+    return handle.className() == "Assay5";
+}
+
+function load_named_list(handle, slot, loader) {
+    let output = { handles: {}, order: [] };
+    let sdx = handle.findAttribute(slot);
+    if (sdx < 0) {
+        return output;
+    }
+
+    let lhandle;
+    try {
+        lhandle = handle.attribute(sdx);
+        if (!(lhandle instanceof scran.RdsGenericVector)) {
+            return output;
+        }
+
+        let names = rutils.loadListDataNames(lhandle);
+        if (names == null) {
+            throw new Error("expected the '" + slot + "' list to be named");
+        }
+
+        for (var i = 0; i < names.length; i++) {
+            let curhandle = lhandle.load(i);
+            let kept = null;
+            try {
+                kept = loader(curhandle, names[i]);
+            } finally {
+                if (kept === null) {
+                    scran.free(curhandle);
+                }
+            }
+            if (kept !== null) {
+                output.handles[names[i]] = kept;
+                output.order.push(names[i]);
+            }
+        }
+
+    } catch (e) {
+        for (const v of Object.values(output.handles)) {
+            scran.free(v.handle);
+        }
+        throw new Error("failed to load the '" + slot + "' slot; " + e.message);
+
+    } finally {
+        scran.free(lhandle);
+    }
+
+    return output;
+}
+
+function extract_assays(handle) {
+    return load_named_list(handle, "assays", (curhandle, name) => {
+        if (!(curhandle instanceof scran.RdsS4Object) || (curhandle.className() != "Assay" && curhandle.className() != "Assay5")) {
+            console.warn("skipping assay '" + name + "' that is not an Assay or Assay5 instance");
+            return null;
+        }
+        return { handle: curhandle };
+    });
+}
+
+function extract_reductions(handle) {
+    return load_named_list(handle, "reductions", (curhandle, name) => {
+        if (!(curhandle instanceof scran.RdsS4Object) || curhandle.findAttribute("cell.embeddings") < 0) {
+            return null;
+        }
+
+        let ehandle = curhandle.attribute("cell.embeddings");
+        scran.free(curhandle);
+        if (ehandle.type() == "double") { // only accepting double-precision matrices.
+            let dims = rutils.extractDimensions(ehandle);
+            if (dims !== null) {
+                return { handle: ehandle, dimensions: dims };
+            }
+        }
+
+        scran.free(ehandle);
+        return null;
+    });
+}
+
+const assay4_layers = [ "counts", "data", "scale.data" ];
+
+function extract_logmap(handle, slot) {
+    let lhandle;
+    try {
+        lhandle = handle.attribute(slot);
+        let dims = rutils.extractDimensions(lhandle);
+        let dimnames = rutils.extractDimnames(lhandle);
+        if (dims === null || dimnames[1] === null) {
+            throw new Error("expected a LogMap with dimensions and column names");
+        }
+        return { values: lhandle.values(), dimensions: dims, rownames: dimnames[0], colnames: dimnames[1] };
+    } catch (e) {
+        throw new Error("failed to load the '" + slot + "' LogMap; " + e.message);
+    } finally {
+        scran.free(lhandle);
+    }
+}
+
+function extract_layer_names(handle) {
+    if (is_assay5(handle)) {
+        let lhandle;
+        try {
+            lhandle = handle.attribute("layers");
+            let names = rutils.loadListDataNames(lhandle);
+            return (names == null ? [] : names);
+        } catch (e) {
+            throw new Error("failed to extract layer names from an Assay5; " + e.message);
+        } finally {
+            scran.free(lhandle);
+        }
+    }
+
+    // Assay objects always have all slots, but unused ones are empty matrices.
+    let output = [];
+    for (const slot of assay4_layers) {
+        if (handle.findAttribute(slot) < 0) {
+            continue;
+        }
+        let shandle;
+        try {
+            shandle = handle.attribute(slot);
+            let dims = rutils.extractDimensions(shandle);
+            if (dims !== null && dims[0] > 0 && dims[1] > 0) {
+                output.push(slot);
+            }
+        } finally {
+            scran.free(shandle);
+        }
+    }
+    return output;
+}
+
+function extract_features(handle) {
+    let slot = (is_assay5(handle) ? "meta.data" : "meta.features");
+
+    let features;
+    let mhandle;
+    try {
+        mhandle = handle.attribute(slot);
+        features = rutils.loadBaseDataFrame(mhandle);
+    } catch (e) {
+        throw new Error("failed to extract features from the '" + slot + "' slot; " + e.message);
+    } finally {
+        scran.free(mhandle);
+    }
+
+    if (features.rowNames() !== null) {
+        return features;
+    }
+
+    // Otherwise, we need to find the feature names elsewhere.
+    let names = null;
+    if (is_assay5(handle)) {
+        names = extract_logmap(handle, "features").rownames;
+    } else {
+        for (const slot of assay4_layers) {
+            let shandle;
+            try {
+                shandle = handle.attribute(slot);
+                let dims = rutils.extractDimensions(shandle);
+                if (dims !== null && dims[0] == features.numberOfRows()) {
+                    names = rutils.extractDimnames(shandle)[0];
+                }
+            } finally {
+                scran.free(shandle);
+            }
+            if (names !== null) {
+                break;
+            }
+        }
+    }
+
+    if (names !== null && names.length == features.numberOfRows()) {
+        features.$setRowNames(names);
+    }
+    return features;
+}
+
+function choose_layer(handle, layer) {
+    let available = extract_layer_names(handle);
+    if (typeof layer == "string") {
+        if (available.indexOf(layer) < 0) {
+            throw new Error("no layer named '" + layer + "'");
+        }
+        return layer;
+    } else {
+        if (layer >= available.length) {
+            throw new Error("layer index " + String(layer) + " out of range");
+        }
+        return available[layer];
+    }
+}
+
+function extract_layer(handle, layer, forceInteger) {
+    let chosen = choose_layer(handle, layer);
+    let subset = null;
+    let xhandle;
+    let lhandle;
+    let output;
+
+    try {
+        if (is_assay5(handle)) {
+            // Layers of an Assay5 may only contain a subset of features, as specified in the LogMap.
+            let logmap = extract_logmap(handle, "features");
+            let col = logmap.colnames.indexOf(chosen);
+            if (col < 0) {
+                throw new Error("layer '" + chosen + "' is not present in the features LogMap");
+            }
+
+            let NR = logmap.dimensions[0];
+            let keep = [];
+            for (var r = 0; r < NR; r++) {
+                if (logmap.values[col * NR + r]) {
+                    keep.push(r);
+                }
+            }
+            if (keep.length != NR) {
+                subset = keep;
+            }
+
+            lhandle = handle.attribute("layers");
+            let names = rutils.loadListDataNames(lhandle);
+            xhandle = lhandle.load(names.indexOf(chosen));
+        } else {
+            xhandle = handle.attribute(chosen);
+        }
+
+        output = scran.initializeSparseMatrixFromRds(xhandle, { forceInteger });
+
+    } catch(e) {
+        throw new Error("failed to initialize sparse matrix from layer '" + chosen + "'; " + e.message);
+    } finally {
+        scran.free(xhandle);
+        scran.free(lhandle);
+    }
+
+    if (subset !== null && subset.length != output.numberOfRows()) {
+        scran.free(output);
+        throw new Error("number of rows in layer '" + chosen + "' does not match its features");
+    }
+
+    return { matrix: output, subset };
+}
+
+function extract_cells(handle) {
+    let chandle;
+    try {
+        chandle = handle.attribute("meta.data");
+        return rutils.loadBaseDataFrame(chandle);
+    } catch(e) {
+        throw new Error("failed to extract meta.data from a Seurat object; " + e.message);
+    } finally {
+        scran.free(chandle);
+    }
+}
+
+function free_handles(handles) {
+    if (typeof handles != 'undefined' && handles !== null) {
+        for (const v of Object.values(handles)) {
+            scran.free(v.handle);
+        }
+    }
+}
+
+/************************
+ ******* Dataset ********
+ ************************/
+
+/**
+ * Dataset stored as a Seurat object inside an RDS file.
+ * Both the older `Assay` and the newer `Assay5` classes are supported,
+ * where each assay of the Seurat object is treated as a separate modality.
+ */
+export class SeuratDataset {
+    #rds_file;
+
+    #rds_handle;
+    #seurat_handle;
+    #assay_handles;
+    #assay_order;
+
+    #raw_features;
+    #raw_cells;
+
+    #options;
+
+    #dump_summary(fun) {
+        let files = [{ type: "rds", file: fun(this.#rds_file) }];
+        let options = this.options();
+        return { files, options };
+    }
+
+    /**
+     * @param {SimpleFile|string|Uint8Array|File} rdsFile - Contents of a RDS file containing a Seurat object.
+     * On browsers, this may be a File object.
+     * On Node.js, this may also be a string containing a file path.
+     */
+    constructor(rdsFile) {
+        if (rdsFile instanceof afile.SimpleFile) {
+            this.#rds_file = rdsFile;
+        } else {
+            this.#rds_file = new afile.SimpleFile(rdsFile);
+        }
+
+        this.#options = SeuratDataset.defaults();
+        this.clear();
+    }
+
+    /**
+     * @return {object} Default options, see {@linkcode SeuratDataset#setOptions setOptions} for more details.
+     */
+    static defaults() {
+        return {
+            rnaAssay: "RNA",
+            adtAssay: "ADT",
+            crisprAssay: "CRISPR",
+            rnaCountLayer: "counts",
+            adtCountLayer: "counts",
+            crisprCountLayer: "counts",
+            primaryRnaFeatureIdColumn: null,
+            primaryAdtFeatureIdColumn: null,
+            primaryCrisprFeatureIdColumn: null
+        };
+    }
+
+    /**
+     * @return {object} Object containing all options used for loading.
+     */
+    options() {
+        return { ...(this.#options) };
+    }
+
+    /**
+     * @param {object} options - Optional parameters that affect {@linkcode SeuratDataset#load load} (but not {@linkcode SeuratDataset#summary summary}).
+     * @param {?(string|number)} [options.rnaAssay] - Name or index of the Seurat assay containing gene expression data,
+     * as reported in the keys of the `modality_assay_names` of {@linkcode SeuratDataset#summary summary}.
+     * If `null` or the assay does not exist, it is ignored and no RNA data is assumed to be present.
+     * @param {?(string|number)} [options.adtAssay] - Name or index of the Seurat assay containing ADT data.
+     * If `null` or the assay does not exist, it is ignored and no ADTs are assumed to be present.
+     * @param {?(string|number)} [options.crisprAssay] - Name or index of the Seurat assay containing CRISPR guide data.
+     * If `null` or the assay does not exist, it is ignored and no CRISPR guides are assumed to be present.
+     * @param {string|number} [options.rnaCountLayer] - Name or index of the layer containing the RNA count matrix.
+     * @param {string|number} [options.adtCountLayer] - Name or index of the layer containing the ADT count matrix.
+     * @param {string|number} [options.crisprCountLayer] - Name or index of the layer containing the CRISPR count matrix.
+     * @param {?(string|number)} [options.primaryRnaFeatureIdColumn] - Name or index of the column of the `features` {@linkplain external:DataFrame DataFrame} that contains the primary feature identifier for gene expression.
+     *
+     * If `i` is `null` or invalid (e.g., out of range index, unavailable name), it is ignored and the primary identifier is defined as the existing row names.
+     * @param {?(string|number)} [options.primaryAdtFeatureIdColumn] - Name or index of the column of the `features` {@linkplain external:DataFrame DataFrame} that contains the primary feature identifier for the ADTs.
+     *
+     * If `i` is `null` or invalid (e.g., out of range index, unavailable name), it is ignored and the primary identifier is defined as the existing row names.
+     * @param {?(string|number)} [options.primaryCrisprFeatureIdColumn] - Name or index of the column of the `features` {@linkplain external:DataFrame DataFrame} that contains the primary feature identifier for the CRISPR guides.
+     *
+     * If `i` is `null` or invalid (e.g., out of range index, unavailable name), it is ignored and the primary identifier is defined as the existing row names.
+     */
+    setOptions(options) {
+        for (const [k, v] of Object.entries(options)) {
+            this.#options[k] = v;
+        }
+    }
+
+    /**
+     * Destroy caches if present, releasing the associated memory.
+     * This may be called at any time but only has an effect if `cache = true` in {@linkcode SeuratDataset#load load} or {@linkcode SeuratDataset#summary summary}.
+     */
+    clear() {
+        free_handles(this.#assay_handles);
+        scran.free(this.#seurat_handle);
+        scran.free(this.#rds_handle);
+
+        this.#assay_handles = null;
+        this.#seurat_handle = null;
+        this.#rds_handle = null;
+
+        this.#raw_features = null;
+        this.#raw_cells = null;
+    }
+
+    /**
+     * @return {string} Format of this dataset class.
+     * @static
+     */
+    static format() {
+        return "Seurat";
+    }
+
+    /**
+     * @return {object} Object containing the abbreviated details of this dataset.
+     */
+    abbreviate() {
+        return this.#dump_summary(f => { return { name: f.name(), size: f.size() }; });
+    }
+
+    #initialize() {
+        if (this.#rds_handle !== null) {
+            return;
+        }
+
+        this.#rds_handle = scran.readRds(this.#rds_file.content());
+        this.#seurat_handle = this.#rds_handle.value();
+        try {
+            check_for_seurat(this.#seurat_handle);
+            const { handles, order } = extract_assays(this.#seurat_handle);
+            this.#assay_handles = handles;
+            this.#assay_order = order;
+        } catch (e) {
+            this.#seurat_handle.free();
+            this.#rds_handle.free();
+            this.#seurat_handle = null;
+            this.#rds_handle = null;
+            throw e;
+        }
+    }
+
+    #features() {
+        if (this.#raw_features !== null) {
+            return;
+        }
+
+        this.#initialize();
+        this.#raw_features = {};
+        for (const [k, v] of Object.entries(this.#assay_handles)) {
+            this.#raw_features[k] = extract_features(v.handle);
+        }
+    }
+
+    #cells() {
+        if (this.#raw_cells !== null) {
+            return;
+        }
+
+        this.#initialize();
+        this.#raw_cells = extract_cells(this.#seurat_handle);
+    }
+
+    /**
+     * @param {object} [options={}] - Optional parameters.
+     * @param {boolean} [options.cache=false] - Whether to cache the intermediate results for re-use in subsequent calls to any methods with a `cache` option.
+     * If `true`, users should consider calling {@linkcode SeuratDataset#clear clear} to release the memory once this dataset instance is no longer needed.
+     *
+     * @return {object} Object containing the per-feature and per-cell annotations.
+     * This has the following properties:
+     *
+     * - `modality_features`: an object where each key is the name of a Seurat assay and each value is a {@linkplain external:DataFrame DataFrame} of per-feature annotations for that assay.
+     * - `cells`: a {@linkplain external:DataFrame DataFrame} of per-cell annotations, taken from the `meta.data`.
+     * - `modality_assay_names`: an object where each key is the name of a Seurat assay and each value is an Array containing the names of the available layers for that assay.
+     */
+    summary({ cache = false } = {}) {
+        this.#features();
+        this.#cells();
+
+        let layers = {};
+        for (const [k, v] of Object.entries(this.#assay_handles)) {
+            layers[k] = extract_layer_names(v.handle);
+        }
+
+        let output = {
+            modality_features: this.#raw_features,
+            cells: this.#raw_cells,
+            modality_assay_names: layers
+        };
+
+        if (!cache) {
+            this.clear();
+        }
+        return output;
+    }
+
+    #assay_mapping() {
+        return {
+            RNA: this.#options.rnaAssay,
+            ADT: this.#options.adtAssay,
+            CRISPR: this.#options.crisprAssay
+        };
+    }
+
+    #primary_mapping() {
+        return {
+            RNA: this.#options.primaryRnaFeatureIdColumn,
+            ADT: this.#options.primaryAdtFeatureIdColumn,
+            CRISPR: this.#options.primaryCrisprFeatureIdColumn
+        };
+    }
+
+    /**
+     * @param {object} [options={}] - Optional parameters.
+     * @param {boolean} [options.cache=false] - Whether to cache the intermediate results for re-use in subsequent calls to any methods with a `cache` option.
+     * If `true`, users should consider calling {@linkcode SeuratDataset#clear clear} to release the memory once this dataset instance is no longer needed.
+     *
+     * @return {object} An object where each key is a modality name and each value is an array (usually of strings) containing the primary feature identifiers for each row in that modality.
+     * The contents are the same as the `primary_ids` returned by {@linkcode SeuratDataset#load load} but the order of values may be different.
+     */
+    previewPrimaryIds({ cache = false } = {}) {
+        this.#features();
+        let preview = futils.extractRemappedPrimaryIds(this.#raw_features, this.#assay_order, this.#assay_mapping(), this.#primary_mapping());
+        if (!cache) {
+            this.clear();
+        }
+        return preview;
+    }
+
+    /**
+     * @param {object} [options={}] - Optional parameters.
+     * @param {boolean} [options.cache=false] - Whether to cache the intermediate results for re-use in subsequent calls to any methods with a `cache` option.
+     * If `true`, users should consider calling {@linkcode SeuratDataset#clear clear} to release the memory once this dataset instance is no longer needed.
+     *
+     * @return {object} Object containing the per-feature and per-cell annotations.
+     * This has the following properties:
+     *
+     * - `features`: an object where each key is a modality name and each value is a {@linkplain external:DataFrame DataFrame} of per-feature annotations for that modality.
+     * - `cells`: a {@linkplain external:DataFrame DataFrame} containing per-cell annotations.
+     * - `matrix`: a {@linkplain external:MultiMatrix MultiMatrix} containing one {@linkplain external:ScranMatrix ScranMatrix} per modality.
+     * - `primary_ids`: an object where each key is a modality name and each value is an array (usually of strings) containing the primary feature identifiers for each row in that modality.
+     *
+     * Modality names are guaranteed to be one of `"RNA"`, `"ADT"` or `"CRISPR"`.
+     * We assume that the instance already contains an appropriate mapping from the Seurat assays to each expected modality,
+     * either from the {@linkcode SeuratDataset#defaults defaults} or with {@linkcode SeuratDataset#setOptions setOptions}.
+     */
+    load({ cache = false } = {}) {
+        this.#features();
+        this.#cells();
+
+        let output = {
+            matrix: new scran.MultiMatrix,
+            features: {},
+            cells: this.#raw_cells
+        };
+
+        let layers = {
+            RNA: this.#options.rnaCountLayer,
+            ADT: this.#options.adtCountLayer,
+            CRISPR: this.#options.crisprCountLayer
+        };
+
+        try {
+            for (let [k, v] of Object.entries(this.#assay_mapping())) {
+                if (v === null) {
+                    continue;
+                }
+                if (typeof v == "number") {
+                    if (v >= this.#assay_order.length) {
+                        continue;
+                    }
+                    v = this.#assay_order[v];
+                }
+                if (!(v in this.#assay_handles)) {
+                    continue;
+                }
+
+                let { matrix, subset } = extract_layer(this.#assay_handles[v].handle, layers[k], true);
+                output.matrix.add(k, matrix);
+
+                let feats = this.#raw_features[v];
+                if (subset !== null) {
+                    feats = bioc.SLICE(feats, subset);
+                }
+                output.features[k] = feats;
+            }
+
+            output.primary_ids = futils.extractPrimaryIds(output.features, this.#primary_mapping());
+
+        } catch (e) {
+            scran.free(output.matrix);
+            throw e;
+        }
+
+        if (!cache) {
+            this.clear();
+        }
+        return output;
+    }
+
+    /**
+     * @return {object} Object describing this dataset, containing:
+     *
+     * - `files`: Array of objects representing the files used in this dataset.
+     *   Each object corresponds to a single file and contains:
+     *   - `type`: a string denoting the type.
+     *   - `file`: a {@linkplain SimpleFile} object representing the file contents.
+     * - `options`: An object containing additional options to saved.
+     */
+    serialize() {
+        return this.#dump_summary(f => f);
+    }
+
+    /**
+     * @param {Array} files - Array of objects like that produced by {@linkcode SeuratDataset#serialize serialize}.
+     * @param {object} options - Object containing additional options to be passed to the constructor.
+     * @return {SeuratDataset} A new instance of this class.
+     * @static
+     */
+    static async unserialize(files, options) {
+        if (files.length != 1 || files[0].type != "rds") {
+            throw new Error("expected exactly one file of type 'rds' for Seurat unserialization");
+        }
+        let output = new SeuratDataset(files[0].file);
+        output.setOptions(options);
+        return output;
+    }
+}
+
+/***********************
+ ******* Result ********
+ ***********************/
+
+/**
+ * Pre-computed analysis results stored as a Seurat object inside an RDS file.
+ * Each assay is treated as a separate modality, and the embeddings in the `reductions` are reported as reduced dimensions.
+ */
+export class SeuratResult {
+    #rds_file;
+
+    #rds_handle;
+    #seurat_handle;
+    #assay_handles;
+    #rd_handles;
+    #rd_handle_order;
+
+    #raw_features;
+    #raw_cells;
+
+    #options;
+
+    /**
+     * @param {SimpleFile|string|Uint8Array|File} rdsFile - Contents of a RDS file containing a Seurat object.
+     * On browsers, this may be a File object.
+     * On Node.js, this may also be a string containing a file path.
+     */
+    constructor(rdsFile) {
+        if (rdsFile instanceof afile.SimpleFile) {
+            this.#rds_file = rdsFile;
+        } else {
+            this.#rds_file = new afile.SimpleFile(rdsFile);
+        }
+
+        this.#options = SeuratResult.defaults();
+        this.clear();
+    }
+
+    /**
+     * @return {object} Default options, see {@linkcode SeuratResult#setOptions setOptions} for more details.
+     */
+    static defaults() {
+        return {
+            primaryLayer: "data",
+            isPrimaryNormalized: true,
+            reducedDimensionNames: null
+        };
+    }
+
+    /**
+     * @return {object} Object containing all options used for loading.
+     */
+    options() {
+        return { ...(this.#options) };
+    }
+
+    /**
+     * @param {object} options - Optional parameters that affect {@linkcode SeuratResult#load load} (but not {@linkcode SeuratResult#summary summary}).
+     * @param {object|string|number} [options.primaryLayer] - Layer containing the relevant data for each Seurat assay.
+     *
+     * - If a string, this is used as the name of the layer across all assays.
+     * - If a number, this is used as the index of the layer across all assays.
+     * - If any object, the key should be the name of an assay and the value may be either a string or number specifying the layer to use for that assay.
+     *   Assays absent from this object will not be loaded.
+     * @param {object|boolean} [options.isPrimaryNormalized] - Whether or not the layer for a particular assay has already been normalized.
+     *
+     * - If a boolean, this is used to indicate normalization status of layers across all assays.
+     *   If `false`, that assay's layer is assumed to contain count data and is subjected to library size normalization.
+     * - If any object, the key should be the name of an assay and the value should be a boolean indicating whether that assay's layer has been normalized.
+     *   Assays absent from this object are assumed to have been normalized.
+     * @param {?Array} [options.reducedDimensionNames] - Array of names of the reductions to load.
+     * If `null`, all reductions found in the file are loaded.
+     */
+    setOptions(options) {
+        // Cloning to avoid pass-by-reference links.
+        for (const [k, v] of Object.entries(options)) {
+            this.#options[k] = bioc.CLONE(v);
+        }
+    }
+
+    /**
+     * Destroy caches if present, releasing the associated memory.
+     * This may be called at any time but only has an effect if `cache = true` in {@linkcode SeuratResult#load load} or {@linkcode SeuratResult#summary summary}.
+     */
+    clear() {
+        free_handles(this.#assay_handles);
+        free_handles(this.#rd_handles);
+        scran.free(this.#seurat_handle);
+        scran.free(this.#rds_handle);
+
+        this.#assay_handles = null;
+        this.#rd_handles = null;
+        this.#seurat_handle = null;
+        this.#rds_handle = null;
+
+        this.#raw_features = null;
+        this.#raw_cells = null;
+    }
+
+    #initialize() {
+        if (this.#rds_handle !== null) {
+            return;
+        }
+
+        this.#rds_handle = scran.readRds(this.#rds_file.content());
+        this.#seurat_handle = this.#rds_handle.value();
+        try {
+            check_for_seurat(this.#seurat_handle);
+            this.#assay_handles = extract_assays(this.#seurat_handle).handles;
+
+            const { handles, order } = extract_reductions(this.#seurat_handle);
+            this.#rd_handles = handles;
+            this.#rd_handle_order = order;
+
+        } catch (e) {
+            free_handles(this.#assay_handles);
+            this.#seurat_handle.free();
+            this.#rds_handle.free();
+            this.#assay_handles = null;
+            this.#seurat_handle = null;
+            this.#rds_handle = null;
+            throw e;
+        }
+    }
+
+    #features() {
+        if (this.#raw_features !== null) {
+            return;
+        }
+
+        this.#initialize();
+        this.#raw_features = {};
+        for (const [k, v] of Object.entries(this.#assay_handles)) {
+            this.#raw_features[k] = extract_features(v.handle);
+        }
+    }
+
+    #cells() {
+        if (this.#raw_cells !== null) {
+            return;
+        }
+
+        this.#initialize();
+        this.#raw_cells = extract_cells(this.#seurat_handle);
+    }
+
+    /**
+     * @param {object} [options={}] - Optional parameters.
+     * @param {boolean} [options.cache=false] - Whether to cache the results for re-use in subsequent calls to this method or {@linkcode SeuratResult#load load}.
+     * If `true`, users should consider calling {@linkcode SeuratResult#clear clear} to release the memory once this dataset instance is no longer needed.
+     *
+     * @return {object} Object containing the per-feature and per-cell annotations.
+     * This has the following properties:
+     *
+     * - `modality_features`: an object where each key is the name of a Seurat assay and each value is a {@linkplain external:DataFrame DataFrame} of per-feature annotations for that assay.
+     * - `cells`: a {@linkplain external:DataFrame DataFrame} of per-cell annotations, taken from the `meta.data`.
+     * - `modality_assay_names`: an object where each key is the name of a Seurat assay and each value is an Array containing the names of the available layers for that assay.
+     * - `reduced_dimension_names`: an Array of strings containing names of the reductions.
+     */
+    summary({ cache = false } = {}) {
+        this.#features();
+        this.#cells();
+
+        let layers = {};
+        for (const [k, v] of Object.entries(this.#assay_handles)) {
+            layers[k] = extract_layer_names(v.handle);
+        }
+
+        let output = {
+            modality_features: this.#raw_features,
+            cells: this.#raw_cells,
+            modality_assay_names: layers,
+            reduced_dimension_names: this.#rd_handle_order
+        };
+
+        if (!cache) {
+            this.clear();
+        }
+        return output;
+    }
+
+    /**
+     * @param {object} [options={}] - Optional parameters.
+     * @param {boolean} [options.cache=false] - Whether to cache the results for re-use in subsequent calls to this method or {@linkcode SeuratResult#summary summary}.
+     * If `true`, users should consider calling {@linkcode SeuratResult#clear clear} to release the memory once this dataset instance is no longer needed.
+     *
+     * @return {object} Object containing the per-feature and per-cell annotations.
+     * This has the following properties:
+     *
+     * - `features`: an object where each key is a modality name and each value is a {@linkplain external:DataFrame DataFrame} of per-feature annotations for that modality.
+     * - `cells`: a {@linkplain external:DataFrame DataFrame} containing per-cell annotations.
+     * - `matrix`: a {@linkplain external:MultiMatrix MultiMatrix} containing one {@linkplain external:ScranMatrix ScranMatrix} per modality.
+     * - `reduced_dimensions`: an object containing the dimensionality reduction results.
+     *   Each value is an array of arrays, where each inner array contains the coordinates for one dimension.
+     *
+     * Modality names are the same as the names of the Seurat assays.
+     */
+    load({ cache = false } = {}) {
+        this.#features();
+        this.#cells();
+
+        let output = {
+            matrix: new scran.MultiMatrix,
+            features: {},
+            cells: this.#raw_cells,
+            reduced_dimensions: {}
+        };
+
+        // Fetch the reduced dimensions first.
+        let reddims = this.#options.reducedDimensionNames;
+        if (reddims == null) {
+            reddims = this.#rd_handle_order;
+        }
+
+        for (const k of reddims) {
+            if (!(k in this.#rd_handles)) {
+                throw new Error("no reduction named '" + k + "'");
+            }
+            let v = this.#rd_handles[k];
+            let acquired = [];
+            let dims = v.dimensions;
+            let contents = v.handle.values();
+            for (var d = 0; d < dims[1]; d++) {
+                acquired.push(contents.slice(d * dims[0], (d + 1) * dims[0]));
+            }
+            output.reduced_dimensions[k] = acquired;
+        }
+
+        // Now fetching the layer for each assay.
+        try {
+            for (const [k, v] of Object.entries(this.#raw_features)) {
+                let curlayer = this.#options.primaryLayer;
+                if (typeof curlayer == "object") {
+                    if (k in curlayer) {
+                        curlayer = curlayer[k];
+                    } else {
+                        continue;
+                    }
+                }
+
+                let curnormalized = this.#options.isPrimaryNormalized;
+                if (typeof curnormalized == "object") {
+                    if (k in curnormalized) {
+                        curnormalized = curnormalized[k];
+                    } else {
+                        curnormalized = true;
+                    }
+                }
+
+                let { matrix, subset } = extract_layer(this.#assay_handles[k].handle, curlayer, !curnormalized);
+                output.matrix.add(k, matrix);
+
+                if (!curnormalized) {
+                    let normed = scran.normalizeCounts(matrix, { allowZeros: true });
+                    output.matrix.add(k, normed);
+                }
+
+                output.features[k] = (subset === null ? v : bioc.SLICE(v, subset));
+            }
+
+        } catch (e) {
+            scran.free(output.matrix);
+            throw e;
+        }
+
+        if (!cache) {
+            this.clear();
+        }
+        return output;
+    }
+}
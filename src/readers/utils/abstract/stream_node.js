@@ -15,3 +15,27 @@ export function peek(file, n) {
     let read = fs.readSync(handle, output, 0, n);
     return output.slice(0, read);
 }
+
+export function streamUrl(url, chunkSize, callback, resolve, reject) {
+    (async () => {
+        let res = await fetch(url);
+        if (!res.ok) {
+            throw new Error("failed to fetch content at '" + url + "' (" + String(res.status) + ")");
+        }
+
+        let reader = res.body.getReader();
+        while (true) {
+            let { done, value } = await reader.read();
+            if (done) {
+                break;
+            }
+            for (var i = 0; i < value.length; i += chunkSize) {
+                callback(value.subarray(i, Math.min(value.length, i + chunkSize)));
+            }
+        }
+    })().then(() => {
+        if (resolve !== null) {
+            resolve(null);
+        }
+    }).catch(e => reject("URL streaming failed; " + e.message));
+}
@@ -5,3 +5,27 @@ export function stream(file, chunkSize, callback, resolve, reject) {
 export function peek(file, n) {
     throw new Error("no support for file paths in the browser context");
 }
+
+export function streamUrl(url, chunkSize, callback, resolve, reject) {
+    (async () => {
+        let res = await fetch(url);
+        if (!res.ok) {
+            throw new Error("failed to fetch content at '" + url + "' (" + String(res.status) + ")");
+        }
+
+        let reader = res.body.getReader();
+        while (true) {
+            let { done, value } = await reader.read();
+            if (done) {
+                break;
+            }
+            for (var i = 0; i < value.length; i += chunkSize) {
+                callback(value.subarray(i, Math.min(value.length, i + chunkSize)));
+            }
+        }
+    })().then(() => {
+        if (resolve !== null) {
+            resolve(null);
+        }
+    }).catch(e => reject("URL streaming failed; " + e.message));
+}
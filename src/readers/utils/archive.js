@@ -0,0 +1,260 @@
+import * as pako from "pako";
+import JSZip from "jszip";
+
+/**************************
+ ******* Tar files ********
+ **************************/
+
+const block_size = 512;
+
+function read_string(buffer, start, length) {
+    let end = start;
+    let limit = start + length;
+    while (end < limit && buffer[end] !== 0) {
+        end++;
+    }
+    return (new TextDecoder).decode(buffer.subarray(start, end));
+}
+
+function read_size(buffer, start, length) {
+    if (buffer[start] & 0x80) {
+        // GNU base-256 encoding for large files.
+        let size = 0;
+        for (var i = start + 1; i < start + length; i++) {
+            size = size * 256 + buffer[i];
+        }
+        return size;
+    }
+    let field = read_string(buffer, start, length).trim();
+    return (field == "" ? 0 : parseInt(field, 8));
+}
+
+function is_empty_block(buffer, offset) {
+    for (var i = offset; i < offset + block_size; i++) {
+        if (buffer[i] !== 0) {
+            return false;
+        }
+    }
+    return true;
+}
+
+function parse_pax(data) {
+    // Each record looks like "<length> <key>=<value>\n", where the length includes the entire record.
+    let text = (new TextDecoder).decode(data);
+    let output = {};
+    let position = 0;
+    while (position < text.length) {
+        let space = text.indexOf(" ", position);
+        if (space < 0) {
+            break;
+        }
+        let length = Number(text.slice(position, space));
+        if (!(length > 0)) {
+            break;
+        }
+        let record = text.slice(space + 1, position + length - 1);
+        let equals = record.indexOf("=");
+        if (equals >= 0) {
+            output[record.slice(0, equals)] = record.slice(equals + 1);
+        }
+        position += length;
+    }
+    return output;
+}
+
+export function isTar(buffer) {
+    return buffer.length >= 262 && read_string(buffer, 257, 5) == "ustar";
+}
+
+function parse_tar(buffer) {
+    let output = new Map;
+    let offset = 0;
+    let long_name = null;
+
+    while (offset + block_size <= buffer.length) {
+        if (is_empty_block(buffer, offset)) {
+            break;
+        }
+
+        let name = read_string(buffer, offset, 100);
+        let size = read_size(buffer, offset + 124, 12);
+        let flag = String.fromCharCode(buffer[offset + 156]);
+        if (read_string(buffer, offset + 257, 5) == "ustar") {
+            let prefix = read_string(buffer, offset + 345, 155);
+            if (prefix !== "") {
+                name = prefix + "/" + name;
+            }
+        }
+
+        let start = offset + block_size;
+        let data = buffer.subarray(start, start + size);
+        offset = start + Math.ceil(size / block_size) * block_size;
+
+        if (flag == "L") {
+            // GNU long name for the next entry.
+            long_name = read_string(data, 0, data.length);
+            continue;
+        } else if (flag == "x") {
+            let pax = parse_pax(data);
+            if ("path" in pax) {
+                long_name = pax.path;
+            }
+            continue;
+        }
+
+        if (long_name !== null) {
+            name = long_name;
+            long_name = null;
+        }
+
+        if (flag == "0" || flag == "\0" || flag == "7") {
+            output.set(name, data);
+        }
+    }
+
+    return output;
+}
+
+/******************************
+ ******* Archive handle *******
+ ******************************/
+
+const zip_magic = [ 0x50, 0x4B, 0x03, 0x04 ];
+const gzip_magic = [ 0x1F, 0x8B ];
+
+function has_magic(buffer, magic) {
+    if (buffer.length < magic.length) {
+        return false;
+    }
+    return magic.every((x, i) => buffer[i] == x);
+}
+
+const nested_pattern = /\.(tar|tar\.gz|tgz|zip)$/;
+
+function clean_name(name) {
+    return name.replace(/^(\.\/)+/, "");
+}
+
+function is_junk(name) {
+    // Skipping metadata added by macOS when creating archives.
+    let base = name.slice(name.lastIndexOf("/") + 1);
+    return name.startsWith("__MACOSX/") || base.startsWith("._");
+}
+
+/**
+ * Open an archive file for reading.
+ * Tar files (possibly Gzip-compressed) and ZIP files are supported.
+ * Any archives nested inside the archive are also opened, with the paths of their contents prefixed by the path of the nested archive, e.g., `foo/bar.tar.gz/matrix.mtx`.
+ *
+ * @param {Uint8Array} buffer - Contents of the archive file.
+ * @return {object} Object containing:
+ *
+ * - `names`: an array of strings containing the paths of all files in the archive.
+ * - `get`: an async function that accepts a path and returns a Uint8Array of that file's contents.
+ *
+ * @async
+ */
+export async function openArchive(buffer) {
+    let getters = new Map;
+
+    if (has_magic(buffer, zip_magic)) {
+        let handle = await JSZip.loadAsync(buffer);
+        for (const [name, entry] of Object.entries(handle.files)) {
+            if (!entry.dir) {
+                getters.set(clean_name(name), () => entry.async("uint8array"));
+            }
+        }
+    } else {
+        if (has_magic(buffer, gzip_magic)) {
+            buffer = pako.ungzip(buffer);
+        }
+        if (!isTar(buffer)) {
+            throw new Error("archive should be a ZIP file or a (possibly Gzip-compressed) tar file");
+        }
+        for (const [name, data] of parse_tar(buffer)) {
+            getters.set(clean_name(name), async () => data);
+        }
+    }
+
+    for (const name of Array.from(getters.keys())) {
+        if (is_junk(name)) {
+            getters.delete(name);
+            continue;
+        }
+
+        if (nested_pattern.test(name)) {
+            let nested;
+            try {
+                nested = await openArchive(await getters.get(name)());
+            } catch (e) {
+                continue; // treating it as a regular file if it can't be opened.
+            }
+            for (const child of nested.names) {
+                getters.set(name + "/" + child, () => nested.get(child));
+            }
+        }
+    }
+
+    return {
+        names: Array.from(getters.keys()),
+        get: async name => {
+            if (!getters.has(name)) {
+                throw new Error("no file at '" + name + "' in the archive");
+            }
+            return getters.get(name)();
+        }
+    };
+}
+
+/*************************
+ ******* Searching *******
+ *************************/
+
+function split_path(name) {
+    let slash = name.lastIndexOf("/");
+    return { dir: (slash < 0 ? "" : name.slice(0, slash)), base: name.slice(slash + 1) };
+}
+
+function find_companion(names, dir, pattern) {
+    for (const name of names) {
+        let { dir: d, base } = split_path(name);
+        if (d == dir && pattern.test(base)) {
+            return name;
+        }
+    }
+    return null;
+}
+
+/**
+ * Find the 10X-formatted count matrices inside an archive.
+ *
+ * @param {Array} names - Array of strings containing the paths of all files in the archive, usually from the `names` of {@linkcode openArchive}.
+ * @return {object} Object containing:
+ *
+ * - `mtx`: an array of objects, one per directory containing a `matrix.mtx` file (possibly Gzip-compressed).
+ *   Each object contains `directory`, the path to the directory; `matrix`, the path to the Matrix Market file;
+ *   and `features` and `barcodes`, the paths to the feature and barcode files, respectively (or `null`, if these are absent).
+ * - `h5`: an array of strings containing the paths to the HDF5 files.
+ */
+export function findTenxFiles(names) {
+    let mtx = [];
+    let h5 = [];
+
+    for (const name of names) {
+        let { dir, base } = split_path(name);
+        if (/^matrix\.mtx(\.gz)?$/.test(base)) {
+            mtx.push({
+                directory: dir,
+                matrix: name,
+                features: find_companion(names, dir, /^(features|genes)\.tsv(\.gz)?$/),
+                barcodes: find_companion(names, dir, /^barcodes\.tsv(\.gz)?$/)
+            });
+        } else if (base.endsWith(".h5")) {
+            h5.push(name);
+        }
+    }
+
+    mtx.sort((a, b) => (a.directory < b.directory ? -1 : (a.directory > b.directory ? 1 : 0)));
+    h5.sort();
+    return { mtx, h5 };
+}
@@ -0,0 +1,85 @@
+const suffix_pattern = /-([0-9]+)$/;
+
+/**
+ * Parse the GEM well suffixes from 10X barcodes, e.g., the `-2` in `AAACCTGAGAAACCAT-2` produced by `cellranger aggr`.
+ *
+ * @param {Array} barcodes - Array of barcode strings.
+ * @return {?Int32Array} Array of GEM well numbers for all barcodes,
+ * or `null` if any barcode does not have a numeric suffix.
+ */
+export function parseGemWells(barcodes) {
+    let output = new Int32Array(barcodes.length);
+    for (var i = 0; i < barcodes.length; i++) {
+        let current = barcodes[i];
+        if (typeof current !== "string") {
+            return null;
+        }
+        let match = current.match(suffix_pattern);
+        if (match === null) {
+            return null;
+        }
+        output[i] = Number(match[1]);
+    }
+    return output;
+}
+
+/**
+ * Add `gem_well` and `library_id` columns to a DataFrame of cell annotations, based on the barcode suffixes.
+ * Existing columns with the same names are not overwritten.
+ * Nothing is added if all barcodes belong to the same GEM well and `libraryIds` does not have multiple entries,
+ * e.g., for single-sample runs where every barcode ends in `-1`.
+ *
+ * @param {external:DataFrame} cells - DataFrame of per-cell annotations.
+ * @param {?Array} barcodes - Array of barcode strings for all cells.
+ * If `null`, no columns are added.
+ * @param {object} [options={}] - Optional parameters.
+ * @param {?Array} [options.libraryIds=null] - Array of library identifiers, where the `i`-th entry corresponds to GEM well `i + 1`.
+ * If `null` or if any GEM well is out of range, the `library_id` column is not added.
+ *
+ * @return {external:DataFrame} `cells` with the added columns.
+ */
+export function annotateGemWells(cells, barcodes, { libraryIds = null } = {}) {
+    if (barcodes === null) {
+        return cells;
+    }
+
+    let wells = parseGemWells(barcodes);
+    if (wells === null) {
+        return cells;
+    }
+
+    let multiple = (libraryIds !== null && libraryIds.length > 1);
+    if (!multiple) {
+        for (var i = 1; i < wells.length; i++) {
+            if (wells[i] !== wells[0]) {
+                multiple = true;
+                break;
+            }
+        }
+    }
+    if (!multiple) {
+        return cells;
+    }
+
+    if (!cells.hasColumn("gem_well")) {
+        cells = cells.setColumn("gem_well", wells);
+    }
+
+    if (libraryIds !== null && !cells.hasColumn("library_id")) {
+        let libs = new Array(wells.length);
+        let okay = true;
+        for (var i = 0; i < wells.length; i++) {
+            let w = wells[i];
+            if (w < 1 || w > libraryIds.length) {
+                okay = false;
+                break;
+            }
+            libs[i] = libraryIds[w - 1];
+        }
+        if (okay) {
+            cells = cells.setColumn("library_id", libs);
+        }
+    }
+
+    return cells;
+}
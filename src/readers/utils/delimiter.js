@@ -0,0 +1,65 @@
+import * as pako from "pako";
+import * as astream from "./abstract/stream.js";
+
+function peek_first_line(file, n) {
+    let head;
+    if (file.url() !== null) {
+        head = file.slice(0, n);
+    } else {
+        let content = file.content();
+        if (typeof content == "string") {
+            head = astream.peek(content, n);
+        } else {
+            head = content.subarray(0, n);
+        }
+    }
+
+    // Partial decompression of the first chunk, if it looks like a Gzip file.
+    if (head.length >= 3 && head[0] == 0x1F && head[1] == 0x8B && head[2] == 0x08) {
+        let chunks = [];
+        let gz = new pako.Inflate();
+        gz.onData = chunk => chunks.push(chunk);
+        gz.push(head, false);
+
+        let total = 0;
+        for (const x of chunks) {
+            total += x.length;
+        }
+        let combined = new Uint8Array(total);
+        total = 0;
+        for (const x of chunks) {
+            combined.set(x, total);
+            total += x.length;
+        }
+        head = combined;
+    }
+
+    let line = (new TextDecoder).decode(head);
+    let newline = line.indexOf("\n");
+    if (newline >= 0) {
+        line = line.slice(0, newline);
+    }
+    return line;
+}
+
+/**
+ * Guess the delimiter of a text file from the contents of its first line.
+ *
+ * @param {SimpleFile} file - A delimited text file, possibly Gzip-compressed.
+ * @param {object} [options={}] - Optional parameters.
+ * @param {number} [options.peekSize=65536] - Number of bytes to inspect from the start of the file.
+ *
+ * @return {string} A comma if the first line contains more commas than tabs, otherwise a tab.
+ */
+export function guessDelimiter(file, { peekSize = 65536 } = {}) {
+    let line = peek_first_line(file, peekSize);
+    let ntabs = 0, ncommas = 0;
+    for (const c of line) {
+        if (c == "\t") {
+            ntabs++;
+        } else if (c == ",") {
+            ncommas++;
+        }
+    }
+    return (ncommas > ntabs ? "," : "\t");
+}
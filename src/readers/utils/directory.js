@@ -0,0 +1,109 @@
+import * as adir from "../abstract/directory.js";
+import * as afile from "../abstract/file.js";
+
+function normalize_path(path) {
+    while (path.startsWith("./")) {
+        path = path.slice(2);
+    }
+    while (path.startsWith("/")) {
+        path = path.slice(1);
+    }
+    return path;
+}
+
+/**
+ * Source of files from a local directory, or from a bundle of files that was previously collected from such a directory.
+ * This is used by the navigators for {@linkplain LocalAlabasterDataset} and {@linkplain LocalArtifactdbDataset}.
+ */
+export class LocalDirectorySource {
+    #directory;
+    #bundled;
+
+    /**
+     * @param {string|object} directory - Path to a directory on the local filesystem.
+     * Alternatively, an object where each key is a relative path inside the directory and each value is a {@linkplain SimpleFile} containing the file contents.
+     */
+    constructor(directory) {
+        if (typeof directory == "string") {
+            this.#directory = directory;
+            this.#bundled = null;
+        } else {
+            this.#directory = null;
+            this.#bundled = {};
+            for (const [k, v] of Object.entries(directory)) {
+                this.#bundled[normalize_path(k)] = v;
+            }
+        }
+    }
+
+    /**
+     * @return {?string} Path to the directory, or `null` if this source was created from a bundle of files.
+     */
+    directory() {
+        return this.#directory;
+    }
+
+    get(path, asBuffer) {
+        path = normalize_path(path);
+        if (this.#bundled === null) {
+            return adir.read(this.#directory, path, asBuffer);
+        }
+
+        if (!(path in this.#bundled)) {
+            throw new Error("no file at '" + path + "' in the bundled directory");
+        }
+        let f = this.#bundled[path];
+        return (asBuffer ? f.buffer() : f.content());
+    }
+
+    exists(path) {
+        path = normalize_path(path);
+        if (this.#bundled === null) {
+            return adir.exists(this.#directory, path);
+        }
+        return path in this.#bundled;
+    }
+
+    /**
+     * @param {boolean} bundle - Whether to bundle all files in the directory.
+     * If `false`, a single file of type `"directory"` is returned that contains the path to the directory.
+     * This is ignored if the source was created from a bundle of files, in which case the bundle is always returned.
+     * @return {Array} Array of objects, each containing `type` and `file` (a {@linkplain SimpleFile}) for serialization.
+     */
+    serialize(bundle) {
+        if (this.#bundled !== null) {
+            return Object.entries(this.#bundled).map(([k, v]) => { return { type: "bundled", file: v }; });
+        }
+
+        if (!bundle) {
+            let enc = new TextEncoder;
+            return [ { type: "directory", file: new afile.SimpleFile(enc.encode(this.#directory), { name: this.#directory }) } ];
+        }
+
+        return adir.list(this.#directory).map(x => {
+            let contents = adir.read(this.#directory, x, false);
+            return { type: "bundled", file: new afile.SimpleFile(contents, { name: x }) };
+        });
+    }
+
+    /**
+     * @param {Array} files - Array of objects like that produced by {@linkcode LocalDirectorySource#serialize serialize},
+     * i.e., either a single file of type `"directory"` or any number of files of type `"bundled"`.
+     * @return {LocalDirectorySource} A new source for the directory.
+     */
+    static unserialize(files) {
+        if (files.length == 1 && files[0].type == "directory") {
+            let dec = new TextDecoder;
+            return new LocalDirectorySource(dec.decode(files[0].file.buffer()));
+        }
+
+        let bundled = {};
+        for (const x of files) {
+            if (x.type != "bundled") {
+                throw new Error("expected a single file of type 'directory' or all files of type 'bundled'");
+            }
+            bundled[x.file.name()] = x.file;
+        }
+        return new LocalDirectorySource(bundled);
+    }
+}
@@ -80,6 +80,8 @@ function guess_compression(x, compression) {
     let buffer;
     if (x instanceof Uint8Array) {
         buffer = x;
+    } else if (x instanceof afile.SimpleFile) {
+        buffer = x.slice(0, 3);
     } else {
         buffer = astream.peek(x, 3);
     }
@@ -126,7 +128,31 @@ function merge_bytes(leftovers, decoder) {
 }
 
 async function stream_callback(x, compression, chunkSize, callback) {
-    // Force the input to be either a Uint8Array or a file path string.
+    // Remote files are streamed directly from their URL.
+    if (x instanceof afile.SimpleFile && x.url() !== null) {
+        let url = x.url();
+        let streamer = (cb, resolve, reject) => astream.streamUrl(url, chunkSize, cb, resolve, reject);
+
+        if (guess_compression(x, compression) == "gz") {
+            await (new Promise((resolve, reject) => {
+                let gz = new pako.Inflate({ chunkSize: chunkSize });
+                gz.onData = callback;
+                gz.onEnd = status => {
+                    if (status) {
+                        reject("gzip decompression failed; " + gz.msg);
+                    } else {
+                        resolve(null);
+                    }
+                };
+                streamer(chunk => gz.push(chunk), null, reject);
+            }));
+        } else {
+            await (new Promise((resolve, reject) => streamer(callback, resolve, reject)));
+        }
+        return;
+    }
+
+    // Otherwise, force the input to be either a Uint8Array or a file path string.
     if (typeof x == "string") {
         ;
     } else if (x instanceof Uint8Array) {
@@ -234,12 +260,14 @@ export function readTable(buffer, { compression = null, delim = "\t", firstOnly
 }
 
 /**
- * Read a delimiter-separated table from a buffer, possibly with decompression.
+ * Stream the rows of a delimiter-separated table from a buffer, possibly with decompression.
  * This assumes that newlines represent the end of each row of the table, i.e., there cannot be newlines inside quoted strings.
  *
  * @param {string|Uint8Array|SimpleFile|File} x - Contents of the file to be read.
  * On Node.js, this may be a string containing a path to a file;
  * on browsers, this may be a File object.
+ * @param {function} callback - Function that accepts an array of strings, containing the `delim`-separated fields for a single line.
+ * This is called on each line of the table in order.
  * @param {object} [options={}] - Optional parameters.
  * @param {?string} [options.compression=null] - Compression of `buffer`, either `"gz"` or `"none"`.
  * If `null`, it is determined automatically from the `buffer` header.
@@ -247,15 +275,14 @@ export function readTable(buffer, { compression = null, delim = "\t", firstOnly
  * @param {number} [options.chunkSize=1048576] - Chunk size in bytes to use for file reading (if `x` is a path), parsing of rows, and decompression (if `compression="gz"`).
  * Larger values improve speed at the cost of memory.
  *
- * @return {Array} Array of length equal to the number of lines in `buffer`.
- * Each entry is an array of strings, containing the `delim`-separated fields for its corresponding line.
+ * @return `callback` is called on each row of the table.
+ * Only one chunk of the table is held in memory at any time.
  *
  * @async
  */
-export async function readTable2(x, { compression = null, delim = "\t", chunkSize = 1048576 } = {}) {
+export async function streamTable(x, callback, { compression = null, delim = "\t", chunkSize = 1048576 } = {}) {
     const dec = new TextDecoder;
 
-    let rows = [];
     let parse = (str) => {
         let out = ppp.parse(str, { delimiter: delim });
         if (out.meta.aborted) {
@@ -265,30 +292,32 @@ export async function readTable2(x, { compression = null, delim = "\t", chunkSiz
             }
             throw new Error(msg);
         }
-        for (const x of out.data) {
-            rows.push(x);
-        }
+        return out.data;
     };
 
     let leftovers = [];
     let size_left = 0;
-    let callback = (chunk) => {
+    let chunk_callback = (chunk) => {
         let last = 0;
         for (var i = 0; i < chunk.length; i++) {
             // We assume that all newlines are end-of-rows, i.e., there are no
             // newlines inside quoted strings. Under this assumption, we can
             // safely chunk the input stream based on newlines, parse each
-            // chunk, and then combine the parsing results together. To avoid
+            // chunk, and then pass the rows to the callback. To avoid
             // too many parsing calls, we accumulate buffers until we hit 
             // the chunkSize and then we decode + parse them altogether.
             if (chunk[i] == 10 && (i - last) + size_left >= chunkSize) {
                 let current = chunk.subarray(last, i);
+                let rows;
                 if (leftovers.length) {
                     leftovers.push(current);
-                    parse(merge_bytes(leftovers, dec));
+                    rows = parse(merge_bytes(leftovers, dec));
                     leftovers = [];
                 } else {
-                    parse(dec.decode(current));
+                    rows = parse(dec.decode(current));
+                }
+                for (const r of rows) {
+                    callback(r);
                 }
                 last = i + 1; // skip past the newline.
                 size_left = 0;
@@ -301,16 +330,42 @@ export async function readTable2(x, { compression = null, delim = "\t", chunkSiz
         }
     };
 
-    await stream_callback(x, compression, chunkSize, callback);
+    await stream_callback(x, compression, chunkSize, chunk_callback);
 
     if (leftovers.length) {
         let combined = merge_bytes(leftovers, dec);
-        parse(combined);
+        let rows = parse(combined);
         if (combined[combined.length - 1] == "\n") { // guaranteed to have non-zero length, by virtue of how 'leftovers' is filled.
             rows.pop();            
         }
+        for (const r of rows) {
+            callback(r);
+        }
     }
+}
 
+/**
+ * Read a delimiter-separated table from a buffer, possibly with decompression.
+ * This assumes that newlines represent the end of each row of the table, i.e., there cannot be newlines inside quoted strings.
+ *
+ * @param {string|Uint8Array|SimpleFile|File} x - Contents of the file to be read.
+ * On Node.js, this may be a string containing a path to a file;
+ * on browsers, this may be a File object.
+ * @param {object} [options={}] - Optional parameters.
+ * @param {?string} [options.compression=null] - Compression of `buffer`, either `"gz"` or `"none"`.
+ * If `null`, it is determined automatically from the `buffer` header.
+ * @param {string} [options.delim="\t"] - Delimiter between fields.
+ * @param {number} [options.chunkSize=1048576] - Chunk size in bytes to use for file reading (if `x` is a path), parsing of rows, and decompression (if `compression="gz"`).
+ * Larger values improve speed at the cost of memory.
+ *
+ * @return {Array} Array of length equal to the number of lines in `buffer`.
+ * Each entry is an array of strings, containing the `delim`-separated fields for its corresponding line.
+ *
+ * @async
+ */
+export async function readTable2(x, { compression = null, delim = "\t", chunkSize = 1048576 } = {}) {
+    let rows = [];
+    await streamTable(x, row => rows.push(row), { compression, delim, chunkSize });
     return rows;    
 }
 
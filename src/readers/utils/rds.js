@@ -0,0 +1,277 @@
+import * as scran from "scran.js";
+import * as bioc from "bioconductor";
+
+export function loadListDataNames(lhandle) {
+    let ndx = lhandle.findAttribute("names");
+    if (ndx < 0) {
+        return null;
+    }
+
+    let nhandle;
+    let names;
+    try {
+        nhandle = lhandle.attribute(ndx);
+        names = nhandle.values();
+    } catch(e) {
+        throw new Error("failed to load listData names; " + e.message);
+    } finally {
+        scran.free(nhandle);
+    }
+
+    if (names.length != lhandle.length()) {
+        throw new Error("expected names to have same length as listData");
+    }
+    return names;
+}
+
+// Returns null if the column is not an atomic vector, in which case it should be skipped.
+function load_atomic_column(curhandle) {
+    if (!(curhandle instanceof scran.RdsVector) || curhandle instanceof scran.RdsGenericVector || curhandle instanceof scran.RdsNull) {
+        return null;
+    }
+
+    let curcol = curhandle.values();
+
+    // Expand factors, if we detect them.
+    if (curhandle.findAttribute("class") >= 0) {
+        let clshandle;
+        let levhandle;
+        try {
+            clshandle = curhandle.attribute("class");
+            if (clshandle.values().indexOf("factor") >= 0 && curhandle.findAttribute("levels") >= 0) {
+                levhandle = curhandle.attribute("levels");
+                let copy = curcol.slice();
+                copy.forEach((x, i) => { copy[i] = x - 1 }); // get back to 0-based indices.
+                curcol = bioc.SLICE(levhandle.values(), copy);
+            }
+        } finally {
+            scran.free(clshandle);
+            scran.free(levhandle);
+        }
+    }
+
+    return curcol;
+}
+
+const acceptable_df_subclasses = { "DFrame": "S4Vectors" };
+
+export function loadDataFrame(handle) {
+    checkClass(handle, acceptable_df_subclasses, "DFrame");
+
+    let columns = {};
+    let colnames = [];
+    let lhandle;
+    try {
+        lhandle = handle.attribute("listData");
+        if (!(lhandle instanceof scran.RdsGenericVector)) {
+            throw new Error("listData slot should be a generic list");
+        }
+
+        colnames = loadListDataNames(lhandle);
+        if (colnames == null) {
+            throw new Error("expected the listData list to be named");
+        }
+
+        for (var i = 0; i < lhandle.length(); i++) {
+            let curhandle;
+            try {
+                curhandle = lhandle.load(i);
+
+                let curcol = load_atomic_column(curhandle);
+                if (curcol !== null) {
+                    columns[colnames[i]] = curcol;
+
+                } else if (curhandle instanceof scran.RdsS4Object && checkAcceptableClass(curhandle, acceptable_df_subclasses)) {
+                    // Handle nested DataFrames.
+                    columns[colnames[i]] = loadDataFrame(curhandle);
+                }
+
+            } finally {
+                scran.free(curhandle);
+            }
+        }
+    } catch(e) {
+        throw new Error("failed to retrieve data from DataFrame's listData; " + e.message);
+    } finally {
+        scran.free(lhandle);
+    }
+
+    // Loading the row names.
+    let rnhandle;
+    let rownames = null;
+    try {
+        rnhandle = handle.attribute("rownames");
+        if (rnhandle instanceof scran.RdsStringVector) {
+            rownames = rnhandle.values();
+        }
+    } catch(e) {
+        throw new Error("failed to retrieve row names from DataFrame; " + e.message);
+    } finally {
+        scran.free(rnhandle);
+    }
+
+    // Loading the number of rows.
+    let nrows = null;
+    if (colnames.length == 0 && rownames == null) {
+        let nrhandle;
+        try {
+            nrhandle = handle.attribute("nrows");
+            if (!(nrhandle instanceof scran.RdsIntegerVector)) {
+                throw new Error("expected an integer vector as the 'nrows' slot");
+            }
+            let NR = nrhandle.values();
+            if (NR.length != 1) {
+                throw new Error("expected an integer vector of length 1 as the 'nrows' slot");
+            }
+            nrows = NR[0];
+        } catch (e) {
+            throw new Error("failed to retrieve nrows from DataFrame; " + e.message);
+        } finally {
+            scran.free(nrhandle);
+        }
+    }
+
+    return new bioc.DataFrame(columns, { columnOrder: colnames, rowNames: rownames, numberOfRows: nrows });
+}
+
+const r_integer_na = -2147483648;
+
+/**
+ * Load a base R data.frame, e.g., as used for the `meta.data` of a Seurat object.
+ * Only atomic columns are retained; list columns and nested data frames are skipped.
+ */
+export function loadBaseDataFrame(handle) {
+    if (!(handle instanceof scran.RdsGenericVector)) {
+        throw new Error("expected a generic list as the data.frame");
+    }
+
+    let colnames = loadListDataNames(handle);
+    if (colnames == null) {
+        if (handle.length() > 0) {
+            throw new Error("expected the data.frame's columns to be named");
+        }
+        colnames = [];
+    }
+
+    let columns = {};
+    let order = [];
+    for (var i = 0; i < handle.length(); i++) {
+        let curhandle;
+        try {
+            curhandle = handle.load(i);
+            let curcol = load_atomic_column(curhandle);
+            if (curcol !== null) {
+                columns[colnames[i]] = curcol;
+                order.push(colnames[i]);
+            }
+        } catch (e) {
+            throw new Error("failed to retrieve column '" + colnames[i] + "' from a data.frame; " + e.message);
+        } finally {
+            scran.free(curhandle);
+        }
+    }
+
+    // Row names are either a string vector or integers, possibly in the compact c(NA, -n) form.
+    let rownames = null;
+    let nrows = null;
+    let rdx = handle.findAttribute("row.names");
+    if (rdx >= 0) {
+        let rnhandle;
+        try {
+            rnhandle = handle.attribute(rdx);
+            if (rnhandle instanceof scran.RdsStringVector) {
+                rownames = rnhandle.values();
+            } else if (rnhandle instanceof scran.RdsIntegerVector) {
+                let vals = rnhandle.values();
+                if (vals.length == 2 && vals[0] == r_integer_na) {
+                    nrows = Math.abs(vals[1]);
+                } else {
+                    nrows = vals.length;
+                }
+            }
+        } catch(e) {
+            throw new Error("failed to retrieve row names from a data.frame; " + e.message);
+        } finally {
+            scran.free(rnhandle);
+        }
+    }
+
+    return new bioc.DataFrame(columns, { columnOrder: order, rowNames: rownames, numberOfRows: (rownames === null ? nrows : null) });
+}
+
+export function checkAcceptableClass(handle, accepted) {
+    for (const [k, v] of Object.entries(accepted)) {
+        if (handle.className() == k && handle.packageName() == v) {
+            return true;
+        }
+    }
+    return false;
+}
+
+export function checkClass(handle, accepted, base) {
+    if (!(handle instanceof scran.RdsS4Object)) {
+        throw new Error("expected an S4 object as the data frame");
+    }
+    if (!checkAcceptableClass(handle, accepted)) {
+        throw new Error("object is not a " + base + " or one of its recognized subclasses");
+    }
+}
+
+/**
+ * Extract the dimensions of a matrix-like object, i.e., the `dim` attribute of an ordinary matrix or the `Dim` slot of a **Matrix** object.
+ * Returns null if no dimensions can be found.
+ */
+export function extractDimensions(handle) {
+    let dimname = (handle instanceof scran.RdsS4Object ? "Dim" : "dim");
+    let ddx = handle.findAttribute(dimname);
+    if (ddx < 0) {
+        return null;
+    }
+
+    let dhandle;
+    try {
+        dhandle = handle.attribute(ddx);
+        let dims = dhandle.values();
+        if (dims.length != 2) {
+            return null;
+        }
+        return Array.from(dims);
+    } finally {
+        scran.free(dhandle);
+    }
+}
+
+/**
+ * Extract the dimnames of a matrix-like object, i.e., the `dimnames` attribute of an ordinary matrix or the `Dimnames` slot of a **Matrix** object.
+ * Returns an array of length 2, where each entry is an array of strings or null if no names are available for that dimension.
+ */
+export function extractDimnames(handle) {
+    let output = [null, null];
+    let dimname = (handle instanceof scran.RdsS4Object ? "Dimnames" : "dimnames");
+    let ddx = handle.findAttribute(dimname);
+    if (ddx < 0) {
+        return output;
+    }
+
+    let dhandle;
+    try {
+        dhandle = handle.attribute(ddx);
+        if (dhandle instanceof scran.RdsGenericVector && dhandle.length() == 2) {
+            for (var i = 0; i < 2; i++) {
+                let nhandle;
+                try {
+                    nhandle = dhandle.load(i);
+                    if (nhandle instanceof scran.RdsStringVector) {
+                        output[i] = nhandle.values();
+                    }
+                } finally {
+                    scran.free(nhandle);
+                }
+            }
+        }
+    } finally {
+        scran.free(dhandle);
+    }
+
+    return output;
+}
@@ -0,0 +1,207 @@
+import * as scran from "scran.js";
+import * as aremote from "../abstract/remote.js";
+
+export function urlBasename(url) {
+    let components = url.pathname.split("/").filter(x => x !== "");
+    if (components.length == 0) {
+        return url.hostname;
+    }
+    return decodeURIComponent(components[components.length - 1]);
+}
+
+/**
+ * Realize a SimpleFile on the (virtual) file system so that it can be read by the HDF5 library in **scran.js**.
+ * Remote files are downloaded in their entirety, as the HDF5 library cannot issue range requests itself;
+ * in Node.js, the download is written to a temporary file in chunks to avoid holding the entire file in memory.
+ *
+ * @param {SimpleFile} file - File to be realized.
+ * @param {object} [options={}] - Optional parameters.
+ * @param {string} [options.extension=""] - File extension to use for any temporary file that might be created.
+ *
+ * @return {object} Object with the `path` to the file and a `flush` function to remove any temporary file,
+ * see [`realizeFile`](https://kanaverse.github.io/scran.js/global.html#realizeFile) for details.
+ */
+export function realizeFile(file, { extension = "" } = {}) {
+    if (file.url() === null) {
+        return scran.realizeFile(file.content(), { extension });
+    }
+    return aremote.realize(file, { extension });
+}
+
+function check_status(res, url) {
+    if (res.status < 200 || res.status >= 300) {
+        throw new Error("failed to fetch content at '" + url + "' (" + String(res.status) + ")");
+    }
+}
+
+function parse_total_length(range) {
+    // Content-Range looks like "bytes 0-0/12345", where the total may be '*' if unknown.
+    if (range !== null) {
+        let total = range.slice(range.lastIndexOf("/") + 1);
+        if (total != "*") {
+            return Number(total);
+        }
+    }
+    return null;
+}
+
+/**
+ * Block cache for a remote file that is accessed via HTTP range requests.
+ * Each read is split into fixed-size blocks, and only the blocks that are not already cached are requested from the server.
+ * The least recently used blocks are evicted once the maximum number of cached blocks is exceeded.
+ * If the server does not support range requests, the entire file is downloaded once and held in memory.
+ */
+export class RemoteBlockCache {
+    #url;
+    #block_size;
+    #max_blocks;
+    #size;
+    #blocks;
+    #full;
+    #fetched;
+
+    /**
+     * @param {string} url - URL to the remote file.
+     * @param {object} [options={}] - Optional parameters.
+     * @param {number} [options.blockSize=1048576] - Size of each block in bytes.
+     * @param {number} [options.maxBlocks=64] - Maximum number of blocks to keep in the cache.
+     */
+    constructor(url, { blockSize = 1048576, maxBlocks = 64 } = {}) {
+        this.#url = url;
+        this.#block_size = blockSize;
+        this.#max_blocks = maxBlocks;
+        this.#size = null;
+        this.#blocks = new Map;
+        this.#full = null;
+        this.#fetched = 0;
+    }
+
+    /**
+     * @return {number} Size of the remote file in bytes.
+     */
+    size() {
+        if (this.#size !== null) {
+            return this.#size;
+        }
+
+        let head = aremote.request(this.#url, { method: "HEAD" });
+        check_status(head, this.#url);
+        let length = head.header("Content-Length");
+        if (length !== null && head.header("Content-Encoding") === null) {
+            this.#size = Number(length);
+            return this.#size;
+        }
+
+        // Falling back to a single-byte range request, e.g., for servers that don't report lengths for HEAD.
+        let res = aremote.request(this.#url, { headers: { Range: "bytes=0-0" } });
+        check_status(res, this.#url);
+        if (res.status == 206) {
+            this.#fetched += res.body.length;
+            this.#size = parse_total_length(res.header("Content-Range"));
+        }
+        if (this.#size === null) {
+            this.#store_full(res.status == 206 ? this.#download() : res.body);
+        }
+
+        return this.#size;
+    }
+
+    /**
+     * @return {number} Total number of bytes that have been downloaded from the server.
+     */
+    fetched() {
+        return this.#fetched;
+    }
+
+    #download() {
+        let res = aremote.request(this.#url);
+        check_status(res, this.#url);
+        return res.body;
+    }
+
+    #store_full(body) {
+        this.#fetched += body.length;
+        this.#full = body;
+        this.#size = body.length;
+        this.#blocks.clear();
+    }
+
+    #touch(b) {
+        let block = this.#blocks.get(b);
+        this.#blocks.delete(b);
+        this.#blocks.set(b, block); // re-inserting to mark it as the most recently used.
+        return block;
+    }
+
+    #fetch_blocks(first, last) {
+        let start = first * this.#block_size;
+        let end = Math.min((last + 1) * this.#block_size, this.size());
+        let res = aremote.request(this.#url, { headers: { Range: "bytes=" + String(start) + "-" + String(end - 1) } });
+        check_status(res, this.#url);
+
+        if (res.status != 206) {
+            // Server ignored the range and gave us everything.
+            this.#store_full(res.body);
+            return;
+        }
+
+        this.#fetched += res.body.length;
+        for (var b = first; b <= last; b++) {
+            let offset = (b - first) * this.#block_size;
+            this.#blocks.set(b, res.body.subarray(offset, Math.min(offset + this.#block_size, res.body.length)));
+        }
+    }
+
+    #evict() {
+        while (this.#blocks.size > this.#max_blocks) {
+            let oldest = this.#blocks.keys().next().value;
+            this.#blocks.delete(oldest);
+        }
+    }
+
+    /**
+     * @param {number} start - Position of the first byte to read.
+     * @param {number} end - Position past the last byte to read.
+     * This is capped at the size of the file.
+     * @return {Uint8Array} Contents of the file in `[start, end)`.
+     */
+    read(start, end) {
+        end = Math.min(end, this.size());
+        if (end <= start) {
+            return new Uint8Array(0);
+        }
+        if (this.#full !== null) {
+            return this.#full.slice(start, end);
+        }
+
+        let output = new Uint8Array(end - start);
+        let first = Math.floor(start / this.#block_size);
+        let last = Math.floor((end - 1) / this.#block_size);
+
+        let b = first;
+        while (b <= last) {
+            if (!this.#blocks.has(b)) {
+                // Requesting consecutive missing blocks in a single request.
+                let run_end = b;
+                while (run_end < last && !this.#blocks.has(run_end + 1) && run_end - b + 1 < this.#max_blocks) {
+                    run_end++;
+                }
+                this.#fetch_blocks(b, run_end);
+                if (this.#full !== null) {
+                    return this.#full.slice(start, end);
+                }
+            }
+
+            let block = this.#touch(b);
+            let block_start = b * this.#block_size;
+            let from = Math.max(start, block_start) - block_start;
+            let to = Math.min(end, block_start + block.length) - block_start;
+            output.set(block.subarray(from, to), block_start + from - start);
+
+            this.#evict();
+            b++;
+        }
+
+        return output;
+    }
+}
@@ -0,0 +1,557 @@
+import * as pako from "pako";
+
+/**************************
+ ****** Decompression *****
+ **************************/
+
+export function decompressLz4Block(src, dest) {
+    let s = 0;
+    let d = 0;
+
+    while (s < src.length) {
+        let token = src[s++];
+
+        let nliterals = token >> 4;
+        if (nliterals == 15) {
+            let b;
+            do {
+                b = src[s++];
+                nliterals += b;
+            } while (b == 255);
+        }
+        dest.set(src.subarray(s, s + nliterals), d);
+        s += nliterals;
+        d += nliterals;
+
+        if (s >= src.length) { // last sequence only contains literals.
+            break;
+        }
+
+        let offset = src[s] | (src[s + 1] << 8);
+        s += 2;
+        if (offset == 0 || offset > d) {
+            throw new Error("invalid offset in LZ4-compressed block");
+        }
+
+        let nmatch = token & 15;
+        if (nmatch == 15) {
+            let b;
+            do {
+                b = src[s++];
+                nmatch += b;
+            } while (b == 255);
+        }
+        nmatch += 4;
+
+        // Byte-by-byte copy as the match may overlap with the bytes being written.
+        let start = d - offset;
+        for (var i = 0; i < nmatch; i++) {
+            dest[d++] = dest[start + i];
+        }
+    }
+
+    return d;
+}
+
+function read_uint32(buffer, offset) {
+    return (buffer[offset] | (buffer[offset + 1] << 8) | (buffer[offset + 2] << 16) | (buffer[offset + 3] << 24)) >>> 0;
+}
+
+function unshuffle_bytes(src, dest, typesize) {
+    let nelements = Math.floor(src.length / typesize);
+    for (var i = 0; i < typesize; i++) {
+        let offset = i * nelements;
+        for (var j = 0; j < nelements; j++) {
+            dest[j * typesize + i] = src[offset + j];
+        }
+    }
+
+    // Leftover bytes are not shuffled.
+    let used = nelements * typesize;
+    for (var k = used; k < src.length; k++) {
+        dest[k] = src[k];
+    }
+}
+
+const blosc_compressors = [ "blosclz", "lz4", "snappy", "zlib", "zstd" ];
+
+export function decompressBlosc(buffer) {
+    if (buffer.length < 16) {
+        throw new Error("Blosc-compressed buffer is too small to contain a header");
+    }
+
+    let flags = buffer[2];
+    let typesize = buffer[3];
+    let nbytes = read_uint32(buffer, 4);
+    let blocksize = read_uint32(buffer, 8);
+    let output = new Uint8Array(nbytes);
+    if (nbytes == 0) {
+        return output;
+    }
+
+    if (flags & 0x2) { // memcpyed, i.e., no compression at all.
+        output.set(buffer.subarray(16, 16 + nbytes));
+        return output;
+    }
+
+    if (flags & 0x4) {
+        throw new Error("bit-shuffled Blosc buffers are not yet supported");
+    }
+    let shuffled = (flags & 0x1) && typesize > 1;
+    let dont_split = (flags & 0x10) != 0;
+
+    let compcode = (flags & 0xe0) >> 5;
+    let decompress;
+    if (compcode == 1) {
+        decompress = (src, dest) => decompressLz4Block(src, dest);
+    } else if (compcode == 3) {
+        decompress = (src, dest) => {
+            let out = pako.inflate(src);
+            dest.set(out);
+            return out.length;
+        };
+    } else {
+        let cname = (compcode < blosc_compressors.length ? blosc_compressors[compcode] : String(compcode));
+        throw new Error("Blosc compressor '" + cname + "' is not yet supported");
+    }
+
+    let nblocks = Math.ceil(nbytes / blocksize);
+    let leftover = nbytes % blocksize;
+    let workspace = (shuffled ? new Uint8Array(blocksize) : null);
+
+    for (var b = 0; b < nblocks; b++) {
+        let is_leftover = (leftover > 0 && b == nblocks - 1);
+        let bsize = (is_leftover ? leftover : blocksize);
+        let target = output.subarray(b * blocksize, b * blocksize + bsize);
+        let staging = (shuffled ? workspace.subarray(0, bsize) : target);
+
+        let nsplits = (!dont_split && !is_leftover ? typesize : 1);
+        let neblock = Math.floor(bsize / nsplits);
+        let src = read_uint32(buffer, 16 + 4 * b);
+        let filled = 0;
+
+        for (var s = 0; s < nsplits; s++) {
+            let cbytes = read_uint32(buffer, src);
+            src += 4;
+            let chunk = buffer.subarray(src, src + cbytes);
+            let dest = staging.subarray(filled, filled + neblock);
+            if (cbytes == neblock) {
+                dest.set(chunk);
+            } else if (decompress(chunk, dest) != neblock) {
+                throw new Error("unexpected number of bytes after decompressing a Blosc block");
+            }
+            src += cbytes;
+            filled += neblock;
+        }
+
+        if (shuffled) {
+            unshuffle_bytes(staging, target, typesize);
+        }
+    }
+
+    return output;
+}
+
+function decompress_chunk(buffer, compressor) {
+    if (compressor === null) {
+        return buffer;
+    }
+
+    switch (compressor.id) {
+        case "zlib":
+            return pako.inflate(buffer);
+        case "gzip":
+            return pako.ungzip(buffer);
+        case "blosc":
+            return decompressBlosc(buffer);
+        case "lz4":
+            {
+                // numcodecs prefixes the LZ4 block with the uncompressed size.
+                let output = new Uint8Array(read_uint32(buffer, 0));
+                decompressLz4Block(buffer.subarray(4), output);
+                return output;
+            }
+    }
+
+    throw new Error("Zarr compressor '" + compressor.id + "' is not yet supported");
+}
+
+/**************************
+ ******** Decoding ********
+ **************************/
+
+function parse_dtype(dtype) {
+    if (typeof dtype !== "string") {
+        throw new Error("structured Zarr data types are not yet supported");
+    }
+    let matched = dtype.match(/^([<>|=])([a-zA-Z])(\d+)$/);
+    if (matched === null) {
+        throw new Error("unknown Zarr data type '" + dtype + "'");
+    }
+    return { endian: matched[1], kind: matched[2], size: Number(matched[3]) };
+}
+
+function swap_bytes(bytes, size) {
+    let output = new Uint8Array(bytes.length);
+    for (var i = 0; i < bytes.length; i += size) {
+        for (var j = 0; j < size; j++) {
+            output[i + j] = bytes[i + size - j - 1];
+        }
+    }
+    return output;
+}
+
+function decode_vlen_utf8(bytes) {
+    const dec = new TextDecoder;
+    let n = read_uint32(bytes, 0);
+    let output = new Array(n);
+    let offset = 4;
+    for (var i = 0; i < n; i++) {
+        let len = read_uint32(bytes, offset);
+        offset += 4;
+        output[i] = dec.decode(bytes.subarray(offset, offset + len));
+        offset += len;
+    }
+    return output;
+}
+
+function decode_values(bytes, type) {
+    if (type.endian == ">" && type.size > 1 && type.kind != "S") {
+        bytes = swap_bytes(bytes, (type.kind == "U" ? 4 : type.size));
+    } else {
+        bytes = bytes.slice(); // guarantee alignment for the TypedArray views.
+    }
+    let buffer = bytes.buffer;
+
+    switch (type.kind) {
+        case "b":
+            return new Uint8Array(buffer);
+        case "i":
+            if (type.size == 1) {
+                return new Int8Array(buffer);
+            } else if (type.size == 2) {
+                return new Int16Array(buffer);
+            } else if (type.size == 4) {
+                return new Int32Array(buffer);
+            } else if (type.size == 8) {
+                return Float64Array.from(new BigInt64Array(buffer), Number);
+            }
+            break;
+        case "u":
+            if (type.size == 1) {
+                return new Uint8Array(buffer);
+            } else if (type.size == 2) {
+                return new Uint16Array(buffer);
+            } else if (type.size == 4) {
+                return new Uint32Array(buffer);
+            } else if (type.size == 8) {
+                return Float64Array.from(new BigUint64Array(buffer), Number);
+            }
+            break;
+        case "f":
+            if (type.size == 4) {
+                return new Float32Array(buffer);
+            } else if (type.size == 8) {
+                return new Float64Array(buffer);
+            }
+            break;
+        case "S":
+            {
+                const dec = new TextDecoder;
+                let n = bytes.length / type.size;
+                let output = new Array(n);
+                for (var i = 0; i < n; i++) {
+                    let current = bytes.subarray(i * type.size, (i + 1) * type.size);
+                    let end = current.indexOf(0);
+                    output[i] = dec.decode(end >= 0 ? current.subarray(0, end) : current);
+                }
+                return output;
+            }
+        case "U":
+            {
+                let codes = new Uint32Array(buffer);
+                let n = codes.length / type.size;
+                let output = new Array(n);
+                for (var i = 0; i < n; i++) {
+                    let current = codes.subarray(i * type.size, (i + 1) * type.size);
+                    let end = current.indexOf(0);
+                    output[i] = String.fromCodePoint(...(end >= 0 ? current.subarray(0, end) : current));
+                }
+                return output;
+            }
+    }
+
+    throw new Error("unsupported Zarr data type '" + type.endian + type.kind + String(type.size) + "'");
+}
+
+function decode_chunk(bytes, meta, type) {
+    bytes = decompress_chunk(bytes, meta.compressor);
+
+    let filters = (meta.filters === null || typeof meta.filters == "undefined" ? [] : meta.filters);
+    if (type.kind == "O") {
+        if (filters.length == 1 && filters[0].id == "vlen-utf8") {
+            return decode_vlen_utf8(bytes);
+        }
+        throw new Error("object Zarr arrays are only supported with a 'vlen-utf8' filter");
+    }
+    if (filters.length) {
+        throw new Error("Zarr filter '" + filters[0].id + "' is not yet supported");
+    }
+
+    return decode_values(bytes, type);
+}
+
+function create_output(type, n, fill) {
+    if (type.kind == "O" || type.kind == "S" || type.kind == "U") {
+        return new Array(n).fill(fill === null || typeof fill != "string" ? "" : fill);
+    }
+
+    let output;
+    if (type.kind == "f" && type.size == 4) {
+        output = new Float32Array(n);
+    } else if (type.kind == "f" || type.size == 8) {
+        output = new Float64Array(n);
+    } else {
+        output = decode_values(new Uint8Array(n * type.size), { endian: "<", kind: type.kind, size: type.size });
+    }
+
+    if (fill !== null && fill !== 0) {
+        if (fill === "NaN") {
+            fill = Number.NaN;
+        } else if (fill === "Infinity") {
+            fill = Number.POSITIVE_INFINITY;
+        } else if (fill === "-Infinity") {
+            fill = Number.NEGATIVE_INFINITY;
+        } else if (typeof fill === "boolean") {
+            fill = Number(fill);
+        }
+        output.fill(fill);
+    }
+
+    return output;
+}
+
+function copy_chunk(chunk, chunk_shape, chunk_index, output, shape, fortran) {
+    let ndim = shape.length;
+    let starts = chunk_index.map((x, i) => x * chunk_shape[i]);
+    let extents = starts.map((x, i) => Math.min(chunk_shape[i], shape[i] - x));
+
+    // Computing the row-major strides in both the chunk and the output.
+    let out_strides = new Array(ndim);
+    let chunk_strides = new Array(ndim);
+    let ostride = 1, cstride = 1;
+    for (var d = ndim - 1; d >= 0; d--) {
+        out_strides[d] = ostride;
+        ostride *= shape[d];
+    }
+    if (fortran) {
+        for (var d = 0; d < ndim; d++) {
+            chunk_strides[d] = cstride;
+            cstride *= chunk_shape[d];
+        }
+    } else {
+        for (var d = ndim - 1; d >= 0; d--) {
+            chunk_strides[d] = cstride;
+            cstride *= chunk_shape[d];
+        }
+    }
+
+    let counter = new Array(ndim).fill(0);
+    let last = ndim - 1;
+    let contiguous = (!fortran && !(output instanceof Array));
+
+    while (true) {
+        let out_offset = 0, chunk_offset = 0;
+        for (var i = 0; i < ndim; i++) {
+            out_offset += (starts[i] + counter[i]) * out_strides[i];
+            chunk_offset += counter[i] * chunk_strides[i];
+        }
+
+        if (contiguous) {
+            output.set(chunk.subarray(chunk_offset, chunk_offset + extents[last]), out_offset);
+        } else {
+            for (var i = 0; i < extents[last]; i++) {
+                output[out_offset + i] = chunk[chunk_offset + i * chunk_strides[last]];
+            }
+        }
+
+        // Advancing the counter over all dimensions except the last.
+        let dim = last - 1;
+        while (dim >= 0) {
+            counter[dim]++;
+            if (counter[dim] < extents[dim]) {
+                break;
+            }
+            counter[dim] = 0;
+            dim--;
+        }
+        if (dim < 0) {
+            break;
+        }
+    }
+}
+
+/**************************
+ ********* Store **********
+ **************************/
+
+/**
+ * Read-only access to a Zarr (version 2) store via a navigator.
+ * The navigator should provide an (optionally async) `get(path, asBuffer)` method to return a Uint8Array of the file contents at `path`,
+ * an (optionally async) `exists(path)` method to check whether `path` exists,
+ * and optionally an (optionally async) `list(path)` method to list the names of the immediate children of the directory at `path`.
+ * If the store contains consolidated metadata in `.zmetadata`, `list()` is not required.
+ */
+export class ZarrStore {
+    #navigator;
+    #consolidated;
+
+    constructor(navigator) {
+        this.#navigator = navigator;
+        this.#consolidated = null;
+    }
+
+    async #fetch_consolidated() {
+        if (this.#consolidated !== null) {
+            return;
+        }
+        if (await this.#navigator.exists(".zmetadata")) {
+            let contents = await this.#navigator.get(".zmetadata", true);
+            this.#consolidated = JSON.parse((new TextDecoder).decode(contents)).metadata;
+        } else {
+            if (await this.#navigator.exists("zarr.json")) {
+                throw new Error("only version 2 of the Zarr format is currently supported");
+            }
+            this.#consolidated = false;
+        }
+    }
+
+    async #json(path) {
+        await this.#fetch_consolidated();
+        if (this.#consolidated !== false) {
+            return (path in this.#consolidated ? this.#consolidated[path] : null);
+        }
+        if (!(await this.#navigator.exists(path))) {
+            return null;
+        }
+        let contents = await this.#navigator.get(path, true);
+        return JSON.parse((new TextDecoder).decode(contents));
+    }
+
+    async isArray(path) {
+        return (await this.#json(join_key(path, ".zarray"))) !== null;
+    }
+
+    async isGroup(path) {
+        return (await this.#json(join_key(path, ".zgroup"))) !== null;
+    }
+
+    async attributes(path) {
+        let attrs = await this.#json(join_key(path, ".zattrs"));
+        return (attrs === null ? {} : attrs);
+    }
+
+    async arrayDetails(path) {
+        let meta = await this.#json(join_key(path, ".zarray"));
+        if (meta === null) {
+            throw new Error("no Zarr array at '" + path + "'");
+        }
+        return meta;
+    }
+
+    async children(path) {
+        await this.#fetch_consolidated();
+
+        let found = new Set;
+        if (this.#consolidated !== false) {
+            let prefix = (path == "" ? "" : path + "/");
+            for (const k of Object.keys(this.#consolidated)) {
+                if (k.startsWith(prefix)) {
+                    let remaining = k.slice(prefix.length).split("/");
+                    if (remaining.length == 2) {
+                        found.add(remaining[0]);
+                    }
+                }
+            }
+        } else {
+            if (typeof this.#navigator.list != "function") {
+                throw new Error("navigator must define a 'list' method for Zarr stores without consolidated metadata");
+            }
+            for (const k of await this.#navigator.list(path)) {
+                let child = join_key(path, k);
+                if ((await this.isArray(child)) || (await this.isGroup(child))) {
+                    found.add(k);
+                }
+            }
+        }
+
+        let output = Array.from(found);
+        output.sort();
+        return output;
+    }
+
+    async readArray(path) {
+        let meta = await this.arrayDetails(path);
+        if (meta.zarr_format !== 2) {
+            throw new Error("only version 2 of the Zarr format is currently supported");
+        }
+
+        let shape = meta.shape;
+        let chunk_shape = meta.chunks;
+        let type = (meta.dtype === "|O" ? { endian: "|", kind: "O", size: 0 } : parse_dtype(meta.dtype));
+        let fortran = (meta.order === "F");
+        let sep = ("dimension_separator" in meta ? meta.dimension_separator : ".");
+
+        let total = shape.reduce((a, b) => a * b, 1);
+        let output = create_output(type, total, meta.fill_value);
+        if (total == 0) {
+            return { shape, values: output };
+        }
+
+        // Scalars are stored as a single chunk named '0'.
+        if (shape.length == 0) {
+            let bytes = await this.#get_chunk(join_key(path, "0"));
+            if (bytes !== null) {
+                output[0] = decode_chunk(bytes, meta, type)[0];
+            }
+            return { shape, values: output };
+        }
+
+        let nchunks = shape.map((x, i) => Math.ceil(x / chunk_shape[i]));
+        let counter = new Array(shape.length).fill(0);
+        while (true) {
+            let bytes = await this.#get_chunk(join_key(path, counter.join(sep)));
+            if (bytes !== null) {
+                let decoded = decode_chunk(bytes, meta, type);
+                copy_chunk(decoded, chunk_shape, counter, output, shape, fortran);
+            }
+
+            let d = counter.length - 1;
+            while (d >= 0) {
+                counter[d]++;
+                if (counter[d] < nchunks[d]) {
+                    break;
+                }
+                counter[d] = 0;
+                d--;
+            }
+            if (d < 0) {
+                break;
+            }
+        }
+
+        return { shape, values: output };
+    }
+
+    async #get_chunk(path) {
+        // Missing chunks are allowed and should be filled with the fill value.
+        if (!(await this.#navigator.exists(path))) {
+            return null;
+        }
+        return await this.#navigator.get(path, true);
+    }
+}
+
+function join_key(path, name) {
+    return (path == "" ? name : path + "/" + name);
+}
@@ -0,0 +1,653 @@
+import * as scran from "scran.js";
+import * as bioc from "bioconductor";
+import * as futils from "./utils/features.js";
+import * as zutils from "./utils/zarr.js";
+
+/**
+ * Any class that satisfies the ZarrNavigator contract, so called as it is intended to "navigate" a Zarr store, e.g., a directory on a local filesystem or remote server.
+ * This should provide the following methods:
+ *
+ * - `get(path, asBuffer)`, a (possibly async) method that accepts a string `path` containing a relative path to a file inside the store.
+ *   This should return a Uint8Array containing the contents of the file - `asBuffer` is always `true` for Zarr stores.
+ * - `exists(path)`, a (possibly async) method that accepts a string `path` containing a relative path to a file inside the store.
+ *   This should return a boolean indicating whether `path` exists in the store.
+ * - `list(path)`, a (possibly async) method that accepts a string `path` containing a relative path to a directory inside the store.
+ *   This should return an array of strings containing the names of the immediate children of `path`.
+ *   This method is optional if the store contains consolidated metadata in a top-level `.zmetadata` file, as produced by **anndata**'s `write_zarr`.
+ *
+ * @typedef ZarrNavigator
+ */
+
+/**************************
+ ******* Internals ********
+ **************************/
+
+async function extract_assay_details(store, path) {
+    if (await store.isArray(path)) {
+        let meta = await store.arrayDetails(path);
+        return {
+            rows: meta.shape[1],
+            columns: meta.shape[0],
+            sparse: false
+        };
+    }
+
+    let attrs = await store.attributes(path);
+    if (!("shape" in attrs) || !("encoding-type" in attrs)) {
+        throw new Error("unknown type for a Zarr AnnData assay matrix");
+    }
+
+    // Yes, the flip is deliberate, because of how AnnData puts its features in the columns.
+    return {
+        rows: attrs.shape[1],
+        columns: attrs.shape[0],
+        sparse: true,
+        csc: attrs["encoding-type"] == "csc_matrix"
+    };
+}
+
+async function fetch_assay_details(store) {
+    let available = [];
+    let types = {};
+
+    let top = await store.children("");
+    if (top.indexOf("X") >= 0) {
+        available.push("X");
+        types["X"] = await extract_assay_details(store, "X");
+    }
+
+    if (top.indexOf("layers") >= 0) {
+        for (const k of await store.children("layers")) {
+            const aname = "layers/" + k;
+            available.push(aname);
+            types[aname] = await extract_assay_details(store, aname);
+        }
+    }
+
+    if (available.length == 0) {
+        throw new Error("failed to find any assay in the Zarr AnnData store");
+    }
+
+    let deets = types[available[0]];
+    return {
+        names: available,
+        rows: deets.rows,
+        columns: deets.columns,
+        details: types
+    };
+}
+
+async function load_data_frame(store, path) {
+    let attrs = await store.attributes(path);
+    let children = await store.children(path);
+
+    let index_name = ("_index" in attrs ? attrs._index : "_index");
+    let order = ("column-order" in attrs ? attrs["column-order"] : children.filter(x => x !== index_name));
+
+    let columns = {};
+    let colnames = [];
+    for (const key of order) {
+        if (children.indexOf(key) < 0) {
+            continue;
+        }
+        let cpath = path + "/" + key;
+
+        if (await store.isArray(cpath)) {
+            let loaded = await store.readArray(cpath);
+            if (loaded.shape.length == 1) {
+                columns[key] = loaded.values;
+                colnames.push(key);
+            }
+            continue;
+        }
+
+        let cattrs = await store.attributes(cpath);
+        let enc = cattrs["encoding-type"];
+        if (enc == "categorical") {
+            let levels = (await store.readArray(cpath + "/categories")).values;
+            let codes = (await store.readArray(cpath + "/codes")).values;
+            let converted = new Array(codes.length);
+            codes.forEach((x, i) => {
+                converted[i] = (x < 0 ? null : levels[x]);
+            });
+            columns[key] = converted;
+            colnames.push(key);
+
+        } else if (enc == "nullable-integer" || enc == "nullable-boolean") {
+            let values = (await store.readArray(cpath + "/values")).values;
+            let mask = (await store.readArray(cpath + "/mask")).values;
+            let converted = Float64Array.from(values);
+            mask.forEach((x, i) => {
+                if (x) {
+                    converted[i] = Number.NaN;
+                }
+            });
+            columns[key] = converted;
+            colnames.push(key);
+        }
+    }
+
+    let rn = null;
+    if (children.indexOf(index_name) >= 0 && await store.isArray(path + "/" + index_name)) {
+        rn = (await store.readArray(path + "/" + index_name)).values;
+    }
+
+    if (colnames.length == 0 && rn === null) {
+        return null;
+    }
+
+    let options = { columnOrder: colnames, rowNames: rn };
+    if (rn === null) {
+        options.numberOfRows = columns[colnames[0]].length;
+    }
+    return new bioc.DataFrame(columns, options);
+}
+
+async function fetch_features(store) {
+    if (await store.isGroup("var")) {
+        return load_data_frame(store, "var");
+    }
+    return null;
+}
+
+async function fetch_cells(store) {
+    if (await store.isGroup("obs")) {
+        return load_data_frame(store, "obs");
+    }
+    return null;
+}
+
+async function load_matrix(store, name, details, options) {
+    if (details.sparse) {
+        let data = (await store.readArray(name + "/data")).values;
+        let indices = (await store.readArray(name + "/indices")).values;
+        if (indices instanceof Float64Array) { // 64-bit integers are converted to doubles by the reader.
+            indices = Int32Array.from(indices);
+        }
+        let indptr = (await store.readArray(name + "/indptr")).values;
+        return scran.initializeSparseMatrixFromSparseArrays(details.rows, details.columns, data, indices, indptr, { byRow: details.csc, ...options });
+    } else {
+        let loaded = await store.readArray(name);
+        return scran.initializeSparseMatrixFromDenseArray(details.rows, details.columns, loaded.values, { columnMajor: true, ...options });
+    }
+}
+
+async function fetch_reddim_names(store) {
+    let available = [];
+    if (await store.isGroup("obsm")) {
+        for (const k of await store.children("obsm")) {
+            if (await store.isArray("obsm/" + k)) {
+                let meta = await store.arrayDetails("obsm/" + k);
+                if (meta.shape.length == 2) {
+                    available.push(k);
+                }
+            }
+        }
+    }
+    return available;
+}
+
+/************************
+ ******* Dataset ********
+ ************************/
+
+/**
+ * Dataset in the AnnData format, stored in a Zarr store where each file is accessed through a {@linkplain ZarrNavigator}.
+ * This supports version 2 of the Zarr format, with arrays that are uncompressed or compressed with zlib, Gzip, LZ4 or Blosc (with the LZ4 or zlib compressors).
+ *
+ * This is a base class that should be extended by concrete subclasses for each type of store.
+ * Subclasses should define `abbreviate()` and `serialize()` methods, as well as the static `format()` and `unserialize()` methods -
+ * see the [Dataset contract](https://github.com/LTLA/bakana/blob/master/docs/related/custom_readers.md) for more details.
+ */
+export class AbstractZarrAnnDataDataset {
+    #store;
+
+    #raw_features;
+    #raw_cells;
+    #assay_details;
+
+    #options;
+
+    /**
+     * @param {ZarrNavigator} navigator - A navigator object that describes how to obtain files from the Zarr store.
+     */
+    constructor(navigator) {
+        this.#store = new zutils.ZarrStore(navigator);
+        this.#options = AbstractZarrAnnDataDataset.defaults();
+        this.clear();
+    }
+
+    /**
+     * @return {object} Default options, see {@linkcode AbstractZarrAnnDataDataset#setOptions setOptions} for more details.
+     */
+    static defaults() {
+        return {
+            countMatrixName: null,
+            featureTypeColumnName: null,
+            featureTypeRnaName: "Gene Expression",
+            featureTypeAdtName: "Antibody Capture",
+            featureTypeCrisprName: "CRISPR Guide Capture",
+            primaryRnaFeatureIdColumn: null,
+            primaryAdtFeatureIdColumn: null,
+            primaryCrisprFeatureIdColumn: null
+        };
+    }
+
+    /**
+     * @return {object} Object containing all options used for loading.
+     */
+    options() {
+        return { ...(this.#options) };
+    }
+
+    /**
+     * @param {object} options - Optional parameters that affect {@linkcode AbstractZarrAnnDataDataset#load load} (but not {@linkcode AbstractZarrAnnDataDataset#summary summary}).
+     * @param {?string} [options.countMatrixName] - Name of the layer containing the count matrix.
+     * If `null`, the "X" array is used if it is present in the store, or the first available layer if no "X" array is present.
+     * @param {?string} [options.featureTypeColumnName] - Name of the per-feature annotation column containing the feature types.
+     * If `null`, no column is assumed to contain feature type information.
+     * @param {?string} [options.featureTypeRnaName] - Name of the feature type for gene expression.
+     * If `null` or the string is not present among the feature types, no RNA features are to be loaded.
+     *
+     * If no feature type information is available in the dataset (i.e., `featureTypeColumnName = null`), all features are considered to be genes by default.
+     * This behavior can also be explicitly requested by setting this argument to the only non-`null` value among all `featureType*Name` parameters.
+     * @param {?string} [options.featureTypeAdtName] - Name of the feature type for ADTs.
+     * If `null` or the string is not present among the feature types, no ADT features are to be loaded.
+     *
+     * If no feature type information is available in the dataset and this argument is set to the only non-`null` value among all `featureType*Name` parameters, all features are considered to be ADTs.
+     * @param {?string} [options.featureTypeCrisprName] - Name of the feature type for CRISPR guides.
+     * If `null` or the string is not present among the feature types, no guides are to be loaded.
+     *
+     * If no feature type information is available in the dataset and this argument is set to the only non-`null` value among all `featureType*Name` parameters, all features are considered to be guides.
+     * @param {?(string|number)} [options.primaryRnaFeatureIdColumn] - Name or index of the column of the `features` {@linkplain external:DataFrame DataFrame} that contains the primary feature identifier for gene expression.
+     *
+     * If `i` is `null` or invalid (e.g., out of range index, unavailable name), it is ignored and the row names (from the `_index` of `var`) are used as the primary identifiers.
+     * @param {?(string|number)} [options.primaryAdtFeatureIdColumn] - Name or index of the column of the `features` {@linkplain external:DataFrame DataFrame} that contains the primary feature identifier for the ADTs.
+     *
+     * If `i` is `null` or invalid (e.g., out of range index, unavailable name), it is ignored and the row names (from the `_index` of `var`) are used as the primary identifiers.
+     * @param {?(string|number)} [options.primaryCrisprFeatureIdColumn] - Name or index of the column of the `features` {@linkplain external:DataFrame DataFrame} that contains the primary feature identifier for the CRISPR guides.
+     *
+     * If `i` is `null` or invalid (e.g., out of range index, unavailable name), it is ignored and the row names (from the `_index` of `var`) are used as the primary identifiers.
+     */
+    setOptions(options) {
+        for (const [k, v] of Object.entries(options)) {
+            this.#options[k] = v;
+        }
+    }
+
+    /**
+     * Destroy caches if present, releasing the associated memory.
+     * This may be called at any time but only has an effect if `cache = true` in {@linkcode AbstractZarrAnnDataDataset#load load} or {@linkcode AbstractZarrAnnDataDataset#summary summary}.
+     */
+    clear() {
+        this.#raw_features = null;
+        this.#raw_cells = null;
+        this.#assay_details = null;
+    }
+
+    async #fetch_assay_details() {
+        if (this.#assay_details !== null) {
+            return;
+        }
+        this.#assay_details = await fetch_assay_details(this.#store);
+    }
+
+    async #features() {
+        if (this.#raw_features !== null) {
+            return;
+        }
+
+        let feats = await fetch_features(this.#store);
+        if (feats == null) {
+            await this.#fetch_assay_details();
+            feats = new bioc.DataFrame({}, { numberOfRows: this.#assay_details.rows });
+        }
+
+        this.#raw_features = feats;
+    }
+
+    async #cells() {
+        if (this.#raw_cells !== null) {
+            return;
+        }
+
+        let cells = await fetch_cells(this.#store);
+        if (cells === null) {
+            await this.#fetch_assay_details();
+            cells = new bioc.DataFrame({}, { numberOfRows: this.#assay_details.columns });
+        }
+
+        this.#raw_cells = cells;
+    }
+
+    /**
+     * @param {object} [options={}] - Optional parameters.
+     * @param {boolean} [options.cache=false] - Whether to cache the intermediate results for re-use in subsequent calls to any methods with a `cache` option.
+     * If `true`, users should consider calling {@linkcode AbstractZarrAnnDataDataset#clear clear} to release the memory once this dataset instance is no longer needed.
+     *
+     * @return {object} Object containing the per-feature and per-cell annotations.
+     * This has the following properties:
+     *
+     * - `all_features`: a {@linkplain external:DataFrame DataFrame} of per-feature annotations.
+     * - `cells`: a {@linkplain external:DataFrame DataFrame} of per-cell annotations.
+     * - `all_assay_names`: an Array of strings containing names of potential count matrices.
+     *
+     * @async
+     */
+    async summary({ cache = false } = {}) {
+        await this.#features();
+        await this.#cells();
+        await this.#fetch_assay_details();
+
+        let output = {
+            all_features: this.#raw_features,
+            cells: this.#raw_cells,
+            all_assay_names: this.#assay_details.names
+        };
+
+        if (!cache) {
+            this.clear();
+        }
+        return output;
+    }
+
+    #feature_type_mapping() {
+        return {
+            RNA: this.#options.featureTypeRnaName,
+            ADT: this.#options.featureTypeAdtName,
+            CRISPR: this.#options.featureTypeCrisprName
+        };
+    }
+
+    #primary_mapping() {
+        return {
+            RNA: this.#options.primaryRnaFeatureIdColumn,
+            ADT: this.#options.primaryAdtFeatureIdColumn,
+            CRISPR: this.#options.primaryCrisprFeatureIdColumn
+        };
+    }
+
+    /**
+     * @param {object} [options={}] - Optional parameters.
+     * @param {boolean} [options.cache=false] - Whether to cache the intermediate results for re-use in subsequent calls to any methods with a `cache` option.
+     * If `true`, users should consider calling {@linkcode AbstractZarrAnnDataDataset#clear clear} to release the memory once this dataset instance is no longer needed.
+     *
+     * @return {object} An object where each key is a modality name and each value is an array (usually of strings) containing the primary feature identifiers for each row in that modality.
+     * The contents are the same as the `primary_ids` returned by {@linkcode AbstractZarrAnnDataDataset#load load} but the order of values may be different.
+     *
+     * @async
+     */
+    async previewPrimaryIds({ cache = false } = {}) {
+        await this.#features();
+        let preview = futils.extractSplitPrimaryIds(this.#raw_features, this.#options.featureTypeColumnName, this.#feature_type_mapping(), "RNA", this.#primary_mapping());
+        if (!cache) {
+            this.clear();
+        }
+        return preview;
+    }
+
+    /**
+     * @param {object} [options={}] - Optional parameters.
+     * @param {boolean} [options.cache=false] - Whether to cache the intermediate results for re-use in subsequent calls to any methods with a `cache` option.
+     * If `true`, users should consider calling {@linkcode AbstractZarrAnnDataDataset#clear clear} to release the memory once this dataset instance is no longer needed.
+     *
+     * @return {object} Object containing the per-feature and per-cell annotations.
+     * This has the following properties:
+     *
+     * - `features`: an object where each key is a modality name and each value is a {@linkplain external:DataFrame DataFrame} of per-feature annotations for that modality.
+     * - `cells`: a {@linkplain external:DataFrame DataFrame} containing per-cell annotations.
+     * - `matrix`: a {@linkplain external:MultiMatrix MultiMatrix} containing one {@linkplain external:ScranMatrix ScranMatrix} per modality.
+     * - `primary_ids`: an object where each key is a modality name and each value is an array (usually of strings) containing the primary feature identifiers for each row in that modality.
+     *
+     * Modality names are guaranteed to be one of `"RNA"`, `"ADT"` or `"CRISPR"`.
+     * We assume that the instance already contains an appropriate mapping from the observed feature types to each expected modality,
+     * either from the {@linkcode AbstractZarrAnnDataDataset#defaults defaults} or with {@linkcode AbstractZarrAnnDataDataset#setOptions setOptions}.
+     *
+     * @async
+     */
+    async load({ cache = false } = {}) {
+        await this.#features();
+        await this.#cells();
+        await this.#fetch_assay_details();
+
+        let chosen_assay = this.#options.countMatrixName;
+        if (chosen_assay == null) {
+            chosen_assay = this.#assay_details.names[0];
+        } else if (!(chosen_assay in this.#assay_details.details)) {
+            throw new Error("no assay named '" + chosen_assay + "' in the Zarr AnnData store");
+        }
+
+        let loaded = await load_matrix(this.#store, chosen_assay, this.#assay_details.details[chosen_assay], { forceInteger: true, layered: true });
+        let output = futils.splitScranMatrixAndFeatures(loaded, this.#raw_features, this.#options.featureTypeColumnName, this.#feature_type_mapping(), "RNA");
+        output.cells = this.#raw_cells;
+
+        output.primary_ids = futils.extractPrimaryIds(output.features, this.#primary_mapping());
+
+        if (!cache) {
+            this.clear();
+        }
+        return output;
+    }
+}
+
+/************************
+ ******* Results ********
+ ************************/
+
+/**
+ * Pre-computed analysis results in the AnnData format, stored in a Zarr store where each file is accessed through a {@linkplain ZarrNavigator}.
+ */
+export class AbstractZarrAnnDataResult {
+    #store;
+
+    #raw_features;
+    #raw_cells;
+    #assay_details;
+    #reddim_names;
+
+    #options;
+
+    /**
+     * @param {ZarrNavigator} navigator - A navigator object that describes how to obtain files from the Zarr store.
+     */
+    constructor(navigator) {
+        this.#store = new zutils.ZarrStore(navigator);
+        this.#options = AbstractZarrAnnDataResult.defaults();
+        this.clear();
+    }
+
+    /**
+     * @return {object} Default options, see {@linkcode AbstractZarrAnnDataResult#setOptions setOptions} for more details.
+     */
+    static defaults() {
+        return {
+            primaryMatrixName: null,
+            isPrimaryNormalized: true,
+            featureTypeColumnName: null,
+            reducedDimensionNames: null
+        };
+    }
+
+    /**
+     * @return {object} Object containing all options used for loading.
+     */
+    options() {
+        return { ...(this.#options) };
+    }
+
+    /**
+     * @param {object} options - Optional parameters that affect {@linkcode AbstractZarrAnnDataResult#load load} (but not {@linkcode AbstractZarrAnnDataResult#summary summary}).
+     * @param {?string} [options.primaryMatrixName] - Name of the layer containing the primary matrix.
+     * If `null`, the "X" array is used if it is present in the store, or the first available layer if no "X" array is present.
+     * @param {boolean} [options.isPrimaryNormalized] - Whether the primary matrix is already normalized.
+     * If `false`, it is assumed to contain count data and is subjected to library size normalization within each modality.
+     * @param {?string} [options.featureTypeColumnName] - Name of the per-feature annotation column containing the feature types.
+     * If `null`, no column is assumed to contain the feature types, and all features are assumed to be genes (i.e., only the RNA modality is present).
+     * @param {?Array} [options.reducedDimensionNames=null] - Array of names of the reduced dimensions to load.
+     * If `null`, all reduced dimensions found in the store are loaded.
+     */
+    setOptions(options) {
+        for (const [k, v] of Object.entries(options)) {
+            if (k == "reducedDimensionNames") {
+                this.#options[k] = bioc.CLONE(v); // avoid pass-by-reference links.
+            } else {
+                this.#options[k] = v;
+            }
+        }
+    }
+
+    /**
+     * Destroy caches if present, releasing the associated memory.
+     * This may be called at any time but only has an effect if `cache = true` in {@linkcode AbstractZarrAnnDataResult#load load} or {@linkcode AbstractZarrAnnDataResult#summary summary}.
+     */
+    clear() {
+        this.#raw_features = null;
+        this.#raw_cells = null;
+        this.#assay_details = null;
+        this.#reddim_names = null;
+    }
+
+    async #fetch_assay_details() {
+        if (this.#assay_details !== null) {
+            return;
+        }
+        this.#assay_details = await fetch_assay_details(this.#store);
+    }
+
+    async #features() {
+        if (this.#raw_features !== null) {
+            return;
+        }
+
+        let feats = await fetch_features(this.#store);
+        if (feats == null) {
+            await this.#fetch_assay_details();
+            feats = new bioc.DataFrame({}, { numberOfRows: this.#assay_details.rows });
+        }
+
+        this.#raw_features = feats;
+    }
+
+    async #cells() {
+        if (this.#raw_cells !== null) {
+            return;
+        }
+
+        let cells = await fetch_cells(this.#store);
+        if (cells === null) {
+            await this.#fetch_assay_details();
+            cells = new bioc.DataFrame({}, { numberOfRows: this.#assay_details.columns });
+        }
+
+        this.#raw_cells = cells;
+    }
+
+    async #fetch_reddim_names() {
+        if (this.#reddim_names !== null) {
+            return;
+        }
+        this.#reddim_names = await fetch_reddim_names(this.#store);
+    }
+
+    /**
+     * @param {object} [options={}] - Optional parameters.
+     * @param {boolean} [options.cache=false] - Whether to cache the results for re-use in subsequent calls to this method or {@linkcode AbstractZarrAnnDataResult#load load}.
+     * If `true`, users should consider calling {@linkcode AbstractZarrAnnDataResult#clear clear} to release the memory once this dataset instance is no longer needed.
+     *
+     * @return {object} Object containing the per-feature and per-cell annotations.
+     * This has the following properties:
+     *
+     * - `all_features`: a {@linkplain external:DataFrame DataFrame} of per-feature annotations.
+     * - `cells`: a {@linkplain external:DataFrame DataFrame} of per-cell annotations.
+     * - `all_assay_names`: an Array of strings containing names of potential primary matrices.
+     * - `reduced_dimension_names`: an Array of strings containing names of dimensionality reduction results.
+     *
+     * @async
+     */
+    async summary({ cache = false } = {}) {
+        await this.#features();
+        await this.#cells();
+        await this.#fetch_assay_details();
+        await this.#fetch_reddim_names();
+
+        let output = {
+            all_features: this.#raw_features,
+            cells: this.#raw_cells,
+            all_assay_names: this.#assay_details.names,
+            reduced_dimension_names: this.#reddim_names
+        };
+
+        if (!cache) {
+            this.clear();
+        }
+        return output;
+    }
+
+    /**
+     * @param {object} [options={}] - Optional parameters.
+     * @param {boolean} [options.cache=false] - Whether to cache the results for re-use in subsequent calls to this method or {@linkcode AbstractZarrAnnDataResult#summary summary}.
+     * If `true`, users should consider calling {@linkcode AbstractZarrAnnDataResult#clear clear} to release the memory once this dataset instance is no longer needed.
+     *
+     * @return {object} Object containing the per-feature and per-cell annotations.
+     * This has the following properties:
+     *
+     * - `features`: an object where each key is a modality name and each value is a {@linkplain external:DataFrame DataFrame} of per-feature annotations for that modality.
+     * - `cells`: a {@linkplain external:DataFrame DataFrame} containing per-cell annotations.
+     * - `matrix`: a {@linkplain external:MultiMatrix MultiMatrix} containing one {@linkplain external:ScranMatrix ScranMatrix} per modality.
+     * - `reduced_dimensions`: an object containing the dimensionality reduction results.
+     *   Each value is an array of arrays, where each inner array contains the coordinates for one dimension.
+     *
+     * @async
+     */
+    async load({ cache = false } = {}) {
+        await this.#features();
+        await this.#cells();
+        await this.#fetch_assay_details();
+        await this.#fetch_reddim_names();
+
+        let chosen_assay = this.#options.primaryMatrixName;
+        if (chosen_assay == null) {
+            chosen_assay = this.#assay_details.names[0];
+        } else if (!(chosen_assay in this.#assay_details.details)) {
+            throw new Error("no assay named '" + chosen_assay + "' in the Zarr AnnData store");
+        }
+
+        let loaded = await load_matrix(this.#store, chosen_assay, this.#assay_details.details[chosen_assay], { forceInteger: !this.#options.isPrimaryNormalized });
+        let output = futils.splitScranMatrixAndFeatures(loaded, this.#raw_features, this.#options.featureTypeColumnName, null, "");
+        output.cells = this.#raw_cells;
+
+        if (!this.#options.isPrimaryNormalized) {
+            for (const mod of output.matrix.available()) {
+                let mat = output.matrix.get(mod);
+                output.matrix.add(mod, scran.normalizeCounts(mat, { allowZeros: true }));
+            }
+        }
+
+        // Loading the dimensionality reduction results.
+        let chosen_reddims = this.#options.reducedDimensionNames;
+        if (chosen_reddims == null) {
+            chosen_reddims = this.#reddim_names;
+        }
+
+        let reddims = {};
+        for (const k of chosen_reddims) {
+            let loaded = await this.#store.readArray("obsm/" + k);
+            let ncells = loaded.shape[0];
+            let ndims = loaded.shape[1];
+            let values = (loaded.values instanceof Float64Array ? loaded.values : Float64Array.from(loaded.values));
+            let transposed = scran.transposeMatrix(ncells, ndims, values, { columnMajor: false }); // values are assembled in row-major format.
+            let contents = [];
+            for (var d = 0; d < ndims; d++) {
+                let offset = d * ncells;
+                contents.push(transposed.slice(offset, offset + ncells));
+            }
+            reddims[k] = contents;
+        }
+        output.reduced_dimensions = reddims;
+
+        if (!cache) {
+            this.clear();
+        }
+        return output;
+    }
+}
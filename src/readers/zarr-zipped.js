@@ -0,0 +1,211 @@
+import JSZip from "jszip";
+import * as za from "./zarr-abstract.js";
+import * as afile from "./abstract/file.js";
+
+class ZippedZarrNavigator {
+    #zipfile;
+    #ziphandle;
+    #prefix;
+
+    constructor(zipfile, ziphandle, prefix) {
+        this.#zipfile = zipfile;
+        this.#ziphandle = ziphandle;
+        this.#prefix = prefix;
+    }
+
+    async #instantiate() {
+        if (this.#ziphandle == null) {
+            this.#ziphandle = await JSZip.loadAsync(this.#zipfile.buffer());
+        }
+        if (this.#prefix == null) {
+            this.#prefix = searchZippedZarr(this.#ziphandle);
+        }
+    }
+
+    #full_path(path) {
+        return (this.#prefix == "" ? path : this.#prefix + "/" + path);
+    }
+
+    async get(path, asBuffer) {
+        await this.#instantiate();
+        return this.#ziphandle.file(this.#full_path(path)).async("uint8array");
+    }
+
+    async exists(path) {
+        await this.#instantiate();
+        return this.#ziphandle.file(this.#full_path(path)) !== null;
+    }
+
+    async list(path) {
+        await this.#instantiate();
+        let prefix = (path == "" ? this.#full_path("") : this.#full_path(path) + "/");
+        let found = new Set;
+        for (const name of Object.keys(this.#ziphandle.files)) {
+            if (name.startsWith(prefix)) {
+                let remaining = name.slice(prefix.length);
+                if (remaining != "") {
+                    found.add(remaining.split("/")[0]);
+                }
+            }
+        }
+        return Array.from(found);
+    }
+
+    clean(path) {}
+}
+
+/**
+ * Search a ZIP file for the root of a Zarr store, defined as the shallowest directory containing a `.zgroup` file.
+ *
+ * @param {JSZip} handle - A handle into the ZIP file, generated using the [**JSZip**](https://stuk.github.io/jszip/) package.
+ *
+ * @return {string} Path to the root of the Zarr store inside the ZIP file.
+ * This is an empty string if the store is located at the root of the ZIP file.
+ */
+export function searchZippedZarr(handle) {
+    let best = null;
+    for (const name of Object.keys(handle.files)) {
+        let stripped = null;
+        if (name == ".zgroup") {
+            stripped = "";
+        } else if (name.endsWith("/.zgroup")) {
+            stripped = name.slice(0, name.length - 8);
+        } else {
+            continue;
+        }
+
+        if (best === null || stripped.split("/").length < best.split("/").length || stripped == "") {
+            best = stripped;
+        }
+        if (best == "") {
+            break;
+        }
+    }
+
+    if (best === null) {
+        throw new Error("failed to find a Zarr store in the ZIP file");
+    }
+    return best;
+}
+
+/************************
+ ******* Dataset ********
+ ************************/
+
+/**
+ * Dataset as a ZIP file containing an AnnData object in a Zarr store, e.g., as produced by zipping the directory created by **anndata**'s `write_zarr`.
+ *
+ * @extends AbstractZarrAnnDataDataset
+ */
+export class ZarrAnnDataDataset extends za.AbstractZarrAnnDataDataset {
+    #zipfile;
+    #prefix;
+
+    /**
+     * @param {SimpleFile|string|Uint8Array|File} zipfile - Contents of the ZIP file containing the Zarr store.
+     * On browsers, this may be a File object.
+     * On Node.js, this may also be a string containing a file path.
+     * @param {object} [options={}] - Optional parameters.
+     * @param {?string} [options.storePrefix=null] - Path to the root of the Zarr store inside the ZIP file.
+     * If `null`, this is automatically determined by {@linkcode searchZippedZarr}.
+     * @param {?JSZip} [options.existingHandle=null] - An existing handle into the ZIP file, generated using the [**JSZip**](https://stuk.github.io/jszip/) package.
+     * If an existing handle already exists, passing it in here will allow it to be re-used for greater efficiency.
+     * If `null`, a new handle is created for this ZarrAnnDataDataset instance.
+     */
+    constructor(zipfile, { storePrefix = null, existingHandle = null } = {}) {
+        if (!(zipfile instanceof afile.SimpleFile)) {
+            zipfile = new afile.SimpleFile(zipfile);
+        }
+
+        let nav = new ZippedZarrNavigator(zipfile, existingHandle, storePrefix);
+        super(nav);
+        this.#zipfile = zipfile;
+        this.#prefix = storePrefix;
+    }
+
+    /**
+     * @return {string} String specifying the format for this dataset.
+     */
+    static format() {
+        return "ZarrAnnData";
+    }
+
+    #dump_summary(fun) {
+        let files = [ { type: "zip", file: fun(this.#zipfile) } ];
+        let opt = this.options();
+        if (this.#prefix !== null) {
+            opt.storePrefix = this.#prefix; // storing the prefix as a special option, see also ZippedAlabasterDataset.
+        }
+        return { files: files, options: opt };
+    }
+
+    /**
+     * @return {object} Object containing the abbreviated details of this dataset.
+     */
+    abbreviate() {
+        return this.#dump_summary(f => {
+            return { size: f.size(), name: f.name() }
+        });
+    }
+
+    /**
+     * @return {object} Object describing this dataset, containing:
+     *
+     * - `files`: Array of objects representing the files used in this dataset.
+     *   Each object corresponds to a single file and contains:
+     *   - `type`: a string denoting the type.
+     *   - `file`: a {@linkplain SimpleFile} object representing the file contents.
+     * - `options`: An object containing additional options to saved.
+     */
+    serialize() {
+        return this.#dump_summary(f => f);
+    }
+
+    /**
+     * @param {Array} files - Array of objects like that produced by {@linkcode ZarrAnnDataDataset#serialize serialize}.
+     * @param {object} options - Object containing additional options to be passed to the constructor.
+     * @return {ZarrAnnDataDataset} A new instance of this class.
+     * @static
+     */
+    static async unserialize(files, options) {
+        if (files.length != 1 || files[0].type != "zip") {
+            throw new Error("expected exactly one file of type 'zip' for ZarrAnnData unserialization");
+        }
+
+        let { storePrefix = null, ...others } = options;
+        let output = new ZarrAnnDataDataset(files[0].file, { storePrefix });
+        output.setOptions(others);
+        return output;
+    }
+}
+
+/***********************
+ ******* Result ********
+ ***********************/
+
+/**
+ * Result as a ZIP file containing an AnnData object in a Zarr store, e.g., as produced by zipping the directory created by **anndata**'s `write_zarr`.
+ *
+ * @extends AbstractZarrAnnDataResult
+ */
+export class ZarrAnnDataResult extends za.AbstractZarrAnnDataResult {
+    /**
+     * @param {SimpleFile|string|Uint8Array|File} zipfile - Contents of the ZIP file containing the Zarr store.
+     * On browsers, this may be a File object.
+     * On Node.js, this may also be a string containing a file path.
+     * @param {object} [options={}] - Optional parameters.
+     * @param {?string} [options.storePrefix=null] - Path to the root of the Zarr store inside the ZIP file.
+     * If `null`, this is automatically determined by {@linkcode searchZippedZarr}.
+     * @param {?JSZip} [options.existingHandle=null] - An existing handle into the ZIP file, generated using the [**JSZip**](https://stuk.github.io/jszip/) package.
+     * If an existing handle already exists, passing it in here will allow it to be re-used for greater efficiency.
+     * If `null`, a new handle is created for this ZarrAnnDataResult instance.
+     */
+    constructor(zipfile, { storePrefix = null, existingHandle = null } = {}) {
+        if (!(zipfile instanceof afile.SimpleFile)) {
+            zipfile = new afile.SimpleFile(zipfile);
+        }
+
+        let nav = new ZippedZarrNavigator(zipfile, existingHandle, storePrefix);
+        super(nav);
+    }
+}
@@ -1,27 +1,56 @@
 import * as readers from "./readers/index.js";
 import * as anal from "./analysis.js";
+import * as abstract from "./abstract/archive.js";
+import { createSHA256 } from "hash-wasm";
+import JSZip from "jszip";
 import { bakana_version } from "./version.js";
+import { migrateConfiguration } from "./migrate.js";
+import * as defaults from "./defaults.js";
+import * as schemautils from "./steps/utils/schema.js";
+
+const hash_chunk_size = 16777216;
+
+async function hash_file(file) {
+    // Reading in chunks to avoid holding large files in memory.
+    let hasher = await createSHA256();
+    hasher.init();
+    let size = file.size();
+    for (var start = 0; start < size; start += hash_chunk_size) {
+        hasher.update(file.slice(start, Math.min(size, start + hash_chunk_size)));
+    }
+    return { sha256: hasher.digest("hex"), size: size };
+}
 
 /**
  * Format a collection of {@linkplain Dataset} objects so that they can be saved to file.
  *
  * @param {object} datasets - Object containing Dataset instances, just like that used in {@linkcode InputsState#compute InputsState.compute}.
  * @param {function} saver - Function that converts a {@linkplain SimpleFile} instance into an identifier string.
- * Specifically, it should accept three arguments:
+ * Specifically, it should accept four arguments:
  *
  * 1. A string containing the name of the Dataset.
  * 2. A string containing the format of the Dataset, e.g., `"10X"`, `"MatrixMarket"`.
  * 3. A SimpleFile object representing one of the files of that Dataset.
+ * 4. An object containing `sha256`, a string containing the SHA-256 hash of the file contents; and `size`, the size of the file in bytes.
+ *    Applications may use this to deduplicate files across multiple calls to `serializeDatasets`.
  *
  * It should then return a string that uniquely identifies this file within `datasets`.
  * The nature of this string is left to the application, e.g., it may be a file path for Node.js, a virtual file path in the browser, or some database identifier.
  * This function may be async.
  *
+ * `saver` is only called once for files with the same contents (i.e., the same hash and size), even if they are used in multiple datasets;
+ * all such files are assigned the same identifier.
+ *
+ * `saver` is not called for SimpleFiles that were constructed from a URL, see {@linkcode SimpleFile#url SimpleFile.url}.
+ * Instead, the URL itself is recorded so that the file contents do not need to be downloaded and saved.
+ *
  * @return {object} Object containing information about the files and datasets in `datasets`.
+ * Each non-URL file is recorded with its identifier, its SHA-256 hash and its size, which are checked by {@linkcode unserializeDatasets}.
  * @async
  */
 export async function serializeDatasets(datasets, saver) {
     let output = {};
+    let saved = new Map;
 
     for (const [key, val] of Object.entries(datasets)) {
         let dformat = val.constructor.format();
@@ -34,11 +63,27 @@ export async function serializeDatasets(datasets, saver) {
         };
 
         for (const obj of files) {
-            current.files.push({
-                type: obj.type,
-                name: obj.file.name(),
-                id: await saver(key, dformat, obj.file)
-            });
+            let url = obj.file.url();
+            if (url !== null) {
+                current.files.push({
+                    type: obj.type,
+                    name: obj.file.name(),
+                    url: url
+                });
+            } else {
+                let fingerprint = await hash_file(obj.file);
+                let fkey = fingerprint.sha256 + ":" + String(fingerprint.size);
+                if (!saved.has(fkey)) {
+                    saved.set(fkey, await saver(key, dformat, obj.file, { ...fingerprint }));
+                }
+                current.files.push({
+                    type: obj.type,
+                    name: obj.file.name(),
+                    id: saved.get(fkey),
+                    sha256: fingerprint.sha256,
+                    size: fingerprint.size
+                });
+            }
         }
 
         output[key] = current;
@@ -47,6 +92,26 @@ export async function serializeDatasets(datasets, saver) {
     return output;
 }
 
+async function verify_file(handle, expected, dataset, verify) {
+    let problem = null;
+    if ("size" in expected && handle.size() !== expected.size) {
+        problem = "size";
+    } else {
+        let observed = await hash_file(handle);
+        if (observed.sha256 !== expected.sha256) {
+            problem = "SHA-256 hash";
+        }
+    }
+
+    if (problem !== null) {
+        let msg = "loaded file '" + expected.name + "' for dataset '" + dataset + "' has a different " + problem + " from the serialized file";
+        if (verify == "error") {
+            throw new Error(msg);
+        }
+        console.warn(msg);
+    }
+}
+
 /**
  * Unserialize dataset information into their corresponding {@linkplain Dataset} instances.
  * This assumes that {@linkcode availableReaders} has been configured for all dataset formats that might be present.
@@ -55,11 +120,20 @@ export async function serializeDatasets(datasets, saver) {
  * @param {function} loader - Function that accepts a single argument, the identifier string produced by `saver` in {@linkcode serializeDatasets};
  * and returns any value that can be used in the {@linkplain SimpleFile} constructor.
  * This may be async.
+ * Files that were serialized as URLs are directly recreated as remote SimpleFiles without calling `loader`.
+ * @param {object} [options={}] - Optional parameters.
+ * @param {string} [options.verify="error"] - How to respond to loaded files that do not match the size or SHA-256 hash recorded by {@linkcode serializeDatasets}.
+ * This may be `"error"`, to throw an error; `"warn"`, to emit a warning and continue; or `"none"`, to skip the verification altogether.
+ * Files without any recorded hash (e.g., from older versions of **bakana**) are not verified.
  *
  * @return {object} An object containing {@linkplain Dataset} instances that can be directly used in {@linkcode InputsState#compute InputsState.compute}.
  * @async
  */
-export async function unserializeDatasets(serialized, loader) {
+export async function unserializeDatasets(serialized, loader, { verify = "error" } = {}) {
+    if (verify !== "error" && verify !== "warn" && verify !== "none") {
+        throw new Error("'verify' should be one of 'error', 'warn' or 'none'");
+    }
+
     let output = {};
     let known = readers.availableReaders;
 
@@ -71,8 +145,11 @@ export async function unserializeDatasets(serialized, loader) {
 
         let handles = [];
         for (const obj of val.files) {
-            let b = await loader(obj.id);
+            let b = ("url" in obj ? new URL(obj.url) : await loader(obj.id));
             let handle = new readers.SimpleFile(b, { name: obj.name }) 
+            if (verify !== "none" && "sha256" in obj) {
+                await verify_file(handle, obj, key, verify);
+            }
             handles.push({ type: obj.type, file: handle });
         }
 
@@ -138,14 +215,32 @@ export async function serializeConfiguration(state, saver) {
  * If `null`, a new state object is created within this function.
  * @param {?function} [options.startFun=null] - Passed directly to {@linkcode runAnalysis}.
  * @param {?function} [options.finishFun=null] - Passed directly to {@linkcode runAnalysis}.
+ * @param {string} [options.verify="error"] - How to respond to files that do not match their serialized hashes, see {@linkcode unserializeDatasets} for details.
+ * @param {?function} [options.migrateFun=null] - Function that is called if `serialized` was created by an older version of **bakana** and its parameters needed to be upgraded.
+ * This should accept a single argument - the array of `changes` from {@linkcode migrateConfiguration}.
+ * The return value is ignored, but any promise will be awaited before the analysis proceeds.
+ * If `null`, nothing is executed.
+ * @param {?(Uint8Array|string)} [options.results=null] - Snapshot of the analysis results, created by {@linkcode serializeResults} from the same analysis as `serialized`.
+ * In Node.js, this may also be a string containing a path to the snapshot.
+ * If provided, the results are reloaded with {@linkcode reloadAnalysis} so that the analysis steps do not need to be recomputed.
+ * If `null`, all steps are recomputed from the datasets.
  *
  * @return {object} State object containing analysis results.
  * This is identical to the `state` passed into {@linkcode serializeConfiguration}.
+ * An error is raised if the (migrated) parameters in `serialized` are invalid, see {@linkcode validateParameters} for details.
  *
  * If `state` is supplied, it is used directly as the return value.
  * @async
  */
-export async function unserializeConfiguration(serialized, loader, { state = null, startFun = null, finishFun = null } = {}) {
+export async function unserializeConfiguration(serialized, loader, { state = null, startFun = null, finishFun = null, verify = "error", migrateFun = null, results = null } = {}) {
+    // Doing this first so that we fail early for unsupported versions.
+    let migrated = migrateConfiguration(serialized);
+    serialized = migrated.configuration;
+    if (migrated.changes.length && migrateFun !== null) {
+        await migrateFun(migrated.changes);
+    }
+    schemautils.assertValidParameters(defaults.validateParameters(serialized.parameters));
+
     if (state === null) {
         state = await anal.createAnalysis();
     }
@@ -157,15 +252,152 @@ export async function unserializeConfiguration(serialized, loader, { state = nul
         }
     }
 
-    let datasets = await unserializeDatasets(serialized.datasets, loader);
-    await anal.runAnalysis(state, datasets, serialized.parameters, { startFun, finishFun });
+    let datasets = await unserializeDatasets(serialized.datasets, loader, { verify });
+    if (results !== null) {
+        // Only the inputs need to be computed before the snapshot can be reloaded.
+        await state.inputs.compute(datasets, serialized.parameters.inputs);
+        await anal.reloadAnalysis(state, results);
+        await anal.runAnalysis(state, null, serialized.parameters, { startFun, finishFun });
+    } else {
+        await anal.runAnalysis(state, datasets, serialized.parameters, { startFun, finishFun });
+    }
 
     // Set this after the analysis is done, as the markers get computed directly.
+    // Selections that were already reloaded from the snapshot are skipped.
     if ("other" in serialized && "custom_selections" in serialized.other && "selections" in serialized.other.custom_selections) {
+        let existing = state.custom_selections.fetchSelections({ copy: false });
         for (const [k, v] of Object.entries(serialized.other.custom_selections.selections)) {
-            state.custom_selections.addSelection(k, new Int32Array(v), { copy: false });
+            if (!(k in existing)) {
+                state.custom_selections.addSelection(k, new Int32Array(v), { copy: false });
+            }
+        }
+    }
+
+    return state;
+}
+
+const archive_format = "bakana-analysis-archive";
+const archive_manifest = "manifest.json";
+const archive_config = "config.json";
+const archive_results = "results.h5";
+
+/**
+ * Save the analysis configuration and all of its input files into a single ZIP file.
+ * This is a convenience wrapper around {@linkcode serializeConfiguration} that avoids the need for applications to define their own `saver`.
+ *
+ * The ZIP file contains:
+ *
+ * - `manifest.json`, containing the `format` of the archive, the `bakana_version` that created it, the name of the `configuration` file,
+ *   and an array of `files` with the `path`, `name`, `sha256` and `size` of each input file.
+ * - `config.json`, the configuration from {@linkcode serializeConfiguration}.
+ * - `files/<SHA256>`, the contents of each input file, named by its SHA-256 hash.
+ *   Files with the same contents are only stored once.
+ * - `results.h5`, a snapshot of the analysis results from {@linkcode serializeResults}.
+ *   This is only present if `results = true`, in which case the manifest also contains the name of the `results` file.
+ *
+ * Files are streamed into the ZIP file where possible (i.e., from file paths in Node.js or File objects in the browser) rather than being loaded into memory all at once.
+ * Files that were constructed from a URL are not stored in the archive, see {@linkcode serializeDatasets} for details.
+ *
+ * @param {object} state - State object produced by {@linkcode createAnalysis} and run through {@linkcode runAnalysis}.
+ * @param {object} [options={}] - Optional parameters.
+ * @param {?string} [options.path=null] - Path to the output ZIP file, to which the archive is directly streamed.
+ * Only supported in Node.js.
+ * @param {boolean} [options.results=false] - Whether to include a snapshot of the analysis results,
+ * so that {@linkcode loadAnalysisArchive} does not need to recompute all steps.
+ *
+ * @return {Uint8Array|Blob|string} Contents of the ZIP file, as a Uint8Array in Node.js or a Blob in the browser.
+ * If `path` is supplied, the archive is written to `path` and `path` itself is returned.
+ * @async
+ */
+export async function saveAnalysisArchive(state, { path = null, results = false } = {}) {
+    let zip = new JSZip;
+    let files = [];
+
+    let saver = (key, format, file, fingerprint) => {
+        let fpath = "files/" + fingerprint.sha256;
+        abstract.addFile(zip, fpath, file);
+        files.push({ path: fpath, name: file.name(), ...fingerprint });
+        return fpath;
+    };
+
+    let config = await serializeConfiguration(state, saver);
+    zip.file(archive_config, JSON.stringify(config));
+
+    let manifest = {
+        format: archive_format,
+        bakana_version: bakana_version,
+        configuration: archive_config,
+        files: files
+    };
+    if (results) {
+        zip.file(archive_results, await anal.serializeResults(state));
+        manifest.results = archive_results;
+    }
+    zip.file(archive_manifest, JSON.stringify(manifest));
+
+    return abstract.generate(zip, path);
+}
+
+/**
+ * Load an analysis from a ZIP file created by {@linkcode saveAnalysisArchive}.
+ * This is effectively a wrapper around {@linkcode unserializeConfiguration}, where the input files are extracted from the archive on demand.
+ *
+ * @param {Uint8Array|Blob|string} archive - Contents of the ZIP file.
+ * In the browser, this may be a Blob or File object.
+ * In Node.js, this may also be a string containing a path to the ZIP file.
+ * This is read in a streaming manner, with each input file being extracted into a temporary directory that is used by the datasets of the returned state.
+ * This directory is removed by {@linkcode freeAnalysis} once the returned state (and any of its forks or subsets) are freed, or if the loading fails.
+ * @param {object} [options={}] - Optional parameters, passed directly to {@linkcode unserializeConfiguration}.
+ * If the archive contains a snapshot of the analysis results, this is used as the `results` option unless it is already specified.
+ *
+ * @return {object} State object containing analysis results.
+ * @async
+ */
+export async function loadAnalysisArchive(archive, options = {}) {
+    let handle = await abstract.open(archive);
+
+    if (!handle.has(archive_manifest)) {
+        throw new Error("analysis archive should contain a '" + archive_manifest + "' file");
+    }
+    let manifest = JSON.parse(await handle.text(archive_manifest));
+    if (manifest.format !== archive_format) {
+        throw new Error("unknown format '" + manifest.format + "' for the analysis archive");
+    }
+
+    if (!handle.has(manifest.configuration)) {
+        throw new Error("analysis archive lacks the configuration file '" + manifest.configuration + "'");
+    }
+    let config = JSON.parse(await handle.text(manifest.configuration));
+
+    let loader = async id => {
+        if (!handle.has(id)) {
+            throw new Error("analysis archive lacks the input file '" + id + "'");
+        }
+        return handle.extract(id);
+    };
+
+    let snapshot = null;
+    let state;
+    try {
+        if ("results" in manifest && !("results" in options)) {
+            if (!handle.has(manifest.results)) {
+                throw new Error("analysis archive lacks the results file '" + manifest.results + "'");
+            }
+            snapshot = await handle.extract(manifest.results);
+            options = { ...options, results: snapshot };
+        }
+        state = await unserializeConfiguration(config, loader, options);
+    } catch (e) {
+        handle.free();
+        throw e;
+    } finally {
+        // The snapshot is no longer needed once the results are reloaded.
+        if (snapshot !== null) {
+            abstract.discard(snapshot);
         }
     }
 
+    // The extracted input files are removed when the state is freed.
+    state.inputs._holdArchive(handle);
     return state;
 }
@@ -1,5 +1,7 @@
 import * as scran from "scran.js";
 import * as utils from "./utils/general.js";
+import * as reloaded from "./utils/reloaded.js";
+import * as memory from "./utils/memory.js";
 import * as filter_module from "./cell_filtering.js";
 import * as norm_module from "./adt_normalization.js";
 
@@ -40,6 +42,20 @@ export class AdtPcaState {
         utils.freeCache(this.#cache.pcs);
     }
 
+    // Used by forkAnalysis() in analysis.js.
+    _fork(filter, norm) {
+        return new AdtPcaState(filter, norm, { ...this.#parameters }, utils.shareCache(this.#cache));
+    }
+
+    // Used by reportMemoryUsage() in analysis.js.
+    _memoryUsage() {
+        let output = {};
+        if ("pcs" in this.#cache) {
+            output.pcs = memory.usage(memory.pcaBytes(this.#cache.pcs));
+        }
+        return output;
+    }
+
     /***************************
      ******** Getters **********
      ***************************/
@@ -78,6 +94,17 @@ export class AdtPcaState {
         };
     }
 
+    /**
+     * @return {object} Object describing the type and allowed values of each parameter in {@linkcode AdtPcaState.defaults defaults},
+     * see {@linkcode validateParameters} for details.
+     */
+    static schema() {
+        return {
+            num_pcs: { type: "number", integer: true, min: 1 },
+            block_method: { type: "string", values: [ "none", "regress", "project", "weight" ] }
+        };
+    }
+
     /**
      * This method should not be called directly by users, but is instead invoked by {@linkcode runAnalysis}.
      *
@@ -112,4 +139,40 @@ export class AdtPcaState {
         this.#parameters = parameters;
         return;
     }
+
+    /*************************
+     ******** Saving *********
+     *************************/
+
+    serialize(handle) {
+        let ghandle = handle.createGroup(step_name);
+        let phandle = ghandle.createGroup("parameters");
+        reloaded.writeParameters(phandle, this.fetchParameters());
+
+        let rhandle = ghandle.createGroup("results");
+        if ("pcs" in this.#cache) {
+            let pcs = this.#cache.pcs;
+            reloaded.writeArray(rhandle, "principal_components", "Float64", pcs.principalComponents());
+            reloaded.writeArray(rhandle, "variance_explained", "Float64", pcs.varianceExplained());
+            reloaded.writeNumber(rhandle, "total_variance", pcs.totalVariance());
+        }
+    }
+}
+
+export function unserialize(handle) {
+    let ghandle = handle.open(step_name);
+    let parameters = reloaded.readParameters(ghandle.open("parameters"));
+
+    let rhandle = ghandle.open("results");
+    let cache = {};
+
+    if ("principal_components" in rhandle.children) {
+        cache.pcs = new reloaded.ReloadedRunPcaResults(
+            reloaded.readWasmArray(rhandle, "principal_components", "Float64"),
+            reloaded.readArray(rhandle, "variance_explained"),
+            reloaded.readNumber(rhandle, "total_variance")
+        );
+    }
+
+    return [parameters, cache];
 }
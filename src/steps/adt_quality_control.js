@@ -1,5 +1,6 @@
 import * as scran from "scran.js"; 
 import * as utils from "./utils/general.js";
+import * as reloaded from "./utils/reloaded.js";
 import * as inputs_module from "./inputs.js";
 
 export const step_name = "adt_quality_control";
@@ -52,6 +53,11 @@ export class AdtQualityControlState {
         utils.freeCache(this.#cache.keep_buffer);
     }
 
+    // Used by forkAnalysis() in analysis.js.
+    _fork(inputs) {
+        return new AdtQualityControlState(inputs, { ...this.#parameters }, utils.shareCache(this.#cache));
+    }
+
     /***************************
      ******** Getters **********
      ***************************/
@@ -116,11 +122,31 @@ export class AdtQualityControlState {
         };
     }
 
+    /**
+     * @return {object} Object describing the type and allowed values of each parameter in {@linkcode AdtQualityControlState.defaults defaults},
+     * see {@linkcode validateParameters} for details.
+     */
+    static schema() {
+        return {
+            automatic: { type: "boolean" }, // for back-compatibility.
+            guess_ids: { type: "boolean" },
+            tag_id_column: { type: [ "string", "number" ], nullable: true },
+            igg_prefix: { type: "string", nullable: true },
+
+            filter_strategy: { type: "string", values: [ "automatic", "manual" ] },
+            nmads: { type: "number", min: 0 },
+            min_detected_drop: { type: "number", min: 0, max: 1 },
+
+            detected_threshold: { type: "number", min: 0 },
+            igg_threshold: { type: "number", min: 0 }
+        };
+    }
+
     static #configureFeatureParameters(lower_igg, annotations) {
         let counter = val => {
             let n = 0;
             val.forEach(x => {
-                if (x.toLowerCase().startsWith(lower_igg)) {
+                if (typeof x == "string" && x.toLowerCase().startsWith(lower_igg)) { // skipping non-string columns, e.g., the union's measured flags.
                     n++;
                 }
             });
@@ -189,8 +215,17 @@ export class AdtQualityControlState {
             }
         }
 
+        let refilter = (
+            parameters.filter_strategy !== this.#parameters.filter_strategy ||
+            parameters.nmads !== this.#parameters.nmads || 
+            parameters.min_detected_drop !== this.#parameters.min_detected_drop ||
+            parameters.detected_threshold !== this.#parameters.detected_threshold ||
+            parameters.igg_threshold !== this.#parameters.igg_threshold
+        );
+
         if (
             this.#inputs.changed || 
+            (refilter && this.#cache.metrics instanceof reloaded.ReloadedAdtQcMetricsResults) || // reloaded metrics can't be used for filtering.
             parameters.guess_ids !== this.#parameters.guess_ids ||
             parameters.igg_prefix !== this.#parameters.igg_prefix ||
             (!parameters.guess_ids && parameters.tag_id_column !== this.#parameters.tag_id_column)
@@ -228,13 +263,7 @@ export class AdtQualityControlState {
             }
         }
 
-        if (this.changed || 
-            parameters.filter_strategy !== this.#parameters.filter_strategy ||
-            parameters.nmads !== this.#parameters.nmads || 
-            parameters.min_detected_drop !== this.#parameters.min_detected_drop ||
-            parameters.detected_threshold !== this.#parameters.detected_threshold ||
-            parameters.igg_threshold !== this.#parameters.igg_threshold
-        ) {
+        if (this.changed || refilter) {
             utils.freeCache(this.#cache.filters);
 
             if (this.valid()) {
@@ -253,6 +282,18 @@ export class AdtQualityControlState {
 
                 var keep = utils.allocateCachedArray(this.#cache.metrics.numberOfCells(), "Uint8Array", this.#cache, "keep_buffer");
                 this.#cache.filters.filter(this.#cache.metrics, { block: block, buffer: keep });
+
+                // Cells from datasets that didn't measure any ADT features shouldn't be discarded for their zero counts.
+                let unmeasured = this.#inputs.fetchUnmeasuredCells("ADT");
+                if (unmeasured !== null) {
+                    let keep_arr = keep.array();
+                    unmeasured.forEach((x, i) => {
+                        if (x) {
+                            keep_arr[i] = 1;
+                        }
+                    });
+                }
+
                 this.changed = true;
             } else {
                 delete this.#cache.filters;
@@ -262,4 +303,70 @@ export class AdtQualityControlState {
         this.#parameters = parameters;
         return;
     }
+
+    /*************************
+     ******** Saving *********
+     *************************/
+
+    serialize(handle) {
+        let ghandle = handle.createGroup(step_name);
+        let phandle = ghandle.createGroup("parameters");
+        reloaded.writeParameters(phandle, this.fetchParameters());
+
+        let rhandle = ghandle.createGroup("results");
+        if (!("metrics" in this.#cache)) {
+            return;
+        }
+
+        let metrics = this.#cache.metrics;
+        let mhandle = rhandle.createGroup("metrics");
+        reloaded.writeArray(mhandle, "sum", "Float64", metrics.sum());
+        reloaded.writeArray(mhandle, "detected", "Int32", metrics.detected());
+        let subsets = [];
+        for (var i = 0; i < metrics.numberOfSubsets(); i++) {
+            subsets.push(metrics.subsetSum(i));
+        }
+        reloaded.writeArrayList(mhandle, "subset_sums", "Float64", subsets);
+
+        let filters = this.#cache.filters;
+        let fhandle = rhandle.createGroup("filters");
+        reloaded.writeArray(fhandle, "detected", "Float64", filters.detected());
+        let thresholds = [];
+        for (var i = 0; i < filters.numberOfSubsets(); i++) {
+            thresholds.push(filters.subsetSum(i));
+        }
+        reloaded.writeArrayList(fhandle, "subset_sums", "Float64", thresholds);
+
+        reloaded.writeArray(rhandle, "metrics_buffer", "Uint8", this.#cache.metrics_buffer);
+        reloaded.writeArray(rhandle, "keep", "Uint8", this.#cache.keep_buffer);
+    }
+}
+
+export function unserialize(handle) {
+    let ghandle = handle.open(step_name);
+    let parameters = reloaded.readParameters(ghandle.open("parameters"));
+
+    let rhandle = ghandle.open("results");
+    let cache = {};
+
+    if ("metrics" in rhandle.children) {
+        let mhandle = rhandle.open("metrics");
+        cache.metrics = new reloaded.ReloadedAdtQcMetricsResults(
+            reloaded.readArray(mhandle, "sum"),
+            reloaded.readArray(mhandle, "detected"),
+            reloaded.readArrayList(mhandle, "subset_sums")
+        );
+
+        let fhandle = rhandle.open("filters");
+        let detected = reloaded.readArray(fhandle, "detected");
+        let thresholds = reloaded.readArrayList(fhandle, "subset_sums");
+        cache.filters = scran.emptySuggestAdtQcFiltersResults(thresholds.length, detected.length);
+        cache.filters.detected({ copy: false }).set(detected);
+        thresholds.forEach((x, i) => cache.filters.subsetSum(i, { copy: false }).set(x));
+
+        cache.metrics_buffer = reloaded.readWasmArray(rhandle, "metrics_buffer", "Uint8");
+        cache.keep_buffer = reloaded.readWasmArray(rhandle, "keep", "Uint8");
+    }
+
+    return [parameters, cache];
 }
@@ -1,5 +1,7 @@
 import * as scran from "scran.js";
 import * as utils from "./utils/general.js";
+import * as reloaded from "./utils/reloaded.js";
+import * as memory from "./utils/memory.js";
 import * as filter_module from "./cell_filtering.js";
 import * as combine_module from "./combine_embeddings.js";
 
@@ -39,6 +41,17 @@ export class BatchCorrectionState {
         utils.freeCache(this.#cache.corrected);
     }
 
+    // Used by forkAnalysis() in analysis.js.
+    _fork(filter, combined) {
+        return new BatchCorrectionState(filter, combined, { ...this.#parameters }, utils.shareCache(this.#cache));
+    }
+
+    // Used by reportMemoryUsage() in analysis.js.
+    _memoryUsage() {
+        // Only counted if this is not a view on the combined embeddings.
+        return { corrected: memory.usage(memory.wasmArrayBytes(this.#cache.corrected)) };
+    }
+
     /***************************
      ******** Getters **********
      ***************************/
@@ -89,6 +102,18 @@ export class BatchCorrectionState {
         };
     }
 
+    /**
+     * @return {object} Object describing the type and allowed values of each parameter in {@linkcode BatchCorrectionState.defaults defaults},
+     * see {@linkcode validateParameters} for details.
+     */
+    static schema() {
+        return {
+            method: { type: "string", values: [ "mnn", "none" ] },
+            num_neighbors: { type: "number", integer: true, min: 1 },
+            approximate: { type: "boolean" }
+        };
+    }
+
     /**
      * This method should not be called directly by users, but is instead invoked by {@linkcode runAnalysis}.
      *
@@ -143,4 +168,36 @@ export class BatchCorrectionState {
         this.#parameters = parameters;
         return;
     }
+
+    /*************************
+     ******** Saving *********
+     *************************/
+
+    serialize(handle) {
+        let ghandle = handle.createGroup(step_name);
+        let phandle = ghandle.createGroup("parameters");
+        reloaded.writeParameters(phandle, this.fetchParameters());
+
+        let rhandle = ghandle.createGroup("results");
+        if ("corrected" in this.#cache && this.#cache.corrected.owner === null) {
+            reloaded.writeArray(rhandle, "corrected", "Float64", this.#cache.corrected);
+        }
+    }
+}
+
+export function unserialize(handle, combined) {
+    let ghandle = handle.open(step_name);
+    let parameters = reloaded.readParameters(ghandle.open("parameters"));
+
+    let rhandle = ghandle.open("results");
+    let cache = {};
+
+    if ("corrected" in rhandle.children) {
+        cache.corrected = reloaded.readWasmArray(rhandle, "corrected", "Float64");
+    } else if (combined.fetchCombined() !== undefined) {
+        // No correction was performed, so we just view the combined embeddings.
+        cache.corrected = combined.fetchCombined().view();
+    }
+
+    return [parameters, cache];
 }
@@ -1,6 +1,8 @@
 import * as scran from "scran.js"; 
 import * as wa from "wasmarrays.js";
 import * as utils from "./utils/general.js";
+import * as reloaded from "./utils/reloaded.js";
+import * as memory from "./utils/memory.js";
 import * as rna_qc_module from "./rna_quality_control.js";
 import * as adt_qc_module from "./adt_quality_control.js";
 import * as crispr_qc_module from "./crispr_quality_control.js";
@@ -64,6 +66,25 @@ export class CellFilteringState {
         utils.freeCache(this.#cache.matrix);
     }
 
+    // Used by forkAnalysis() in analysis.js.
+    _fork(inputs, qc_states) {
+        return new CellFilteringState(inputs, qc_states, { ...this.#parameters }, utils.shareCache(this.#cache));
+    }
+
+    // Used by reportMemoryUsage() in analysis.js.
+    _memoryUsage() {
+        let output = {};
+        if ("matrix" in this.#cache) {
+            // Filtered matrices are delayed subsets of the count matrices, so they only hold the indices of the retained cells.
+            let bytes = memory.wasmArrayBytes(this.#cache.keep_buffer) + memory.wasmArrayBytes(this.#cache.block_buffer);
+            if ("keep_buffer" in this.#cache) {
+                bytes += this.#cache.matrix.numberOfColumns() * this.#cache.matrix.available().length * 4;
+            }
+            output.filtered = memory.usage(bytes);
+        }
+        return output;
+    }
+
     /***************************
      ******** Getters **********
      ***************************/
@@ -167,6 +188,18 @@ export class CellFilteringState {
         };
     }
 
+    /**
+     * @return {object} Object describing the type and allowed values of each parameter in {@linkcode CellFilteringState.defaults defaults},
+     * see {@linkcode validateParameters} for details.
+     */
+    static schema() {
+        return {
+            use_rna: { type: "boolean" },
+            use_adt: { type: "boolean" },
+            use_crispr: { type: "boolean" }
+        };
+    }
+
     /**
      * This method should not be called directly by users, but is instead invoked by {@linkcode runAnalysis}.
      *
@@ -292,4 +325,34 @@ export class CellFilteringState {
             indices[i] = keep[x];
         });
     }
+
+    /*************************
+     ******** Saving *********
+     *************************/
+
+    serialize(handle) {
+        let ghandle = handle.createGroup(step_name);
+        let phandle = ghandle.createGroup("parameters");
+        reloaded.writeParameters(phandle, this.fetchParameters());
+
+        let rhandle = ghandle.createGroup("results");
+        if ("keep_buffer" in this.#cache) {
+            reloaded.writeArray(rhandle, "keep", "Uint8", this.#cache.keep_buffer);
+        }
+    }
+}
+
+export function unserialize(handle) {
+    let ghandle = handle.open(step_name);
+    let parameters = reloaded.readParameters(ghandle.open("parameters"));
+
+    let rhandle = ghandle.open("results");
+    let cache = {};
+
+    if ("keep" in rhandle.children) {
+        cache.keep_buffer = reloaded.readWasmArray(rhandle, "keep", "Uint8");
+    }
+
+    // The filtered matrix and block are recreated on demand.
+    return [parameters, cache];
 }
@@ -1,9 +1,11 @@
 import * as scran from "scran.js";
 import * as bioc from "bioconductor";
 import * as utils from "./utils/general.js";
+import * as reloaded from "./utils/reloaded.js";
 import * as rutils from "../readers/index.js";
 import * as inputs_module from "./inputs.js";
 import * as norm_module from "./rna_normalization.js";
+import * as markers_module from "./marker_detection.js";
 
 const baseUrl = "https://github.com/kanaverse/singlepp-references/releases/download/2023-04-28";
 
@@ -32,7 +34,7 @@ const all_loaded = {};
 function flush_prepared(cache) {
     if ("prepared" in cache) {
         for (const v of Object.values(cache.prepared)) {
-            v.built.raw.free();
+            utils.freeCache(v.built.raw);
         }
         delete cache.prepared;
     }
@@ -234,6 +236,16 @@ function create_defaults() {
     };
 }
 
+function create_schema() {
+    return {
+        references: { type: "array", items: "string", nullable: true },
+        guess_ids: { type: "boolean" },
+        species: { type: "array", items: "string" },
+        gene_id_column: { type: [ "string", "number" ], nullable: true },
+        gene_id_type: { type: "string", values: [ "ENSEMBL", "SYMBOL", "ENTREZ" ] }
+    };
+}
+
 function dereference_parameters(parameters) {
     parameters.references = bioc.CLONE(parameters.references); // make a copy to avoid pass-by-reference behavior.
     parameters.species = bioc.CLONE(parameters.species);
@@ -391,15 +403,21 @@ function assign_labels(x, group, cache) {
  */
 export class CellLabellingState {
     #inputs;
+    #markers;
     #parameters;
     #cache;
 
-    constructor(inputs, parameters = null, cache = null) {
+    constructor(inputs, markers, parameters = null, cache = null) {
         if (!(inputs instanceof inputs_module.InputsState)) {
             throw new Error("'inputs' should be a State object from './inputs.js'");
         }
         this.#inputs = inputs;
 
+        if (!(markers instanceof markers_module.MarkerDetectionState)) {
+            throw new Error("'markers' should be a State object from './marker_detection.js'");
+        }
+        this.#markers = markers;
+
         this.#parameters = (parameters === null ? {} : parameters);
         this.#cache = (cache === null ? {} : cache);
         this.changed = false;
@@ -409,6 +427,16 @@ export class CellLabellingState {
         flush_prepared(this.#cache);
     }
 
+    // Used by forkAnalysis() in analysis.js.
+    _fork(inputs, markers) {
+        return new CellLabellingState(inputs, markers, { ...this.#parameters }, utils.shareCache(this.#cache));
+    }
+
+    // Used by runAnalysis() and planAnalysis() in analysis.js, as reloaded labels are discarded once the markers change.
+    _hasReloaded() {
+        return "reloaded" in this.#cache;
+    }
+
     /***************************
      ******** Getters **********
      ***************************/
@@ -452,6 +480,14 @@ export class CellLabellingState {
         return create_defaults();
     }
 
+    /**
+     * @return {object} Object describing the type and allowed values of each parameter in {@linkcode CellLabellingState.defaults defaults},
+     * see {@linkcode validateParameters} for details.
+     */
+    static schema() {
+        return create_schema();
+    }
+
     static configureFeatureParameters(guesses) {
         let best_key = null;
         let best = { type: "symbol", species: "9606", confidence: 0 };
@@ -557,22 +593,38 @@ export class CellLabellingState {
         this.changed = false;
 
         if (this.valid()) {
-            this.changed = await build_reference(
-                this.#cache, 
-                parameters.references, 
-                parameters.guess_ids, 
-                parameters.species, 
-                parameters.gene_id_column, 
-                parameters.gene_id_type, 
-                this.#parameters, 
-                () => this.#inputs.fetchFeatureAnnotations()["RNA"],
-                () => this.#inputs.guessRnaFeatureTypes()
-            );
+            // Labels reloaded from a snapshot are only valid for the reloaded
+            // marker results, so the references need to be built (for the
+            // first time) once the markers change.
+            let old_parameters = this.#parameters;
+            if ("reloaded" in this.#cache && this.#markers.changed) {
+                delete this.#cache.reloaded;
+                old_parameters = {};
+            }
+
+            this.changed = await this.#build(parameters, old_parameters);
+            if (this.changed) {
+                delete this.#cache.reloaded;
+            }
         }
 
         this.#parameters = dereference_parameters(parameters);
     }
 
+    #build(parameters, old_parameters) {
+        return build_reference(
+            this.#cache, 
+            parameters.references, 
+            parameters.guess_ids, 
+            parameters.species, 
+            parameters.gene_id_column, 
+            parameters.gene_id_type, 
+            old_parameters, 
+            () => this.#inputs.fetchFeatureAnnotations()["RNA"],
+            () => this.#inputs.guessRnaFeatureTypes()
+        );
+    }
+
     /**
      * @param {external:ScranMatrix|external:ScoreMarkersResults} x - A matrix of (normalized or unnormalized) expression values, with genes in rows and cells/clusters in columns.
      * Alternatively, an object containing marker results, e.g., as computed by {@linkcode MarkerDetectionState}. 
@@ -595,10 +647,55 @@ export class CellLabellingState {
      *   This property is only reported if multiple references are used.
      * - (optional) `groups`: an array of length equal to the number of groups, containing the identity of each group.
      *   Only reported if an input `group` is supplied and `x` is a {@linkplain externl:ScranMatrix ScranMatrix}.
+     *
+     * If this state was reloaded by {@linkcode reloadAnalysis}, the reference datasets are not loaded until the labelling parameters or the marker results change.
+     * Until then, `x` should be the RNA marker results from the reloaded {@linkcode MarkerDetectionState}, for which the saved labels are returned.
      */
     computeLabels(x, { group = null } = {}) {
+        if ("reloaded" in this.#cache) {
+            if (x !== this.#cache.reloaded.markers || group !== null) {
+                throw new Error("reloaded cell labels are only available for the reloaded marker results");
+            }
+            return bioc.CLONE(this.#cache.reloaded.labels);
+        }
         return assign_labels(x, group, this.#cache);
     }
+
+    /*************************
+     ******** Saving *********
+     *************************/
+
+    serialize(handle, markers) {
+        let results = markers.fetchResults();
+        if (!this.valid() || !("RNA" in results)) {
+            return;
+        }
+
+        let ghandle = handle.createGroup(step_name);
+        let phandle = ghandle.createGroup("parameters");
+        reloaded.writeParameters(phandle, this.fetchParameters());
+
+        // Labels are small, so we just store them as JSON.
+        reloaded.writeString(ghandle, "results", JSON.stringify(this.computeLabels(results.RNA)));
+    }
+}
+
+export function unserialize(handle, markers) {
+    // Snapshots without labels (e.g., without an RNA modality) are recomputed.
+    if (!(step_name in handle.children)) {
+        return [null, null];
+    }
+
+    let ghandle = handle.open(step_name);
+    let parameters = reloaded.readParameters(ghandle.open("parameters"));
+    let cache = {
+        reloaded: {
+            markers: markers.fetchResults().RNA,
+            labels: JSON.parse(reloaded.readString(ghandle, "results"))
+        }
+    };
+
+    return [parameters, cache];
 }
 
 /*****************************
@@ -1,5 +1,6 @@
 import * as scran from "scran.js";
 import * as utils from "./utils/general.js";
+import * as reloaded from "./utils/reloaded.js";
 import * as snn_module from "./snn_graph_cluster.js";
 import * as kmeans_module from "./kmeans_cluster.js";
 
@@ -53,6 +54,11 @@ export class ChooseClusteringState {
         }
     }
 
+    // Used by forkAnalysis() in analysis.js.
+    _fork(snn, kmeans) {
+        return new ChooseClusteringState(snn, kmeans, { ...this.#parameters }, utils.shareCache(this.#cache));
+    }
+
     /**
      * @return {object} Object containing the parameters.
      */
@@ -72,6 +78,16 @@ export class ChooseClusteringState {
         return { method: "snn_graph" };
     }
 
+    /**
+     * @return {object} Object describing the type and allowed values of each parameter in {@linkcode ChooseClusteringState.defaults defaults},
+     * see {@linkcode validateParameters} for details.
+     */
+    static schema() {
+        return {
+            method: { type: "string", values: [ "kmeans", "snn_graph" ] }
+        };
+    }
+
     /**
      * This method should not be called directly by users, but is instead invoked by {@linkcode runAnalysis}.
      *
@@ -99,4 +115,21 @@ export class ChooseClusteringState {
         this.#parameters = parameters;
         return;
     }
+
+    /*************************
+     ******** Saving *********
+     *************************/
+
+    serialize(handle) {
+        let ghandle = handle.createGroup(step_name);
+        let phandle = ghandle.createGroup("parameters");
+        reloaded.writeParameters(phandle, this.fetchParameters());
+        ghandle.createGroup("results");
+    }
+}
+
+export function unserialize(handle) {
+    let ghandle = handle.open(step_name);
+    let parameters = reloaded.readParameters(ghandle.open("parameters"));
+    return [parameters, {}];
 }
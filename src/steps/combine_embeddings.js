@@ -1,5 +1,7 @@
 import * as scran from "scran.js";
 import * as utils from "./utils/general.js";
+import * as reloaded from "./utils/reloaded.js";
+import * as memory from "./utils/memory.js";
 import * as rna_pca_module from "./rna_pca.js";
 import * as adt_pca_module from "./adt_pca.js";
 import * as crispr_pca_module from "./crispr_pca.js";
@@ -51,6 +53,17 @@ export class CombineEmbeddingsState {
         utils.freeCache(this.#cache.combined_buffer);
     }
 
+    // Used by forkAnalysis() in analysis.js.
+    _fork(pca_states) {
+        return new CombineEmbeddingsState(pca_states, { ...this.#parameters }, utils.shareCache(this.#cache));
+    }
+
+    // Used by reportMemoryUsage() in analysis.js.
+    _memoryUsage() {
+        // Only counted if this is not a view on the PCs.
+        return { combined: memory.usage(memory.wasmArrayBytes(this.#cache.combined_buffer)) };
+    }
+
     /***************************
      ******** Getters **********
      ***************************/
@@ -105,6 +118,19 @@ export class CombineEmbeddingsState {
         };
     }
 
+    /**
+     * @return {object} Object describing the type and allowed values of each parameter in {@linkcode CombineEmbeddingsState.defaults defaults},
+     * see {@linkcode validateParameters} for details.
+     */
+    static schema() {
+        return {
+            rna_weight: { type: "number", min: 0 },
+            adt_weight: { type: "number", min: 0 },
+            crispr_weight: { type: "number", min: 0 },
+            approximate: { type: "boolean" }
+        };
+    }
+
     static #createPcsView(cache, upstream) {
     }
 
@@ -185,4 +211,46 @@ export class CombineEmbeddingsState {
 
         return;
     }
+
+    /*************************
+     ******** Saving *********
+     *************************/
+
+    serialize(handle) {
+        let ghandle = handle.createGroup(step_name);
+        let phandle = ghandle.createGroup("parameters");
+        reloaded.writeParameters(phandle, this.fetchParameters());
+
+        let rhandle = ghandle.createGroup("results");
+        if ("combined_buffer" in this.#cache) {
+            // Views of a single upstream embedding are not saved, as they can be recreated on reload.
+            if (this.#cache.combined_buffer.owner === null) {
+                reloaded.writeArray(rhandle, "combined", "Float64", this.#cache.combined_buffer);
+            }
+            reloaded.writeNumber(rhandle, "num_cells", this.#cache.num_cells);
+            reloaded.writeNumber(rhandle, "total_dims", this.#cache.total_dims);
+        }
+    }
+}
+
+export function unserialize(handle, pca_states) {
+    let ghandle = handle.open(step_name);
+    let parameters = reloaded.readParameters(ghandle.open("parameters"));
+
+    let rhandle = ghandle.open("results");
+    let cache = {};
+
+    if ("num_cells" in rhandle.children) {
+        if ("combined" in rhandle.children) {
+            cache.combined_buffer = reloaded.readWasmArray(rhandle, "combined", "Float64");
+        } else {
+            const weights = { RNA: parameters.rna_weight, ADT: parameters.adt_weight, CRISPR: parameters.crispr_weight };
+            let to_use = find_nonzero_upstream_states(pca_states, weights);
+            cache.combined_buffer = pca_states[to_use[0]].fetchPCs().principalComponents({ copy: "view" }).view();
+        }
+        cache.num_cells = reloaded.readNumber(rhandle, "num_cells");
+        cache.total_dims = reloaded.readNumber(rhandle, "total_dims");
+    }
+
+    return [parameters, cache];
 }
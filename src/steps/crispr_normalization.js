@@ -1,6 +1,8 @@
 import * as scran from "scran.js"; 
 import * as utils from "./utils/general.js";
 import * as nutils from "./utils/normalization.js";
+import * as reloaded from "./utils/reloaded.js";
+import * as memory from "./utils/memory.js";
 import * as qc_module from "./crispr_quality_control.js";
 import * as filter_module from "./cell_filtering.js";
 
@@ -41,6 +43,22 @@ export class CrisprNormalizationState {
         utils.freeCache(this.#cache.sf_buffer);
     }
 
+    // Used by forkAnalysis() in analysis.js.
+    _fork(qc, filter) {
+        return new CrisprNormalizationState(qc, filter, { ...this.#parameters }, utils.shareCache(this.#cache));
+    }
+
+    // Used by reportMemoryUsage() in analysis.js.
+    _memoryUsage() {
+        let output = {};
+        if ("matrix" in this.#cache) {
+            // Normalized matrices are delayed operations on the filtered matrix, so they only hold a copy of the size factors.
+            let bytes = memory.wasmArrayBytes(this.#cache.sf_buffer) * 2;
+            output.normalized = memory.usage(bytes);
+        }
+        return output;
+    }
+
     /***************************
      ******** Getters **********
      ***************************/
@@ -124,13 +142,41 @@ export class CrisprNormalizationState {
         return {};
     }
 
+    /**
+     * @return {object} Object describing the type and allowed values of each parameter in {@linkcode CrisprNormalizationState.defaults defaults},
+     * see {@linkcode validateParameters} for details.
+     */
+    static schema() {
+        return {};
+    }
+
     /*************************
      ******** Saving *********
      *************************/
 
     serialize(handle) {
         let ghandle = handle.createGroup(step_name);
-        let phandle = ghandle.createGroup("parameters"); 
-        let rhandle = ghandle.createGroup("results"); 
+        let phandle = ghandle.createGroup("parameters");
+        reloaded.writeParameters(phandle, this.fetchParameters());
+
+        let rhandle = ghandle.createGroup("results");
+        if ("sf_buffer" in this.#cache) {
+            reloaded.writeArray(rhandle, "size_factors", "Float64", this.#cache.sf_buffer);
+        }
     }
 }
+
+export function unserialize(handle) {
+    let ghandle = handle.open(step_name);
+    let parameters = reloaded.readParameters(ghandle.open("parameters"));
+
+    // The normalized matrix itself is recreated on demand by fetchNormalizedMatrix().
+    let rhandle = ghandle.open("results");
+    let cache = {};
+
+    if ("size_factors" in rhandle.children) {
+        cache.sf_buffer = reloaded.readWasmArray(rhandle, "size_factors", "Float64");
+    }
+
+    return [parameters, cache];
+}
@@ -1,5 +1,6 @@
 import * as scran from "scran.js"; 
 import * as utils from "./utils/general.js";
+import * as reloaded from "./utils/reloaded.js";
 import * as inputs_module from "./inputs.js";
 
 export const step_name = "crispr_quality_control";
@@ -52,6 +53,11 @@ export class CrisprQualityControlState {
         utils.freeCache(this.#cache.keep_buffer);
     }
 
+    // Used by forkAnalysis() in analysis.js.
+    _fork(inputs) {
+        return new CrisprQualityControlState(inputs, { ...this.#parameters }, utils.shareCache(this.#cache));
+    }
+
     /***************************
      ******** Getters **********
      ***************************/
@@ -110,6 +116,19 @@ export class CrisprQualityControlState {
         };
     }
 
+    /**
+     * @return {object} Object describing the type and allowed values of each parameter in {@linkcode CrisprQualityControlState.defaults defaults},
+     * see {@linkcode validateParameters} for details.
+     */
+    static schema() {
+        return {
+            filter_strategy: { type: "string", values: [ "automatic", "manual" ] },
+            nmads: { type: "number", min: 0 },
+
+            max_threshold: { type: "number", min: 0 }
+        };
+    }
+
     /**
      * This method should not be called directly by users, but is instead invoked by {@linkcode runAnalysis}.
      *
@@ -128,7 +147,14 @@ export class CrisprQualityControlState {
         parameters = utils.defaultizeParameters(parameters, CrisprQualityControlState.defaults());
         this.changed = false;
 
-        if (this.#inputs.changed) {
+        let refilter = (
+            parameters.filter_strategy !== this.#parameters.filter_strategy ||
+            parameters.nmads !== this.#parameters.nmads ||
+            parameters.max_threshold !== this.#parameters.max_threshold
+        );
+
+        // Reloaded metrics can't be used for filtering.
+        if (this.#inputs.changed || (refilter && this.#cache.metrics instanceof reloaded.ReloadedCrisprQcMetricsResults)) {
             utils.freeCache(this.#cache.metrics);
 
             if (this.valid()) {
@@ -140,11 +166,7 @@ export class CrisprQualityControlState {
             }
         }
 
-        if (this.changed || 
-            parameters.filter_strategy !== this.#parameters.filter_strategy ||
-            parameters.nmads !== this.#parameters.nmads ||
-            parameters.max_threshold !== this.#parameters.max_threshold
-        ) {
+        if (this.changed || refilter) {
             utils.freeCache(this.#cache.filters);
 
             if (this.valid()) {
@@ -162,6 +184,18 @@ export class CrisprQualityControlState {
 
                 var keep = utils.allocateCachedArray(this.#cache.metrics.numberOfCells(), "Uint8Array", this.#cache, "keep_buffer");
                 this.#cache.filters.filter(this.#cache.metrics, { block: block, buffer: keep });
+
+                // Cells from datasets that didn't measure any CRISPR features shouldn't be discarded for their zero counts.
+                let unmeasured = this.#inputs.fetchUnmeasuredCells("CRISPR");
+                if (unmeasured !== null) {
+                    let keep_arr = keep.array();
+                    unmeasured.forEach((x, i) => {
+                        if (x) {
+                            keep_arr[i] = 1;
+                        }
+                    });
+                }
+
                 this.changed = true;
             } else {
                 delete this.#cache.filters;
@@ -174,4 +208,57 @@ export class CrisprQualityControlState {
 
         return;
     }
+
+    /*************************
+     ******** Saving *********
+     *************************/
+
+    serialize(handle) {
+        let ghandle = handle.createGroup(step_name);
+        let phandle = ghandle.createGroup("parameters");
+        reloaded.writeParameters(phandle, this.fetchParameters());
+
+        let rhandle = ghandle.createGroup("results");
+        if (!("metrics" in this.#cache)) {
+            return;
+        }
+
+        let metrics = this.#cache.metrics;
+        let mhandle = rhandle.createGroup("metrics");
+        reloaded.writeArray(mhandle, "sum", "Float64", metrics.sum());
+        reloaded.writeArray(mhandle, "detected", "Int32", metrics.detected());
+        reloaded.writeArray(mhandle, "max_value", "Float64", metrics.maxValue());
+        reloaded.writeArray(mhandle, "max_index", "Int32", metrics.maxIndex());
+
+        let fhandle = rhandle.createGroup("filters");
+        reloaded.writeArray(fhandle, "max_value", "Float64", this.#cache.filters.maxValue());
+
+        reloaded.writeArray(rhandle, "keep", "Uint8", this.#cache.keep_buffer);
+    }
+}
+
+export function unserialize(handle) {
+    let ghandle = handle.open(step_name);
+    let parameters = reloaded.readParameters(ghandle.open("parameters"));
+
+    let rhandle = ghandle.open("results");
+    let cache = {};
+
+    if ("metrics" in rhandle.children) {
+        let mhandle = rhandle.open("metrics");
+        cache.metrics = new reloaded.ReloadedCrisprQcMetricsResults(
+            reloaded.readArray(mhandle, "sum"),
+            reloaded.readArray(mhandle, "detected"),
+            reloaded.readArray(mhandle, "max_value"),
+            reloaded.readArray(mhandle, "max_index")
+        );
+
+        let thresholds = reloaded.readArray(rhandle.open("filters"), "max_value");
+        cache.filters = scran.emptySuggestCrisprQcFiltersResults(thresholds.length);
+        cache.filters.maxValue({ copy: false }).set(thresholds);
+
+        cache.keep_buffer = reloaded.readWasmArray(rhandle, "keep", "Uint8");
+    }
+
+    return [parameters, cache];
 }
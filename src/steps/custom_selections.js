@@ -1,6 +1,8 @@
 import * as scran from "scran.js";
 import * as utils from "./utils/general.js";
+import * as reloaded from "./utils/reloaded.js";
 import * as markers from "./utils/markers.js";
+import * as memory from "./utils/memory.js";
 import * as filter_module from "./cell_filtering.js";
 import * as rna_norm_module from "./rna_normalization.js";
 import * as adt_norm_module from "./adt_normalization.js";
@@ -20,7 +22,7 @@ class SelectionManager {
 
     #liberate(i) {
         for (const [k, v] of Object.entries(this._cache.results[i].raw)) {
-            v.free();                                                
+            utils.freeCache(v);
         }
     }
 
@@ -37,6 +39,32 @@ class SelectionManager {
         delete this._cache.versus;
     }
 
+    memoryUsage(ngenes, compute_auc) {
+        let results = 0;
+        for (const v of Object.values(this._cache.results)) {
+            results += memory.resultBytes(v.raw, ngenes, compute_auc);
+        }
+
+        let selections = 0;
+        for (const v of Object.values(this._selections)) {
+            selections += (v instanceof Array ? v.length * 8 : memory.typedArrayBytes(v));
+        }
+
+        return {
+            selections: memory.usage(0, selections),
+            results: memory.usage(results, 0, true),
+            versus: memory.usage(memory.versusBytes(this._cache.versus, ngenes, compute_auc), 0, true)
+        };
+    }
+
+    evict() {
+        for (const k of Object.keys(this._cache.results)) {
+            this.#liberate(k);
+        }
+        this._cache.results = {};
+        markers.freeVersusResults(this._cache.versus);
+    }
+
     addSelection(id, selection, to_use, matfun, block, copy, lfc_threshold, compute_auc) {
         let mat = matfun(to_use[0]);
         let ncells = mat.numberOfColumns();
@@ -76,6 +104,10 @@ class SelectionManager {
         return;
     }
 
+    hasResults(id) {
+        return id in this._cache.results;
+    }
+
     fetchResults(id) {
         return this._cache.results[id].raw;
     }
@@ -214,6 +246,10 @@ export class CustomSelectionsState {
 
         this.#manager = new SelectionManager(selections, cache);
         this.#parameters = {};
+        if (parameters !== null) {
+            this.#parameters.lfc_threshold = parameters.lfc_threshold;
+            this.#parameters.compute_auc = parameters.compute_auc;
+        }
         this.changed = false;
     }
 
@@ -225,6 +261,27 @@ export class CustomSelectionsState {
         return;
     }
 
+    // Used by forkAnalysis() in analysis.js.
+    _fork(filter, norm_states) {
+        let parameters = { ...this.#parameters, selections: { ...this.#manager._selections } };
+        return new CustomSelectionsState(filter, norm_states, parameters, utils.shareCache(this.#manager._cache));
+    }
+
+    // Used by reportMemoryUsage() in analysis.js.
+    _memoryUsage() {
+        if (Object.keys(this.#manager._selections).length == 0) {
+            return {};
+        }
+        let ngenes = memory.numberOfFeatures(this.#filter.fetchFilteredMatrix());
+        return this.#manager.memoryUsage(ngenes, this.#parameters.compute_auc);
+    }
+
+    // Used by runAnalysis() to meet the memory budget. Results are recomputed on demand by fetchResults() and computeVersus().
+    _evictCaches() {
+        this.#manager.evict();
+        return;
+    }
+
     /**
      * @return {object} Object containing the parameters.
      */
@@ -290,6 +347,10 @@ export class CustomSelectionsState {
      * The set of cells in the selection is denoted as group 1, while all cells outside of the selection are denoted as group 0.
      */
     fetchResults(id) {
+        if (!this.#manager.hasResults(id) && id in this.#manager._selections) {
+            // Results may have been evicted to meet the memory budget.
+            this.#addSelection(id, this.#manager._selections[id], false, this.#parameters.lfc_threshold, this.#parameters.compute_auc);
+        }
         return this.#manager.fetchResults(id);
     }
 
@@ -375,6 +436,17 @@ export class CustomSelectionsState {
         };
     }
 
+    /**
+     * @return {object} Object describing the type and allowed values of each parameter in {@linkcode CustomSelectionsState.defaults defaults},
+     * see {@linkcode validateParameters} for details.
+     */
+    static schema() {
+        return {
+            lfc_threshold: { type: "number", min: 0 },
+            compute_auc: { type: "boolean" }
+        };
+    }
+
     /**
      * Extract markers for a pairwise comparison between two selections for more detailed examination of the differences between them.
      *
@@ -402,6 +474,58 @@ export class CustomSelectionsState {
             this.#parameters.compute_auc
         );
     }
+
+    /*************************
+     ******** Saving *********
+     *************************/
+
+    serialize(handle) {
+        let ghandle = handle.createGroup(step_name);
+        let phandle = ghandle.createGroup("parameters");
+        reloaded.writeParameters(phandle, this.fetchParameters());
+
+        let selections = this.fetchSelections({ copy: false, force: "Int32Array" });
+        let shandle = phandle.createGroup("selections");
+        for (const [k, v] of Object.entries(selections)) {
+            reloaded.writeArray(shandle, k, "Int32", v);
+        }
+
+        let rhandle = ghandle.createGroup("results");
+        for (const k of Object.keys(selections)) {
+            let khandle = rhandle.createGroup(k);
+            for (const [m, v] of Object.entries(this.fetchResults(k))) {
+                reloaded.writeMarkers(khandle, m, v, this.#parameters.compute_auc);
+            }
+        }
+    }
+}
+
+export function unserialize(handle) {
+    let ghandle = handle.open(step_name);
+
+    let phandle = ghandle.open("parameters");
+    let parameters = {
+        lfc_threshold: JSON.parse(reloaded.readString(phandle, "lfc_threshold")),
+        compute_auc: JSON.parse(reloaded.readString(phandle, "compute_auc")),
+        selections: {}
+    };
+    let shandle = phandle.open("selections");
+    for (const k of Object.keys(shandle.children)) {
+        parameters.selections[k] = reloaded.readArray(shandle, k);
+    }
+
+    let rhandle = ghandle.open("results");
+    let cache = { results: {} };
+    for (const k of Object.keys(parameters.selections)) {
+        let khandle = rhandle.open(k);
+        let raw = {};
+        for (const m of Object.keys(khandle.children)) {
+            raw[m] = reloaded.readMarkers(khandle, m);
+        }
+        cache.results[k] = { raw };
+    }
+
+    return [parameters, cache];
 }
 
 /*************************
@@ -1,5 +1,7 @@
 import * as scran from "scran.js"; 
 import * as utils from "./utils/general.js";
+import * as reloaded from "./utils/reloaded.js";
+import * as memory from "./utils/memory.js";
 import * as filter_module from "./cell_filtering.js";
 import * as norm_module from "./rna_normalization.js";
 
@@ -46,6 +48,22 @@ export class FeatureSelectionState {
         utils.freeCache(this.#cache.matrix);
     }
 
+    // Used by forkAnalysis() in analysis.js.
+    _fork(filter, norm) {
+        return new FeatureSelectionState(filter, norm, { ...this.#parameters }, utils.shareCache(this.#cache));
+    }
+
+    // Used by reportMemoryUsage() in analysis.js.
+    _memoryUsage() {
+        let output = {};
+        if ("results" in this.#cache) {
+            // Means, variances, fitted values and residuals for each gene.
+            let residuals = this.#cache.sorted_residuals;
+            output.variances = memory.usage(residuals.length * 4 * 8, memory.typedArrayBytes(residuals));
+        }
+        return output;
+    }
+
     /***************************
      ******** Getters **********
      ***************************/
@@ -92,6 +110,16 @@ export class FeatureSelectionState {
         };
     }
 
+    /**
+     * @return {object} Object describing the type and allowed values of each parameter in {@linkcode FeatureSelectionState.defaults defaults},
+     * see {@linkcode validateParameters} for details.
+     */
+    static schema() {
+        return {
+            span: { type: "number", min: 0, max: 1 }
+        };
+    }
+
     /**
      * This method should not be called directly by users, but is instead invoked by {@linkcode runAnalysis}.
      *
@@ -122,4 +150,44 @@ export class FeatureSelectionState {
         this.#parameters = parameters;
         return;
     }
+
+    /*************************
+     ******** Saving *********
+     *************************/
+
+    serialize(handle) {
+        let ghandle = handle.createGroup(step_name);
+        let phandle = ghandle.createGroup("parameters");
+        reloaded.writeParameters(phandle, this.fetchParameters());
+
+        let rhandle = ghandle.createGroup("results");
+        if ("results" in this.#cache) {
+            let res = this.#cache.results;
+            reloaded.writeArray(rhandle, "means", "Float64", res.means());
+            reloaded.writeArray(rhandle, "variances", "Float64", res.variances());
+            reloaded.writeArray(rhandle, "fitted", "Float64", res.fitted());
+            reloaded.writeArray(rhandle, "residuals", "Float64", res.residuals());
+        }
+    }
+}
+
+export function unserialize(handle) {
+    let ghandle = handle.open(step_name);
+    let parameters = reloaded.readParameters(ghandle.open("parameters"));
+
+    let rhandle = ghandle.open("results");
+    let cache = {};
+
+    if ("residuals" in rhandle.children) {
+        cache.results = new reloaded.ReloadedModelGeneVariancesResults(
+            reloaded.readArray(rhandle, "means"),
+            reloaded.readArray(rhandle, "variances"),
+            reloaded.readArray(rhandle, "fitted"),
+            reloaded.readArray(rhandle, "residuals")
+        );
+        cache.sorted_residuals = cache.results.residuals(); // a separate copy.
+        cache.sorted_residuals.sort();
+    }
+
+    return [parameters, cache];
 }
@@ -19,8 +19,8 @@ export const step_name = "feature_set_enrichment";
 class FeatureSetManager {
     #cache;
 
-    constructor() {
-        this.#cache = {};
+    constructor(cache = null) {
+        this.#cache = (cache === null ? {} : cache);
     }
 
     free() {
@@ -28,6 +28,10 @@ class FeatureSetManager {
         this.#cache = {};
     }
 
+    fork() {
+        return new FeatureSetManager(utils.shareCache(this.#cache));
+    }
+
     static flush() {
         // TODO: call a gesel flush() function.
         return;
@@ -310,6 +314,17 @@ function all_defaults() {
     };
 }
 
+function all_schema() {
+    return {
+        skip: { type: "boolean" },
+        guess_ids: { type: "boolean" },
+        species: { type: "array", items: "string", nonEmptyWhen: { skip: false, guess_ids: false } },
+        gene_id_column: { type: [ "string", "number" ], nullable: true },
+        gene_id_type: { type: "string", values: [ "ENSEMBL", "SYMBOL", "ENTREZ" ] },
+        top_markers: { type: "number", integer: true, min: 1 }
+    };
+}
+
 function configure_feature_parameters(guesses) {
     let best_key = null;
     let best = { type: "symbol", species: "9606", confidence: 0 };
@@ -401,6 +416,13 @@ export class FeatureSetEnrichmentState {
         return; 
     }
 
+    // Used by forkAnalysis() in analysis.js.
+    _fork(inputs, filter, normalized) {
+        let forked = new FeatureSetEnrichmentState(inputs, filter, normalized, null, { ...this.#parameters });
+        forked.#manager = this.#manager.fork();
+        return forked;
+    }
+
     valid() {
         let mat = this.#inputs.fetchCountMatrix();
         return mat.has("RNA");
@@ -537,6 +559,14 @@ export class FeatureSetEnrichmentState {
         return all_defaults();
     }
 
+    /**
+     * @return {object} Object describing the type and allowed values of each parameter in {@linkcode FeatureSetEnrichmentState.defaults defaults},
+     * see {@linkcode validateParameters} for details.
+     */
+    static schema() {
+        return all_schema();
+    }
+
     /**
      * This method should not be called directly by users, but is instead invoked by {@linkcode runAnalysis}.
      *
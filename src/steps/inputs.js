@@ -1,11 +1,26 @@
 import * as scran from "scran.js";
 import * as bioc from "bioconductor";
 import * as utils from "./utils/general.js";
+import * as memory from "./utils/memory.js";
 import * as iutils from "../readers/index.js";
 export const step_name = "inputs";
 
 const RAW_SUBSET_OVERRIDE = "raw_subset_indices";
 
+// Wrapping the archive handle so that shareCache() counts the references to
+// it, rather than treating it as a plain object to be copied.
+class ArchiveHolder {
+    #handle;
+
+    constructor(handle) {
+        this.#handle = handle;
+    }
+
+    free() {
+        this.#handle.free();
+    }
+}
+
 /**
  * This step handles the loading of all datasets into memory.
  * This wraps various matrix initialization functions in [**scran.js**](https://github.com/kanaverse/scran.js),
@@ -35,6 +50,31 @@ export class InputsState {
         utils.freeCache(this.#cache.block_ids);
         utils.freeCache(this.#cache.raw_block_ids);
         utils.freeCache(this.#cache.multi_block_ids);
+        utils.freeCache(this.#cache.archive);
+    }
+
+    // Used by forkAnalysis() in analysis.js.
+    _fork() {
+        let forked = new InputsState({ ...this.#parameters }, utils.shareCache(this.#cache), this.#abbreviated);
+        forked.#preserve_dataset_cache = this.#preserve_dataset_cache;
+        return forked;
+    }
+
+    // Used by loadAnalysisArchive() in serialize.js, so that the extracted
+    // input files are kept until the last state using them is freed.
+    _holdArchive(handle) {
+        utils.freeCache(this.#cache.archive);
+        this.#cache.archive = new ArchiveHolder(handle);
+    }
+
+    // Used by reportMemoryUsage() in analysis.js.
+    _memoryUsage() {
+        let output = {};
+        if ("raw_matrix" in this.#cache) {
+            // The count matrices used by the rest of the analysis are delayed subsets of the loaded matrices.
+            output.counts = memory.usage(memory.multiMatrixBytes(this.#cache.raw_matrix));
+        }
+        return output;
     }
 
     /***************************
@@ -88,6 +128,33 @@ export class InputsState {
         return this.#cache.block_levels;
     }
 
+    /**
+     * @param {string} modality - Name of the modality.
+     *
+     * @return {?Uint8Array} Array of length equal to the number of cells in the dataset,
+     * indicating whether each cell comes from a dataset in which none of the features of `modality` were measured.
+     * Alternatively `null`, if every dataset measured at least one feature of `modality`.
+     * This is only relevant when `combine_features = "union"`, see {@linkcode InputsState#compute compute} for details.
+     */
+    fetchUnmeasuredCells(modality) {
+        let features = this.#cache.genes[modality];
+        let missing = new Set;
+        for (const col of features.columnNames()) {
+            let match = col.match(/^__measured_(.*)__$/);
+            if (match !== null && features.column(col).every(x => x == 0)) {
+                missing.add(match[1]);
+            }
+        }
+        if (missing.size == 0) {
+            return null;
+        }
+
+        let batches = this.#cache.annotations.column("__batch__");
+        let output = new Uint8Array(batches.length);
+        batches.forEach((x, i) => { output[i] = missing.has(x); });
+        return output;
+    }
+
     /**
      * @return {object} Object containing the parameters.
      */
@@ -143,7 +210,28 @@ export class InputsState {
     static defaults() {
         return {
             block_factor: null,
-            subset: null
+            subset: null,
+            combine_features: "intersection"
+        };
+    }
+
+    /**
+     * @return {object} Object describing the type and allowed values of each parameter in {@linkcode InputsState.defaults defaults},
+     * see {@linkcode validateParameters} for details.
+     */
+    static schema() {
+        return {
+            block_factor: { type: "string", nullable: true },
+            subset: {
+                type: "object",
+                nullable: true,
+                fields: {
+                    field: { type: "string" },
+                    values: { type: "array", optional: true },
+                    ranges: { type: "array", items: "array", optional: true }
+                }
+            },
+            combine_features: { type: "string", values: [ "intersection", "union" ] }
         };
     }
 
@@ -185,6 +273,24 @@ export class InputsState {
      *   Ranges should be sorted and non-overlapping (boundaries excepted).
      *
      * If `subset` is `null`, no subsetting is performed and all cells are used in the downstream analysis.
+     * Otherwise, only the subset of cells (excluding those with `null` values in the `block_factor`) is loaded from each dataset that supports the `columns` option in its `load()` method.
+     * @param {string} [parameters.combine_features] - How to combine features across multiple datasets.
+     * This should be either `"intersection"` or `"union"`, and is only used if multiple datasets are supplied.
+     *
+     * For `"intersection"`, only the modalities present in all datasets are retained, and only features (as defined by the primary identifiers) that are present in all datasets are retained in each modality.
+     *
+     * For `"union"`, modalities and features are retained if they are present in any dataset.
+     * Features that are absent from a dataset are filled with zeros for all cells of that dataset.
+     * To distinguish these from genuine zeros, the feature annotations for each modality will contain an additional column for each dataset,
+     * named `__measured_<NAME>__` where `<NAME>` is the name of the dataset.
+     * Each column is a Uint8Array indicating whether each feature was actually measured in that dataset.
+     * The per-feature annotations are taken from the first dataset in which each feature is present.
+     *
+     * Cells from a dataset that did not measure any features of the ADT or CRISPR modalities are always retained by the corresponding QC steps,
+     * see {@linkcode InputsState#fetchUnmeasuredCells fetchUnmeasuredCells}.
+     * However, other steps do not distinguish between missing and zero counts.
+     * In particular, marker detection for these modalities will treat the missing features as being unexpressed in cells from datasets that did not measure them,
+     * so the intersection should be used if this is a concern.
      *
      * @return The object is updated with the new results.
      * A promise is returned that resolves once input loading is complete, after which downstream steps can be run.
@@ -193,32 +299,49 @@ export class InputsState {
         parameters = utils.defaultizeParameters(parameters, InputsState.defaults());
         this.changed = false;
 
-        // Don't bother proceeding with any of the below
-        // if we're operating from a reloaded state.
-        if (datasets !== null) {
-            let tmp_abbreviated = {};
-            for (const [key, val] of Object.entries(datasets)) {
-                tmp_abbreviated[key] = { format: val.constructor.format(), details: val.abbreviate() };
+        let annotated = null;
+        try {
+            // Don't bother proceeding with any of the below
+            // if we're operating from a reloaded state.
+            if (datasets !== null) {
+                let tmp_abbreviated = {};
+                for (const [key, val] of Object.entries(datasets)) {
+                    tmp_abbreviated[key] = { format: val.constructor.format(), details: val.abbreviate() };
+                }
+
+                if (utils.changedParameters(tmp_abbreviated, this.#abbreviated) || this.#parameters.combine_features !== parameters.combine_features) {
+                    annotated = datasets;
+                    await annotate_and_cache(datasets, this.#cache, this.#preserve_dataset_cache, parameters.combine_features);
+                    this.#abbreviated = tmp_abbreviated;
+                    this.#cache.datasets = { ...datasets }; // making a deep-ish copy to avoid pass-by-reference links.
+                    delete this.#cache.inferred_rna_types;
+                    this.changed = true;
+                }
             }
 
-            if (utils.changedParameters(tmp_abbreviated, this.#abbreviated)) {
-                await load_and_cache(datasets, this.#cache, this.#preserve_dataset_cache);
-                this.#abbreviated = tmp_abbreviated;
-                this.#cache.datasets = { ...datasets }; // making a deep-ish copy to avoid pass-by-reference links.
-                delete this.#cache.inferred_rna_types;
+            if (this.changed || this.#parameters.block_factor !== parameters.block_factor) {
+                block_and_cache(parameters.block_factor, this.#cache);
                 this.changed = true;
             }
-        }
 
-        if (this.changed || this.#parameters.block_factor !== parameters.block_factor) {
-            block_and_cache(parameters.block_factor, this.#cache);
-            this.changed = true;
-        }
+            // final condition handles loss of 'matrix' when setDirectSubset() is called.
+            if (this.changed || (!(RAW_SUBSET_OVERRIDE in this.#cache) && utils.changedParameters(parameters.subset, this.#parameters.subset)) || !("matrix" in this.#cache)) { 
+                let keep = harvest_subset_indices(parameters.subset, this.#cache);
+                if (!("raw_matrix" in this.#cache) || !covers_subset(this.#cache.loaded_columns, keep)) {
+                    await load_and_cache(this.#cache, this.#preserve_dataset_cache, parameters.combine_features, keep);
+                }
+                subset_and_cache(keep, this.#cache);
+                this.changed = true;
+            }
 
-        // final condition handles loss of 'matrix' when setDirectSubset() is called.
-        if (this.changed || (!(RAW_SUBSET_OVERRIDE in this.#cache) && utils.changedParameters(parameters.subset, this.#parameters.subset)) || !("matrix" in this.#cache)) { 
-            subset_and_cache(parameters.subset, this.#cache);
-            this.changed = true;
+        } catch (e) {
+            // Summaries are always cached for the subsequent load, so we need to clean up if we didn't get that far.
+            if (annotated !== null && !this.#preserve_dataset_cache) {
+                for (const x of Object.values(annotated)) {
+                    x.clear();
+                }
+            }
+            throw e;
         }
 
         this.#parameters = parameters;
@@ -328,7 +451,7 @@ export class InputsState {
         }
 
         // Flag that it needs to be rerun.
-        scran.free(this.#cache.matrix);
+        utils.freeCache(this.#cache.matrix);
         delete this.#cache.matrix;
     }
 
@@ -337,7 +460,7 @@ export class InputsState {
         new_cache[RAW_SUBSET_OVERRIDE] = this.#configureIndices(indices, copy, onOriginal);
 
         // Need to manually copy everything in 'this.#cache' that is set in
-        // load_and_cache or block_and_cache.
+        // annotate_and_cache, load_and_cache or block_and_cache.
 
         // Making explicit clones to take ownership.
         new_cache.raw_matrix = this.#cache.raw_matrix.clone();
@@ -354,13 +477,21 @@ export class InputsState {
         // These can probably be copied directly, given that they are always
         // replaced wholesale in the various *_and_cache functions, rather than
         // being modified in-place.
-        for (const x of [ "raw_annotations", "genes", "multi_block_levels", "raw_block_levels" ]) {
+        for (const x of [ "raw_annotations", "genes", "multi_block_levels", "raw_block_levels", "datasets", "dataset_ncells", "loaded_columns" ]) {
             if (x in this.#cache) {
                 new_cache[x] = this.#cache[x];
             }
         }
+        if ("archive" in this.#cache) {
+            new_cache.archive = utils.shareCache(this.#cache.archive);
+        }
 
-        subset_and_cache(null, new_cache);
+        // If the requested cells weren't loaded in this state, we leave 'matrix'
+        // absent so that the next compute() reloads them from the datasets.
+        let keep = harvest_subset_indices(null, new_cache);
+        if (covers_subset(new_cache.loaded_columns, keep)) {
+            subset_and_cache(keep, new_cache);
+        }
 
         let new_params = this.fetchParameters();
         new_params.subset = null;
@@ -406,17 +537,125 @@ function bind_single_modality(modality, loaded) {
     return output;
 }
 
-function bind_datasets(names, loaded) {
-    let common_modes = [];
-    for (const mod of known_modalities) {
-        let okay = true;
-        for (const l of loaded) {
-            if (!l.matrix.has(mod)) {
-                okay = false;
-                break;
+function create_empty_matrix(nrows, ncols) {
+    return scran.initializeSparseMatrixFromSparseArrays(nrows, ncols, new Int32Array(0), new Int32Array(0), new Int32Array(nrows + 1), { byRow: true, layered: false });
+}
+
+function bind_single_modality_union(modality, names, loaded) {
+    let output = {};
+    let temporaries = [];
+
+    try {
+        // Collecting the union of features, ordered by their first appearance.
+        let union = new Map;
+        let sources = [];
+        for (var i = 0; i < loaded.length; i++) {
+            if (!loaded[i].matrix.has(modality)) {
+                sources.push(null);
+                continue;
+            }
+
+            let primary_id = loaded[i].primary_ids[modality];
+            if (primary_id == null) {
+                throw new Error("modality '" + modality + "' lacks a primary identifier for dataset " + String(i));
+            }
+
+            let local = new Map;
+            let first = [];
+            primary_id.forEach((id, r) => {
+                if (id === null || local.has(id)) { // only consider the first occurrence, as in cbindWithNames.
+                    return;
+                }
+                local.set(id, r);
+                if (!union.has(id)) {
+                    union.set(id, union.size);
+                    first.push(r);
+                }
+            });
+            sources.push({ local, first });
+        }
+
+        let ids = Array.from(union.keys());
+        let mats = [];
+        let measured = [];
+
+        for (var i = 0; i < loaded.length; i++) {
+            let ncells = loaded[i].matrix.numberOfColumns();
+            let is_measured = new Uint8Array(ids.length);
+            measured.push(is_measured);
+
+            let src = sources[i];
+            if (src === null) {
+                let empty = create_empty_matrix(ids.length, ncells);
+                temporaries.push(empty);
+                mats.push(empty);
+                continue;
+            }
+
+            // Appending zero-filled rows for the missing features, and then reordering to match the union.
+            let mat = loaded[i].matrix.get(modality);
+            let empty = create_empty_matrix(ids.length - src.local.size, ncells);
+            temporaries.push(empty);
+            let combined = scran.rbind([mat, empty]);
+            temporaries.push(combined);
+
+            let rows = new Int32Array(ids.length);
+            let counter = mat.numberOfRows();
+            ids.forEach((id, u) => {
+                let r = src.local.get(id);
+                if (typeof r == "undefined") {
+                    rows[u] = counter;
+                    counter++;
+                } else {
+                    rows[u] = r;
+                    is_measured[u] = 1;
+                }
+            });
+
+            let expanded = scran.subsetRows(combined, rows);
+            temporaries.push(expanded);
+            mats.push(expanded);
+        }
+
+        output.matrix = scran.cbind(mats);
+
+        // Features are ordered by first appearance, so we can just concatenate
+        // the newly encountered features from each dataset in turn.
+        let pieces = [];
+        for (var i = 0; i < loaded.length; i++) {
+            if (sources[i] !== null && sources[i].first.length) {
+                pieces.push(bioc.SLICE(loaded[i].features[modality], sources[i].first));
             }
         }
-        if (okay) {
+        let features = bioc.flexibleCombineRows(pieces);
+        names.forEach((n, i) => {
+            features.$setColumn("__measured_" + n + "__", measured[i]);
+        });
+        output.features = features;
+
+    } catch (e) {
+        utils.freeCache(output.matrix);
+        throw e;
+
+    } finally {
+        for (const x of temporaries) {
+            scran.free(x);
+        }
+    }
+
+    return output;
+}
+
+function bind_datasets(names, loaded, combine_features) {
+    if (combine_features !== "intersection" && combine_features !== "union") {
+        throw new Error("'combine_features' should be either 'intersection' or 'union'");
+    }
+    let use_union = combine_features == "union";
+
+    let common_modes = [];
+    for (const mod of known_modalities) {
+        let present = loaded.map(l => l.matrix.has(mod));
+        if (use_union ? present.some(x => x) : present.every(x => x)) {
             common_modes.push(mod);
         }
     }
@@ -425,7 +664,6 @@ function bind_datasets(names, loaded) {
         throw new Error("failed to find common modalities across all datasets");
     }
 
-    let blocks;
     let output = { 
         matrix: new scran.MultiMatrix, 
         features: {}
@@ -433,27 +671,12 @@ function bind_datasets(names, loaded) {
 
     try {
         for (const k of common_modes) {
-            let current = bind_single_modality(k, loaded);
+            let current = (use_union ? bind_single_modality_union(k, names, loaded) : bind_single_modality(k, loaded));
             output.matrix.add(k, current.matrix);
             output.features[k] = current.features;
         }
 
-        let annos = loaded.map(x => x.cells);
-        output.cells = bioc.flexibleCombineRows(annos);
-
-        // Generating a block vector.
-        let ncells = new Array(loaded.length);
-        loaded.forEach((x, i) => { ncells[i] = x.matrix.numberOfColumns(); });
-        blocks = scran.createBlock(ncells);
-        output.block_ids = blocks;
-        output.block_levels = names;
-
-        let nice_barr = new Array(blocks.length);
-        blocks.forEach((x, i) => { nice_barr[i] = names[x]; })
-        output.cells.$setColumn("__batch__", nice_barr);
-
     } catch (e) {
-        utils.freeCache(blocks);
         utils.freeCache(output.matrix);
         throw e;
     } 
@@ -486,14 +709,23 @@ function rename_dataset(single) {
         throw e;
     }
 
-    output.cells = single.cells;
-    output.block_ids = null;
-    output.block_levels = null;
+    return output;
+}
 
+function subset_loaded_columns(matrix, columns) {
+    let output = new scran.MultiMatrix;
+    try {
+        for (const k of matrix.available()) {
+            output.add(k, scran.subsetColumns(matrix.get(k), columns));
+        }
+    } catch (e) {
+        scran.free(output);
+        throw e;
+    }
     return output;
 }
 
-async function load_datasets(datasets, preserve_dataset_cache) {
+async function load_datasets(datasets, preserve_dataset_cache, combine_features, columns) {
     // Ensure we have a reproducible order; otherwise the batch
     // order becomes dependent on the JS engine's ordering.
     let names = Object.keys(datasets);
@@ -501,10 +733,19 @@ async function load_datasets(datasets, preserve_dataset_cache) {
 
     let loaded = [];
     try {
-        for (const key of names) {
+        for (const [i, key] of names.entries()) {
             // Too much hassle to convert this into a Promise.all(), because we
             // need to make sure it gets freed properly on failure.
-            loaded.push(await datasets[key].load({ cache: preserve_dataset_cache }));
+            let current_columns = (columns === null ? null : columns[i]);
+            let current = await datasets[key].load({ cache: preserve_dataset_cache, columns: current_columns });
+            loaded.push(current);
+
+            // Readers are allowed to ignore 'columns', in which case we do the subsetting ourselves.
+            if (current_columns !== null && current.matrix.numberOfColumns() !== current_columns.length) {
+                let replacement = subset_loaded_columns(current.matrix, current_columns);
+                scran.free(current.matrix);
+                current.matrix = replacement;
+            }
         }
     } catch (e) {
         // If any one fails, we free the rest.
@@ -524,7 +765,7 @@ async function load_datasets(datasets, preserve_dataset_cache) {
         }
     } else {
         try {
-            output = bind_datasets(names, loaded);
+            output = bind_datasets(names, loaded, combine_features);
         } finally {
             // No need to hold references to the individual matrices once the
             // binding is complete, so we release them.
@@ -534,9 +775,41 @@ async function load_datasets(datasets, preserve_dataset_cache) {
         }
     }
 
+    output.cells = loaded.map(x => x.cells);
     return output;
 }
 
+function combine_annotations(names, cells) {
+    if (names.length == 1) {
+        return {
+            cells: cells[0],
+            block_ids: null,
+            block_levels: null
+        };
+    }
+
+    let combined = bioc.flexibleCombineRows(cells);
+
+    // Generating a block vector.
+    let ncells = cells.map(x => x.numberOfRows());
+    let blocks = scran.createBlock(ncells);
+
+    try {
+        let nice_barr = new Array(blocks.length);
+        blocks.forEach((x, i) => { nice_barr[i] = names[x]; })
+        combined.$setColumn("__batch__", nice_barr);
+    } catch (e) {
+        scran.free(blocks);
+        throw e;
+    }
+
+    return {
+        cells: combined,
+        block_ids: blocks,
+        block_levels: names
+    };
+}
+
 /******************************************
  ******* Internals - miscellaneous ********
  ******************************************/
@@ -621,17 +894,138 @@ function check_subset_ranges(ranges) {
  ******* Internals - caching ********
  ************************************/
 
-async function load_and_cache(new_datasets, cache, preserve_dataset_cache) {
+async function annotate_and_cache(new_datasets, cache, preserve_dataset_cache, combine_features) {
     utils.freeCache(cache.raw_matrix);
     utils.freeCache(cache.matrix); // freeing this as well, to release all references and potentially release memory.
     utils.freeCache(cache.multi_block_ids);
+    delete cache.raw_matrix;
+    delete cache.matrix;
+    delete cache.multi_block_ids;
+    delete cache.loaded_columns;
+
+    let names = Object.keys(new_datasets);
+    names.sort();
+
+    // The cell annotations are taken from the summaries, so that the subset
+    // can be determined before any count matrices are loaded. The dataset
+    // caches are always preserved as we'll be calling load() very soon.
+    let cells = [];
+    for (const key of names) {
+        let summ = await new_datasets[key].summary({ cache: true });
+        if (!("cells" in summ)) {
+            cells = null;
+            break;
+        }
+        cells.push(summ.cells);
+    }
+
+    let loaded = null;
+    if (cells === null) {
+        // Falling back to a full load for datasets that don't report their cells in summary().
+        loaded = await load_datasets(new_datasets, preserve_dataset_cache, combine_features, null);
+        cells = loaded.cells;
+    }
+
+    let res;
+    try {
+        res = combine_annotations(names, cells);
+    } catch (e) {
+        utils.freeCache(loaded === null ? null : loaded.matrix);
+        throw e;
+    }
 
-    let res = await load_datasets(new_datasets, preserve_dataset_cache);
-    cache.raw_matrix = res.matrix;
     cache.raw_annotations = res.cells;
     cache.multi_block_ids = res.block_ids;
     cache.multi_block_levels = res.block_levels;
+    cache.dataset_ncells = cells.map(x => x.numberOfRows());
+
+    if (loaded !== null) {
+        cache.raw_matrix = loaded.matrix;
+        cache.genes = loaded.features;
+        cache.loaded_columns = null;
+    }
+}
+
+function split_columns(keep, dataset_ncells) {
+    let columns = dataset_ncells.map(x => []);
+    let offsets = [];
+    let last = 0;
+    for (const n of dataset_ncells) {
+        offsets.push(last);
+        last += n;
+    }
+
+    let current = 0;
+    for (const i of keep) {
+        while (current < dataset_ncells.length && i >= offsets[current] + dataset_ncells[current]) {
+            current++;
+        }
+        if (current == dataset_ncells.length) {
+            throw new Error("subset indices should be less than the total number of cells");
+        }
+        columns[current].push(i - offsets[current]);
+    }
+
+    return columns.map(x => new Int32Array(x));
+}
+
+async function load_and_cache(cache, preserve_dataset_cache, combine_features, keep) {
+    utils.freeCache(cache.raw_matrix);
+    utils.freeCache(cache.matrix); // freeing this as well, to release all references and potentially release memory.
+    delete cache.raw_matrix;
+    delete cache.matrix;
+
+    // Only loading the columns that we need; these are sorted and unique
+    // so that they can be split into contiguous runs for each dataset.
+    let loaded_columns = null;
+    let columns = null;
+    if (keep !== null) {
+        loaded_columns = Int32Array.from(new Set(keep)).sort();
+        let total = cache.dataset_ncells.reduce((a, b) => a + b, 0);
+        if (loaded_columns.length == total) {
+            loaded_columns = null; // no point subsetting if we need all of the cells anyway.
+        } else {
+            columns = split_columns(loaded_columns, cache.dataset_ncells);
+        }
+    }
+
+    let res = await load_datasets(cache.datasets, preserve_dataset_cache, combine_features, columns);
+    cache.raw_matrix = res.matrix;
     cache.genes = res.features;
+    cache.loaded_columns = loaded_columns;
+}
+
+function covers_subset(loaded_columns, keep) {
+    if (loaded_columns === null || typeof loaded_columns == "undefined") {
+        return true;
+    } else if (keep === null) {
+        return false;
+    } else {
+        return find_loaded_positions(loaded_columns, keep) !== null;
+    }
+}
+
+function find_loaded_positions(loaded_columns, keep) {
+    // Mapping indices on the full dataset to columns of the loaded matrix,
+    // via a binary search on the sorted 'loaded_columns'.
+    let positions = new Int32Array(keep.length);
+    for (var k = 0; k < keep.length; k++) {
+        let target = keep[k];
+        let left = 0, right = loaded_columns.length;
+        while (left < right) {
+            let mid = (left + right) >>> 1;
+            if (loaded_columns[mid] < target) {
+                left = mid + 1;
+            } else {
+                right = mid;
+            }
+        }
+        if (left == loaded_columns.length || loaded_columns[left] !== target) {
+            return null;
+        }
+        positions[k] = left;
+    }
+    return positions;
 }
 
 function block_and_cache(block_factor, cache) {
@@ -644,7 +1038,7 @@ function block_and_cache(block_factor, cache) {
         // Single matrix with a batch factor.
         try {
             let anno_batch = cache.raw_annotations.column(block_factor);
-            if (anno_batch.length != cache.raw_matrix.numberOfColumns()) {
+            if (anno_batch.length != cache.raw_annotations.numberOfRows()) {
                 throw new Error("length of blocking factor '" + block_factor + "' should be equal to the number of cells"); 
             }
             let converted = scran.convertToFactor(anno_batch, { action: "none", placeholder: invalid_block_id });
@@ -671,12 +1065,10 @@ function block_and_cache(block_factor, cache) {
     cache.raw_block_levels = block_levels;
 }
 
-function subset_and_cache(subset, cache) {
+function subset_and_cache(keep, cache) {
     utils.freeCache(cache.matrix);
     utils.freeCache(cache.block_ids);
 
-    let keep = harvest_subset_indices(subset, cache);
-
     let new_annotations;
     let new_matrix;
     let new_block_ids;
@@ -712,11 +1104,13 @@ function subset_and_cache(subset, cache) {
                 new_block_levels = null;
             }
 
-            new_matrix = new scran.MultiMatrix;
-            for (const key of cache.raw_matrix.available()) {
-                let current = cache.raw_matrix.get(key);
-                new_matrix.add(key, scran.subsetColumns(current, keep));
+            // 'raw_matrix' may only contain a subset of columns, so we need to find the positions of 'keep' within it.
+            let loaded = cache.loaded_columns;
+            let positions = (loaded === null || typeof loaded == "undefined" ? keep : find_loaded_positions(loaded, keep));
+            if (positions === null) {
+                throw new Error("requested cells were not loaded from the datasets");
             }
+            new_matrix = subset_loaded_columns(cache.raw_matrix, positions);
         }
 
     } catch (e) {
@@ -1,5 +1,6 @@
 import * as scran from "scran.js"; 
 import * as utils from "./utils/general.js";
+import * as reloaded from "./utils/reloaded.js";
 import * as correct_module from "./batch_correction.js";
 
 export const step_name = "kmeans_cluster";
@@ -32,6 +33,11 @@ export class KmeansClusterState {
         utils.freeCache(this.#cache.raw);
     }
 
+    // Used by forkAnalysis() in analysis.js.
+    _fork(correct) {
+        return new KmeansClusterState(correct, { ...this.#parameters }, utils.shareCache(this.#cache));
+    }
+
     /***************************
      ******** Getters **********
      ***************************/
@@ -63,6 +69,11 @@ export class KmeansClusterState {
         return "raw" in this.#cache;
     }
 
+    // Used by planAnalysis() to check whether this step needs to be run once it is chosen.
+    _hasClusters() {
+        return this.#valid();
+    }
+
     /**
      * @return {object} Object containing default parameters,
      * see the `parameters` argument in {@linkcode KmeansClusterState#compute compute} for details.
@@ -71,6 +82,16 @@ export class KmeansClusterState {
         return { k: 10 };
     }
 
+    /**
+     * @return {object} Object describing the type and allowed values of each parameter in {@linkcode KmeansClusterState.defaults defaults},
+     * see {@linkcode validateParameters} for details.
+     */
+    static schema() {
+        return {
+            k: { type: "number", integer: true, min: 1 }
+        };
+    }
+
     /** 
      * This method should not be called directly by users, but is instead invoked by {@linkcode runAnalysis}.
      *
@@ -108,4 +129,33 @@ export class KmeansClusterState {
         this.#parameters = parameters;
         return;
     }
+
+    /*************************
+     ******** Saving *********
+     *************************/
+
+    serialize(handle) {
+        let ghandle = handle.createGroup(step_name);
+        let phandle = ghandle.createGroup("parameters");
+        reloaded.writeParameters(phandle, this.fetchParameters());
+
+        let rhandle = ghandle.createGroup("results");
+        if ("raw" in this.#cache) {
+            reloaded.writeArray(rhandle, "clusters", "Int32", this.#cache.raw.clusters({ copy: "view" }));
+        }
+    }
+}
+
+export function unserialize(handle) {
+    let ghandle = handle.open(step_name);
+    let parameters = reloaded.readParameters(ghandle.open("parameters"));
+
+    let rhandle = ghandle.open("results");
+    let cache = {};
+
+    if ("clusters" in rhandle.children) {
+        cache.raw = new reloaded.ReloadedClusterKmeansResults(reloaded.readWasmArray(rhandle, "clusters", "Int32"));
+    }
+
+    return [parameters, cache];
 }
@@ -1,6 +1,8 @@
 import * as scran from "scran.js"; 
 import * as utils from "./utils/general.js";
+import * as reloaded from "./utils/reloaded.js";
 import * as markers from "./utils/markers.js";
+import * as memory from "./utils/memory.js";
 import * as filter_module from "./cell_filtering.js";
 import * as choice_module from "./choose_clustering.js";
 import * as rna_norm_module from "./rna_normalization.js";
@@ -118,6 +120,28 @@ export class MarkerDetectionState {
         _free_results(this.#cache);
     }
 
+    // Used by forkAnalysis() in analysis.js.
+    _fork(filter, norm_states, choice) {
+        return new MarkerDetectionState(filter, norm_states, choice, { ...this.#parameters }, utils.shareCache(this.#cache));
+    }
+
+    // Used by reportMemoryUsage() in analysis.js.
+    _memoryUsage() {
+        let output = {};
+        if (Object.keys(this.#cache.raw).length) {
+            let ngenes = memory.numberOfFeatures(this.#filter.fetchFilteredMatrix());
+            let auc = this.#parameters.compute_auc;
+            output.results = memory.usage(memory.resultBytes(this.#cache.raw, ngenes, auc));
+            output.versus = memory.usage(memory.versusBytes(this.#cache.versus, ngenes, auc), 0, true);
+        }
+        return output;
+    }
+
+    // Used by runAnalysis() to meet the memory budget. Versus results are recomputed on demand by computeVersus().
+    _evictCaches() {
+        markers.freeVersusResults(this.#cache.versus);
+    }
+
     /**
      * Obtain the marker detection results for all modalities.
      * It is assumed that {@linkcode runAnalysis} was already run on this MarkerDetectionState instance before calling this method.
@@ -190,6 +214,17 @@ export class MarkerDetectionState {
         };
     }
 
+    /**
+     * @return {object} Object describing the type and allowed values of each parameter in {@linkcode MarkerDetectionState.defaults defaults},
+     * see {@linkcode validateParameters} for details.
+     */
+    static schema() {
+        return {
+            lfc_threshold: { type: "number", min: 0 },
+            compute_auc: { type: "boolean" }
+        };
+    }
+
     // Soft-deprecated.
     static computeVersusCustom(left, right, matrices, clusters, { cache = {}, block = null, lfc_threshold = 0, compute_auc = true } = {}) {
         return computeVersus(left, right, matrices, clusters, { cache, block, lfc_threshold, compute_auc });
@@ -235,6 +270,35 @@ export class MarkerDetectionState {
             compute_auc: this.#parameters.compute_auc
         });
     }
+
+    /*************************
+     ******** Saving *********
+     *************************/
+
+    serialize(handle) {
+        let ghandle = handle.createGroup(step_name);
+        let phandle = ghandle.createGroup("parameters");
+        reloaded.writeParameters(phandle, this.fetchParameters());
+
+        let rhandle = ghandle.createGroup("results");
+        for (const [k, v] of Object.entries(this.#cache.raw)) {
+            reloaded.writeMarkers(rhandle, k, v, this.#parameters.compute_auc);
+        }
+    }
+}
+
+export function unserialize(handle) {
+    let ghandle = handle.open(step_name);
+    let parameters = reloaded.readParameters(ghandle.open("parameters"));
+
+    // Pairwise comparisons from computeVersus() are not saved, they are just recomputed on request.
+    let rhandle = ghandle.open("results");
+    let cache = { raw: {} };
+    for (const k of Object.keys(rhandle.children)) {
+        cache.raw[k] = reloaded.readMarkers(rhandle, k);
+    }
+
+    return [parameters, cache];
 }
 
 /**********************
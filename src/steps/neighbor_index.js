@@ -1,5 +1,7 @@
 import * as scran from "scran.js";
 import * as utils from "./utils/general.js";
+import * as memory from "./utils/memory.js";
+import * as reloaded from "./utils/reloaded.js";
 import * as correct_module from "./batch_correction.js";
 
 export const step_name = "neighbor_index";
@@ -32,6 +34,26 @@ export class NeighborIndexState {
         utils.freeCache(this.#cache.raw);
     }
 
+    // Used by forkAnalysis() in analysis.js.
+    _fork(correct) {
+        return new NeighborIndexState(correct, { ...this.#parameters }, utils.shareCache(this.#cache));
+    }
+
+    // Used by reportMemoryUsage() in analysis.js.
+    _memoryUsage() {
+        let output = {};
+        if ("raw" in this.#cache) {
+            output.index = memory.usage(memory.neighborIndexBytes(this.#cache.raw), 0, true);
+        }
+        return output;
+    }
+
+    // Used by runAnalysis() to meet the memory budget. The index is rebuilt on demand by fetchIndex().
+    _evictCaches() {
+        utils.freeCache(this.#cache.raw);
+        delete this.#cache.raw;
+    }
+
     /***************************
      ******** Getters **********
      ***************************/
@@ -68,6 +90,16 @@ export class NeighborIndexState {
         };
     }
 
+    /**
+     * @return {object} Object describing the type and allowed values of each parameter in {@linkcode NeighborIndexState.defaults defaults},
+     * see {@linkcode validateParameters} for details.
+     */
+    static schema() {
+        return {
+            approximate: { type: "boolean" }
+        };
+    }
+
     #raw_compute(approximate) {
         this.#cache.raw = scran.buildNeighborSearchIndex(this.#correct.fetchCorrected(), { 
             approximate: approximate, 
@@ -99,4 +131,22 @@ export class NeighborIndexState {
         this.#parameters = parameters;
         return;
     }
+
+    /*************************
+     ******** Saving *********
+     *************************/
+
+    serialize(handle) {
+        // The index itself is rebuilt on demand by fetchIndex().
+        let ghandle = handle.createGroup(step_name);
+        let phandle = ghandle.createGroup("parameters");
+        reloaded.writeParameters(phandle, this.fetchParameters());
+        ghandle.createGroup("results");
+    }
+}
+
+export function unserialize(handle) {
+    let ghandle = handle.open(step_name);
+    let parameters = reloaded.readParameters(ghandle.open("parameters"));
+    return [parameters, {}];
 }
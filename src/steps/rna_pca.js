@@ -1,5 +1,7 @@
 import * as scran from "scran.js";
 import * as utils from "./utils/general.js";
+import * as reloaded from "./utils/reloaded.js";
+import * as memory from "./utils/memory.js";
 import * as filter_module from "./cell_filtering.js";
 import * as norm_module from "./rna_normalization.js";
 import * as feat_module from "./feature_selection.js";
@@ -55,6 +57,20 @@ export class RnaPcaState {
         utils.freeCache(this.#cache.pcs);
     }
 
+    // Used by forkAnalysis() in analysis.js.
+    _fork(filter, norm, feat) {
+        return new RnaPcaState(filter, norm, feat, { ...this.#parameters }, utils.shareCache(this.#cache));
+    }
+
+    // Used by reportMemoryUsage() in analysis.js.
+    _memoryUsage() {
+        let output = {};
+        if ("pcs" in this.#cache) {
+            output.pcs = memory.usage(memory.pcaBytes(this.#cache.pcs));
+        }
+        return output;
+    }
+
     /***************************
      ******** Getters **********
      ***************************/
@@ -139,6 +155,61 @@ export class RnaPcaState {
             block_method: "none"
         };
     }
+
+    /**
+     * @return {object} Object describing the type and allowed values of each parameter in {@linkcode RnaPcaState.defaults defaults},
+     * see {@linkcode validateParameters} for details.
+     */
+    static schema() {
+        return {
+            num_hvgs: { type: "number", integer: true, min: 1 },
+            num_pcs: { type: "number", integer: true, min: 1 },
+            block_method: { type: "string", values: [ "none", "regress", "project", "weight" ] }
+        };
+    }
+
+    /*************************
+     ******** Saving *********
+     *************************/
+
+    serialize(handle) {
+        let ghandle = handle.createGroup(step_name);
+        let phandle = ghandle.createGroup("parameters");
+        reloaded.writeParameters(phandle, this.fetchParameters());
+
+        let rhandle = ghandle.createGroup("results");
+        if ("pcs" in this.#cache) {
+            let pcs = this.#cache.pcs;
+            reloaded.writeArray(rhandle, "principal_components", "Float64", pcs.principalComponents());
+            reloaded.writeArray(rhandle, "variance_explained", "Float64", pcs.varianceExplained());
+            reloaded.writeNumber(rhandle, "total_variance", pcs.totalVariance());
+        }
+        if ("hvg_buffer" in this.#cache) {
+            reloaded.writeArray(rhandle, "hvgs", "Uint8", this.#cache.hvg_buffer);
+        }
+    }
+}
+
+export function unserialize(handle) {
+    let ghandle = handle.open(step_name);
+    let parameters = reloaded.readParameters(ghandle.open("parameters"));
+
+    let rhandle = ghandle.open("results");
+    let cache = {};
+
+    if ("principal_components" in rhandle.children) {
+        cache.pcs = new reloaded.ReloadedRunPcaResults(
+            reloaded.readWasmArray(rhandle, "principal_components", "Float64"),
+            reloaded.readArray(rhandle, "variance_explained"),
+            reloaded.readNumber(rhandle, "total_variance")
+        );
+    }
+
+    if ("hvgs" in rhandle.children) {
+        cache.hvg_buffer = reloaded.readWasmArray(rhandle, "hvgs", "Uint8");
+    }
+
+    return [parameters, cache];
 }
 
 /**************************
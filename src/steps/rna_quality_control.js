@@ -1,6 +1,7 @@
 import * as scran from "scran.js"; 
 import * as bioc from "bioconductor";
 import * as utils from "./utils/general.js";
+import * as reloaded from "./utils/reloaded.js";
 import * as inputs_module from "./inputs.js";
 import * as rutils from "../readers/index.js";
 
@@ -56,6 +57,11 @@ export class RnaQualityControlState {
         utils.freeCache(this.#cache.keep_buffer);
     }
 
+    // Used by forkAnalysis() in analysis.js.
+    _fork(inputs) {
+        return new RnaQualityControlState(inputs, { ...this.#parameters }, utils.shareCache(this.#cache));
+    }
+
     /***************************
      ******** Getters **********
      ***************************/
@@ -125,6 +131,29 @@ export class RnaQualityControlState {
         };
     }
 
+    /**
+     * @return {object} Object describing the type and allowed values of each parameter in {@linkcode RnaQualityControlState.defaults defaults},
+     * see {@linkcode validateParameters} for details.
+     */
+    static schema() {
+        return {
+            automatic: { type: "boolean" }, // for back-compatibility.
+            guess_ids: { type: "boolean" },
+            gene_id_column: { type: [ "string", "number" ], nullable: true },
+            use_reference_mito: { type: "boolean" },
+            species: { type: "array", items: "string", nonEmptyWhen: { guess_ids: false, use_reference_mito: true } },
+            gene_id_type: { type: "string", values: [ "ENSEMBL", "SYMBOL", "ENTREZ" ] },
+            mito_prefix: { type: "string", nullable: true },
+
+            filter_strategy: { type: "string", values: [ "automatic", "manual" ] },
+            nmads: { type: "number", min: 0 },
+
+            sum_threshold: { type: "number", min: 0 },
+            detected_threshold: { type: "number", min: 0 },
+            mito_threshold: { type: "number", min: 0, max: 1 }
+        };
+    }
+
     static configureFeatureParameters(use_reference_mito, guesses) {
         let best_key = null;
         let best = { type: "symbol", species: "9606", confidence: 0 };
@@ -277,8 +306,17 @@ export class RnaQualityControlState {
             }
         }
 
+        let refilter = (
+            parameters.filter_strategy !== this.#parameters.filter_strategy ||
+            parameters.nmads !== this.#parameters.nmads ||
+            parameters.sum_threshold !== this.#parameters.sum_threshold ||
+            parameters.detected_threshold !== this.#parameters.detected_threshold ||
+            parameters.mito_threshold !== this.#parameters.mito_threshold
+        );
+
         if (
             this.#inputs.changed || 
+            (refilter && this.#cache.metrics instanceof reloaded.ReloadedRnaQcMetricsResults) || // reloaded metrics can't be used for filtering.
             parameters.guess_ids !== this.#parameters.guess_ids ||
             parameters.use_reference_mito !== this.#parameters.use_reference_mito || 
             (
@@ -344,13 +382,7 @@ export class RnaQualityControlState {
             }
         }
 
-        if (this.changed || 
-            parameters.filter_strategy !== this.#parameters.filter_strategy ||
-            parameters.nmads !== this.#parameters.nmads ||
-            parameters.sum_threshold !== this.#parameters.sum_threshold ||
-            parameters.detected_threshold !== this.#parameters.detected_threshold ||
-            parameters.mito_threshold !== this.#parameters.mito_threshold
-        ) {
+        if (this.changed || refilter) {
             utils.freeCache(this.#cache.filters);
 
             if (this.valid()) {
@@ -380,4 +412,74 @@ export class RnaQualityControlState {
         this.#parameters.species = bioc.CLONE(this.#parameters.species); // avoid pass-by-reference behavior.
         return;
     }
+
+    /*************************
+     ******** Saving *********
+     *************************/
+
+    serialize(handle) {
+        let ghandle = handle.createGroup(step_name);
+        let phandle = ghandle.createGroup("parameters");
+        reloaded.writeParameters(phandle, this.fetchParameters());
+
+        let rhandle = ghandle.createGroup("results");
+        if (!("metrics" in this.#cache)) {
+            return;
+        }
+
+        let metrics = this.#cache.metrics;
+        let mhandle = rhandle.createGroup("metrics");
+        reloaded.writeArray(mhandle, "sum", "Float64", metrics.sum());
+        reloaded.writeArray(mhandle, "detected", "Int32", metrics.detected());
+        let subsets = [];
+        for (var i = 0; i < metrics.numberOfSubsets(); i++) {
+            subsets.push(metrics.subsetProportion(i));
+        }
+        reloaded.writeArrayList(mhandle, "subset_proportions", "Float64", subsets);
+
+        let filters = this.#cache.filters;
+        let fhandle = rhandle.createGroup("filters");
+        reloaded.writeArray(fhandle, "sum", "Float64", filters.sum());
+        reloaded.writeArray(fhandle, "detected", "Float64", filters.detected());
+        let thresholds = [];
+        for (var i = 0; i < filters.numberOfSubsets(); i++) {
+            thresholds.push(filters.subsetProportion(i));
+        }
+        reloaded.writeArrayList(fhandle, "subset_proportions", "Float64", thresholds);
+
+        reloaded.writeArray(rhandle, "metrics_buffer", "Uint8", this.#cache.metrics_buffer);
+        reloaded.writeArray(rhandle, "keep", "Uint8", this.#cache.keep_buffer);
+    }
+}
+
+export function unserialize(handle) {
+    let ghandle = handle.open(step_name);
+    let parameters = reloaded.readParameters(ghandle.open("parameters"));
+
+    let rhandle = ghandle.open("results");
+    let cache = {};
+
+    if ("metrics" in rhandle.children) {
+        let mhandle = rhandle.open("metrics");
+        cache.metrics = new reloaded.ReloadedRnaQcMetricsResults(
+            reloaded.readArray(mhandle, "sum"),
+            reloaded.readArray(mhandle, "detected"),
+            reloaded.readArrayList(mhandle, "subset_proportions")
+        );
+
+        // Filters can be constructed directly, so we use the real thing.
+        let fhandle = rhandle.open("filters");
+        let sums = reloaded.readArray(fhandle, "sum");
+        let detected = reloaded.readArray(fhandle, "detected");
+        let thresholds = reloaded.readArrayList(fhandle, "subset_proportions");
+        cache.filters = scran.emptySuggestRnaQcFiltersResults(thresholds.length, sums.length);
+        cache.filters.sum({ copy: false }).set(sums);
+        cache.filters.detected({ copy: false }).set(detected);
+        thresholds.forEach((x, i) => cache.filters.subsetProportion(i, { copy: false }).set(x));
+
+        cache.metrics_buffer = reloaded.readWasmArray(rhandle, "metrics_buffer", "Uint8");
+        cache.keep_buffer = reloaded.readWasmArray(rhandle, "keep", "Uint8");
+    }
+
+    return [parameters, cache];
 }
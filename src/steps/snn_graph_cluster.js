@@ -1,5 +1,7 @@
 import * as scran from "scran.js"; 
 import * as utils from "./utils/general.js";
+import * as memory from "./utils/memory.js";
+import * as reloaded from "./utils/reloaded.js";
 import * as neighbor_module from "./neighbor_index.js";
 
 export const step_name = "snn_graph_cluster";
@@ -34,6 +36,21 @@ export class SnnGraphClusterState {
         utils.freeCache(this.#cache.clusters);
     }
 
+    // Used by forkAnalysis() in analysis.js.
+    _fork(index) {
+        return new SnnGraphClusterState(index, { ...this.#parameters }, utils.shareCache(this.#cache));
+    }
+
+    // Used by reportMemoryUsage() in analysis.js.
+    _memoryUsage() {
+        let output = {};
+        if ("neighbors" in this.#cache) {
+            // Index and distance for each neighbor of each cell.
+            output.neighbors = memory.usage(this.#cache.neighbors.size() * 12);
+        }
+        return output;
+    }
+
     /***************************
      ******** Getters **********
      ***************************/
@@ -65,6 +82,11 @@ export class SnnGraphClusterState {
         return "clusters" in this.#cache;
     }
 
+    // Used by planAnalysis() to check whether this step needs to be run once it is chosen.
+    _hasClusters() {
+        return this.#valid();
+    }
+
     #compute_neighbors(k) {
         this.#cache.neighbors = scran.findNearestNeighbors(this.#index.fetchIndex(), k);
         return;
@@ -107,6 +129,21 @@ export class SnnGraphClusterState {
         };
     }
 
+    /**
+     * @return {object} Object describing the type and allowed values of each parameter in {@linkcode SnnGraphClusterState.defaults defaults},
+     * see {@linkcode validateParameters} for details.
+     */
+    static schema() {
+        return {
+            k: { type: "number", integer: true, min: 1 },
+            scheme: { type: "string", values: [ "rank", "number", "jaccard" ] },
+            algorithm: { type: "string", values: [ "multilevel", "walktrap", "leiden" ] },
+            multilevel_resolution: { type: "number", min: 0 },
+            leiden_resolution: { type: "number", min: 0 },
+            walktrap_steps: { type: "number", integer: true, min: 1 }
+        };
+    }
+
     /**
      * This method should not be called directly by users, but is instead invoked by {@linkcode runAnalysis}.
      *
@@ -166,4 +203,34 @@ export class SnnGraphClusterState {
         this.#parameters = parameters;
         return;
     }
+
+    /*************************
+     ******** Saving *********
+     *************************/
+
+    serialize(handle) {
+        let ghandle = handle.createGroup(step_name);
+        let phandle = ghandle.createGroup("parameters");
+        reloaded.writeParameters(phandle, this.fetchParameters());
+
+        let rhandle = ghandle.createGroup("results");
+        if ("clusters" in this.#cache) {
+            reloaded.writeArray(rhandle, "clusters", "Int32", this.#cache.clusters.membership({ copy: "view" }));
+        }
+    }
+}
+
+export function unserialize(handle) {
+    let ghandle = handle.open(step_name);
+    let parameters = reloaded.readParameters(ghandle.open("parameters"));
+
+    let rhandle = ghandle.open("results");
+    let cache = {};
+
+    if ("clusters" in rhandle.children) {
+        // The neighbors and graph are recomputed on demand if the clustering parameters change.
+        cache.clusters = new reloaded.ReloadedClusterGraphResults(reloaded.readWasmArray(rhandle, "clusters", "Int32"));
+    }
+
+    return [parameters, cache];
 }
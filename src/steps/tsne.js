@@ -1,6 +1,7 @@
 import * as scran from "scran.js";
 import * as vizutils from "./utils/viz_parent.js";
 import * as utils from "./utils/general.js";
+import * as reloaded from "./utils/reloaded.js";
 import * as neighbor_module from "./neighbor_index.js";
 import * as aworkers from "./abstract/worker_parent.js";
 
@@ -34,24 +35,55 @@ export class TsneState {
         this.#reloaded = reloaded;
         this.changed = false;
 
+        // Reloaded states only need a worker if the coordinates are recomputed.
+        this.#worker_id = null;
+        this.#ready = null;
+        if (reloaded === null) {
+            this.#startWorker();
+        }
+
+        this.#run = null;
+    }
+
+    #startWorker() {
         let worker = aworkers.createTsneWorker();
         let { worker_id, ready } = vizutils.initializeWorker(worker, vizutils.scranOptions);
         this.#worker_id = worker_id;
         this.#ready = ready;
-
-        this.#run = null;
     }
 
     ready() {
         // It is assumed that the caller will await the ready()
         // status before calling any other methods of this instance.
+        if (this.#ready === null) {
+            return Promise.resolve(null);
+        }
         return this.#ready;
     }
 
     free() {
+        if (this.#worker_id === null) {
+            return null;
+        }
         return vizutils.killWorker(this.#worker_id);
     }
 
+    // Used by forkAnalysis() in analysis.js. The fork is treated like a
+    // reloaded state with the current coordinates, so that it only starts its
+    // own worker if it needs to recompute them. Reloaded coordinates are never
+    // modified in place and can be shared directly.
+    async _fork(index) {
+        if (Object.keys(this.#parameters).length == 0) {
+            return new TsneState(index);
+        }
+        let coords = this.#reloaded;
+        if (coords === null) {
+            let res = await this.fetchResults();
+            coords = { x: res.x, y: res.y };
+        }
+        return new TsneState(index, { ...this.#parameters }, coords);
+    }
+
     /***************************
      ******** Getters **********
      ***************************/
@@ -103,7 +135,7 @@ export class TsneState {
      ******** Compute **********
      ***************************/
 
-    #core(perplexity, iterations, animate, reneighbor) {
+    #core(perplexity, iterations, animate, reneighbor, signal = null) {
         var nn_out = null;
         if (reneighbor) {
             var k = scran.perplexityToNeighbors(perplexity);
@@ -116,12 +148,20 @@ export class TsneState {
             "animate": animate
         };
 
+        if (this.#worker_id === null) {
+            this.#startWorker();
+        }
+
         // This returns a promise but the message itself is sent synchronously,
         // which is important to ensure that the t-SNE runs in its worker in
         // parallel with other analysis steps. Do NOT put the runWithNeighbors
         // call in a .then() as this may defer the message sending until 
         // the current thread is completely done processing.
-        this.#run = vizutils.runWithNeighbors(this.#worker_id, args, nn_out);
+        this.#run = vizutils.runWithNeighbors(this.#worker_id, args, nn_out, { signal }).catch(e => {
+            // Forcing a full rerun (including the neighbors) on the next call to compute().
+            this.#parameters = {};
+            throw e;
+        });
         return;
     }
 
@@ -138,6 +178,18 @@ export class TsneState {
         };
     }
 
+    /**
+     * @return {object} Object describing the type and allowed values of each parameter in {@linkcode TsneState.defaults defaults},
+     * see {@linkcode validateParameters} for details.
+     */
+    static schema() {
+        return {
+            perplexity: { type: "number", min: 0 },
+            iterations: { type: "number", integer: true, min: 0 },
+            animate: { type: "boolean" }
+        };
+    }
+
     /**
      * This method should not be called directly by users, but is instead invoked by {@linkcode runAnalysis}.
      *
@@ -145,11 +197,14 @@ export class TsneState {
      * @param {number} [parameters.perplexity] - Number specifying the perplexity for the probability calculations.
      * @param {number} [parameters.iterations] - Number of iterations to run the algorithm.
      * @param {boolean} [parameters.animate] - Whether to process animation iterations, see {@linkcode setVisualizationAnimate} for details.
+     * @param {object} [options] - Optional parameters.
+     * @param {?AbortSignal} [options.signal=null] - Signal to cancel the calculations on the worker thread.
+     * If aborted, the returned promise is rejected with an `AbortError`.
      *
      * @return t-SNE coordinates are computed in parallel on a separate worker thread.
      * A promise is returned that resolves when those calculations are complete.
      */
-    compute(parameters) {
+    compute(parameters, { signal = null } = {}) {
         parameters = utils.defaultizeParameters(parameters, TsneState.defaults());
 
         let same_neighbors = (!this.#index.changed && parameters.perplexity === this.#parameters.perplexity);
@@ -165,7 +220,7 @@ export class TsneState {
             this.#reloaded = null;
         }
 
-        this.#core(parameters.perplexity, parameters.iterations, parameters.animate, !same_neighbors);
+        this.#core(parameters.perplexity, parameters.iterations, parameters.animate, !same_neighbors, signal);
 
         this.#parameters = parameters;
         this.changed = true;
@@ -201,4 +256,32 @@ export class TsneState {
             return vizutils.sendTask(this.#worker_id, { "cmd": "RERUN" });
         }
     }
+
+    /*************************
+     ******** Saving *********
+     *************************/
+
+    async serialize(handle) {
+        let ghandle = handle.createGroup(step_name);
+        let phandle = ghandle.createGroup("parameters");
+        reloaded.writeParameters(phandle, this.fetchParameters());
+
+        let rhandle = ghandle.createGroup("results");
+        let res = await this.fetchResults({ copy: false });
+        reloaded.writeArray(rhandle, "x", "Float64", res.x);
+        reloaded.writeArray(rhandle, "y", "Float64", res.y);
+    }
+}
+
+export function unserialize(handle) {
+    let ghandle = handle.open(step_name);
+    let parameters = reloaded.readParameters(ghandle.open("parameters"));
+
+    let rhandle = ghandle.open("results");
+    let coords = {
+        x: reloaded.readArray(rhandle, "x"),
+        y: reloaded.readArray(rhandle, "y")
+    };
+
+    return [parameters, coords];
 }
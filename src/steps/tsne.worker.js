@@ -9,13 +9,16 @@ var init_parameters = {};
 var run_parameters = {};
 var dead = false;
 
-function rerun(animate, iterations) {
+async function rerun(id, animate, iterations) {
     var num_obs = cache.init.numberOfCells(); 
     var delay = vizutils.chooseDelay(animate);
     var current_status = cache.init.clone();
 
     try {
         for (; current_status.iterations() < iterations; ) {
+            if (vizutils.isCancelled(id)) {
+                return false;
+            }
             current_status.run({ runTime: delay, maxIterations: iterations }); 
   
             if (animate) {
@@ -27,8 +30,11 @@ function rerun(animate, iterations) {
                     "iteration": current_status.iterations()
                 }, [xy.x.buffer, xy.y.buffer]);
             }
+
+            await vizutils.yieldToMessages(); // allow cancellation requests to be processed.
         }
         cache.final = current_status.extractCoordinates();
+        return true;
 
     } finally {
         current_status.free();
@@ -36,8 +42,15 @@ function rerun(animate, iterations) {
 }
 
 var loaded;
+var queue;
 aworkers.registerCallback(msg => {
     var id = msg.data.id;
+    if (msg.data.cmd == "CANCEL") {
+        // No response is sent, the cancelled task will respond instead.
+        vizutils.cancelTask(msg.data.target);
+        return;
+    }
+
     if (dead) {
         aworkers.sendMessage({
             "id": id,
@@ -49,6 +62,7 @@ aworkers.registerCallback(msg => {
 
     if (msg.data.cmd == "INIT") {
         loaded = scran.initialize(msg.data.scranOptions); 
+        queue = loaded;
         loaded
             .then(x => {
                 aworkers.sendMessage({
@@ -66,8 +80,8 @@ aworkers.registerCallback(msg => {
             });
   
     } else if (msg.data.cmd == "RUN") {
-        loaded
-            .then(x => {
+        queue = queue
+            .then(async x => {
                 var new_neighbors;
                 if ("neighbors" in msg.data) {
                     utils.freeCache(cache.neighbors);
@@ -89,16 +103,26 @@ aworkers.registerCallback(msg => {
 
                 // Nothing downstream depends on the run results, so we don't set any changed flag.
                 var run_args = { "iterations": msg.data.params.iterations };
+                var completed = true;
                 if (init_changed || utils.changedParameters(run_args, run_parameters)) {
-                    rerun(msg.data.params.animate, run_args.iterations);
-                    run_parameters = run_args;
+                    completed = await rerun(id, msg.data.params.animate, run_args.iterations);
+                    if (completed) {
+                        run_parameters = run_args;
+                    } else {
+                        init_parameters = {}; // forcing a rerun in the next RUN.
+                    }
+                }
+                vizutils.finishTask(id);
+
+                if (completed) {
+                    aworkers.sendMessage({
+                        "id": id,
+                        "type": "tsne_run",
+                        "data": { "status": "SUCCESS" }
+                    });
+                } else {
+                    aworkers.sendMessage({ "id": id, "type": "cancelled" });
                 }
-          
-                aworkers.sendMessage({
-                    "id": id,
-                    "type": "tsne_run",
-                    "data": { "status": "SUCCESS" }
-                });
             })
             .catch(error => {
                 aworkers.sendMessage({ 
@@ -109,14 +133,20 @@ aworkers.registerCallback(msg => {
             });
   
     } else if (msg.data.cmd == "RERUN") {
-        loaded
-            .then(x => {
-                rerun(true, run_parameters.iterations);
-                aworkers.sendMessage({
-                    "id": id,
-                    "type": "tsne_rerun",
-                    "data": { "status": "SUCCESS" }
-                });
+        queue = queue
+            .then(async x => {
+                let completed = await rerun(id, true, run_parameters.iterations);
+                vizutils.finishTask(id);
+
+                if (completed) {
+                    aworkers.sendMessage({
+                        "id": id,
+                        "type": "tsne_rerun",
+                        "data": { "status": "SUCCESS" }
+                    });
+                } else {
+                    aworkers.sendMessage({ "id": id, "type": "cancelled" });
+                }
             })
             .catch(error => {
                 aworkers.sendMessage({ 
@@ -127,7 +157,7 @@ aworkers.registerCallback(msg => {
             });
 
     } else if (msg.data.cmd == "FETCH") {
-        loaded
+        queue = queue
             .then(x => {
                 var info = {
                     "x": cache.final.x.slice(),
@@ -151,7 +181,7 @@ aworkers.registerCallback(msg => {
 
     } else if (msg.data.cmd == "KILL") {
         dead = true;
-        loaded
+        queue = queue
             .then(x => {
                 scran.terminate();
                 aworkers.sendMessage({
@@ -1,6 +1,7 @@
 import * as scran from "scran.js";
 import * as vizutils from "./utils/viz_parent.js";
 import * as utils from "./utils/general.js";
+import * as reloaded from "./utils/reloaded.js";
 import * as neighbor_module from "./neighbor_index.js";
 import * as aworkers from "./abstract/worker_parent.js";
 
@@ -34,24 +35,55 @@ export class UmapState {
         this.#reloaded = reloaded;
         this.changed = false;
 
+        // Reloaded states only need a worker if the coordinates are recomputed.
+        this.#worker_id = null;
+        this.#ready = null;
+        if (reloaded === null) {
+            this.#startWorker();
+        }
+
+        this.#run = null;
+    }
+
+    #startWorker() {
         let worker = aworkers.createUmapWorker();
         let { worker_id, ready } = vizutils.initializeWorker(worker, vizutils.scranOptions);
         this.#worker_id = worker_id;
         this.#ready = ready;
-
-        this.#run = null;
     }
 
     ready() {
         // It is assumed that the caller will await the ready()
         // status before calling any other methods of this instance.
+        if (this.#ready === null) {
+            return Promise.resolve(null);
+        }
         return this.#ready;
     }
 
     free() {
+        if (this.#worker_id === null) {
+            return null;
+        }
         return vizutils.killWorker(this.#worker_id);
     }
 
+    // Used by forkAnalysis() in analysis.js. The fork is treated like a
+    // reloaded state with the current coordinates, so that it only starts its
+    // own worker if it needs to recompute them. Reloaded coordinates are never
+    // modified in place and can be shared directly.
+    async _fork(index) {
+        if (Object.keys(this.#parameters).length == 0) {
+            return new UmapState(index);
+        }
+        let coords = this.#reloaded;
+        if (coords === null) {
+            let res = await this.fetchResults();
+            coords = { x: res.x, y: res.y };
+        }
+        return new UmapState(index, { ...this.#parameters }, coords);
+    }
+
     /***************************
      ******** Getters **********
      ***************************/
@@ -115,7 +147,20 @@ export class UmapState {
         };
     }
 
-    #core(num_neighbors, num_epochs, min_dist, animate, reneighbor) {
+    /**
+     * @return {object} Object describing the type and allowed values of each parameter in {@linkcode UmapState.defaults defaults},
+     * see {@linkcode validateParameters} for details.
+     */
+    static schema() {
+        return {
+            num_neighbors: { type: "number", integer: true, min: 1 },
+            num_epochs: { type: "number", integer: true, min: 0 },
+            min_dist: { type: "number", min: 0 },
+            animate: { type: "boolean" }
+        };
+    }
+
+    #core(num_neighbors, num_epochs, min_dist, animate, reneighbor, signal = null) {
         var nn_out = null;
         if (reneighbor) {
             nn_out = vizutils.computeNeighbors(this.#index, num_neighbors);
@@ -128,12 +173,20 @@ export class UmapState {
             "animate": animate
         };
 
+        if (this.#worker_id === null) {
+            this.#startWorker();
+        }
+
         // This returns a promise but the message itself is sent synchronously,
         // which is important to ensure that the UMAP runs in its worker in
         // parallel with other analysis steps. Do NOT put the runWithNeighbors
         // call in a .then() as this may defer the message sending until 
         // the current thread is completely done processing.
-        this.#run = vizutils.runWithNeighbors(this.#worker_id, args, nn_out);
+        this.#run = vizutils.runWithNeighbors(this.#worker_id, args, nn_out, { signal }).catch(e => {
+            // Forcing a full rerun (including the neighbors) on the next call to compute().
+            this.#parameters = {};
+            throw e;
+        });
         return;
     }
 
@@ -145,11 +198,14 @@ export class UmapState {
      * @param {number} [parameters.num_epochs] - Number of epochs to run the algorithm.
      * @param {number} [parameters.min_dist] - Number specifying the minimum distance between points.
      * @param {boolean} [parameters.animate] - Whether to process animation iterations, see {@linkcode setVisualizationAnimate} for details.
+     * @param {object} [options] - Optional parameters.
+     * @param {?AbortSignal} [options.signal=null] - Signal to cancel the calculations on the worker thread.
+     * If aborted, the returned promise is rejected with an `AbortError`.
      *
      * @return UMAP coordinates are computed in parallel on a separate worker thread.
      * A promise that resolves when the calculations are complete.
      */
-    compute(parameters) {
+    compute(parameters, { signal = null } = {}) {
         parameters = utils.defaultizeParameters(parameters, UmapState.defaults());
 
         let same_neighbors = (!this.#index.changed && parameters.num_neighbors === this.#parameters.num_neighbors);
@@ -165,7 +221,7 @@ export class UmapState {
             this.#reloaded = null;
         }
 
-        this.#core(parameters.num_neighbors, parameters.num_epochs, parameters.min_dist, parameters.animate, !same_neighbors);
+        this.#core(parameters.num_neighbors, parameters.num_epochs, parameters.min_dist, parameters.animate, !same_neighbors, signal);
 
         this.#parameters = parameters;
         this.changed = true;
@@ -201,4 +257,32 @@ export class UmapState {
             return vizutils.sendTask(this.#worker_id, { "cmd": "RERUN" });
         }
     }
+
+    /*************************
+     ******** Saving *********
+     *************************/
+
+    async serialize(handle) {
+        let ghandle = handle.createGroup(step_name);
+        let phandle = ghandle.createGroup("parameters");
+        reloaded.writeParameters(phandle, this.fetchParameters());
+
+        let rhandle = ghandle.createGroup("results");
+        let res = await this.fetchResults({ copy: false });
+        reloaded.writeArray(rhandle, "x", "Float64", res.x);
+        reloaded.writeArray(rhandle, "y", "Float64", res.y);
+    }
+}
+
+export function unserialize(handle) {
+    let ghandle = handle.open(step_name);
+    let parameters = reloaded.readParameters(ghandle.open("parameters"));
+
+    let rhandle = ghandle.open("results");
+    let coords = {
+        x: reloaded.readArray(rhandle, "x"),
+        y: reloaded.readArray(rhandle, "y")
+    };
+
+    return [parameters, coords];
 }
@@ -9,13 +9,16 @@ var init_parameters = {};
 var run_parameters = {};
 var dead = false;
 
-function rerun(animate) {
+async function rerun(id, animate) {
     var delay = vizutils.chooseDelay(animate);
     var current_status = cache.init.clone();
 
     try {
         cache.total = current_status.totalEpochs();
         for (; current_status.currentEpoch() < cache.total; ) {
+            if (vizutils.isCancelled(id)) {
+                return false;
+            }
             current_status.run({ runTime: delay });
 
             if (animate) {
@@ -27,16 +30,26 @@ function rerun(animate) {
                     "iteration": current_status.currentEpoch()
                 }, [xy.x.buffer, xy.y.buffer]);
             }
+
+            await vizutils.yieldToMessages(); // allow cancellation requests to be processed.
         }
         cache.final = current_status.extractCoordinates();
+        return true;
     } finally {
         current_status.free();
     }
 }
 
 var loaded;
+var queue;
 aworkers.registerCallback(msg => {
     var id = msg.data.id;
+    if (msg.data.cmd == "CANCEL") {
+        // No response is sent, the cancelled task will respond instead.
+        vizutils.cancelTask(msg.data.target);
+        return;
+    }
+
     if (dead) {
         aworkers.sendMessage({
             "id": id,
@@ -48,6 +61,7 @@ aworkers.registerCallback(msg => {
 
     if (msg.data.cmd == "INIT") {
         loaded = scran.initialize(msg.data.scranOptions);
+        queue = loaded;
         loaded
             .then(x => {
                 aworkers.sendMessage({
@@ -65,8 +79,8 @@ aworkers.registerCallback(msg => {
             });
 
     } else if (msg.data.cmd == "RUN") {
-        loaded
-            .then(x => {
+        queue = queue
+            .then(async x => {
                 var new_neighbors;
                 if ("neighbors" in msg.data) {
                     utils.freeCache(cache.neighbors);
@@ -88,16 +102,26 @@ aworkers.registerCallback(msg => {
         
                 // Nothing downstream depends on the run results, so we don't set any changed flag.
                 var run_args = {};
+                var completed = true;
                 if (init_changed || utils.changedParameters(run_args, run_parameters)) {
-                    rerun(msg.data.params.animate);
-                    run_parameters = run_args;
+                    completed = await rerun(id, msg.data.params.animate);
+                    if (completed) {
+                        run_parameters = run_args;
+                    } else {
+                        init_parameters = {}; // forcing a rerun in the next RUN.
+                    }
+                }
+                vizutils.finishTask(id);
+
+                if (completed) {
+                    aworkers.sendMessage({
+                        "id": id,
+                        "type": "umap_run",
+                        "data": { "status": "SUCCESS" }
+                    });
+                } else {
+                    aworkers.sendMessage({ "id": id, "type": "cancelled" });
                 }
-        
-                aworkers.sendMessage({
-                    "id": id,
-                    "type": "umap_run",
-                    "data": { "status": "SUCCESS" }
-                });
             })
             .catch(error => {
                 aworkers.sendMessage({ 
@@ -108,14 +132,20 @@ aworkers.registerCallback(msg => {
             });
     
     } else if (msg.data.cmd == "RERUN") {
-        loaded
-            .then(x => {
-                rerun(true);
-                aworkers.sendMessage({
-                    "id": id,
-                    "type": "umap_rerun",
-                    "data": { "status": "SUCCESS" }
-                });
+        queue = queue
+            .then(async x => {
+                let completed = await rerun(id, true);
+                vizutils.finishTask(id);
+
+                if (completed) {
+                    aworkers.sendMessage({
+                        "id": id,
+                        "type": "umap_rerun",
+                        "data": { "status": "SUCCESS" }
+                    });
+                } else {
+                    aworkers.sendMessage({ "id": id, "type": "cancelled" });
+                }
             })
             .catch(error => {
                 aworkers.sendMessage({
@@ -126,7 +156,7 @@ aworkers.registerCallback(msg => {
             });
           
     } else if (msg.data.cmd == "FETCH") {
-        loaded
+        queue = queue
             .then(x => {
                 var info = {
                     "x": cache.final.x.slice(),
@@ -150,7 +180,7 @@ aworkers.registerCallback(msg => {
 
     } else if (msg.data.cmd == "KILL") {
         dead = true;
-        loaded
+        queue = queue
             .then(x => {
                 scran.terminate();
                 aworkers.sendMessage({
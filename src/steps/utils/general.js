@@ -1,11 +1,65 @@
 import * as scran from "scran.js";
 
+// Number of additional states holding each cached object, for objects that
+// are shared between states by forkAnalysis(). Shared objects are only freed
+// by freeCache() once they have been released by all of their holders.
+const shared = new WeakMap;
+
 export function freeCache(object) {
-    // Just an alias for back-compatibility.
+    if (object !== null && object !== undefined && shared.has(object)) {
+        let count = shared.get(object);
+        if (count == 1) {
+            shared.delete(object);
+        } else {
+            shared.set(object, count - 1);
+        }
+        return;
+    }
     scran.free(object);
     return;
 }
 
+export function isShared(object) {
+    return shared.has(object);
+}
+
+// Copies the plain objects and arrays in a cache, while the Wasm-allocated
+// objects are shared with the copy. This assumes that cached objects are
+// never modified in place, other than the buffers from allocateCachedArray().
+export function shareCache(cache) {
+    if (cache instanceof Array) {
+        return cache.map(shareCache);
+    }
+
+    if (cache !== null && typeof cache == "object") {
+        if (Object.getPrototypeOf(cache) === Object.prototype) {
+            let output = {};
+            for (const [k, v] of Object.entries(cache)) {
+                output[k] = shareCache(v);
+            }
+            return output;
+        }
+
+        if (typeof cache.free == "function") {
+            shared.set(cache, (shared.has(cache) ? shared.get(cache) : 0) + 1);
+        }
+    }
+
+    return cache;
+}
+
+export function abortError() {
+    let err = new Error("analysis was aborted");
+    err.name = "AbortError";
+    return err;
+}
+
+export function checkAbort(signal) {
+    if (signal !== null && signal.aborted) {
+        throw abortError();
+    }
+}
+
 export function defaultizeParameters(parameters, defaults, extra = []) {
     let output = defaults;
     for (const [name, val] of Object.entries(parameters)) {
@@ -105,9 +159,10 @@ export function allocateCachedArray(size, type, cache, name = "buffer") {
 
         // Views also trigger reallocation, because it is assumed that the
         // caller of this function does not own the view, but downstream
-        // uses of the array will involve writing to it.
-        if (candidate.size != size || candidate.constructor.className != type || candidate.owner !== null) { 
-            candidate.free();
+        // uses of the array will involve writing to it. The same applies to
+        // arrays that are shared with other states.
+        if (candidate.size != size || candidate.constructor.className != type || candidate.owner !== null || shared.has(candidate)) { 
+            freeCache(candidate);
         } else {
             reallocate = false;
         }
@@ -1,5 +1,6 @@
 import * as scran from "scran.js";
 import * as wa from "wasmarrays.js";
+import * as utils from "./general.js";
 
 // SOFT-DEPRECATED BEGIN.
 export const summaries2int = { "min": 0, "mean": 1, "min_rank": 4 };
@@ -147,7 +148,7 @@ export function freeVersusResults(cache) {
         for (const v of Object.values(cache)) {
             for (const v2 of Object.values(v)) {
                 for (const m of Object.values(v2)) {
-                    scran.free(m);
+                    utils.freeCache(m);
                 }
             }
         }
@@ -0,0 +1,123 @@
+import * as scran from "scran.js";
+
+// All sizes reported here are rough estimates in bytes, computed from the
+// dimensions of each object as scran.js does not report its allocations.
+
+export function usage(wasm, js = 0, evictable = false) {
+    return { wasm, js, evictable };
+}
+
+export function wasmArrayBytes(x) {
+    // Views don't own their allocation, so they don't contribute anything.
+    if (x === null || x === undefined || x.owner !== null) {
+        return 0;
+    }
+    return x.byteLength;
+}
+
+export function typedArrayBytes(x) {
+    if (x === null || x === undefined) {
+        return 0;
+    }
+    return x.byteLength;
+}
+
+// Estimating the number of non-zero elements from a sample of columns, which
+// avoids a full pass over the matrix. This is exact for small matrices, and we
+// only do it once for each matrix; keys are weak to avoid holding onto freed matrices.
+const nonzeros = new WeakMap;
+const sampled_columns = 100;
+
+function estimate_nonzeros(mat) {
+    if (!nonzeros.has(mat)) {
+        let NC = mat.numberOfColumns();
+        let nsampled = Math.min(NC, sampled_columns);
+        let found = 0;
+
+        if (nsampled > 0) {
+            let buffer = scran.createFloat64WasmArray(mat.numberOfRows());
+            try {
+                for (var s = 0; s < nsampled; s++) {
+                    let col = mat.column(Math.floor(s * NC / nsampled), { buffer: buffer });
+                    for (const x of col) {
+                        if (x != 0) {
+                            found++;
+                        }
+                    }
+                }
+            } finally {
+                buffer.free();
+            }
+            found = Math.round(found / nsampled * NC);
+        }
+
+        nonzeros.set(mat, found);
+    }
+    return nonzeros.get(mat);
+}
+
+export function matrixBytes(mat) {
+    let NC = mat.numberOfColumns();
+    if (mat.isSparse()) {
+        // Assuming 8 bytes for the value and index of each non-zero element, plus the column pointers.
+        return estimate_nonzeros(mat) * 8 + (NC + 1) * 8;
+    } else {
+        return mat.numberOfRows() * NC * 8;
+    }
+}
+
+export function multiMatrixBytes(mats) {
+    let total = 0;
+    for (const k of mats.available()) {
+        total += matrixBytes(mats.get(k));
+    }
+    return total;
+}
+
+export function numberOfFeatures(mats) {
+    let output = {};
+    for (const k of mats.available()) {
+        output[k] = mats.get(k).numberOfRows();
+    }
+    return output;
+}
+
+export function pcaBytes(pcs) {
+    // Ignoring the rotation matrix as this is not available for reloaded results.
+    let npcs = pcs.numberOfPCs();
+    return (pcs.numberOfCells() + 1) * npcs * 8;
+}
+
+export function neighborIndexBytes(index) {
+    // Assuming that the index holds a copy of the coordinates along with a few pointers for each cell.
+    let ncells = index.numberOfCells();
+    return ncells * index.numberOfDims() * 8 + ncells * 16;
+}
+
+export function markerBytes(results, ngenes, compute_auc) {
+    // Means and detected proportions for each group, plus the min, mean and
+    // min-rank summaries of each effect size. Each value is a double.
+    let neffects = (compute_auc ? 4 : 3);
+    return results.numberOfGroups() * ngenes * (2 + neffects * 3) * 8;
+}
+
+// 'ngenes' should be an object containing the number of genes for each modality, see numberOfFeatures().
+export function resultBytes(results, ngenes, compute_auc) {
+    let total = 0;
+    for (const [m, res] of Object.entries(results)) {
+        total += markerBytes(res, ngenes[m], compute_auc);
+    }
+    return total;
+}
+
+export function versusBytes(cache, ngenes, compute_auc) {
+    let total = 0;
+    if (cache) {
+        for (const v of Object.values(cache)) {
+            for (const v2 of Object.values(v)) {
+                total += resultBytes(v2, ngenes, compute_auc);
+            }
+        }
+    }
+    return total;
+}
@@ -0,0 +1,6 @@
+// Custom steps registered by applications via registerStep(), in order of
+// registration. Each value is an object containing the State class, the
+// names of its upstream steps and its rough cost for planAnalysis().
+// As each step must be registered after its upstream steps, the
+// registration order is also a valid order in which to run the steps.
+export const steps = new Map;
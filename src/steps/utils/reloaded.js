@@ -0,0 +1,457 @@
+import * as scran from "scran.js";
+import * as wa from "wasmarrays.js";
+
+/**************************************
+ ******** HDF5 helper functions *******
+ **************************************/
+
+export function writeArray(handle, name, type, x) {
+    // Always copying out of the Wasm heap, as the write itself might allocate and invalidate any views.
+    if (x instanceof wa.WasmArray) {
+        x = x.slice();
+    }
+    handle.writeDataSet(name, type, null, x);
+}
+
+export function readArray(handle, name) {
+    return handle.open(name, { load: true }).values;
+}
+
+export function readWasmArray(handle, name, type) {
+    let values = readArray(handle, name);
+    let output = scran["create" + type + "WasmArray"](values.length);
+    output.set(values);
+    return output;
+}
+
+export function writeNumber(handle, name, x) {
+    handle.writeDataSet(name, "Float64", [], x);
+}
+
+export function readNumber(handle, name) {
+    return readArray(handle, name)[0];
+}
+
+export function writeString(handle, name, x) {
+    handle.writeDataSet(name, "String", [], [x]);
+}
+
+export function readString(handle, name) {
+    return readArray(handle, name)[0];
+}
+
+export function writeArrayList(handle, name, type, arrays) {
+    let ghandle = handle.createGroup(name);
+    arrays.forEach((x, i) => writeArray(ghandle, String(i), type, x));
+}
+
+export function readArrayList(handle, name) {
+    let ghandle = handle.open(name);
+    let output = [];
+    for (var i = 0; i < Object.keys(ghandle.children).length; i++) {
+        output.push(readArray(ghandle, String(i)));
+    }
+    return output;
+}
+
+export function writeParameters(handle, parameters) {
+    // Storing each parameter as JSON, as they may be arbitrarily nested.
+    for (const [k, v] of Object.entries(parameters)) {
+        if (typeof v !== "undefined") {
+            writeString(handle, k, JSON.stringify(v));
+        }
+    }
+}
+
+export function readParameters(handle) {
+    let output = {};
+    for (const k of Object.keys(handle.children)) {
+        output[k] = JSON.parse(readString(handle, k));
+    }
+    return output;
+}
+
+/**************************************
+ ******** Stand-in result classes *****
+ **************************************/
+
+// These mimic the getters of the scran.js result classes for steps that
+// are reloaded from a snapshot, as the scran.js classes cannot be
+// constructed from existing arrays. Arrays that are viewed by downstream
+// steps are stored as WasmArrays; all others are ordinary TypedArrays.
+
+function possible_copy(x, copy) {
+    if (x instanceof wa.WasmArray) {
+        if (copy === "view") {
+            return x.view();
+        } else if (copy) {
+            return x.slice();
+        } else {
+            return x.array();
+        }
+    }
+
+    if (copy === "view") {
+        throw new Error("cannot use copy = \"view\" for results reloaded from a snapshot");
+    } else if (copy) {
+        return x.slice();
+    } else {
+        return x;
+    }
+}
+
+function free_arrays(arrays) {
+    for (const v of Object.values(arrays)) {
+        if (v instanceof wa.WasmArray) {
+            v.free();
+        }
+    }
+}
+
+export class ReloadedRnaQcMetricsResults {
+    #sum;
+    #detected;
+    #subsets;
+
+    constructor(sum, detected, subsets) {
+        this.#sum = sum;
+        this.#detected = detected;
+        this.#subsets = subsets;
+    }
+
+    sum({ copy = true } = {}) {
+        return possible_copy(this.#sum, copy);
+    }
+
+    detected({ copy = true } = {}) {
+        return possible_copy(this.#detected, copy);
+    }
+
+    subsetProportion(i, { copy = true } = {}) {
+        return possible_copy(this.#subsets[i], copy);
+    }
+
+    numberOfSubsets() {
+        return this.#subsets.length;
+    }
+
+    numberOfCells() {
+        return this.#sum.length;
+    }
+
+    free() {}
+}
+
+export class ReloadedAdtQcMetricsResults {
+    #sum;
+    #detected;
+    #subsets;
+
+    constructor(sum, detected, subsets) {
+        this.#sum = sum;
+        this.#detected = detected;
+        this.#subsets = subsets;
+    }
+
+    sum({ copy = true } = {}) {
+        return possible_copy(this.#sum, copy);
+    }
+
+    detected({ copy = true } = {}) {
+        return possible_copy(this.#detected, copy);
+    }
+
+    subsetSum(i, { copy = true } = {}) {
+        return possible_copy(this.#subsets[i], copy);
+    }
+
+    numberOfSubsets() {
+        return this.#subsets.length;
+    }
+
+    numberOfCells() {
+        return this.#sum.length;
+    }
+
+    free() {}
+}
+
+export class ReloadedCrisprQcMetricsResults {
+    #sum;
+    #detected;
+    #max_value;
+    #max_index;
+
+    constructor(sum, detected, max_value, max_index) {
+        this.#sum = sum;
+        this.#detected = detected;
+        this.#max_value = max_value;
+        this.#max_index = max_index;
+    }
+
+    sum({ copy = true } = {}) {
+        return possible_copy(this.#sum, copy);
+    }
+
+    detected({ copy = true } = {}) {
+        return possible_copy(this.#detected, copy);
+    }
+
+    maxValue({ copy = true } = {}) {
+        return possible_copy(this.#max_value, copy);
+    }
+
+    maxProportion() {
+        let out = this.#max_value.slice();
+        out.forEach((x, i) => { out[i] /= this.#sum[i] });
+        return out;
+    }
+
+    maxIndex({ copy = true } = {}) {
+        return possible_copy(this.#max_index, copy);
+    }
+
+    numberOfCells() {
+        return this.#sum.length;
+    }
+
+    free() {}
+}
+
+export class ReloadedModelGeneVariancesResults {
+    #arrays;
+
+    constructor(means, variances, fitted, residuals) {
+        this.#arrays = { means, variances, fitted, residuals };
+    }
+
+    #fetch(name, block, copy) {
+        if (block !== null) {
+            throw new Error("per-block statistics are not available for results reloaded from a snapshot");
+        }
+        return possible_copy(this.#arrays[name], copy);
+    }
+
+    means({ block = null, copy = true } = {}) {
+        return this.#fetch("means", block, copy);
+    }
+
+    variances({ block = null, copy = true } = {}) {
+        return this.#fetch("variances", block, copy);
+    }
+
+    fitted({ block = null, copy = true } = {}) {
+        return this.#fetch("fitted", block, copy);
+    }
+
+    residuals({ block = null, copy = true } = {}) {
+        return this.#fetch("residuals", block, copy);
+    }
+
+    free() {}
+}
+
+export class ReloadedRunPcaResults {
+    #pcs;
+    #variance_explained;
+    #total_variance;
+    #num_pcs;
+
+    constructor(pcs, variance_explained, total_variance) {
+        this.#pcs = pcs;
+        this.#variance_explained = variance_explained;
+        this.#total_variance = total_variance;
+        this.#num_pcs = variance_explained.length;
+    }
+
+    principalComponents({ copy = true } = {}) {
+        return possible_copy(this.#pcs, copy);
+    }
+
+    varianceExplained({ copy = true } = {}) {
+        return possible_copy(this.#variance_explained, copy);
+    }
+
+    totalVariance() {
+        return this.#total_variance;
+    }
+
+    numberOfPCs() {
+        return this.#num_pcs;
+    }
+
+    numberOfCells() {
+        return this.#pcs.length / this.#num_pcs;
+    }
+
+    free() {
+        free_arrays([ this.#pcs ]);
+    }
+}
+
+export class ReloadedClusterKmeansResults {
+    #clusters;
+
+    constructor(clusters) {
+        this.#clusters = clusters;
+    }
+
+    clusters({ copy = true } = {}) {
+        return possible_copy(this.#clusters, copy);
+    }
+
+    numberOfCells() {
+        return this.#clusters.length;
+    }
+
+    numberOfClusters() {
+        let arr = this.#clusters.array();
+        return (arr.length ? arr.reduce((a, b) => Math.max(a, b)) + 1 : 0);
+    }
+
+    free() {
+        free_arrays([ this.#clusters ]);
+    }
+}
+
+export class ReloadedClusterGraphResults {
+    #membership;
+
+    constructor(membership) {
+        this.#membership = membership;
+    }
+
+    membership({ copy = true } = {}) {
+        return possible_copy(this.#membership, copy);
+    }
+
+    free() {
+        free_arrays([ this.#membership ]);
+    }
+}
+
+const marker_effects = { cohensD: "cohens_d", auc: "auc", deltaMean: "delta_mean", deltaDetected: "delta_detected" };
+const marker_summaries = [ "minimum", "mean", "min-rank" ];
+
+export class ReloadedScoreMarkersResults {
+    #num_groups;
+    #num_genes;
+    #mean;
+    #detected;
+    #effects;
+
+    constructor(num_groups, mean, detected, effects) {
+        this.#num_groups = num_groups;
+        this.#num_genes = mean.length / num_groups;
+        this.#mean = mean;
+        this.#detected = detected;
+        this.#effects = effects;
+    }
+
+    #slice(x, group, copy) {
+        if (group < 0 || group >= this.#num_groups) {
+            throw new Error("'group' should be non-negative and less than the number of groups");
+        }
+        // Views are not meaningful here as the statistics are not on the Wasm heap, so we just return the subarray.
+        return possible_copy(x.subarray(group * this.#num_genes, (group + 1) * this.#num_genes), copy === "view" ? false : copy);
+    }
+
+    #effect(name, group, summary, copy) {
+        if (!(name in this.#effects)) {
+            throw new Error("effect size '" + name + "' not available");
+        }
+        let current = this.#effects[name];
+        if (!(summary in current)) {
+            throw new Error("summary type '" + summary + "' not available");
+        }
+        return this.#slice(current[summary], group, copy);
+    }
+
+    numberOfGroups() {
+        return this.#num_groups;
+    }
+
+    mean(group, { copy = true } = {}) {
+        return this.#slice(this.#mean, group, copy);
+    }
+
+    detected(group, { copy = true } = {}) {
+        return this.#slice(this.#detected, group, copy);
+    }
+
+    cohensD(group, { summary = "mean", copy = true } = {}) {
+        return this.#effect(marker_effects.cohensD, group, summary, copy);
+    }
+
+    auc(group, { summary = "mean", copy = true } = {}) {
+        return this.#effect(marker_effects.auc, group, summary, copy);
+    }
+
+    deltaMean(group, { summary = "mean", copy = true } = {}) {
+        return this.#effect(marker_effects.deltaMean, group, summary, copy);
+    }
+
+    deltaDetected(group, { summary = "mean", copy = true } = {}) {
+        return this.#effect(marker_effects.deltaDetected, group, summary, copy);
+    }
+
+    free() {}
+}
+
+function concatenate_groups(num_groups, fun) {
+    let collected = [];
+    for (var g = 0; g < num_groups; g++) {
+        collected.push(fun(g));
+    }
+    // Preserving the type, as the min-rank is stored as integers.
+    let cls = (collected.length ? collected[0].constructor : Float64Array);
+    let output = new cls(collected.reduce((a, x) => a + x.length, 0));
+    let offset = 0;
+    for (const x of collected) {
+        output.set(x, offset);
+        offset += x.length;
+    }
+    return output;
+}
+
+export function writeMarkers(handle, name, results, compute_auc) {
+    let mhandle = handle.createGroup(name);
+    let num_groups = results.numberOfGroups();
+    writeNumber(mhandle, "num_groups", num_groups);
+    writeArray(mhandle, "mean", "Float64", concatenate_groups(num_groups, g => results.mean(g)));
+    writeArray(mhandle, "detected", "Float64", concatenate_groups(num_groups, g => results.detected(g)));
+
+    for (const [method, effect] of Object.entries(marker_effects)) {
+        if (effect == "auc" && !compute_auc) {
+            continue;
+        }
+        let ehandle = mhandle.createGroup(effect);
+        for (const s of marker_summaries) {
+            let combined = concatenate_groups(num_groups, g => results[method](g, { summary: s }));
+            writeArray(ehandle, s, (combined instanceof Int32Array ? "Int32" : "Float64"), combined);
+        }
+    }
+}
+
+export function readMarkers(handle, name) {
+    let mhandle = handle.open(name);
+    let effects = {};
+    for (const effect of Object.values(marker_effects)) {
+        if (!(effect in mhandle.children)) {
+            continue;
+        }
+        let ehandle = mhandle.open(effect);
+        let current = {};
+        for (const s of marker_summaries) {
+            current[s] = readArray(ehandle, s);
+        }
+        effects[effect] = current;
+    }
+
+    return new ReloadedScoreMarkersResults(
+        readNumber(mhandle, "num_groups"),
+        readArray(mhandle, "mean"),
+        readArray(mhandle, "detected"),
+        effects
+    );
+}
@@ -0,0 +1,104 @@
+// Each schema is an object where each key is a parameter name and each value is a specification containing:
+//
+// - type: string or array of strings specifying the allowed types,
+//   i.e., "boolean", "number", "string", "array" or "object".
+// - nullable: whether the parameter can be null.
+// - values: array of allowed values for a string.
+// - min, max: inclusive bounds for a number.
+// - integer: whether a number must be an integer.
+// - items: type of each element of an array.
+// - fields: schema for the properties of an object.
+//   All properties are required unless their specification has optional = true.
+// - nonEmptyWhen: object of conditions on other parameters of the same step,
+//   under which an array must be non-empty.
+
+function describe_type(x) {
+    if (x === null) {
+        return "null";
+    } else if (Array.isArray(x)) {
+        return "array";
+    } else if (typeof x == "number" && Number.isNaN(x)) {
+        return "NaN";
+    }
+    return typeof x;
+}
+
+function check_value(path, spec, value, problems) {
+    if (value === null) {
+        if (!spec.nullable) {
+            problems.push({ path, message: "should not be null" });
+        }
+        return;
+    }
+
+    let actual = describe_type(value);
+    let allowed = (Array.isArray(spec.type) ? spec.type : [spec.type]);
+    if (allowed.indexOf(actual) < 0) {
+        problems.push({ path, message: "should be of type " + allowed.join(" or ") + (spec.nullable ? " (or null)" : "") + ", not " + actual });
+        return;
+    }
+
+    if ("values" in spec && spec.values.indexOf(value) < 0) {
+        problems.push({ path, message: "should be one of " + spec.values.map(x => "'" + x + "'").join(", ") + ", not '" + String(value) + "'" });
+    }
+
+    if (actual == "number") {
+        if (spec.integer && !Number.isInteger(value)) {
+            problems.push({ path, message: "should be an integer, not " + String(value) });
+        }
+        if ("min" in spec && value < spec.min) {
+            problems.push({ path, message: "should be no less than " + String(spec.min) + ", not " + String(value) });
+        }
+        if ("max" in spec && value > spec.max) {
+            problems.push({ path, message: "should be no greater than " + String(spec.max) + ", not " + String(value) });
+        }
+    }
+
+    if (actual == "array" && "items" in spec) {
+        value.forEach((x, i) => {
+            let observed = describe_type(x);
+            if (observed != spec.items) {
+                problems.push({ path: path + "[" + String(i) + "]", message: "should be of type " + spec.items + ", not " + observed });
+            }
+        });
+    }
+
+    if (actual == "object" && "fields" in spec) {
+        checkParameters(path, spec.fields, value, problems, { required: true });
+    }
+}
+
+export function checkParameters(prefix, schema, parameters, problems, { required = false } = {}) {
+    for (const [k, v] of Object.entries(parameters)) {
+        let path = prefix + "." + k;
+        if (!(k in schema)) {
+            problems.push({ path, message: "unknown parameter" });
+            continue;
+        }
+        check_value(path, schema[k], v, problems);
+    }
+
+    for (const [k, spec] of Object.entries(schema)) {
+        if (required && !spec.optional && !(k in parameters)) {
+            problems.push({ path: prefix + "." + k, message: "is required" });
+        }
+
+        if ("nonEmptyWhen" in spec && k in parameters && Array.isArray(parameters[k]) && parameters[k].length == 0) {
+            let conditions = Object.entries(spec.nonEmptyWhen);
+            if (conditions.every(([ck, cv]) => parameters[ck] === cv)) {
+                problems.push({
+                    path: prefix + "." + k,
+                    message: "should not be empty when " + conditions.map(([ck, cv]) => ck + " = " + JSON.stringify(cv)).join(" and ")
+                });
+            }
+        }
+    }
+
+    return problems;
+}
+
+export function assertValidParameters(problems) {
+    if (problems.length) {
+        throw new Error("invalid analysis parameters:\n" + problems.map(x => "- '" + x.path + "' " + x.message).join("\n"));
+    }
+}
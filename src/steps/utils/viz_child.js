@@ -7,10 +7,35 @@ export function chooseDelay(animate) {
         // options would be 1x, 2x, 3x
         return 75;
     } else {
-        return 1000000; // effectively no delay.
+        // Still running in chunks so that cancellation requests can be processed.
+        return 200;
     }
 };
 
+// Tasks are processed in the order of their IDs, so we can ignore
+// cancellation requests for tasks that have already finished.
+const cancelled = new Set;
+var last_finished = -1;
+
+export function cancelTask(id) {
+    if (id > last_finished) {
+        cancelled.add(id);
+    }
+}
+
+export function isCancelled(id) {
+    return cancelled.has(id);
+}
+
+export function finishTask(id) {
+    cancelled.delete(id);
+    last_finished = Math.max(last_finished, id);
+}
+
+export function yieldToMessages() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
 export function recreateNeighbors(neighbors) {
     var output = null;
     var rbuf = null;
@@ -70,14 +70,17 @@ function message_type(info) {
 }
 
 function handle_message(functions, info) {
-    if (message_type(info) == "error") {
+    let type = message_type(info);
+    if (type == "error") {
         functions.reject(info.error);
+    } else if (type == "cancelled") {
+        functions.reject(utils.abortError());
     } else {
         functions.resolve(info.data);
     }
 }
 
-export function sendTask(worker_id, payload, transferrable = []) {
+export function sendTask(worker_id, payload, transferrable = [], { signal = null } = {}) {
     let worker = worker_registry[worker_id];
     let cache = worker_cache_registry[worker_id];
 
@@ -100,6 +103,18 @@ export function sendTask(worker_id, payload, transferrable = []) {
     cache.counter++;
     payload.id = i;
     aworkers.sendMessage(worker, payload, transferrable);
+
+    if (signal !== null) {
+        // The worker responds to the original task once it notices the cancellation.
+        let cancel = () => aworkers.sendMessage(worker, { "cmd": "CANCEL", "target": i }, []);
+        if (signal.aborted) {
+            cancel();
+        } else {
+            signal.addEventListener("abort", cancel);
+            p = p.finally(() => signal.removeEventListener("abort", cancel));
+        }
+    }
+
     return p;
 }
 
@@ -154,7 +169,7 @@ export function killAllWorkers() {
     return Promise.all(p).then(x => null);
 }
 
-export function runWithNeighbors(worker_id, args, nn_out) {
+export function runWithNeighbors(worker_id, args, nn_out, { signal = null } = {}) {
     var run_msg = {
         "cmd": "RUN",
         "params": args 
@@ -170,5 +185,5 @@ export function runWithNeighbors(worker_id, args, nn_out) {
         run_msg.neighbors = nn_out;
     }
 
-    return sendTask(worker_id, run_msg, transferrable);
+    return sendTask(worker_id, run_msg, transferrable, { signal });
 }
@@ -1 +1 @@
-export const bakana_version="1.2.0";
+export const bakana_version="3.1.3";
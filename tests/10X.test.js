@@ -2,6 +2,7 @@ import * as bakana from "../src/index.js";
 import * as scran from "scran.js";
 import * as utils from "./utils.js";
 import * as bioc from "bioconductor";
+import * as fs from "fs";
 
 beforeAll(utils.initializeAll);
 afterAll(async () => await bakana.terminate());
@@ -55,3 +56,63 @@ test("10X HDF5 readers work for multiple modalities", async () => {
 
     ds.clear();
 })
+
+function mockAggregatedTenxFile(path, { libraryIdsAsAttribute = true } = {}) {
+    if (fs.existsSync(path)) {
+        fs.unlinkSync(path);
+    }
+
+    let ngenes = 20, ncells = 12;
+    let data = [], indices = [], indptr = [0];
+    for (var c = 0; c < ncells; c++) {
+        for (var g = 0; g < ngenes; g++) {
+            if ((c + g) % 4 == 0) {
+                data.push(c + g + 1);
+                indices.push(g);
+            }
+        }
+        indptr.push(data.length);
+    }
+
+    let fhandle = scran.createNewHdf5File(path);
+    let mhandle = fhandle.createGroup("matrix");
+    mhandle.writeDataSet("data", "Int32", null, data);
+    mhandle.writeDataSet("indices", "Int32", null, indices);
+    mhandle.writeDataSet("indptr", "Int32", null, indptr);
+    mhandle.writeDataSet("shape", "Int32", null, [ngenes, ncells]);
+    mhandle.writeDataSet("barcodes", "String", null, Array.from({ length: ncells }, (_, i) => "BARCODE" + String(i) + "-" + String(i % 3 + 1)));
+
+    let ghandle = mhandle.createGroup("features");
+    ghandle.writeDataSet("id", "String", null, Array.from({ length: ngenes }, (_, i) => "ENSG" + String(i)));
+    ghandle.writeDataSet("feature_type", "String", null, Array.from({ length: ngenes }, () => "Gene Expression"));
+
+    let libs = [ "sampleA", "sampleB", "sampleC" ];
+    if (libraryIdsAsAttribute) {
+        fhandle.writeAttribute("library_ids", "String", [libs.length], libs);
+    } else {
+        fhandle.writeDataSet("library_ids", "String", null, libs);
+    }
+
+    return ncells;
+}
+
+test("10X HDF5 readers parse GEM wells and library IDs from aggregated barcodes", async () => {
+    for (const asAttr of [ true, false ]) {
+        let path = "TEST_aggr-tenx.h5";
+        let ncells = mockAggregatedTenxFile(path, { libraryIdsAsAttribute: asAttr });
+
+        let ds = new bakana.TenxHdf5Dataset(path);
+        let summ = await ds.summary();
+        expect(summ.cells.numberOfRows()).toEqual(ncells);
+        expect(summ.cells.columnNames()).toEqual(["gem_well", "library_id"]);
+        expect(Array.from(summ.cells.column("gem_well")).slice(0, 4)).toEqual([1, 2, 3, 1]);
+        expect(summ.cells.column("library_id").slice(0, 4)).toEqual(["sampleA", "sampleB", "sampleC", "sampleA"]);
+
+        let loaded = await ds.load();
+        expect(loaded.cells.column("library_id")).toEqual(summ.cells.column("library_id"));
+        expect(loaded.matrix.get("RNA").numberOfColumns()).toEqual(ncells);
+
+        let copy = await utils.checkDatasetSerialize(ds);
+        utils.sameDatasetSummary(summ, await copy.summary());
+    }
+})
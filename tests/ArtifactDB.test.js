@@ -9,52 +9,10 @@ import jszip from "jszip";
 beforeAll(utils.initializeAll);
 afterAll(async () => await bakana.terminate());
 
-class LocalArtifactdbDataset extends bakana.AbstractArtifactdbDataset {
-    #path;
-    #dir;
-
-    constructor(path, dir) {
-        super(path, new nav.LocalProjectDirectoryNavigator(dir));
-        this.#path = path;
-        this.#dir = dir;
-    }
-
-    static format() {
-        return "ArtifactDB-local-directory";
-    }
-
-    static unserialize(files, options) {
-        let dec = new TextDecoder;
-        let payload = files[0].file.buffer();
-        let info = JSON.parse(dec.decode(payload));
-        let output = new LocalArtifactdbDataset(info.path, info.directory);
-        output.setOptions(options);
-        return output;
-    }
-
-    abbreviate() {
-        return {
-            path: this.#path,
-            directory: this.#dir,
-            options: this.options()
-        };
-    }
-
-    serialize() {
-        let enc = new TextEncoder;
-        let config = { path: this.#path, directory: this.#dir };
-        let buffer = enc.encode(JSON.stringify(config));
-        return {
-            files: [ { file: new bakana.SimpleFile(buffer, { name: "config.json" }), type: "config" } ],
-            options: this.options()
-        }
-    }
-}
-
 /***********************************************/
 
 test("ArtifactDB readers work correctly", async () => {
-    let ds = new LocalArtifactdbDataset("experiment.json", nav.baseDirectory + "/zeisel-brain-stripped"); 
+    let ds = new bakana.LocalArtifactdbDataset("experiment.json", nav.baseDirectory + "/zeisel-brain-stripped"); 
     await utils.checkDatasetGeneral(ds);
 
     let summ = await utils.checkDatasetSummary(ds);
@@ -81,7 +39,7 @@ test("ArtifactDB readers work correctly", async () => {
 })
 
 test("ArtifactDB readers work with multiple modalities", async () => {
-    let ds = new LocalArtifactdbDataset("experiment.json", nav.baseDirectory + "/zeisel-brain-sparse");
+    let ds = new bakana.LocalArtifactdbDataset("experiment.json", nav.baseDirectory + "/zeisel-brain-sparse");
     await utils.checkDatasetGeneral(ds);
 
     let summ = await utils.checkDatasetSummary(ds);
@@ -143,14 +101,8 @@ test("Zipped ArtifactDB readers work correctly", async () => {
 
 /***********************************************/
 
-class LocalArtifactdbResult extends bakana.AbstractArtifactdbResult {
-    constructor(path, dir) {
-        super(path, new nav.LocalProjectDirectoryNavigator(dir));
-    }
-}
-
 test("local ArtifactDB result readers work correctly with log-count loading", async () => {
-    let res = new LocalArtifactdbResult("experiment.json", nav.baseDirectory + "/zeisel-brain-sparse-results");
+    let res = new bakana.LocalArtifactdbResult("experiment.json", nav.baseDirectory + "/zeisel-brain-sparse-results");
 
     let details = await utils.checkResultSummary(res);
     expect(Object.keys(details.modality_features)).toEqual([""]);
@@ -188,7 +140,7 @@ test("local ArtifactDB result readers work correctly with log-count loading", as
 })
 
 test("local ArtifactDB result readers work correctly with multiple modalities", async () => {
-    let res = new LocalArtifactdbResult("experiment.json", nav.baseDirectory + "/zeisel-brain-dense-multimodal-results");
+    let res = new bakana.LocalArtifactdbResult("experiment.json", nav.baseDirectory + "/zeisel-brain-dense-multimodal-results");
 
     let details = await utils.checkResultSummary(res);
     expect(Object.keys(details.modality_features)).toEqual(["", "adt"]);
@@ -0,0 +1,165 @@
+import * as bakana from "../src/index.js";
+import * as scran from "scran.js";
+import * as utils from "./utils.js";
+import * as pako from "pako";
+import * as fs from "fs";
+
+beforeAll(utils.initializeAll);
+afterAll(async () => await bakana.terminate());
+
+const ngenes = 30;
+const ncells = 15;
+
+function mockCounts() {
+    let counts = new Int32Array(ngenes * ncells); // row-major, genes in rows.
+    counts.forEach((x, i) => { counts[i] = (i % 3 == 0 ? (i * 7) % 13 : 0); });
+    let genes = Array.from({ length: ngenes }, (_, i) => "GENE_" + String(i));
+    let cells = Array.from({ length: ncells }, (_, i) => "CELL_" + String(i));
+    return { counts, genes, cells };
+}
+
+function formatTable(mock, { delim, corner = true, header = true, rownames = true, transposed = false }) {
+    let nr = (transposed ? ncells : ngenes);
+    let nc = (transposed ? ngenes : ncells);
+    let rnames = (transposed ? mock.cells : mock.genes);
+    let cnames = (transposed ? mock.genes : mock.cells);
+
+    let lines = [];
+    if (header) {
+        lines.push((rownames && corner ? [ "" ] : []).concat(cnames).join(delim));
+    }
+    for (var r = 0; r < nr; r++) {
+        let fields = (rownames ? [ rnames[r] ] : []);
+        for (var c = 0; c < nc; c++) {
+            let g = (transposed ? c : r), cell = (transposed ? r : c);
+            fields.push(String(mock.counts[g * ncells + cell]));
+        }
+        lines.push(fields.join(delim));
+    }
+    return lines.join("\n") + "\n";
+}
+
+function checkAgainstReference(loaded, mock) {
+    let ref = scran.initializeSparseMatrixFromDenseArray(ngenes, ncells, mock.counts, { columnMajor: false });
+    let mat = loaded.matrix.get("RNA");
+    expect(mat.numberOfRows()).toEqual(ngenes);
+    expect(mat.numberOfColumns()).toEqual(ncells);
+    for (var c = 0; c < ncells; c++) {
+        expect(mat.column(c)).toEqual(ref.column(c));
+    }
+    ref.free();
+}
+
+test("DelimitedMatrix reader works with a CSV file", async () => {
+    let mock = mockCounts();
+    const fpath = "TEST_delimited.csv";
+    fs.writeFileSync(fpath, formatTable(mock, { delim: "," }));
+
+    let ds = new bakana.DelimitedMatrixDataset(fpath);
+    await utils.checkDatasetGeneral(ds);
+    expect(bakana.availableReaders["DelimitedMatrix"]).toBe(bakana.DelimitedMatrixDataset);
+
+    let summ = await utils.checkDatasetSummary(ds);
+    expect(summ.modality_features[""].column("id")).toEqual(mock.genes);
+    expect(summ.cells.column("id")).toEqual(mock.cells);
+
+    let loaded = await utils.checkDatasetLoad(ds);
+    expect(loaded.matrix.available()).toEqual(["RNA"]);
+    expect(loaded.primary_ids.RNA).toEqual(mock.genes);
+    checkAgainstReference(loaded, mock);
+
+    let copy = await utils.checkDatasetSerialize(ds);
+    utils.sameDatasetSummary(summ, await copy.summary());
+    utils.sameDatasetLoad(loaded, await copy.load());
+})
+
+test("DelimitedMatrix reader works with a Gzipped TSV file without a corner", async () => {
+    let mock = mockCounts();
+    const fpath = "TEST_delimited.tsv.gz";
+    fs.writeFileSync(fpath, pako.gzip(formatTable(mock, { delim: "\t", corner: false })));
+
+    let ds = new bakana.DelimitedMatrixDataset(fpath);
+    let summ = await ds.summary({ cache: true });
+    expect(summ.modality_features[""].column("id")).toEqual(mock.genes);
+    expect(summ.cells.column("id")).toEqual(mock.cells);
+
+    let loaded = await utils.checkDatasetLoad(ds);
+    checkAgainstReference(loaded, mock);
+})
+
+test("DelimitedMatrix reader works with a transposed file", async () => {
+    let mock = mockCounts();
+    const fpath = "TEST_delimited_transposed.csv";
+    fs.writeFileSync(fpath, formatTable(mock, { delim: ",", transposed: true }));
+
+    let ds = new bakana.DelimitedMatrixDataset(fpath);
+    ds.setOptions({ transposed: true });
+
+    let summ = await ds.summary();
+    expect(summ.modality_features[""].column("id")).toEqual(mock.genes);
+    expect(summ.cells.column("id")).toEqual(mock.cells);
+
+    let loaded = await utils.checkDatasetLoad(ds);
+    expect(loaded.primary_ids.RNA).toEqual(mock.genes);
+    checkAgainstReference(loaded, mock);
+
+    // Transposition is preserved after serialization.
+    let copy = await utils.checkDatasetSerialize(ds);
+    utils.sameDatasetLoad(loaded, await copy.load());
+})
+
+test("DelimitedMatrix reader works without any names", async () => {
+    let mock = mockCounts();
+    const fpath = "TEST_delimited_unnamed.tsv";
+    fs.writeFileSync(fpath, formatTable(mock, { delim: "\t", header: false, rownames: false }));
+
+    let ds = new bakana.DelimitedMatrixDataset(fpath);
+    let summ = await ds.summary();
+    expect(summ.modality_features[""].numberOfRows()).toEqual(ngenes);
+    expect(summ.modality_features[""].numberOfColumns()).toEqual(0);
+    expect(summ.cells.numberOfRows()).toEqual(ncells);
+
+    ds.setOptions({ featureTypeRnaName: null, featureTypeAdtName: "Antibody Capture" });
+    let loaded = await ds.load();
+    expect(loaded.matrix.available()).toEqual(["ADT"]);
+    expect(loaded.matrix.numberOfColumns()).toEqual(ncells);
+})
+
+test("DelimitedMatrix reader fails for malformed files", async () => {
+    const fpath = "TEST_delimited_malformed.csv";
+    fs.writeFileSync(fpath, ",A,B\nfoo,1,2\nbar,3\n");
+    let ds = new bakana.DelimitedMatrixDataset(fpath);
+    await expect(ds.load()).rejects.toThrow("expected 3 fields");
+
+    fs.writeFileSync(fpath, ",A,B\nfoo,1,2\nbar,3,whee\n");
+    ds = new bakana.DelimitedMatrixDataset(fpath);
+    await expect(ds.load()).rejects.toThrow("non-numeric value");
+
+    // Summaries only consider the names, so the values are not checked.
+    let summ = await ds.summary();
+    expect(summ.modality_features[""].column("id")).toEqual(["foo", "bar"]);
+    expect(summ.cells.column("id")).toEqual(["A", "B"]);
+})
+
+test("DelimitedMatrix reader works with more lines than the layout detection window", async () => {
+    const fpath = "TEST_delimited_long.tsv";
+    let nr = 250;
+    let lines = [ "\tX\tY\tZ" ];
+    for (var r = 0; r < nr; r++) {
+        lines.push("G" + String(r) + "\t" + String(r % 4) + "\t0\t" + String(r % 7));
+    }
+    fs.writeFileSync(fpath, lines.join("\n") + "\n");
+
+    let ds = new bakana.DelimitedMatrixDataset(fpath);
+    let preview = await ds.previewPrimaryIds();
+    expect(preview.RNA.length).toEqual(nr);
+    expect(preview.RNA[nr - 1]).toEqual("G" + String(nr - 1));
+
+    let loaded = await ds.load();
+    let mat = loaded.matrix.get("RNA");
+    expect(mat.numberOfRows()).toEqual(nr);
+    expect(Array.from(mat.column(0))).toEqual(Array.from({ length: nr }, (_, r) => r % 4));
+    expect(Array.from(mat.column(1))).toEqual(new Array(nr).fill(0));
+    expect(Array.from(mat.column(2))).toEqual(Array.from({ length: nr }, (_, r) => r % 7));
+    expect(loaded.cells.column("id")).toEqual(["X", "Y", "Z"]);
+})
@@ -0,0 +1,186 @@
+import * as bakana from "../src/index.js";
+import * as scran from "scran.js";
+import * as bioc from "bioconductor";
+import * as utils from "./utils.js";
+
+beforeAll(utils.initializeAll);
+afterAll(async () => await bakana.terminate());
+
+const ngenes = 200;
+const nadts = 5;
+const ncells = 100;
+
+function mockDense(nrows, ncols, seed) {
+    let values = new Int32Array(nrows * ncols); // column-major.
+    values.forEach((x, i) => { values[i] = ((i * seed) % 17 < 5 ? (i * 7 + seed) % 23 : 0); });
+    return { numberOfRows: nrows, numberOfColumns: ncols, values: values };
+}
+
+function denseToSparse(dense) {
+    let values = [];
+    let indices = [];
+    let pointers = [0];
+    for (var c = 0; c < dense.numberOfColumns; c++) {
+        for (var r = 0; r < dense.numberOfRows; r++) {
+            let x = dense.values[c * dense.numberOfRows + r];
+            if (x !== 0) {
+                values.push(x);
+                indices.push(r);
+            }
+        }
+        pointers.push(values.length);
+    }
+    return {
+        numberOfRows: dense.numberOfRows,
+        numberOfColumns: dense.numberOfColumns,
+        values: new Int32Array(values),
+        indices: new Int32Array(indices),
+        pointers: new Int32Array(pointers),
+        byRow: false
+    };
+}
+
+function mockAnnotations() {
+    let genes = new bioc.DataFrame({
+        id: Array.from({ length: ngenes }, (_, i) => "ENSG" + String(i)),
+        symbol: Array.from({ length: ngenes }, (_, i) => "GENE" + String(i)),
+        length: Float64Array.from({ length: ngenes }, (_, i) => (i % 10 == 0 ? NaN : i * 1.5))
+    });
+    let adts = new bioc.DataFrame({}, { numberOfRows: nadts, rowNames: Array.from({ length: nadts }, (_, i) => "ADT" + String(i)) });
+    let cells = new bioc.DataFrame({
+        barcode: Array.from({ length: ncells }, (_, i) => "CELL" + String(i)),
+        batch: Array.from({ length: ncells }, (_, i) => (i < ncells / 2 ? "A" : "B")),
+        extra: new bioc.DataFrame({ score: Int32Array.from({ length: ncells }, (_, i) => i) })
+    });
+    return { genes, adts, cells };
+}
+
+function checkMatrix(mat, dense) {
+    expect(mat.numberOfRows()).toEqual(dense.numberOfRows);
+    expect(mat.numberOfColumns()).toEqual(dense.numberOfColumns);
+    for (var c = 0; c < dense.numberOfColumns; c++) {
+        let expected = dense.values.slice(c * dense.numberOfRows, (c + 1) * dense.numberOfRows);
+        expect(Array.from(mat.column(c))).toEqual(Array.from(expected));
+    }
+}
+
+test("InMemory reader works with array-based matrices", async () => {
+    let rna = mockDense(ngenes, ncells, 3);
+    let adt = mockDense(nadts, ncells, 5);
+    let annotations = mockAnnotations();
+
+    let ds = new bakana.InMemoryDataset(
+        { RNA: denseToSparse(rna), ADT: adt },
+        { RNA: annotations.genes, ADT: annotations.adts },
+        annotations.cells
+    );
+    await utils.checkDatasetGeneral(ds);
+    expect(bakana.availableReaders["InMemory"]).toBe(bakana.InMemoryDataset);
+
+    let summ = await utils.checkDatasetSummary(ds);
+    expect(Object.keys(summ.modality_features)).toEqual(["RNA", "ADT"]);
+    expect(summ.modality_features.RNA.column("symbol")).toEqual(annotations.genes.column("symbol"));
+    expect(summ.cells.numberOfRows()).toEqual(ncells);
+
+    ds.setOptions({ primaryRnaFeatureIdColumn: "symbol" });
+    let preview = await ds.previewPrimaryIds();
+    expect(preview.RNA).toEqual(annotations.genes.column("symbol"));
+    expect(preview.ADT).toEqual(annotations.adts.rowNames());
+
+    let loaded = await utils.checkDatasetLoad(ds);
+    expect(loaded.matrix.available()).toEqual(["RNA", "ADT"]);
+    expect(loaded.primary_ids.RNA).toEqual(annotations.genes.column("symbol"));
+    checkMatrix(loaded.matrix.get("RNA"), rna);
+    checkMatrix(loaded.matrix.get("ADT"), adt);
+
+    // Serialization generates new files from the in-memory contents.
+    let copy = await utils.checkDatasetSerialize(ds);
+    expect(copy.options()).toEqual(ds.options());
+    let csumm = await copy.summary();
+    utils.sameDatasetSummary(summ, csumm);
+    expect(Array.from(csumm.modality_features.RNA.column("length"))).toEqual(Array.from(annotations.genes.column("length")));
+    expect(csumm.cells.column("extra").column("score")).toEqual(annotations.cells.column("extra").column("score"));
+    utils.sameDatasetLoad(loaded, await copy.load());
+
+    // Different instances are distinguished from each other.
+    let other = new bakana.InMemoryDataset({ RNA: rna });
+    expect(other.abbreviate()).not.toEqual(ds.abbreviate());
+    checkMatrix((await other.load()).matrix.get("RNA"), rna);
+})
+
+test("InMemory reader works with ScranMatrix objects", async () => {
+    let rna = mockDense(ngenes, ncells, 7);
+    let mat = scran.initializeSparseMatrixFromDenseArray(rna.numberOfRows, rna.numberOfColumns, rna.values);
+
+    let ds = new bakana.InMemoryDataset({ foo: mat });
+    let summ = await ds.summary();
+    expect(summ.modality_features.foo.numberOfRows()).toEqual(ngenes);
+    expect(summ.cells.numberOfRows()).toEqual(ncells);
+
+    // Nothing is loaded until the modality is mapped.
+    let empty = await ds.load();
+    expect(empty.matrix.available()).toEqual([]);
+
+    ds.setOptions({ rnaModality: "foo" });
+    let loaded = await ds.load();
+    expect(loaded.matrix.available()).toEqual(["RNA"]);
+    checkMatrix(loaded.matrix.get("RNA"), rna);
+
+    // Loaded matrix is a copy, so the original can be freed independently.
+    loaded.matrix.free();
+    checkMatrix(mat, rna);
+
+    let copy = await utils.checkDatasetSerialize(ds);
+    let reloaded = await copy.load();
+    checkMatrix(reloaded.matrix.get("RNA"), rna);
+    mat.free();
+})
+
+test("InMemory reader checks its inputs", async () => {
+    let rna = mockDense(ngenes, ncells, 3);
+    let annotations = mockAnnotations();
+
+    expect(() => new bakana.InMemoryDataset({ RNA: rna, ADT: mockDense(nadts, ncells + 1, 5) })).toThrow("same number of columns");
+    expect(() => new bakana.InMemoryDataset({ RNA: rna }, { RNA: annotations.adts })).toThrow("number of rows");
+    expect(() => new bakana.InMemoryDataset({ RNA: rna }, { ADT: annotations.adts })).toThrow("no corresponding matrix");
+    expect(() => new bakana.InMemoryDataset({ RNA: rna }, {}, annotations.adts)).toThrow("cell annotations");
+    expect(() => new bakana.InMemoryDataset({ RNA: [1, 2, 3] })).toThrow("ScranMatrix");
+})
+
+test("InMemory datasets survive a round trip through the configuration", async () => {
+    let annotations = mockAnnotations();
+    let files = {
+        default: new bakana.InMemoryDataset(
+            { RNA: mockDense(ngenes, ncells, 3), ADT: mockDense(nadts, ncells, 5) },
+            { RNA: annotations.genes, ADT: annotations.adts },
+            annotations.cells
+        )
+    };
+
+    let state = await bakana.createAnalysis();
+    let params = utils.baseParams();
+    params.rna_quality_control.use_reference_mito = false;
+    await bakana.runAnalysis(state, files, params);
+
+    let saved = [];
+    let saver = (n, k, f) => {
+        saved.push(f.content());
+        return String(saved.length);
+    };
+
+    let serialized = await bakana.serializeConfiguration(state, saver);
+    expect(serialized.datasets.default.format).toEqual("InMemory");
+    expect(saved.length).toEqual(2);
+
+    let reloaded = await bakana.unserializeConfiguration(serialized, x => saved[Number(x) - 1]);
+    let original = state.inputs.fetchCountMatrix();
+    let restored = reloaded.inputs.fetchCountMatrix();
+    expect(restored.available()).toEqual(original.available());
+    for (const mod of original.available()) {
+        expect(restored.get(mod).column(0)).toEqual(original.get(mod).column(0));
+    }
+    expect(reloaded.inputs.fetchCellAnnotations().column("batch")).toEqual(annotations.cells.column("batch"));
+
+    await bakana.freeAnalysis(state);
+    await bakana.freeAnalysis(reloaded);
+})
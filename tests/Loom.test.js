@@ -0,0 +1,120 @@
+import * as bakana from "../src/index.js";
+import * as scran from "scran.js";
+import * as utils from "./utils.js";
+import * as fs from "fs";
+
+beforeAll(utils.initializeAll);
+afterAll(async () => await bakana.terminate());
+
+const ngenes = 50;
+const ncells = 20;
+
+function mockLoomFile(path) {
+    if (fs.existsSync(path)) {
+        fs.unlinkSync(path);
+    }
+
+    let counts = new Int32Array(ngenes * ncells);
+    counts.forEach((x, i) => { counts[i] = (i % 7 == 0 ? 0 : (i * 13) % 11); });
+
+    let fhandle = scran.createNewHdf5File(path);
+    fhandle.writeDataSet("matrix", "Int32", [ngenes, ncells], counts);
+
+    let lhandle = fhandle.createGroup("layers");
+    lhandle.writeDataSet("spliced", "Int32", [ngenes, ncells], counts.map(x => x * 2));
+    lhandle.writeDataSet("logcounts", "Float64", [ngenes, ncells], Float64Array.from(counts, x => Math.log1p(x) + 0.5));
+
+    let rhandle = fhandle.createGroup("row_attrs");
+    let genes = [];
+    let accessions = [];
+    for (var i = 0; i < ngenes; i++) {
+        genes.push("GENE_" + String(i));
+        accessions.push("ENSG" + String(i).padStart(5, "0"));
+    }
+    rhandle.writeDataSet("Gene", "String", [ngenes], genes);
+    rhandle.writeDataSet("Accession", "String", [ngenes], accessions);
+
+    let chandle = fhandle.createGroup("col_attrs");
+    let cells = [];
+    let clusters = [];
+    for (var i = 0; i < ncells; i++) {
+        cells.push("CELL_" + String(i));
+        clusters.push(i % 3);
+    }
+    chandle.writeDataSet("CellID", "String", [ncells], cells);
+    chandle.writeDataSet("ClusterID", "Int32", [ncells], clusters);
+    chandle.writeDataSet("X_tsne", "Float64", [ncells, 2], Float64Array.from({ length: ncells * 2 }, (_, i) => i / 10));
+
+    return counts;
+}
+
+test("Loom dataset loader works correctly", async () => {
+    const fpath = "TEST_dataset.loom";
+    let counts = mockLoomFile(fpath);
+
+    let ds = new bakana.LoomDataset(fpath);
+    await utils.checkDatasetGeneral(ds);
+    expect(bakana.availableReaders["Loom"]).toBe(bakana.LoomDataset);
+
+    let summ = await utils.checkDatasetSummary(ds);
+    expect(summ.all_features.columnNames()).toEqual(["Accession", "Gene"]);
+    expect(summ.cells.columnNames()).toEqual(["CellID", "ClusterID"]); // skips the 2-dimensional attributes.
+    expect(summ.all_assay_names).toEqual(["matrix", "layers/logcounts", "layers/spliced"]);
+
+    let loaded = await utils.checkDatasetLoad(ds);
+    expect(loaded.matrix.available()).toEqual(["RNA"]);
+    expect(loaded.matrix.numberOfColumns()).toEqual(ncells);
+    expect(loaded.primary_ids.RNA.slice().sort()).toEqual(summ.all_features.column("Gene").slice().sort());
+
+    let copy = await utils.checkDatasetSerialize(ds);
+    utils.sameDatasetSummary(summ, await copy.summary());
+    utils.sameDatasetLoad(loaded, await copy.load());
+
+    // Input reorganization is done correctly.
+    {
+        let mat = loaded.matrix.get("RNA");
+        let names = loaded.primary_ids["RNA"];
+        let simple = scran.initializeSparseMatrixFromDenseArray(ngenes, ncells, counts, { columnMajor: false });
+        let simple_names = summ.all_features.column("Gene");
+        utils.checkMatrixContents(simple, simple_names, mat, names, { mustDiffer: false });
+        simple.free();
+    }
+
+    // Respects the other options.
+    ds.setOptions({ countMatrixName: "layers/spliced", primaryRnaFeatureIdColumn: "Accession" });
+    let loaded2 = await ds.load();
+    expect(loaded2.primary_ids.RNA.every(x => x.startsWith("ENSG"))).toBe(true);
+    let sum1 = loaded.matrix.get("RNA").column(0).reduce((a, b) => a + b);
+    let sum2 = loaded2.matrix.get("RNA").column(0).reduce((a, b) => a + b);
+    expect(sum2).toEqual(sum1 * 2);
+
+    ds.setOptions({ countMatrixName: "layers/foo" });
+    await expect(async () => await ds.load()).rejects.toThrow("no assay named");
+
+    ds.clear();
+})
+
+test("Loom result readers work correctly", async () => {
+    const fpath = "TEST_result.loom";
+    mockLoomFile(fpath);
+
+    let res = new bakana.LoomResult(fpath);
+    let summ = await utils.checkResultSummary(res);
+    expect(summ.all_assay_names).toEqual(["matrix", "layers/logcounts", "layers/spliced"]);
+    expect(summ.reduced_dimension_names).toEqual(["X_tsne"]);
+
+    res.setOptions({ primaryMatrixName: "layers/logcounts" });
+    let loaded = await utils.checkResultLoad(res);
+    expect(Object.keys(loaded.reduced_dimensions)).toEqual(["X_tsne"]);
+    expect(loaded.reduced_dimensions["X_tsne"].length).toEqual(2);
+    expect(loaded.reduced_dimensions["X_tsne"][0].length).toEqual(ncells);
+    expect(loaded.reduced_dimensions["X_tsne"][1][0]).toBeCloseTo(0.1);
+    expect(utils.hasNonInteger(loaded.matrix.get("").column(0))).toBe(true);
+
+    res.setOptions({ primaryMatrixName: "matrix", isPrimaryNormalized: false, reducedDimensionNames: [] });
+    let loaded2 = await res.load();
+    expect(loaded2.reduced_dimensions).toEqual({});
+    expect(utils.hasNonInteger(loaded2.matrix.get("").column(0))).toBe(true);
+
+    res.clear();
+})
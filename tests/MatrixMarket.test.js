@@ -2,6 +2,7 @@ import * as bakana from "../src/index.js";
 import * as scran from "scran.js";
 import * as utils from "./utils.js";
 import * as bioc from "bioconductor";
+import * as fs from "fs";
 
 beforeAll(utils.initializeAll);
 afterAll(async () => await bakana.terminate());
@@ -76,3 +77,131 @@ test("MatrixMarket reader works with multiple modalities", async () => {
 
     ds.clear();
 })
+
+function mockTransposedMatrixMarket(prefix, ngenes, ncells) {
+    // Cells in the rows, genes in the columns, as produced by kallisto|bustools.
+    let lines = [ "%%MatrixMarket matrix coordinate integer general" ];
+    let entries = [];
+    for (var c = 0; c < ncells; c++) {
+        for (var g = 0; g < ngenes; g++) {
+            if ((c + g) % 3 == 0) {
+                entries.push(String(c + 1) + " " + String(g + 1) + " " + String(c + g + 1));
+            }
+        }
+    }
+    lines.push(String(ncells) + " " + String(ngenes) + " " + String(entries.length));
+    fs.writeFileSync(prefix + ".mtx", lines.concat(entries).join("\n") + "\n");
+}
+
+test("MatrixMarket reader works with transposed kallisto|bustools-style files", async () => {
+    let ngenes = 20, ncells = 10;
+    let prefix = "TEST_kallisto";
+    mockTransposedMatrixMarket(prefix, ngenes, ncells);
+    fs.writeFileSync(prefix + ".genes.txt", Array.from({ length: ngenes }, (_, i) => "ENSG" + String(i)).join("\n") + "\n");
+    fs.writeFileSync(prefix + ".barcodes.txt", Array.from({ length: ncells }, (_, i) => "BARCODE" + String(i)).join("\n") + "\n");
+
+    let ds = new bakana.TenxMatrixMarketDataset(prefix + ".mtx", prefix + ".genes.txt", prefix + ".barcodes.txt");
+    ds.setOptions({ transposed: true });
+
+    let summ = await utils.checkDatasetSummary(ds);
+    expect(Object.keys(summ.modality_features)).toEqual([""]);
+    expect(summ.modality_features[""].numberOfRows()).toEqual(ngenes);
+    expect(summ.modality_features[""].columnNames()).toEqual(["id"]);
+    expect(summ.cells.numberOfRows()).toEqual(ncells);
+
+    let loaded = await utils.checkDatasetLoad(ds);
+    expect(loaded.matrix.available()).toEqual(["RNA"]);
+    let mat = loaded.matrix.get("RNA");
+    expect(mat.numberOfRows()).toEqual(ngenes);
+    expect(mat.numberOfColumns()).toEqual(ncells);
+    expect(loaded.primary_ids.RNA).toEqual(summ.modality_features[""].column("id"));
+
+    let col = mat.column(1);
+    for (var g = 0; g < ngenes; g++) {
+        expect(col[g]).toEqual((1 + g) % 3 == 0 ? g + 2 : 0);
+    }
+
+    let copy = await utils.checkDatasetSerialize(ds);
+    utils.sameDatasetSummary(summ, await copy.summary());
+    utils.sameDatasetLoad(loaded, await copy.load());
+
+    // Without transposition, the dimensions are inconsistent with the annotation files.
+    ds.setOptions({ transposed: false });
+    await expect(ds.summary()).rejects.toThrow("number of matrix rows");
+})
+
+test("MatrixMarket reader works with Parse-style files", async () => {
+    let ngenes = 20, ncells = 10;
+    let prefix = "TEST_parse";
+    mockTransposedMatrixMarket(prefix, ngenes, ncells);
+
+    let genes = [ "gene_id,gene_name,genome" ];
+    for (var g = 0; g < ngenes; g++) {
+        genes.push("ENSG" + String(g) + ",GENE" + String(g) + "," + (g < 15 ? "hg38" : "mm10"));
+    }
+    fs.writeFileSync(prefix + "_all_genes.csv", genes.join("\n") + "\n");
+
+    let cells = [ "bc_wells,sample,gene_count" ];
+    for (var c = 0; c < ncells; c++) {
+        cells.push("WELL" + String(c) + ",sample" + String(c % 2) + "," + String(c * 10));
+    }
+    fs.writeFileSync(prefix + "_cell_metadata.csv", cells.join("\n") + "\n");
+
+    let ds = new bakana.TenxMatrixMarketDataset(prefix + ".mtx", prefix + "_all_genes.csv", prefix + "_cell_metadata.csv");
+    ds.setOptions({ transposed: true, primaryRnaFeatureIdColumn: "gene_id" });
+
+    let summ = await utils.checkDatasetSummary(ds);
+    expect(Object.keys(summ.modality_features)).toEqual([""]);
+    expect(summ.modality_features[""].columnNames()).toEqual(["gene_id", "gene_name", "genome"]);
+    expect(summ.cells.columnNames()).toEqual(["bc_wells", "sample", "gene_count"]);
+    expect(summ.cells.column("gene_count") instanceof Float64Array).toBe(true);
+
+    let loaded = await utils.checkDatasetLoad(ds);
+    expect(loaded.primary_ids.RNA[0]).toEqual("ENSG0");
+
+    // Using a different column for the feature types.
+    ds.setOptions({ featureTypeColumnName: "genome", featureTypeRnaName: "hg38", featureTypeAdtName: "mm10", featureTypeCrisprName: null });
+    let summ2 = await ds.summary();
+    expect(Object.keys(summ2.modality_features)).toEqual(["hg38", "mm10"]);
+
+    let loaded2 = await ds.load();
+    expect(loaded2.matrix.available()).toEqual(["RNA", "ADT"]);
+    expect(loaded2.matrix.get("RNA").numberOfRows()).toEqual(15);
+    expect(loaded2.matrix.get("ADT").numberOfRows()).toEqual(5);
+})
+
+test("MatrixMarket reader parses GEM wells from aggregated barcodes", async () => {
+    let ngenes = 20, ncells = 10;
+    let prefix = "TEST_aggr";
+    mockTransposedMatrixMarket(prefix, ngenes, ncells);
+    fs.writeFileSync(prefix + ".genes.txt", Array.from({ length: ngenes }, (_, i) => "ENSG" + String(i)).join("\n") + "\n");
+    fs.writeFileSync(prefix + ".barcodes.txt", Array.from({ length: ncells }, (_, i) => "BARCODE" + String(i) + "-" + String(i < 4 ? 1 : 2)).join("\n") + "\n");
+
+    let ds = new bakana.TenxMatrixMarketDataset(prefix + ".mtx", prefix + ".genes.txt", prefix + ".barcodes.txt");
+    ds.setOptions({ transposed: true });
+
+    let summ = await ds.summary();
+    expect(summ.cells.hasColumn("gem_well")).toBe(true);
+    expect(Array.from(summ.cells.column("gem_well"))).toEqual([1, 1, 1, 1, 2, 2, 2, 2, 2, 2]);
+    expect(summ.cells.hasColumn("library_id")).toBe(false);
+
+    let loaded = await ds.load();
+    expect(Array.from(loaded.cells.column("gem_well"))).toEqual(Array.from(summ.cells.column("gem_well")));
+})
+
+test("MatrixMarket reader skips GEM wells for single-sample barcodes", async () => {
+    let ngenes = 20, ncells = 10;
+    let prefix = "TEST_single";
+    mockTransposedMatrixMarket(prefix, ngenes, ncells);
+    fs.writeFileSync(prefix + ".genes.txt", Array.from({ length: ngenes }, (_, i) => "ENSG" + String(i)).join("\n") + "\n");
+    fs.writeFileSync(prefix + ".barcodes.txt", Array.from({ length: ncells }, (_, i) => "BARCODE" + String(i) + "-1").join("\n") + "\n");
+
+    let ds = new bakana.TenxMatrixMarketDataset(prefix + ".mtx", prefix + ".genes.txt", prefix + ".barcodes.txt");
+    ds.setOptions({ transposed: true });
+
+    let summ = await ds.summary();
+    expect(summ.cells.hasColumn("gem_well")).toBe(false);
+
+    let loaded = await ds.load();
+    expect(loaded.cells.hasColumn("gem_well")).toBe(false);
+})
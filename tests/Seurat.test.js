@@ -0,0 +1,388 @@
+import * as bakana from "../src/index.js";
+import * as scran from "scran.js";
+import * as utils from "./utils.js";
+import * as fs from "fs";
+
+beforeAll(utils.initializeAll);
+afterAll(async () => await bakana.terminate());
+
+/******************************************
+ *** Minimal writer for XDR RDS files. ***
+ ******************************************/
+
+class XdrBuffer {
+    constructor() {
+        this.chunks = [];
+    }
+
+    int(x) {
+        let b = new DataView(new ArrayBuffer(4));
+        b.setInt32(0, x);
+        this.chunks.push(new Uint8Array(b.buffer));
+    }
+
+    double(x) {
+        let b = new DataView(new ArrayBuffer(8));
+        b.setFloat64(0, x);
+        this.chunks.push(new Uint8Array(b.buffer));
+    }
+
+    string(x) {
+        if (x === null) {
+            this.int(9);
+            this.int(-1);
+            return;
+        }
+        let enc = new TextEncoder().encode(x);
+        this.int(9 | (64 << 12));
+        this.int(enc.length);
+        this.chunks.push(enc);
+    }
+
+    bytes() {
+        let total = this.chunks.reduce((a, b) => a + b.length, 0);
+        let output = new Uint8Array(total);
+        let offset = 0;
+        for (const c of this.chunks) {
+            output.set(c, offset);
+            offset += c.length;
+        }
+        return output;
+    }
+}
+
+const rtypes = { logical: 10, integer: 13, double: 14, character: 16, list: 19 };
+
+function rvec(type, values, attributes = []) {
+    return { type, values, attributes };
+}
+
+function rs4(cls, pkg, slots) {
+    let attrs = Object.entries(slots);
+    attrs.push(["class", rvec("character", [cls], [["package", rvec("character", [pkg])]])]);
+    return { type: "S4", attributes: attrs };
+}
+
+function has_class(attributes) {
+    return attributes.some(x => x[0] == "class");
+}
+
+function write_attributes(buf, attributes) {
+    for (const [k, v] of attributes) {
+        buf.int(2 | (1 << 10));
+        buf.int(1);
+        buf.string(k);
+        write_object(buf, v);
+    }
+    buf.int(254);
+}
+
+function write_object(buf, obj) {
+    if (obj === null) {
+        buf.int(254);
+        return;
+    }
+
+    let attrs = obj.attributes;
+    let flags = (attrs.length ? (1 << 9) : 0) | (has_class(attrs) ? (1 << 8) : 0);
+
+    if (obj.type == "S4") {
+        buf.int(25 | flags | (16 << 12));
+        write_attributes(buf, attrs);
+        return;
+    }
+
+    buf.int(rtypes[obj.type] | flags);
+    buf.int(obj.values.length);
+    for (const x of obj.values) {
+        if (obj.type == "double") {
+            buf.double(x);
+        } else if (obj.type == "character") {
+            buf.string(x);
+        } else if (obj.type == "list") {
+            write_object(buf, x);
+        } else {
+            buf.int(x);
+        }
+    }
+
+    if (attrs.length) {
+        write_attributes(buf, attrs);
+    }
+}
+
+function writeRds(path, obj) {
+    let buf = new XdrBuffer;
+    buf.chunks.push(new TextEncoder().encode("X\n"));
+    buf.int(3);
+    buf.int(0x040201);
+    buf.int(0x030500);
+    let encoding = new TextEncoder().encode("UTF-8");
+    buf.int(encoding.length);
+    buf.chunks.push(encoding);
+    write_object(buf, obj);
+    fs.writeFileSync(path, buf.bytes());
+}
+
+/****************************************
+ *** Mocking up the Seurat components ***
+ ****************************************/
+
+function named_list(obj) {
+    return rvec("list", Object.values(obj), [["names", rvec("character", Object.keys(obj))]]);
+}
+
+function mock_dgCMatrix(nr, nc, dense, rownames, colnames) {
+    let x = [], i = [], p = [0];
+    for (var c = 0; c < nc; c++) {
+        for (var r = 0; r < nr; r++) {
+            let val = dense[c * nr + r];
+            if (val != 0) {
+                x.push(val);
+                i.push(r);
+            }
+        }
+        p.push(x.length);
+    }
+
+    let dn = [ rownames === null ? null : rvec("character", rownames), colnames === null ? null : rvec("character", colnames) ];
+    return rs4("dgCMatrix", "Matrix", {
+        i: rvec("integer", i),
+        p: rvec("integer", p),
+        Dim: rvec("integer", [nr, nc]),
+        Dimnames: rvec("list", dn),
+        x: rvec("double", x),
+        factors: rvec("list", [])
+    });
+}
+
+function mock_matrix(type, nr, nc, values, dimnames = null) {
+    let attrs = [["dim", rvec("integer", [nr, nc])]];
+    if (dimnames !== null) {
+        attrs.push(["dimnames", rvec("list", dimnames.map(x => x === null ? null : rvec("character", x)))]);
+    }
+    return rvec(type, values, attrs);
+}
+
+function mock_data_frame(columns, rownames, nrow) {
+    let rn = (rownames === null ? rvec("integer", [-2147483648, -nrow]) : rvec("character", rownames));
+    return rvec("list", Object.values(columns), [
+        ["names", rvec("character", Object.keys(columns))],
+        ["class", rvec("character", ["data.frame"])],
+        ["row.names", rn]
+    ]);
+}
+
+function mock_factor(codes, levels) {
+    return rvec("integer", codes.map(x => x + 1), [
+        ["levels", rvec("character", levels)],
+        ["class", rvec("character", ["factor"])]
+    ]);
+}
+
+const ngenes = 20;
+const nadts = 4;
+const ncells = 15;
+const genes = Array.from({ length: ngenes }, (_, i) => "GENE_" + String(i));
+const adts = Array.from({ length: nadts }, (_, i) => "CD" + String(i + 1));
+const cells = Array.from({ length: ncells }, (_, i) => "CELL_" + String(i));
+
+function mock_counts(nr, nc, seed) {
+    return Array.from({ length: nr * nc }, (_, i) => ((i * seed) % 7 < 3 ? 0 : (i * seed) % 11));
+}
+
+function mock_meta_data() {
+    return mock_data_frame({
+        "orig.ident": mock_factor(Array.from({ length: ncells }, (_, i) => i % 2), ["sampleA", "sampleB"]),
+        "nCount_RNA": rvec("double", Array.from({ length: ncells }, (_, i) => i * 10.5)),
+        "seurat_clusters": mock_factor(Array.from({ length: ncells }, (_, i) => i % 3), ["0", "1", "2"])
+    }, cells, ncells);
+}
+
+function mock_reductions() {
+    let pca = Array.from({ length: ncells * 5 }, (_, i) => i / 3);
+    let umap = Array.from({ length: ncells * 2 }, (_, i) => -i / 7);
+    return named_list({
+        pca: rs4("DimReduc", "SeuratObject", {
+            "cell.embeddings": mock_matrix("double", ncells, 5, pca, [cells, ["PC_1", "PC_2", "PC_3", "PC_4", "PC_5"]]),
+            "assay.used": rvec("character", ["RNA"])
+        }),
+        umap: rs4("DimReduc", "SeuratObject", {
+            "cell.embeddings": mock_matrix("double", ncells, 2, umap, [cells, ["UMAP_1", "UMAP_2"]]),
+            "assay.used": rvec("character", ["RNA"])
+        })
+    });
+}
+
+function mockSeuratV4(path) {
+    let rna = mock_counts(ngenes, ncells, 13);
+    let adt = mock_counts(nadts, ncells, 17);
+
+    let make_assay = (counts, nr, names, features) => rs4("Assay", "SeuratObject", {
+        counts: mock_dgCMatrix(nr, ncells, counts, names, cells),
+        data: mock_dgCMatrix(nr, ncells, counts.map(x => Math.log1p(x)), names, cells),
+        "scale.data": mock_matrix("double", 0, 0, []),
+        key: rvec("character", ["rna_"]),
+        "meta.features": features
+    });
+
+    let seurat = rs4("Seurat", "SeuratObject", {
+        assays: named_list({
+            RNA: make_assay(rna, ngenes, genes, mock_data_frame({ "vst.mean": rvec("double", genes.map((_, i) => i / 2)) }, genes, ngenes)),
+            ADT: make_assay(adt, nadts, adts, mock_data_frame({}, null, nadts))
+        }),
+        "meta.data": mock_meta_data(),
+        "active.assay": rvec("character", ["RNA"]),
+        reductions: mock_reductions(),
+        "project.name": rvec("character", ["SeuratProject"])
+    });
+
+    writeRds(path, seurat);
+    return { rna, adt };
+}
+
+function mock_logmap(rownames, colnames, values) {
+    let logmap = mock_matrix("logical", rownames.length, colnames.length, values, [rownames, colnames]);
+    logmap.attributes.push(["class", rvec("character", ["LogMap"], [["package", rvec("character", ["SeuratObject"])]])]);
+    return logmap;
+}
+
+const nscaled = 5;
+
+function mockSeuratV5(path) {
+    let rna = mock_counts(ngenes, ncells, 13);
+    let scaled = Array.from({ length: nscaled * ncells }, (_, i) => (i % 5) - 2.5);
+
+    let in_layers = [];
+    for (var l = 0; l < 3; l++) {
+        for (var g = 0; g < ngenes; g++) {
+            in_layers.push(l < 2 || g >= ngenes - nscaled ? 1 : 0);
+        }
+    }
+
+    let seurat = rs4("Seurat", "SeuratObject", {
+        assays: named_list({
+            RNA: rs4("Assay5", "SeuratObject", {
+                layers: named_list({
+                    counts: mock_dgCMatrix(ngenes, ncells, rna, null, null),
+                    data: mock_dgCMatrix(ngenes, ncells, rna.map(x => Math.log1p(x)), null, null),
+                    "scale.data": mock_matrix("double", nscaled, ncells, scaled)
+                }),
+                cells: mock_logmap(cells, ["counts", "data", "scale.data"], Array(ncells * 3).fill(1)),
+                features: mock_logmap(genes, ["counts", "data", "scale.data"], in_layers),
+                "meta.data": mock_data_frame({}, null, ngenes)
+            })
+        }),
+        "meta.data": mock_meta_data(),
+        "active.assay": rvec("character", ["RNA"]),
+        reductions: mock_reductions()
+    });
+
+    writeRds(path, seurat);
+    return { rna, scaled };
+}
+
+function checkColumns(mat, dense, nr) {
+    for (var c = 0; c < ncells; c++) {
+        expect(Array.from(mat.column(c))).toEqual(dense.slice(c * nr, (c + 1) * nr));
+    }
+}
+
+/*************************
+ *** Testing the reader ***
+ *************************/
+
+test("Seurat dataset readers work for Assay objects", async () => {
+    let path = "TEST_seurat_v4.rds";
+    let { rna, adt } = mockSeuratV4(path);
+
+    let ds = new bakana.SeuratDataset(path);
+    await utils.checkDatasetGeneral(ds);
+
+    let summ = await utils.checkDatasetSummary(ds);
+    expect(Object.keys(summ.modality_features)).toEqual(["RNA", "ADT"]);
+    expect(summ.modality_features.RNA.rowNames()).toEqual(genes);
+    expect(summ.modality_features.RNA.columnNames()).toEqual(["vst.mean"]);
+    expect(summ.modality_features.ADT.rowNames()).toEqual(adts);
+    expect(summ.modality_assay_names).toEqual({ RNA: ["counts", "data"], ADT: ["counts", "data"] });
+
+    expect(summ.cells.columnNames()).toEqual(["orig.ident", "nCount_RNA", "seurat_clusters"]);
+    expect(summ.cells.rowNames()).toEqual(cells);
+    expect(summ.cells.column("orig.ident").slice(0, 3)).toEqual(["sampleA", "sampleB", "sampleA"]);
+
+    let loaded = await utils.checkDatasetLoad(ds);
+    expect(loaded.matrix.available()).toEqual(["RNA", "ADT"]);
+    expect(loaded.primary_ids.RNA).toEqual(genes);
+    expect(loaded.primary_ids.ADT).toEqual(adts);
+    checkColumns(loaded.matrix.get("RNA"), rna, ngenes);
+    checkColumns(loaded.matrix.get("ADT"), adt, nadts);
+
+    let preview = ds.previewPrimaryIds();
+    expect(preview.RNA).toEqual(genes);
+    expect(preview.ADT).toEqual(adts);
+
+    let copy = await utils.checkDatasetSerialize(ds);
+    utils.sameDatasetSummary(summ, await copy.summary());
+    utils.sameDatasetLoad(loaded, await copy.load());
+
+    // Respects other options.
+    ds.setOptions({ adtAssay: null, rnaCountLayer: "foo" });
+    expect(() => ds.load()).toThrow("no layer named 'foo'");
+    ds.setOptions({ rnaCountLayer: 0 });
+    let loaded2 = ds.load();
+    expect(loaded2.matrix.available()).toEqual(["RNA"]);
+
+    ds.clear();
+})
+
+test("Seurat result readers work for Assay objects", async () => {
+    let path = "TEST_seurat_v4.rds";
+    let { rna } = mockSeuratV4(path);
+
+    let res = new bakana.SeuratResult(path);
+    let summ = res.summary();
+    expect(summ.reduced_dimension_names).toEqual(["pca", "umap"]);
+    expect(Object.keys(summ.modality_features)).toEqual(["RNA", "ADT"]);
+
+    let loaded = res.load();
+    expect(loaded.matrix.available()).toEqual(["RNA", "ADT"]);
+    expect(Object.keys(loaded.reduced_dimensions)).toEqual(["pca", "umap"]);
+    expect(loaded.reduced_dimensions.pca.length).toEqual(5);
+    expect(loaded.reduced_dimensions.umap[1][0]).toBeCloseTo(-ncells / 7);
+
+    let col = loaded.matrix.get("RNA").column(0);
+    expect(col[1]).toBeCloseTo(Math.log1p(rna[1]));
+
+    // Normalizing counts if requested.
+    res.setOptions({ primaryLayer: { RNA: "counts" }, isPrimaryNormalized: false, reducedDimensionNames: ["umap"] });
+    let loaded2 = res.load();
+    expect(loaded2.matrix.available()).toEqual(["RNA"]);
+    expect(Object.keys(loaded2.reduced_dimensions)).toEqual(["umap"]);
+    expect(utils.hasNonInteger(loaded2.matrix.get("RNA").column(0))).toBe(true);
+})
+
+test("Seurat readers work for Assay5 objects", async () => {
+    let path = "TEST_seurat_v5.rds";
+    let { rna, scaled } = mockSeuratV5(path);
+
+    let ds = new bakana.SeuratDataset(path);
+    let summ = ds.summary();
+    expect(Object.keys(summ.modality_features)).toEqual(["RNA"]);
+    expect(summ.modality_features.RNA.rowNames()).toEqual(genes);
+    expect(summ.modality_assay_names.RNA).toEqual(["counts", "data", "scale.data"]);
+    expect(summ.cells.numberOfRows()).toEqual(ncells);
+
+    let loaded = ds.load();
+    expect(loaded.matrix.available()).toEqual(["RNA"]);
+    expect(loaded.primary_ids.RNA).toEqual(genes);
+    checkColumns(loaded.matrix.get("RNA"), rna, ngenes);
+
+    // Layers containing a subset of features are handled correctly.
+    let res = new bakana.SeuratResult(path);
+    res.setOptions({ primaryLayer: "scale.data" });
+    let rloaded = res.load();
+    let mat = rloaded.matrix.get("RNA");
+    expect(mat.numberOfRows()).toEqual(nscaled);
+    expect(rloaded.features.RNA.rowNames()).toEqual(genes.slice(ngenes - nscaled));
+    checkColumns(mat, scaled, nscaled);
+})
@@ -0,0 +1,422 @@
+import * as bakana from "../src/index.js";
+import * as zutils from "../src/readers/utils/zarr.js";
+import * as scran from "scran.js";
+import * as utils from "./utils.js";
+import * as pako from "pako";
+import JSZip from "jszip";
+import * as fs from "fs";
+
+beforeAll(utils.initializeAll);
+afterAll(async () => await bakana.terminate());
+
+/********************************
+ *** Mock encoders for tests ****
+ ********************************/
+
+function lz4Compress(src) {
+    // Greedy LZ4 block compression with a simple hash table.
+    let out = [];
+    let table = new Map;
+    let anchor = 0;
+
+    let emit = (literal_end, match_length, offset) => {
+        let nlit = literal_end - anchor;
+        let token_lit = Math.min(nlit, 15);
+        let token_match = (match_length === null ? 0 : Math.min(match_length - 4, 15));
+        out.push((token_lit << 4) | token_match);
+        if (nlit >= 15) {
+            let remaining = nlit - 15;
+            while (remaining >= 255) {
+                out.push(255);
+                remaining -= 255;
+            }
+            out.push(remaining);
+        }
+        for (var i = anchor; i < literal_end; i++) {
+            out.push(src[i]);
+        }
+        if (match_length !== null) {
+            out.push(offset & 255, offset >> 8);
+            if (match_length - 4 >= 15) {
+                let remaining = match_length - 4 - 15;
+                while (remaining >= 255) {
+                    out.push(255);
+                    remaining -= 255;
+                }
+                out.push(remaining);
+            }
+        }
+    };
+
+    let i = 0;
+    let limit = src.length - 12; // last bytes must be literals.
+    while (i < limit) {
+        let key = src[i] | (src[i + 1] << 8) | (src[i + 2] << 16) | (src[i + 3] << 24);
+        let candidate = table.get(key);
+        table.set(key, i);
+        if (candidate !== undefined && i - candidate < 65536) {
+            let len = 0;
+            while (i + len < src.length - 5 && src[candidate + len] == src[i + len]) {
+                len++;
+            }
+            if (len >= 4) {
+                emit(i, len, i - candidate);
+                i += len;
+                anchor = i;
+                continue;
+            }
+        }
+        i++;
+    }
+    emit(src.length, null, 0);
+    return new Uint8Array(out);
+}
+
+function bloscCompress(bytes, typesize, { shuffle = true, compressor = "lz4", blocksize = 256 } = {}) {
+    let nblocks = Math.ceil(bytes.length / blocksize);
+    let compcode = (compressor == "lz4" ? 1 : 3);
+    let pieces = [];
+    let offsets = [];
+    let position = 16 + 4 * nblocks;
+
+    for (var b = 0; b < nblocks; b++) {
+        let block = bytes.slice(b * blocksize, Math.min(bytes.length, (b + 1) * blocksize));
+        let is_leftover = (block.length < blocksize);
+
+        let staging = block;
+        if (shuffle && typesize > 1) {
+            staging = new Uint8Array(block.length);
+            let n = Math.floor(block.length / typesize);
+            for (var j = 0; j < n; j++) {
+                for (var k = 0; k < typesize; k++) {
+                    staging[k * n + j] = block[j * typesize + k];
+                }
+            }
+            staging.set(block.subarray(n * typesize), n * typesize);
+        }
+
+        offsets.push(position);
+        let nsplits = (is_leftover ? 1 : typesize);
+        let neblock = staging.length / nsplits;
+        for (var s = 0; s < nsplits; s++) {
+            let split = staging.subarray(s * neblock, (s + 1) * neblock);
+            let compressed = (compressor == "lz4" ? lz4Compress(split) : pako.deflate(split));
+            if (compressed.length >= split.length) {
+                compressed = split;
+            }
+            let header = new Uint8Array(4);
+            new DataView(header.buffer).setUint32(0, compressed.length, true);
+            pieces.push(header, compressed);
+            position += 4 + compressed.length;
+        }
+    }
+
+    let output = new Uint8Array(position);
+    let view = new DataView(output.buffer);
+    output[0] = 2;
+    output[1] = 1;
+    output[2] = (compcode << 5) | (shuffle ? 1 : 0);
+    output[3] = typesize;
+    view.setUint32(4, bytes.length, true);
+    view.setUint32(8, blocksize, true);
+    view.setUint32(12, output.length, true);
+    offsets.forEach((x, i) => view.setUint32(16 + 4 * i, x, true));
+
+    let current = 16 + 4 * nblocks;
+    for (const p of pieces) {
+        output.set(p, current);
+        current += p.length;
+    }
+    return output;
+}
+
+function encodeVlenUtf8(strings) {
+    let enc = new TextEncoder;
+    let encoded = strings.map(x => enc.encode(x));
+    let total = 4 + encoded.reduce((a, b) => a + 4 + b.length, 0);
+    let output = new Uint8Array(total);
+    let view = new DataView(output.buffer);
+    view.setUint32(0, strings.length, true);
+    let offset = 4;
+    for (const e of encoded) {
+        view.setUint32(offset, e.length, true);
+        output.set(e, offset + 4);
+        offset += 4 + e.length;
+    }
+    return output;
+}
+
+function encodeFixedUnicode(strings, width) {
+    let codes = new Uint32Array(strings.length * width);
+    strings.forEach((x, i) => {
+        let chars = Array.from(x);
+        chars.forEach((c, j) => { codes[i * width + j] = c.codePointAt(0); });
+    });
+    return new Uint8Array(codes.buffer);
+}
+
+function compressWith(bytes, compressor, typesize) {
+    if (compressor === null) {
+        return bytes;
+    } else if (compressor.id == "zlib") {
+        return pako.deflate(bytes);
+    } else if (compressor.id == "gzip") {
+        return pako.gzip(bytes);
+    } else {
+        return bloscCompress(bytes, typesize, { compressor: compressor.cname });
+    }
+}
+
+// Writes a (possibly chunked) array in C order.
+function addArray(files, path, { shape, chunks = null, dtype, values, compressor = null, attrs = null, strings = false }) {
+    if (chunks === null) {
+        chunks = shape;
+    }
+    let meta = { zarr_format: 2, shape, chunks, dtype: (strings ? "|O" : dtype), compressor, fill_value: (strings ? "" : 0), order: "C", filters: (strings ? [ { id: "vlen-utf8" } ] : null) };
+    files[path + "/.zarray"] = meta;
+    if (attrs !== null) {
+        files[path + "/.zattrs"] = attrs;
+    }
+
+    let nchunks = shape.map((x, i) => Math.ceil(x / chunks[i]));
+    let total_chunks = nchunks.reduce((a, b) => a * b, 1);
+    let typesize = (strings ? 1 : Number(dtype.slice(2)));
+
+    for (var c = 0; c < total_chunks; c++) {
+        // Only supporting 1- and 2-dimensional arrays here.
+        let idx = (shape.length == 1 ? [c] : [Math.floor(c / nchunks[1]), c % nchunks[1]]);
+        let chunk_len = chunks.reduce((a, b) => a * b, 1);
+        let chunk_vals = (strings ? new Array(chunk_len).fill("") : new values.constructor(chunk_len));
+
+        for (var i = 0; i < chunk_len; i++) {
+            let coords = (shape.length == 1 ? [i] : [Math.floor(i / chunks[1]), i % chunks[1]]);
+            let full = coords.map((x, d) => x + idx[d] * chunks[d]);
+            if (full.every((x, d) => x < shape[d])) {
+                let offset = (shape.length == 1 ? full[0] : full[0] * shape[1] + full[1]);
+                chunk_vals[i] = values[offset];
+            }
+        }
+
+        let bytes = (strings ? encodeVlenUtf8(chunk_vals) : new Uint8Array(chunk_vals.buffer));
+        files[path + "/" + idx.join(".")] = compressWith(bytes, compressor, typesize);
+    }
+}
+
+function addGroup(files, path, attrs = null) {
+    files[(path == "" ? "" : path + "/") + ".zgroup"] = { zarr_format: 2 };
+    if (attrs !== null) {
+        files[(path == "" ? "" : path + "/") + ".zattrs"] = attrs;
+    }
+}
+
+const ngenes = 40;
+const ncells = 25;
+
+function mockAnnData({ consolidated = false } = {}) {
+    let files = {};
+    addGroup(files, "", { "encoding-type": "anndata", "encoding-version": "0.1.0" });
+
+    let counts = new Int32Array(ncells * ngenes); // cells in rows, as in AnnData.
+    counts.forEach((x, i) => { counts[i] = (i % 4 == 0 ? (i * 17) % 23 : 0); });
+    addArray(files, "X", { shape: [ncells, ngenes], chunks: [10, 16], dtype: "<i4", values: counts, compressor: { id: "blosc", cname: "lz4", clevel: 5, shuffle: 1 } });
+
+    // Adding a CSR layer with doubled counts.
+    addGroup(files, "layers");
+    addGroup(files, "layers/doubled", { "encoding-type": "csr_matrix", "encoding-version": "0.1.0", "shape": [ncells, ngenes] });
+    let data = [], indices = [], indptr = [0];
+    for (var c = 0; c < ncells; c++) {
+        for (var g = 0; g < ngenes; g++) {
+            let val = counts[c * ngenes + g];
+            if (val) {
+                data.push(val * 2);
+                indices.push(g);
+            }
+        }
+        indptr.push(data.length);
+    }
+    addArray(files, "layers/doubled/data", { shape: [data.length], chunks: [50], dtype: "<f8", values: new Float64Array(data), compressor: { id: "zlib", level: 1 } });
+    addArray(files, "layers/doubled/indices", { shape: [indices.length], dtype: "<i4", values: new Int32Array(indices), compressor: { id: "blosc", cname: "zlib", clevel: 5, shuffle: 1 } });
+    addArray(files, "layers/doubled/indptr", { shape: [indptr.length], dtype: "<i8", values: BigInt64Array.from(indptr, BigInt) });
+
+    // Adding the obs.
+    let cell_names = Array.from({ length: ncells }, (_, i) => "CELL_" + String(i));
+    addGroup(files, "obs", { "_index": "_index", "column-order": [ "cluster", "sum" ], "encoding-type": "dataframe", "encoding-version": "0.2.0" });
+    addArray(files, "obs/_index", { shape: [ncells], chunks: [10], values: cell_names, strings: true });
+    addGroup(files, "obs/cluster", { "encoding-type": "categorical", "encoding-version": "0.2.0", "ordered": false });
+    addArray(files, "obs/cluster/categories", { shape: [3], values: ["A", "B", "C"], strings: true });
+    addArray(files, "obs/cluster/codes", { shape: [ncells], dtype: "|i1", values: Int8Array.from({ length: ncells }, (_, i) => i % 3) });
+    let sums = new Float64Array(ncells);
+    for (var c = 0; c < ncells; c++) {
+        for (var g = 0; g < ngenes; g++) {
+            sums[c] += counts[c * ngenes + g];
+        }
+    }
+    addArray(files, "obs/sum", { shape: [ncells], dtype: "<f8", values: sums, compressor: { id: "gzip", level: 1 } });
+
+    // Adding the var, with fixed-width strings.
+    let gene_names = Array.from({ length: ngenes }, (_, i) => "GENE_" + String(i));
+    addGroup(files, "var", { "_index": "_index", "column-order": [ "symbol" ], "encoding-type": "dataframe", "encoding-version": "0.2.0" });
+    files["var/_index/.zarray"] = { zarr_format: 2, shape: [ngenes], chunks: [ngenes], dtype: "<U8", compressor: null, fill_value: "", order: "C", filters: null };
+    files["var/_index/0"] = encodeFixedUnicode(gene_names, 8);
+    addArray(files, "var/symbol", { shape: [ngenes], values: gene_names.map(x => x.toLowerCase()), strings: true });
+
+    // Adding the obsm.
+    addGroup(files, "obsm");
+    let umap = Float64Array.from({ length: ncells * 2 }, (_, i) => i / 2);
+    addArray(files, "obsm/X_umap", { shape: [ncells, 2], chunks: [7, 2], dtype: "<f8", values: umap, compressor: { id: "blosc", cname: "lz4", clevel: 5, shuffle: 1 } });
+
+    if (consolidated) {
+        let metadata = {};
+        for (const [k, v] of Object.entries(files)) {
+            if (k.endsWith(".zarray") || k.endsWith(".zgroup") || k.endsWith(".zattrs")) {
+                metadata[k] = v;
+            }
+        }
+        files[".zmetadata"] = { metadata, zarr_consolidated_format: 1 };
+    }
+
+    return { files, counts, cell_names, gene_names, umap };
+}
+
+async function zipStore(files, prefix) {
+    let zip = new JSZip;
+    for (const [k, v] of Object.entries(files)) {
+        zip.file(prefix + k, (v instanceof Uint8Array ? v : JSON.stringify(v)));
+    }
+    return await zip.generateAsync({ type: "uint8array" });
+}
+
+class MockNavigator {
+    #files;
+
+    constructor(files) {
+        this.#files = {};
+        for (const [k, v] of Object.entries(files)) {
+            this.#files[k] = (v instanceof Uint8Array ? v : (new TextEncoder).encode(JSON.stringify(v)));
+        }
+    }
+
+    get(path, asBuffer) {
+        return this.#files[path];
+    }
+
+    exists(path) {
+        return path in this.#files;
+    }
+
+    list(path) {
+        let prefix = (path == "" ? "" : path + "/");
+        let found = new Set;
+        for (const k of Object.keys(this.#files)) {
+            if (k.startsWith(prefix)) {
+                found.add(k.slice(prefix.length).split("/")[0]);
+            }
+        }
+        return Array.from(found);
+    }
+}
+
+/********************************
+ ************ Tests *************
+ ********************************/
+
+test("Blosc and LZ4 decompression works correctly", () => {
+    let original = new Int32Array(1000);
+    original.forEach((x, i) => { original[i] = (i % 5 == 0 ? i : 7); });
+    let bytes = new Uint8Array(original.buffer);
+
+    let lz4 = lz4Compress(bytes);
+    expect(lz4.length).toBeLessThan(bytes.length);
+    let restored = new Uint8Array(bytes.length);
+    expect(zutils.decompressLz4Block(lz4, restored)).toEqual(bytes.length);
+    expect(restored).toEqual(bytes);
+
+    for (const compressor of [ "lz4", "zlib" ]) {
+        for (const shuffle of [ true, false ]) {
+            let blosc = bloscCompress(bytes, 4, { shuffle, compressor, blocksize: 1000 }); // forcing a leftover block.
+            expect(zutils.decompressBlosc(blosc)).toEqual(bytes);
+        }
+    }
+
+    // Handles memcpy'd buffers.
+    let raw = new Uint8Array(16 + bytes.length);
+    raw.set([2, 1, 2, 4], 0);
+    new DataView(raw.buffer).setUint32(4, bytes.length, true);
+    raw.set(bytes, 16);
+    expect(zutils.decompressBlosc(raw)).toEqual(bytes);
+})
+
+test("Zarr AnnData dataset readers work correctly", async () => {
+    let mock = mockAnnData();
+    const fpath = "TEST_anndata.zarr.zip";
+    fs.writeFileSync(fpath, await zipStore(mock.files, "foo.zarr/"));
+
+    let ds = new bakana.ZarrAnnDataDataset(fpath);
+    await utils.checkDatasetGeneral(ds);
+    expect(bakana.availableReaders["ZarrAnnData"]).toBe(bakana.ZarrAnnDataDataset);
+
+    let summ = await utils.checkDatasetSummary(ds);
+    expect(summ.all_assay_names).toEqual(["X", "layers/doubled"]);
+    expect(summ.all_features.rowNames()).toEqual(mock.gene_names);
+    expect(summ.all_features.columnNames()).toEqual(["symbol"]);
+    expect(summ.cells.rowNames()).toEqual(mock.cell_names);
+    expect(summ.cells.columnNames()).toEqual(["cluster", "sum"]);
+    expect(summ.cells.column("cluster").slice(0, 4)).toEqual(["A", "B", "C", "A"]);
+
+    let loaded = await utils.checkDatasetLoad(ds);
+    expect(loaded.matrix.available()).toEqual(["RNA"]);
+    expect(loaded.primary_ids.RNA).toEqual(mock.gene_names);
+
+    {
+        let ref = scran.initializeSparseMatrixFromDenseArray(ngenes, ncells, mock.counts, { columnMajor: true });
+        let mat = loaded.matrix.get("RNA");
+        for (var c = 0; c < ncells; c++) {
+            expect(mat.column(c)).toEqual(ref.column(c));
+        }
+        ref.free();
+    }
+
+    let copy = await utils.checkDatasetSerialize(ds);
+    utils.sameDatasetSummary(summ, await copy.summary());
+    utils.sameDatasetLoad(loaded, await copy.load());
+
+    // Works with the sparse layer.
+    ds.setOptions({ countMatrixName: "layers/doubled", primaryRnaFeatureIdColumn: "symbol" });
+    let loaded2 = await ds.load();
+    expect(loaded2.primary_ids.RNA[0]).toEqual("gene_0");
+    for (var c = 0; c < ncells; c++) {
+        expect(loaded2.matrix.get("RNA").column(c)).toEqual(loaded.matrix.get("RNA").column(c).map(x => x * 2));
+    }
+})
+
+test("Zarr AnnData result readers work correctly", async () => {
+    let mock = mockAnnData({ consolidated: true });
+    const fpath = "TEST_anndata_result.zarr.zip";
+    fs.writeFileSync(fpath, await zipStore(mock.files, ""));
+
+    let res = new bakana.ZarrAnnDataResult(fpath);
+    let summ = await utils.checkResultSummary(res);
+    expect(summ.all_assay_names).toEqual(["X", "layers/doubled"]);
+    expect(summ.reduced_dimension_names).toEqual(["X_umap"]);
+
+    res.setOptions({ isPrimaryNormalized: false });
+    let loaded = await utils.checkResultLoad(res);
+    expect(Object.keys(loaded.reduced_dimensions)).toEqual(["X_umap"]);
+    expect(loaded.reduced_dimensions.X_umap.length).toEqual(2);
+    expect(Array.from(loaded.reduced_dimensions.X_umap[1].slice(0, 3))).toEqual([0.5, 1.5, 2.5]);
+    expect(utils.hasNonInteger(loaded.matrix.get("").column(0))).toBe(true);
+})
+
+test("Zarr AnnData readers work with a custom navigator", async () => {
+    let mock = mockAnnData();
+    let ds = new bakana.AbstractZarrAnnDataDataset(new MockNavigator(mock.files));
+    let summ = await ds.summary({ cache: true });
+    expect(summ.all_assay_names).toEqual(["X", "layers/doubled"]);
+
+    let loaded = await ds.load();
+    expect(loaded.matrix.numberOfColumns()).toEqual(ncells);
+    expect(loaded.matrix.get("RNA").numberOfRows()).toEqual(ngenes);
+
+    ds.setOptions({ countMatrixName: "layers/missing" });
+    await expect(ds.load()).rejects.toThrow("no assay named");
+})
@@ -0,0 +1,103 @@
+import * as bakana from "../src/index.js";
+import * as utils from "./utils.js";
+
+beforeAll(utils.initializeAll);
+afterAll(async () => await bakana.terminate());
+
+function abortAt(controller, target) {
+    return step => {
+        if (step == target) {
+            controller.abort();
+        }
+    };
+}
+
+test("runAnalysis can be aborted between steps and resumed", async () => {
+    let datasets = { default: utils.mockDataset("TEST_abort_A_", 20, 30) };
+    let params = utils.mockParams();
+
+    let ref = await bakana.createAnalysis();
+    await bakana.runAnalysis(ref, datasets, params);
+
+    // Aborting before the analysis even starts.
+    let state = await bakana.createAnalysis();
+    let controller = new AbortController;
+    controller.abort();
+    await expect(bakana.runAnalysis(state, datasets, params, { signal: controller.signal })).rejects.toMatchObject({ name: "AbortError" });
+
+    // Aborting in the middle of the analysis.
+    controller = new AbortController;
+    let started = [];
+    let startFun = step => {
+        started.push(step);
+        if (step == "rna_pca") {
+            controller.abort();
+        }
+    };
+    await expect(bakana.runAnalysis(state, datasets, params, { startFun, signal: controller.signal })).rejects.toMatchObject({ name: "AbortError" });
+    expect(started).toContain("rna_pca");
+    expect(started).not.toContain("combine_embeddings");
+    expect(state.feature_selection.changed).toBe(true);
+
+    // Resuming the analysis gives the same results as the uninterrupted run.
+    await bakana.runAnalysis(state, null, params);
+    expect(state.rna_pca.changed).toBe(true);
+    expect(state.snn_graph_cluster.fetchClusters().array()).toEqual(ref.snn_graph_cluster.fetchClusters().array());
+    expect((await state.tsne.fetchResults()).x.length).toEqual((await ref.tsne.fetchResults()).x.length);
+    expect(bakana.planAnalysis(state, null, params)).toEqual([]);
+
+    // Changes from the aborted run are propagated when resuming, even if the parameters are unchanged.
+    params.rna_pca.num_pcs = 4;
+    controller = new AbortController;
+    await expect(bakana.runAnalysis(state, null, params, { startFun: abortAt(controller, "neighbor_index"), signal: controller.signal })).rejects.toMatchObject({ name: "AbortError" });
+    expect(state.rna_pca.changed).toBe(true);
+
+    let plan = bakana.planAnalysis(state, null, params);
+    expect(plan[0]).toEqual({ step: "rna_pca", cost: "high", reasons: [{ type: "interrupted" }] });
+    expect(plan.find(x => x.step == "neighbor_index").reasons).toEqual([{ type: "upstream", steps: [ "batch_correction" ] }]);
+
+    await bakana.runAnalysis(state, null, params);
+    expect(state.rna_pca.changed).toBe(true);
+    expect(state.neighbor_index.changed).toBe(true);
+    expect(state.snn_graph_cluster.changed).toBe(true);
+    expect(bakana.planAnalysis(state, null, params)).toEqual([]);
+
+    let ref2 = await bakana.createAnalysis();
+    await bakana.runAnalysis(ref2, datasets, params);
+    expect(state.snn_graph_cluster.fetchClusters().array()).toEqual(ref2.snn_graph_cluster.fetchClusters().array());
+
+    await bakana.freeAnalysis(state);
+    await bakana.freeAnalysis(ref);
+    await bakana.freeAnalysis(ref2);
+})
+
+test("runAnalysis cancels in-flight t-SNE and UMAP calculations", async () => {
+    let datasets = { default: utils.mockDataset("TEST_abort_B_", 20, 30) };
+    let params = utils.mockParams();
+
+    let state = await bakana.createAnalysis();
+    await bakana.runAnalysis(state, datasets, params);
+    let ncells = (await state.tsne.fetchResults()).x.length;
+
+    // These would take a very long time if they weren't cancelled.
+    params.tsne.iterations = 10000000;
+    params.umap.num_epochs = 10000000;
+    let controller = new AbortController;
+    await expect(bakana.runAnalysis(state, null, params, { startFun: abortAt(controller, "marker_detection"), signal: controller.signal })).rejects.toMatchObject({ name: "AbortError" });
+
+    let plan = bakana.planAnalysis(state, null, params);
+    expect(plan.map(x => x.step)).toEqual([ "tsne", "umap" ]);
+    expect(plan[0].reasons).toEqual([{ type: "interrupted" }]);
+
+    // Resuming with the old parameters recomputes the coordinates.
+    params.tsne.iterations = 500;
+    params.umap.num_epochs = 500;
+    await bakana.runAnalysis(state, null, params);
+    expect(state.tsne.changed).toBe(true);
+    expect(state.umap.changed).toBe(true);
+    expect((await state.tsne.fetchResults()).x.length).toEqual(ncells);
+    expect((await state.umap.fetchResults()).x.length).toEqual(ncells);
+    expect(bakana.planAnalysis(state, null, params)).toEqual([]);
+
+    await bakana.freeAnalysis(state);
+})
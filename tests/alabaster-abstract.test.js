@@ -7,49 +7,10 @@ import * as fs from "fs";
 beforeAll(utils.initializeAll);
 afterAll(async () => await bakana.terminate());
 
-class LocalAlabasterDataset extends bakana.AbstractAlabasterDataset {
-    #dir;
-
-    constructor(dir) {
-        super(new utils.LocalDirectoryNavigator(dir));
-        this.#dir = dir;
-    }
-
-    static format() {
-        return "alabaster-local-directory";
-    }
-
-    static unserialize(files, options) {
-        let dec = new TextDecoder;
-        let payload = files[0].file.buffer();
-        let info = JSON.parse(dec.decode(payload));
-        let output = new LocalAlabasterDataset(info.directory);
-        output.setOptions(options);
-        return output;
-    }
-
-    abbreviate() {
-        return {
-            directory: this.#dir,
-            options: this.options()
-        };
-    }
-
-    serialize() {
-        let enc = new TextEncoder;
-        let config = { directory: this.#dir };
-        let buffer = enc.encode(JSON.stringify(config));
-        return {
-            files: [ { file: new bakana.SimpleFile(buffer, { name: "config.json" }), type: "config" } ],
-            options: this.options()
-        }
-    }
-}
-
 /***********************************************/
 
 test("AlabasterAbstractDataset for simple datasets", async () => {
-    let stripped_ds = new LocalAlabasterDataset("files/datasets/alabaster/zeisel-brain-stripped");
+    let stripped_ds = new bakana.LocalAlabasterDataset("files/datasets/alabaster/zeisel-brain-stripped");
     await utils.checkDatasetGeneral(stripped_ds);
 
     let summ = await utils.checkDatasetSummary(stripped_ds);
@@ -67,7 +28,7 @@ test("AlabasterAbstractDataset for simple datasets", async () => {
 
 test("AlabasterAbstractDataset for multimodal datasets", async () => {
     for (const mode of ["sparse", "dense"]) {
-        let full_ds = new LocalAlabasterDataset("files/datasets/alabaster/zeisel-brain-" + mode);
+        let full_ds = new bakana.LocalAlabasterDataset("files/datasets/alabaster/zeisel-brain-" + mode);
         await utils.checkDatasetGeneral(full_ds);
 
         let summ = await utils.checkDatasetSummary(full_ds);
@@ -97,7 +58,7 @@ test("AlabasterAbstractDataset for multimodal datasets", async () => {
 
 test("AlabasterAbstractResult behaves with simple results", async () => {
     for (const extra of [ "", "-delayed", "-delayed-external" ]) {
-        let res = new bakana.AbstractAlabasterResult(new utils.LocalDirectoryNavigator("files/datasets/alabaster/zeisel-brain-sparse-results" + extra));
+        let res = new bakana.LocalAlabasterResult("files/datasets/alabaster/zeisel-brain-sparse-results" + extra);
 
         let summ = await utils.checkResultSummary(res);
         expect(Object.keys(summ.modality_features)).toEqual(["rna"]);
@@ -125,7 +86,7 @@ test("AlabasterAbstractResult behaves with simple results", async () => {
 })
 
 test("AlabasterAbstractResult performs normalization", async () => {
-    let res = new bakana.AbstractAlabasterResult(new utils.LocalDirectoryNavigator("files/datasets/alabaster/zeisel-brain-sparse-results"));
+    let res = new bakana.LocalAlabasterResult("files/datasets/alabaster/zeisel-brain-sparse-results");
     res.setOptions({
         primaryAssay: "filtered",
         isPrimaryNormalized: false
@@ -139,7 +100,7 @@ test("AlabasterAbstractResult performs normalization", async () => {
 
 test("AlabasterAbstractResult behaves with multimodal results", async () => {
     for (const extra of [ "", "-delayed", "-delayed-external" ]) {
-        let res = new bakana.AbstractAlabasterResult(new utils.LocalDirectoryNavigator("files/datasets/alabaster/zeisel-brain-dense-multimodal-results" + extra));
+        let res = new bakana.LocalAlabasterResult("files/datasets/alabaster/zeisel-brain-dense-multimodal-results" + extra);
 
         let summ = await utils.checkResultSummary(res);
         expect(Object.keys(summ.modality_features)).toEqual(["rna", "adt"]);
@@ -0,0 +1,118 @@
+import * as bakana from "../src/index.js";
+import * as ass from "../src/dump/assays.js";
+import { AlabasterGlobalsInterface } from "../src/dump/interfaces.js";
+import * as scran from "scran.js";
+import * as bioc from "bioconductor";
+import * as jsp from "jaspagate";
+import * as utils from "./utils.js";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+
+beforeAll(utils.initializeAll);
+afterAll(async () => await bakana.terminate());
+
+const ngenes = 30;
+const ncells = 20;
+
+async function mockAlabasterDirectory() {
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), "alabaster-local"));
+
+    let counts = new Int32Array(ngenes * ncells);
+    counts.forEach((x, i) => { counts[i] = (i % 3 == 0 ? (i * 7) % 13 : 0); });
+    let mat = scran.initializeSparseMatrixFromDenseArray(ngenes, ncells, counts, { forceInteger: true });
+
+    let genes = Array.from({ length: ngenes }, (_, i) => "GENE_" + String(i));
+    let se = new bioc.SummarizedExperiment({ counts: new ass.MockSparseMatrix(mat) }, {
+        rowData: new bioc.DataFrame({ symbol: genes.map(x => x.toLowerCase()) }),
+        rowNames: genes,
+        columnData: new bioc.DataFrame({ sample: Array.from({ length: ncells }, (_, i) => "sample" + String(i % 2)) })
+    });
+
+    let globals = new AlabasterGlobalsInterface(dir, {});
+    jsp.saveObjectRegistry.push([ ass.MockSparseMatrix, ass.saveSparseMatrix ]);
+    try {
+        await jsp.saveObject(se, "sce", globals);
+    } finally {
+        jsp.saveObjectRegistry.pop();
+        mat.free();
+    }
+
+    return { dir, genes, counts };
+}
+
+test("local alabaster datasets work correctly", async () => {
+    let { dir, genes, counts } = await mockAlabasterDirectory();
+    let ds = new bakana.LocalAlabasterDataset(path.join(dir, "sce"));
+    await utils.checkDatasetGeneral(ds);
+
+    let summ = await utils.checkDatasetSummary(ds);
+    expect(Object.keys(summ.modality_features)).toEqual([""]);
+    expect(summ.modality_features[""].rowNames()).toEqual(genes);
+    expect(summ.cells.columnNames()).toEqual(["sample"]);
+
+    let loaded = await utils.checkDatasetLoad(ds);
+    expect(loaded.matrix.available()).toEqual(["RNA"]);
+    expect(loaded.primary_ids.RNA).toEqual(genes);
+    expect(Array.from(loaded.matrix.get("RNA").column(2))).toEqual(Array.from(counts.slice(2 * ngenes, 3 * ngenes)));
+
+    // Serializing as a reference to the directory.
+    let serialized = ds.serialize();
+    expect(serialized.files.length).toEqual(1);
+    expect(serialized.files[0].type).toEqual("directory");
+
+    let copy = await utils.checkDatasetSerialize(ds);
+    utils.sameDatasetSummary(summ, await copy.summary());
+    utils.sameDatasetLoad(loaded, await copy.load());
+
+    // Serializing as a bundle of files, which still works after the directory is gone.
+    let bundled = new bakana.LocalAlabasterDataset(path.join(dir, "sce"), { bundle: true });
+    bundled.setOptions({ primaryRnaFeatureIdColumn: "symbol" });
+    let bserialized = bundled.serialize();
+    expect(bserialized.files.length).toBeGreaterThan(1);
+    expect(bserialized.files.every(x => x.type == "bundled")).toBe(true);
+    expect(bserialized.files.map(x => x.file.name())).toContain("OBJECT");
+
+    let in_memory = bserialized.files.map(x => {
+        return { type: x.type, file: new bakana.SimpleFile(x.file.buffer(), { name: x.file.name() }) };
+    });
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    let bcopy = await bakana.LocalAlabasterDataset.unserialize(in_memory, bserialized.options);
+    expect(bcopy.options().primaryRnaFeatureIdColumn).toEqual("symbol");
+    let bloaded = await bcopy.load();
+    expect(bloaded.primary_ids.RNA).toEqual(genes.map(x => x.toLowerCase()));
+    expect(bcopy.serialize().files.length).toEqual(bserialized.files.length);
+})
+
+test("local alabaster results work correctly", async () => {
+    let { dir, genes } = await mockAlabasterDirectory();
+    let res = new bakana.LocalAlabasterResult(path.join(dir, "sce"));
+
+    let summ = await res.summary();
+    expect(summ.modality_assay_names[""]).toEqual(["counts"]);
+
+    res.setOptions({ primaryAssay: "counts", isPrimaryNormalized: false });
+    let loaded = await res.load();
+    expect(loaded.matrix.get("").numberOfRows()).toEqual(ngenes);
+    expect(utils.hasNonInteger(loaded.matrix.get("").column(0))).toBe(true);
+})
+
+test("local ArtifactDB datasets serialize correctly", async () => {
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), "artifactdb-local"));
+    fs.writeFileSync(path.join(dir, "experiment.json"), JSON.stringify({ "$schema": "summarized_experiment/v1.json", path: "experiment.json" }));
+
+    let ds = new bakana.LocalArtifactdbDataset("experiment.json", dir);
+    ds.setOptions({ rnaExperiment: "foo" });
+    await utils.checkDatasetGeneral(ds);
+
+    let copy = await utils.checkDatasetSerialize(ds);
+    expect(copy.options().rnaExperiment).toEqual("foo");
+    expect(copy.serialize().options.datasetName).toEqual("experiment.json");
+
+    let bundled = new bakana.LocalArtifactdbDataset("experiment.json", dir, { bundle: true });
+    let bserialized = bundled.serialize();
+    expect(bserialized.files.map(x => x.file.name())).toEqual(["experiment.json"]);
+    expect(bserialized.files[0].type).toEqual("bundled");
+    await utils.checkDatasetSerialize(bundled);
+})
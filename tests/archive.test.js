@@ -0,0 +1,205 @@
+import * as bakana from "../src/index.js";
+import * as scran from "scran.js";
+import * as utils from "./utils.js";
+import * as fs from "fs";
+import * as pako from "pako";
+import JSZip from "jszip";
+
+beforeAll(utils.initializeAll);
+afterAll(async () => await bakana.terminate());
+
+function tarHeader(name, size) {
+    let header = new Uint8Array(512);
+    let enc = new TextEncoder;
+    let prefix = "";
+    if (name.length > 100) {
+        let split = name.lastIndexOf("/");
+        prefix = name.slice(0, split);
+        name = name.slice(split + 1);
+    }
+
+    header.set(enc.encode(name), 0);
+    header.set(enc.encode("0000644\0"), 100);
+    header.set(enc.encode("0000000\0"), 108);
+    header.set(enc.encode("0000000\0"), 116);
+    header.set(enc.encode(size.toString(8).padStart(11, "0") + "\0"), 124);
+    header.set(enc.encode("00000000000\0"), 136);
+    header[156] = "0".charCodeAt(0);
+    header.set(enc.encode("ustar\0" + "00"), 257);
+    header.set(enc.encode(prefix), 345);
+
+    header.fill(32, 148, 156); // checksum is computed with spaces in its own field.
+    let checksum = header.reduce((a, b) => a + b, 0);
+    header.set(enc.encode(checksum.toString(8).padStart(6, "0") + "\0 "), 148);
+    return header;
+}
+
+function mockTar(entries) {
+    let chunks = [];
+    for (const [name, contents] of Object.entries(entries)) {
+        let data = (typeof contents == "string" ? (new TextEncoder).encode(contents) : contents);
+        chunks.push(tarHeader(name, data.length));
+        let padded = new Uint8Array(Math.ceil(data.length / 512) * 512);
+        padded.set(data);
+        chunks.push(padded);
+    }
+    chunks.push(new Uint8Array(1024));
+
+    let output = new Uint8Array(chunks.reduce((a, x) => a + x.length, 0));
+    let offset = 0;
+    for (const x of chunks) {
+        output.set(x, offset);
+        offset += x.length;
+    }
+    return output;
+}
+
+function mockMatrixMarket(ngenes, ncells, shift) {
+    let entries = [];
+    for (var c = 0; c < ncells; c++) {
+        for (var g = 0; g < ngenes; g++) {
+            if ((c + g) % 3 == 0) {
+                entries.push(String(g + 1) + " " + String(c + 1) + " " + String(c + g + shift));
+            }
+        }
+    }
+    let header = [ "%%MatrixMarket matrix coordinate integer general", String(ngenes) + " " + String(ncells) + " " + String(entries.length) ];
+    return {
+        "matrix.mtx.gz": pako.gzip(header.concat(entries).join("\n") + "\n"),
+        "features.tsv.gz": pako.gzip(Array.from({ length: ngenes }, (_, i) => "ENSG" + String(i) + "\tGENE" + String(i) + "\tGene Expression").join("\n") + "\n"),
+        "barcodes.tsv.gz": pako.gzip(Array.from({ length: ncells }, (_, i) => "BARCODE" + String(i) + "-1").join("\n") + "\n")
+    };
+}
+
+function withPrefix(prefix, entries) {
+    let output = {};
+    for (const [k, v] of Object.entries(entries)) {
+        output[prefix + k] = v;
+    }
+    return output;
+}
+
+test("MatrixMarket files can be read from tarballs", async () => {
+    let mtx = mockMatrixMarket(50, 20, 1);
+    let unpacked = {};
+    for (const [k, v] of Object.entries(mtx)) {
+        unpacked[k] = "TEST_archive_" + k;
+        fs.writeFileSync(unpacked[k], v);
+    }
+    let ref = new bakana.TenxMatrixMarketDataset(unpacked["matrix.mtx.gz"], unpacked["features.tsv.gz"], unpacked["barcodes.tsv.gz"]);
+
+    let path = "TEST_archive.tar.gz";
+    fs.writeFileSync(path, pako.gzip(mockTar(withPrefix("./filtered_feature_bc_matrix/", mtx))));
+
+    let ds = new bakana.ArchivedTenxMatrixMarketDataset(path);
+    await utils.checkDatasetGeneral(ds);
+    expect(bakana.availableReaders["MatrixMarket-archive"]).toBe(bakana.ArchivedTenxMatrixMarketDataset);
+    expect(ds.options().archivePath).toBeNull();
+    expect(ds.options().featureTypeRnaName).toEqual("Gene Expression");
+
+    let summ = await utils.checkDatasetSummary(ds);
+    utils.sameDatasetSummary(summ, await ref.summary());
+    expect(summ.cells.numberOfRows()).toEqual(20);
+
+    let preview = await utils.checkDatasetLoad(ds);
+    utils.sameDatasetLoad(preview, await ref.load());
+
+    // Options are passed to the inner dataset.
+    ds.setOptions({ primaryRnaFeatureIdColumn: 1 });
+    let ids = await ds.previewPrimaryIds({ cache: true });
+    expect(ids.RNA[0]).toEqual("GENE0");
+    ds.setOptions({ primaryRnaFeatureIdColumn: 0 });
+    let loaded = await ds.load({ cache: true });
+    expect(loaded.primary_ids.RNA[0]).toEqual("ENSG0");
+    ds.clear();
+
+    // Serialized as a single archive.
+    let serialized = await ds.serialize();
+    expect(serialized.files.length).toEqual(1);
+    expect(serialized.files[0].type).toEqual("archive");
+    let copy = await utils.checkDatasetSerialize(ds);
+    utils.sameDatasetLoad(loaded, await copy.load());
+
+    // Also works with an uncompressed tarball with long paths.
+    let longdir = "some/very/long/directory/name/that/goes/on/and/on/for/a/while/outs/filtered_feature_bc_matrix/";
+    fs.writeFileSync("TEST_archive.tar", mockTar(withPrefix(longdir, mtx)));
+    expect(await bakana.searchArchivedTenx("TEST_archive.tar")).toEqual({ mtx: [ longdir.slice(0, -1) ], h5: [] });
+    let plain = new bakana.ArchivedTenxMatrixMarketDataset("TEST_archive.tar");
+    utils.sameDatasetLoad(loaded, await plain.load());
+})
+
+test("MatrixMarket files can be chosen from ZIP files and nested archives", async () => {
+    let raw = withPrefix("raw_feature_bc_matrix/", mockMatrixMarket(50, 30, 2));
+    let filtered = withPrefix("filtered_feature_bc_matrix/", mockMatrixMarket(50, 20, 1));
+
+    let zip = new JSZip;
+    for (const [k, v] of Object.entries({ ...raw, ...filtered })) {
+        zip.file("outs/" + k, v);
+    }
+    zip.file("__MACOSX/outs/._matrix.mtx.gz", "junk");
+    zip.file("outs/raw.tar.gz", pako.gzip(mockTar(raw)));
+    let path = "TEST_archive.zip";
+    fs.writeFileSync(path, await zip.generateAsync({ type: "uint8array" }));
+
+    let found = await bakana.searchArchivedTenx(path);
+    expect(found.mtx).toEqual([ "outs/filtered_feature_bc_matrix", "outs/raw.tar.gz/raw_feature_bc_matrix", "outs/raw_feature_bc_matrix" ]);
+
+    let ds = new bakana.ArchivedTenxMatrixMarketDataset(path);
+    await expect(ds.summary()).rejects.toThrow("archivePath");
+
+    ds.setOptions({ archivePath: "outs/filtered_feature_bc_matrix" });
+    expect((await ds.summary()).cells.numberOfRows()).toEqual(20);
+
+    ds.setOptions({ archivePath: "outs/raw.tar.gz/raw_feature_bc_matrix" });
+    let nested = await ds.load();
+    expect(nested.matrix.numberOfColumns()).toEqual(30);
+
+    ds.setOptions({ archivePath: "foo" });
+    await expect(ds.load()).rejects.toThrow("no Matrix Market directory");
+
+    // Options survive serialization.
+    ds.setOptions({ archivePath: "outs/raw_feature_bc_matrix" });
+    let copy = await utils.checkDatasetSerialize(ds);
+    expect(copy.options().archivePath).toEqual("outs/raw_feature_bc_matrix");
+    utils.sameDatasetLoad(nested, await copy.load());
+
+    fs.writeFileSync("TEST_archive_bad.tar", "whee");
+    let bad = new bakana.ArchivedTenxMatrixMarketDataset("TEST_archive_bad.tar");
+    await expect(bad.summary()).rejects.toThrow("tar file");
+})
+
+test("10X HDF5 files can be read from archives", async () => {
+    let h5path = "TEST_archive_tenx.h5";
+    let fhandle = scran.createNewHdf5File(h5path);
+    let mhandle = fhandle.createGroup("matrix");
+    mhandle.writeDataSet("barcodes", "String", null, ["A-1", "B-1", "C-1"]);
+    mhandle.writeDataSet("data", "Int32", null, [1, 2, 3, 4]);
+    mhandle.writeDataSet("indices", "Int32", null, [0, 0, 1, 0]);
+    mhandle.writeDataSet("indptr", "Int32", null, [0, 1, 3, 4]);
+    mhandle.writeDataSet("shape", "Int32", null, [2, 3]);
+    let fghandle = mhandle.createGroup("features");
+    fghandle.writeDataSet("id", "String", null, ["G1", "G2"]);
+    fghandle.writeDataSet("name", "String", null, ["g1", "g2"]);
+    fghandle.writeDataSet("feature_type", "String", null, ["Gene Expression", "Gene Expression"]);
+
+    let ref = new bakana.TenxHdf5Dataset(h5path);
+    let path = "TEST_archive_h5.tar.gz";
+    fs.writeFileSync(path, pako.gzip(mockTar({ "outs/filtered_feature_bc_matrix.h5": fs.readFileSync(h5path) })));
+
+    let ds = new bakana.ArchivedTenxHdf5Dataset(path);
+    await utils.checkDatasetGeneral(ds);
+    expect(bakana.availableReaders["10X-archive"]).toBe(bakana.ArchivedTenxHdf5Dataset);
+
+    let summ = await utils.checkDatasetSummary(ds);
+    utils.sameDatasetSummary(summ, await ref.summary());
+    let loaded = await utils.checkDatasetLoad(ds);
+    utils.sameDatasetLoad(loaded, await ref.load());
+    expect(Array.from(loaded.matrix.get("RNA").column(1))).toEqual([2, 3]);
+
+    let copy = await utils.checkDatasetSerialize(ds);
+    utils.sameDatasetLoad(loaded, await copy.load());
+
+    // Archives without any HDF5 files fail.
+    fs.writeFileSync("TEST_archive_empty.tar", mockTar({ "foo.txt": "bar" }));
+    await expect(new bakana.ArchivedTenxHdf5Dataset("TEST_archive_empty.tar").load()).rejects.toThrow("no HDF5 file");
+})
@@ -1,6 +1,7 @@
 import * as bakana from "../src/index.js";
 import * as scran from "scran.js";
 import * as utils from "./utils.js"
+import * as fs from "fs";
 
 beforeAll(utils.initializeAll);
 afterAll(async () => await bakana.terminate());
@@ -113,3 +114,105 @@ test("single-matrix multi-sample analyses work correctly", async () => {
     // Freeing.
     await bakana.freeAnalysis(state);
 })
+
+function mockMatrixMarketWithFeatures(prefix, features, ncells, offset) {
+    let lines = [ "%%MatrixMarket matrix coordinate integer general" ];
+    let entries = [];
+    for (var c = 0; c < ncells; c++) {
+        for (var g = 0; g < features.length; g++) {
+            entries.push(String(g + 1) + " " + String(c + 1) + " " + String(offset + g * 10 + c + 1));
+        }
+    }
+    lines.push(String(features.length) + " " + String(ncells) + " " + String(entries.length));
+    fs.writeFileSync(prefix + ".mtx", lines.concat(entries).join("\n") + "\n");
+    fs.writeFileSync(prefix + ".features.tsv", features.map(x => x.join("\t")).join("\n") + "\n");
+    return new bakana.TenxMatrixMarketDataset(prefix + ".mtx", prefix + ".features.tsv", null);
+}
+
+test("multi-matrix analyses can take the union of features", async () => {
+    let files = {
+        A: mockMatrixMarketWithFeatures("TEST_union_A", [
+            [ "G1", "g1", "Gene Expression" ],
+            [ "G2", "g2", "Gene Expression" ],
+            [ "G3", "g3", "Gene Expression" ],
+            [ "P1", "p1", "Antibody Capture" ]
+        ], 3, 0),
+        B: mockMatrixMarketWithFeatures("TEST_union_B", [
+            [ "G4", "g4", "Gene Expression" ],
+            [ "G2", "g2", "Gene Expression" ],
+            [ "G1", "g1", "Gene Expression" ]
+        ], 2, 1000)
+    };
+
+    let state = await bakana.createAnalysis();
+    await state.inputs.compute(files, { combine_features: "union" });
+
+    let mat = state.inputs.fetchCountMatrix();
+    expect(mat.available()).toEqual(["RNA", "ADT"]);
+    expect(mat.numberOfColumns()).toEqual(5);
+
+    let genes = state.inputs.fetchFeatureAnnotations()["RNA"];
+    expect(genes.column("id")).toEqual(["G1", "G2", "G3", "G4"]);
+    expect(Array.from(genes.column("__measured_A__"))).toEqual([1, 1, 1, 0]);
+    expect(Array.from(genes.column("__measured_B__"))).toEqual([1, 1, 0, 1]);
+
+    let rna = mat.get("RNA");
+    expect(Array.from(rna.row(0))).toEqual([1, 2, 3, 1021, 1022]); // G1 in both.
+    expect(Array.from(rna.row(2))).toEqual([21, 22, 23, 0, 0]); // G3 only in A.
+    expect(Array.from(rna.row(3))).toEqual([0, 0, 0, 1001, 1002]); // G4 only in B.
+
+    let adts = state.inputs.fetchFeatureAnnotations()["ADT"];
+    expect(adts.column("id")).toEqual(["P1"]);
+    expect(Array.from(adts.column("__measured_B__"))).toEqual([0]);
+    expect(Array.from(mat.get("ADT").row(0))).toEqual([31, 32, 33, 0, 0]);
+
+    // Switching back to the intersection.
+    await state.inputs.compute(files, { combine_features: "intersection" });
+    expect(state.inputs.changed).toBe(true);
+    let imat = state.inputs.fetchCountMatrix();
+    expect(imat.available()).toEqual(["RNA"]);
+    expect(state.inputs.fetchFeatureAnnotations()["RNA"].column("id")).toEqual(["G1", "G2"]);
+    expect(state.inputs.fetchFeatureAnnotations()["RNA"].hasColumn("__measured_A__")).toBe(false);
+    expect(Array.from(imat.get("RNA").row(1))).toEqual([11, 12, 13, 1011, 1012]);
+
+    await bakana.freeAnalysis(state);
+
+    let failed = await bakana.createAnalysis();
+    await expect(failed.inputs.compute(files, { combine_features: "foo" })).rejects.toThrow("combine_features");
+    await bakana.freeAnalysis(failed);
+})
+
+test("union of features does not discard cells from datasets missing an ADT panel", async () => {
+    let files = {
+        A: mockMatrixMarketWithFeatures("TEST_union_adt_A", [
+            [ "G1", "g1", "Gene Expression" ],
+            [ "G2", "g2", "Gene Expression" ],
+            [ "P1", "p1", "Antibody Capture" ],
+            [ "P2", "p2", "Antibody Capture" ]
+        ], 10, 0),
+        B: mockMatrixMarketWithFeatures("TEST_union_adt_B", [
+            [ "G1", "g1", "Gene Expression" ],
+            [ "G2", "g2", "Gene Expression" ]
+        ], 8, 100)
+    };
+
+    let state = await bakana.createAnalysis();
+    await state.inputs.compute(files, { combine_features: "union" });
+    expect(Array.from(state.inputs.fetchUnmeasuredCells("ADT"))).toEqual(Array(10).fill(0).concat(Array(8).fill(1)));
+    expect(state.inputs.fetchUnmeasuredCells("RNA")).toBeNull();
+
+    let params = utils.baseParams();
+    await state.adt_quality_control.compute(params.adt_quality_control);
+    let detected = state.adt_quality_control.fetchMetrics().detected();
+    expect(Array.from(detected.slice(10))).toEqual(Array(8).fill(0));
+    expect(Array.from(state.adt_quality_control.fetchKeep().array().slice(10))).toEqual(Array(8).fill(1));
+
+    // Filtering still applies to the cells that were measured.
+    params.adt_quality_control.filter_strategy = "manual";
+    params.adt_quality_control.detected_threshold = 3;
+    await state.adt_quality_control.compute(params.adt_quality_control);
+    let keep = Array.from(state.adt_quality_control.fetchKeep().array());
+    expect(keep).toEqual(Array(10).fill(0).concat(Array(8).fill(1)));
+
+    await bakana.freeAnalysis(state);
+})
@@ -0,0 +1,105 @@
+import * as bakana from "../src/index.js";
+import * as utils from "./utils.js";
+
+beforeAll(utils.initializeAll);
+afterAll(async () => await bakana.terminate());
+
+test("forked states share results until they are rerun", async () => {
+    let datasets = { default: utils.mockDataset("TEST_fork_", 20, 30) };
+    let params = utils.mockParams();
+
+    let state = await bakana.createAnalysis();
+    await bakana.runAnalysis(state, datasets, params);
+    state.custom_selections.addSelection("odd", [1, 3, 5, 7, 9]);
+
+    let fork = await bakana.forkAnalysis(state);
+    expect(Object.keys(fork)).toEqual(Object.keys(state));
+    expect(bakana.retrieveParameters(fork)).toEqual(bakana.retrieveParameters(state));
+
+    // Results are shared by reference.
+    expect(fork.inputs.fetchCountMatrix()).toBe(state.inputs.fetchCountMatrix());
+    expect(fork.rna_pca.fetchPCs()).toBe(state.rna_pca.fetchPCs());
+    expect(fork.marker_detection.fetchResults().RNA).toBe(state.marker_detection.fetchResults().RNA);
+    expect(fork.custom_selections.fetchResults("odd").RNA).toBe(state.custom_selections.fetchResults("odd").RNA);
+
+    let tsne = await state.tsne.fetchResults();
+    expect(await fork.tsne.fetchResults()).toEqual(tsne);
+
+    // Rerunning with the same parameters doesn't recompute anything.
+    await bakana.runAnalysis(fork, null, params);
+    for (const [step, current] of Object.entries(fork)) {
+        if (step != "cell_labelling" && step != "feature_set_enrichment") {
+            expect(current.changed).toBe(false);
+        }
+    }
+    expect(fork.rna_pca.fetchPCs()).toBe(state.rna_pca.fetchPCs());
+
+    // Only the affected steps are recomputed in the fork.
+    let old_keep = state.rna_quality_control.fetchKeep().slice();
+    let old_pcs = state.rna_pca.fetchPCs().principalComponents();
+    let old_clusters = Array.from(state.snn_graph_cluster.fetchClusters());
+
+    let forked_params = utils.mockParams();
+    forked_params.rna_quality_control.nmads = 1;
+    forked_params.snn_graph_cluster.multilevel_resolution = 0.5;
+    await bakana.runAnalysis(fork, null, forked_params);
+
+    expect(fork.inputs.changed).toBe(false);
+    expect(fork.inputs.fetchCountMatrix()).toBe(state.inputs.fetchCountMatrix());
+    expect(fork.rna_quality_control.changed).toBe(true);
+    expect(fork.rna_pca.fetchPCs()).not.toBe(state.rna_pca.fetchPCs());
+    expect(fork.cell_filtering.fetchFilteredMatrix().numberOfColumns()).toBeLessThanOrEqual(state.cell_filtering.fetchFilteredMatrix().numberOfColumns());
+
+    // The fork starts its own worker to recompute the visualizations.
+    expect(fork.tsne.changed).toBe(true);
+    expect((await fork.tsne.fetchResults()).x.length).toBe(fork.cell_filtering.fetchFilteredMatrix().numberOfColumns());
+    expect((await fork.umap.fetchResults()).x.length).toBe(fork.cell_filtering.fetchFilteredMatrix().numberOfColumns());
+
+    // The original state is unaffected.
+    expect(state.rna_quality_control.fetchKeep().slice()).toEqual(old_keep);
+    expect(state.rna_pca.fetchPCs().principalComponents()).toEqual(old_pcs);
+    expect(Array.from(state.snn_graph_cluster.fetchClusters())).toEqual(old_clusters);
+    expect(bakana.retrieveParameters(state).rna_quality_control.nmads).toBe(params.rna_quality_control.nmads);
+    expect(state.custom_selections.fetchResults("odd").RNA.numberOfGroups()).toBe(2);
+
+    // Either state can be freed first.
+    await bakana.freeAnalysis(state);
+    expect(fork.marker_detection.fetchResults().RNA.numberOfGroups()).toBeGreaterThan(0);
+    expect(fork.inputs.fetchCountMatrix().numberOfColumns()).toBe(30);
+
+    forked_params.kmeans_cluster.k = 3;
+    forked_params.choose_clustering.method = "kmeans";
+    await bakana.runAnalysis(fork, null, forked_params);
+    expect(fork.marker_detection.changed).toBe(true);
+    expect(fork.marker_detection.fetchResults().RNA.numberOfGroups()).toBe(3);
+
+    await bakana.freeAnalysis(fork);
+})
+
+test("forks of forks are independent", async () => {
+    let datasets = { default: utils.mockDataset("TEST_fork_", 20, 30) };
+    let params = utils.mockParams();
+
+    let state = await bakana.createAnalysis({ memoryBudget: 1e9 });
+    await bakana.runAnalysis(state, datasets, params);
+
+    let fork1 = await bakana.forkAnalysis(state);
+    let fork2 = await bakana.forkAnalysis(fork1);
+    expect(bakana.reportMemoryUsage(fork2).budget).toBe(1e9);
+    expect(fork2.feature_selection.fetchResults()).toBe(state.feature_selection.fetchResults());
+
+    let params2 = utils.mockParams();
+    params2.rna_pca.num_pcs = 4;
+    await bakana.runAnalysis(fork2, null, params2);
+    expect(fork2.rna_pca.fetchPCs().numberOfPCs()).toBe(4);
+    expect(fork1.rna_pca.fetchPCs().numberOfPCs()).toBe(5);
+
+    await bakana.freeAnalysis(fork1);
+    await bakana.freeAnalysis(state);
+    expect(fork2.feature_selection.fetchResults().residuals().length).toBe(20);
+
+    await bakana.runAnalysis(fork2, null, params);
+    expect(fork2.rna_pca.fetchPCs().numberOfPCs()).toBe(5);
+
+    await bakana.freeAnalysis(fork2);
+})
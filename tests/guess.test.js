@@ -0,0 +1,115 @@
+import * as bakana from "../src/index.js";
+import * as scran from "scran.js";
+import * as utils from "./utils.js";
+import * as fs from "fs";
+import * as pako from "pako";
+import JSZip from "jszip";
+
+beforeAll(utils.initializeAll);
+afterAll(async () => await bakana.terminate());
+
+function mockTenx(path) {
+    let fhandle = scran.createNewHdf5File(path);
+    let mhandle = fhandle.createGroup("matrix");
+    mhandle.writeDataSet("barcodes", "String", null, ["A-1", "B-1"]);
+    mhandle.writeDataSet("data", "Int32", null, [1, 2]);
+    mhandle.writeDataSet("indices", "Int32", null, [0, 1]);
+    mhandle.writeDataSet("indptr", "Int32", null, [0, 1, 2]);
+    mhandle.writeDataSet("shape", "Int32", null, [2, 2]);
+}
+
+function mockH5ad(path) {
+    let fhandle = scran.createNewHdf5File(path);
+    fhandle.writeDataSet("X", "Int32", [2, 2], [1, 2, 3, 4]);
+    fhandle.createGroup("obs");
+    fhandle.createGroup("var");
+}
+
+function mockLoom(path) {
+    let fhandle = scran.createNewHdf5File(path);
+    fhandle.writeDataSet("matrix", "Int32", [2, 2], [1, 2, 3, 4]);
+    fhandle.createGroup("row_attrs");
+    fhandle.createGroup("col_attrs");
+}
+
+function mockMatrixMarket(prefix, { gzip = false } = {}) {
+    let mtx = "%%MatrixMarket matrix coordinate integer general\n2 2 2\n1 1 1\n2 2 2\n";
+    let ext = (gzip ? ".gz" : "");
+    fs.writeFileSync(prefix + "matrix.mtx" + ext, gzip ? pako.gzip(mtx) : mtx);
+    fs.writeFileSync(prefix + "features.tsv" + ext, gzip ? pako.gzip("G1\tg1\nG2\tg2\n") : "G1\tg1\nG2\tg2\n");
+    fs.writeFileSync(prefix + "barcodes.tsv" + ext, gzip ? pako.gzip("A-1\nB-1\n") : "A-1\nB-1\n");
+    return [ prefix + "matrix.mtx" + ext, prefix + "features.tsv" + ext, prefix + "barcodes.tsv" + ext ];
+}
+
+test("guessDatasets detects HDF5-based formats", async () => {
+    mockTenx("TEST_guess_tenx.h5");
+    mockH5ad("TEST_guess_anndata.h5");
+    mockLoom("TEST_guess_loom.h5");
+
+    let res = await bakana.guessDatasets([ "TEST_guess_tenx.h5", "TEST_guess_anndata.h5", "TEST_guess_loom.h5" ]);
+    expect(res.unused).toEqual([]);
+    expect(res.datasets.map(x => x.dataset.constructor.format())).toEqual([ "10X", "H5AD", "Loom" ]);
+    expect(res.datasets.every(x => x.confidence == "high")).toBe(true);
+    expect(res.datasets.map(x => x.files)).toEqual([ ["TEST_guess_tenx.h5"], ["TEST_guess_anndata.h5"], ["TEST_guess_loom.h5"] ]);
+
+    // Falling back to the extension for unknown layouts.
+    let fhandle = scran.createNewHdf5File("TEST_guess_weird.h5ad");
+    fhandle.createGroup("foo");
+    let weird = await bakana.guessDatasets([ new bakana.SimpleFile("TEST_guess_weird.h5ad") ]);
+    expect(weird.datasets[0].dataset instanceof bakana.H5adDataset).toBe(true);
+    expect(weird.datasets[0].confidence).toBe("low");
+})
+
+test("guessDatasets pairs Matrix Market files with their companions", async () => {
+    let first = mockMatrixMarket("TEST_guess_A-", { gzip: true });
+    let second = mockMatrixMarket("TEST_guess_B_");
+    fs.writeFileSync("TEST_guess_counts.csv", "gene,cellA,cellB\nG1,1,2\nG2,3,4\n");
+    fs.writeFileSync("TEST_guess_random.bin", new Uint8Array([1, 2, 3, 4]));
+
+    let files = [ ...second, "TEST_guess_counts.csv", ...first.slice().reverse(), "TEST_guess_random.bin" ];
+    let res = await bakana.guessDatasets(files);
+    expect(res.unused).toEqual([ "TEST_guess_random.bin" ]);
+    expect(res.datasets.length).toEqual(3);
+
+    let mtx = res.datasets.filter(x => x.dataset instanceof bakana.TenxMatrixMarketDataset);
+    expect(mtx.length).toEqual(2);
+    expect(mtx.map(x => x.files)).toEqual([ second, first ]);
+    expect(mtx.every(x => x.confidence == "high")).toBe(true);
+
+    let summ = await mtx[0].dataset.summary();
+    expect(summ.modality_features[""].column("id")).toEqual(["G1", "G2"]);
+
+    let delim = res.datasets.filter(x => x.dataset instanceof bakana.DelimitedMatrixDataset);
+    expect(delim.length).toEqual(1);
+    expect(delim[0].files).toEqual(["TEST_guess_counts.csv"]);
+    expect(delim[0].confidence).toEqual("low");
+
+    // Matrix Market files are still detected without companions or a standard extension.
+    fs.writeFileSync("TEST_guess_lonely.txt", "%%MatrixMarket matrix coordinate integer general\n2 2 0\n");
+    let lonely = await bakana.guessDatasets([ "TEST_guess_lonely.txt" ]);
+    expect(lonely.datasets[0].dataset instanceof bakana.TenxMatrixMarketDataset).toBe(true);
+    expect(lonely.datasets[0].confidence).toEqual("medium");
+})
+
+test("guessDatasets searches inside ZIP files", async () => {
+    let zip = new JSZip;
+    let meta = JSON.stringify({ type: "summarized_experiment", summarized_experiment: { version: "1.0", dimensions: [ 10, 20 ] } });
+    zip.file("foo/OBJECT", meta);
+    zip.file("bar/OBJECT", meta);
+    fs.writeFileSync("TEST_guess_alabaster.zip", await zip.generateAsync({ type: "uint8array" }));
+
+    let zarr = new JSZip;
+    zarr.file("store/.zgroup", JSON.stringify({ zarr_format: 2 }));
+    zarr.file("store/obs/.zgroup", JSON.stringify({ zarr_format: 2 }));
+    fs.writeFileSync("TEST_guess_zarr.zip", await zarr.generateAsync({ type: "uint8array" }));
+
+    let empty = new JSZip;
+    empty.file("whee.txt", "FOO");
+    fs.writeFileSync("TEST_guess_empty.zip", await empty.generateAsync({ type: "uint8array" }));
+
+    let res = await bakana.guessDatasets([ "TEST_guess_alabaster.zip", "TEST_guess_zarr.zip", "TEST_guess_empty.zip" ]);
+    expect(res.unused).toEqual([ "TEST_guess_empty.zip" ]);
+    expect(res.datasets.map(x => x.dataset.constructor.format())).toEqual([ "alabaster-zipped", "alabaster-zipped", "ZarrAnnData" ]);
+    expect(res.datasets.map(x => x.confidence)).toEqual([ "medium", "medium", "high" ]);
+    expect(res.datasets[2].dataset.serialize().options.storePrefix).toEqual("store");
+})
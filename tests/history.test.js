@@ -0,0 +1,181 @@
+import * as bakana from "../src/index.js";
+import * as utils from "./utils.js";
+
+beforeAll(utils.initializeAll);
+afterAll(async () => await bakana.terminate());
+
+test("undo and redo restore cached results", async () => {
+    await expect(bakana.createAnalysis({ historySize: -1 })).rejects.toThrow("historySize");
+
+    let datasets = { default: utils.mockDataset("TEST_history_", 20, 30) };
+    let state = await bakana.createAnalysis({ historySize: 2 });
+    expect(await bakana.undo(state)).toBeNull();
+    expect(bakana.retrieveHistory(state)).toEqual({ entries: [], position: -1 });
+
+    let paramsA = utils.mockParams();
+    await bakana.runAnalysis(state, datasets, paramsA);
+    let ncellsA = state.cell_filtering.fetchFilteredMatrix().numberOfColumns();
+    let clustersA = Array.from(state.snn_graph_cluster.fetchClusters());
+
+    let paramsB = utils.mockParams();
+    paramsB.rna_quality_control.nmads = 1;
+    await bakana.runAnalysis(state, null, paramsB);
+    let pcsB = state.rna_pca.fetchPCs();
+
+    // Rerunning with the same parameters doesn't add a new entry.
+    await bakana.runAnalysis(state, null, paramsB);
+
+    let paramsC = utils.mockParams();
+    paramsC.rna_quality_control.nmads = 1;
+    paramsC.rna_pca.num_pcs = 4;
+    await bakana.runAnalysis(state, null, paramsC);
+
+    let history = bakana.retrieveHistory(state);
+    expect(history.position).toBe(2);
+    expect(history.entries.map(x => x.cached)).toEqual([false, true, true]); // oldest run is evicted.
+    expect(history.entries[1].parameters.rna_pca.num_pcs).toBe(5);
+    expect(history.entries[2].parameters.rna_pca.num_pcs).toBe(4);
+
+    // Undoing to a cached run restores the same results.
+    let restored = await bakana.undo(state);
+    expect(restored.rna_pca.num_pcs).toBe(5);
+    expect(bakana.retrieveParameters(state)).toEqual(restored);
+    expect(state.rna_pca.fetchPCs()).toBe(pcsB);
+    expect(state.rna_pca.changed).toBe(true);
+    expect(state.inputs.changed).toBe(false);
+    expect(state.rna_quality_control.changed).toBe(false);
+
+    // Undoing to an evicted run recomputes the affected steps.
+    restored = await bakana.undo(state);
+    expect(restored.rna_quality_control.nmads).toBe(paramsA.rna_quality_control.nmads);
+    expect(state.rna_quality_control.changed).toBe(true);
+    expect(state.cell_filtering.fetchFilteredMatrix().numberOfColumns()).toBe(ncellsA);
+    expect(Array.from(state.snn_graph_cluster.fetchClusters())).toEqual(clustersA);
+    expect(bakana.retrieveHistory(state).position).toBe(0);
+    expect(await bakana.undo(state)).toBeNull();
+
+    // Redoing works in the same manner.
+    restored = await bakana.redo(state);
+    expect(restored.rna_quality_control.nmads).toBe(1);
+    expect(state.rna_pca.fetchPCs()).toBe(pcsB);
+
+    restored = await bakana.redo(state);
+    expect(state.rna_pca.fetchPCs().numberOfPCs()).toBe(4);
+    expect(await bakana.redo(state)).toBeNull();
+
+    // Running new parameters after an undo discards the redo-able entries.
+    await bakana.undo(state);
+    let paramsD = utils.mockParams();
+    paramsD.rna_quality_control.nmads = 1;
+    paramsD.snn_graph_cluster.multilevel_resolution = 0.5;
+    await bakana.runAnalysis(state, null, paramsD);
+    history = bakana.retrieveHistory(state);
+    expect(history.position).toBe(2);
+    expect(history.entries.map(x => x.parameters.snn_graph_cluster.multilevel_resolution)).toEqual([1, 1, 0.5]);
+    expect(await bakana.redo(state)).toBeNull();
+
+    await bakana.freeAnalysis(state);
+})
+
+test("aborted undo and redo leave the state and history unchanged", async () => {
+    let datasets = { default: utils.mockDataset("TEST_history_", 20, 30) };
+    let state = await bakana.createAnalysis({ historySize: 2 });
+
+    let params = utils.mockParams();
+    for (const npcs of [ 5, 4, 3 ]) {
+        params.rna_pca.num_pcs = npcs;
+        await bakana.runAnalysis(state, datasets, params);
+    }
+    let pcsC = state.rna_pca.fetchPCs();
+    expect(bakana.retrieveHistory(state).entries.map(x => x.cached)).toEqual([false, true, true]);
+
+    let controller = new AbortController;
+    controller.abort();
+
+    // Aborting the restoration of a cached run keeps the current results.
+    await expect(bakana.undo(state, { signal: controller.signal })).rejects.toThrow("aborted");
+    expect(bakana.retrieveHistory(state).position).toBe(2);
+    expect(state.rna_pca.fetchPCs()).toBe(pcsC);
+    expect(bakana.retrieveParameters(state).rna_pca.num_pcs).toBe(3);
+
+    let restored = await bakana.undo(state);
+    expect(restored.rna_pca.num_pcs).toBe(4);
+    let pcsB = state.rna_pca.fetchPCs();
+
+    // Same for an uncached run.
+    await expect(bakana.undo(state, { signal: controller.signal })).rejects.toThrow("aborted");
+    expect(bakana.retrieveHistory(state).position).toBe(1);
+    expect(state.rna_pca.fetchPCs()).toBe(pcsB);
+
+    await expect(bakana.redo(state, { signal: controller.signal })).rejects.toThrow("aborted");
+    expect(bakana.retrieveHistory(state).position).toBe(1);
+    expect(state.rna_pca.fetchPCs()).toBe(pcsB);
+
+    // Restoration still works after the aborts.
+    await bakana.redo(state);
+    expect(bakana.retrieveHistory(state).position).toBe(2);
+    expect(state.rna_pca.fetchPCs()).toBe(pcsC);
+
+    await bakana.freeAnalysis(state);
+})
+
+test("undo recomputes results without a history cache", async () => {
+    let datasets = { default: utils.mockDataset("TEST_history_", 20, 30) };
+    let state = await bakana.createAnalysis();
+
+    let params = utils.mockParams();
+    await bakana.runAnalysis(state, datasets, params);
+    let markers = state.marker_detection.fetchResults().RNA.cohensD(0);
+
+    params.snn_graph_cluster.k = 5;
+    await bakana.runAnalysis(state, null, params);
+    expect(bakana.retrieveHistory(state).entries.map(x => x.cached)).toEqual([false, false]);
+
+    // Forks inherit the parameter history.
+    let fork = await bakana.forkAnalysis(state);
+    expect(bakana.retrieveHistory(fork).entries.length).toBe(2);
+
+    let restored = await bakana.undo(state);
+    expect(restored.snn_graph_cluster.k).toBe(10);
+    expect(state.snn_graph_cluster.changed).toBe(true);
+    expect(state.rna_pca.changed).toBe(false);
+    expect(state.marker_detection.fetchResults().RNA.cohensD(0)).toEqual(markers);
+    expect(bakana.retrieveParameters(fork).snn_graph_cluster.k).toBe(5);
+
+    await bakana.undo(fork);
+    expect(Array.from(fork.snn_graph_cluster.fetchClusters())).toEqual(Array.from(state.snn_graph_cluster.fetchClusters()));
+
+    await bakana.freeAnalysis(state);
+    await bakana.freeAnalysis(fork);
+})
+
+test("the history is bounded and does not retain uncached datasets", async () => {
+    await expect(bakana.createAnalysis({ historyLength: -1 })).rejects.toThrow("historyLength");
+
+    let datasets = { default: utils.mockDataset("TEST_history_", 20, 30) };
+    let state = await bakana.createAnalysis({ historyLength: 2 });
+
+    let params = utils.mockParams();
+    for (const k of [ 5, 6, 7 ]) {
+        params.snn_graph_cluster.k = k;
+        await bakana.runAnalysis(state, datasets, params);
+    }
+    let history = bakana.retrieveHistory(state);
+    expect(history.entries.map(x => x.parameters.snn_graph_cluster.k)).toEqual([6, 7]);
+    expect(history.position).toBe(1);
+
+    // Runs with different datasets can't be restored once they are no longer cached.
+    let other = { default: utils.mockDataset("TEST_history_other_", 20, 25) };
+    await bakana.runAnalysis(state, other, params);
+    await expect(bakana.undo(state)).rejects.toThrow("different datasets");
+    expect(state.inputs.fetchCountMatrix().numberOfColumns()).toBe(25);
+
+    // No history is recorded if the length is zero.
+    let nohist = await bakana.createAnalysis({ historyLength: 0, historySize: 2 });
+    await bakana.runAnalysis(nohist, datasets, params);
+    expect(bakana.retrieveHistory(nohist)).toEqual({ entries: [], position: -1 });
+    expect(await bakana.undo(nohist)).toBeNull();
+
+    await bakana.freeAnalysis(state);
+    await bakana.freeAnalysis(nohist);
+})
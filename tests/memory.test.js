@@ -0,0 +1,95 @@
+import * as bakana from "../src/index.js";
+import * as utils from "./utils.js";
+
+beforeAll(utils.initializeAll);
+afterAll(async () => await bakana.terminate());
+
+test("reportMemoryUsage reports the memory used by each step", async () => {
+    let state = await bakana.createAnalysis();
+
+    let empty = bakana.reportMemoryUsage(state);
+    expect(empty.wasm).toBe(0);
+    expect(empty.budget).toBeNull();
+
+    let datasets = { default: utils.mockDataset("TEST_memory_", 20, 30) };
+    let params = utils.mockParams();
+    await bakana.runAnalysis(state, datasets, params);
+
+    let report = bakana.reportMemoryUsage(state);
+    expect(Object.keys(report.steps).sort()).toEqual(Object.keys(params).sort());
+    expect(report.steps.inputs.components.counts.wasm).toBe(200 * 8 + 31 * 8); // exact for small matrices, where all columns are sampled.
+    expect(report.steps.cell_filtering.components.filtered.wasm).toBeGreaterThan(0);
+    expect(report.steps.rna_normalization.components.normalized.wasm).toBeGreaterThan(0);
+    expect(report.steps.feature_selection.components.variances.js).toBeGreaterThan(0);
+    expect(report.steps.neighbor_index.components.index.evictable).toBe(true);
+    expect(report.steps.marker_detection.components.results.wasm).toBeGreaterThan(0);
+    expect(report.steps.marker_detection.components.versus.wasm).toBe(0);
+    expect(report.heapSize).toBeGreaterThanOrEqual(report.wasm);
+
+    let ncells = state.cell_filtering.fetchFilteredMatrix().numberOfColumns();
+    expect(report.steps.rna_pca.wasm).toBe((ncells + 1) * 5 * 8);
+
+    let total = 0;
+    for (const x of Object.values(report.steps)) {
+        total += x.wasm;
+    }
+    expect(report.wasm).toBe(total);
+
+    // Caches are included once they are computed.
+    state.marker_detection.computeVersus(0, 1);
+    state.custom_selections.addSelection("odd", [1, 3, 5, 7, 9]);
+    let updated = bakana.reportMemoryUsage(state);
+    expect(updated.steps.marker_detection.components.versus.wasm).toBeGreaterThan(0);
+    expect(updated.steps.custom_selections.components.results.wasm).toBeGreaterThan(0);
+    expect(updated.steps.custom_selections.components.selections.js).toBeGreaterThan(0);
+    expect(updated.evictable).toBeGreaterThan(report.evictable);
+
+    // Nothing is evicted without a budget.
+    await bakana.runAnalysis(state, null, params);
+    expect(bakana.reportMemoryUsage(state).evictable).toBe(updated.evictable);
+
+    await bakana.freeAnalysis(state);
+})
+
+test("memory budgets evict re-computable caches", async () => {
+    await expect(bakana.createAnalysis({ memoryBudget: -1 })).rejects.toThrow("memoryBudget");
+
+    let datasets = { default: utils.mockDataset("TEST_memory_", 20, 30) };
+    let params = utils.mockParams();
+
+    let ref = await bakana.createAnalysis();
+    await bakana.runAnalysis(ref, datasets, params);
+    let refvs = ref.marker_detection.computeVersus(0, 1);
+    ref.custom_selections.addSelection("odd", [1, 3, 5, 7, 9]);
+
+    let state = await bakana.createAnalysis({ memoryBudget: 0 });
+    await bakana.runAnalysis(state, datasets, params);
+    let report = bakana.reportMemoryUsage(state);
+    expect(report.budget).toBe(0);
+    expect(report.evictable).toBe(0);
+    expect(report.steps.neighbor_index.components).toEqual({});
+    expect(report.wasm).toBeGreaterThan(0); // non-evictable caches are retained.
+
+    state.marker_detection.computeVersus(0, 1);
+    state.custom_selections.addSelection("odd", [1, 3, 5, 7, 9]);
+    expect(bakana.reportMemoryUsage(state).evictable).toBeGreaterThan(0);
+
+    await bakana.runAnalysis(state, null, params);
+    expect(bakana.reportMemoryUsage(state).evictable).toBe(0);
+
+    // Evicted caches are recomputed on demand.
+    let vs = state.marker_detection.computeVersus(0, 1);
+    expect(vs.results.RNA.cohensD(vs.left)).toEqual(refvs.results.RNA.cohensD(refvs.left));
+    expect(state.custom_selections.fetchResults("odd").RNA.cohensD(1)).toEqual(ref.custom_selections.fetchResults("odd").RNA.cohensD(1));
+
+    // Steps that use the evicted index can still be rerun.
+    params.snn_graph_cluster.k = 5;
+    await bakana.runAnalysis(ref, null, params);
+    await bakana.runAnalysis(state, null, params);
+    expect(state.snn_graph_cluster.changed).toBe(true);
+    expect(Array.from(state.snn_graph_cluster.fetchClusters())).toEqual(Array.from(ref.snn_graph_cluster.fetchClusters()));
+    expect(state.neighbor_index.fetchIndex().numberOfCells()).toBe(ref.neighbor_index.fetchIndex().numberOfCells());
+
+    await bakana.freeAnalysis(ref);
+    await bakana.freeAnalysis(state);
+})
@@ -0,0 +1,106 @@
+import * as bakana from "../src/index.js";
+import { bakana_version } from "../src/version.js";
+
+beforeAll(async () => await bakana.initialize({ localFile: true }));
+afterAll(async () => await bakana.terminate());
+
+test("configurations from the current version are not changed", () => {
+    let config = { version: bakana_version, parameters: bakana.analysisDefaults(), datasets: {} };
+    let out = bakana.migrateConfiguration(config);
+    expect(out.changes).toEqual([]);
+    expect(out.configuration.parameters).toEqual(config.parameters);
+    expect(out.configuration.version).toEqual(config.version);
+})
+
+test("configurations from older versions are migrated step-by-step", () => {
+    let config = {
+        version: "1.2.0",
+        parameters: {
+            quality_control: { use_mito_default: true, species: "mouse", nmads: 3 },
+            pca: { num_pcs: 20, block_method: "mnn" },
+            adt_pca: { num_pcs: 10, block_method: "none" },
+            cell_labelling: { human_references: [ "BlueprintEncode" ], mouse_references: [] }
+        },
+        datasets: {}
+    };
+
+    let out = bakana.migrateConfiguration(config);
+    expect(out.configuration.version).toEqual(bakana_version);
+    expect(out.configuration.parameters).toEqual({
+        ...bakana.analysisDefaults(),
+        rna_quality_control: { use_reference_mito: true, species: [ "10090" ], nmads: 3 },
+        rna_pca: { num_pcs: 20, block_method: "project" },
+        adt_pca: { num_pcs: 10, block_method: "none" },
+        batch_correction: { method: "mnn" },
+        cell_labelling: { references: [ "BlueprintEncode" ], species: [ "9606" ] }
+    });
+
+    // Changes are reported in order of the migrations.
+    let versions = out.changes.map(x => x.version);
+    expect(versions[0]).toEqual("2.0.0");
+    expect(versions.indexOf("3.0.0")).toBeGreaterThan(versions.lastIndexOf("2.0.0"));
+    expect(versions[versions.length - 1]).toEqual(bakana_version); // missing steps are filled in last.
+    expect(out.changes.some(x => x.description.match("'pca' step"))).toBe(true);
+    expect(out.changes.some(x => x.description.match("use_reference_mito"))).toBe(true);
+
+    // Original is not modified.
+    expect(config.version).toEqual("1.2.0");
+    expect(config.parameters.pca.block_method).toEqual("mnn");
+
+    // Migrations for earlier versions are skipped.
+    let partial = bakana.migrateConfiguration({ version: "2.1.0", parameters: { rna_pca: { block_method: "mnn" } } });
+    expect(partial.changes.filter(x => x.version != bakana_version)).toEqual([]);
+    expect(partial.configuration.parameters.rna_pca).toEqual({ block_method: "mnn" });
+
+    // Missing versions are treated as the oldest version.
+    let unversioned = bakana.migrateConfiguration({ parameters: { pca: { block_method: "regress" } } });
+    expect(unversioned.configuration.parameters).toEqual({ ...bakana.analysisDefaults(), rna_pca: { block_method: "regress" }, batch_correction: { method: "none" } });
+})
+
+test("complete configurations from old versions are valid after migration", () => {
+    // Parameters as saved by a 1.x version, before the ADT/CRISPR-specific and enrichment steps existed.
+    let config = {
+        version: "1.1.0",
+        parameters: {
+            inputs: { subset: null },
+            quality_control: { use_mito_default: false, mito_prefix: "mt-", nmads: 3 },
+            feature_selection: { span: 0.3 },
+            pca: { num_hvgs: 2000, num_pcs: 20, block_method: "mnn" },
+            neighbor_index: { approximate: true },
+            tsne: { perplexity: 30, iterations: 500, animate: false },
+            umap: { num_neighbors: 15, num_epochs: 500, min_dist: 0.1, animate: false },
+            kmeans_cluster: { k: 10 },
+            snn_graph_cluster: { k: 10, scheme: "rank" },
+            choose_clustering: { method: "snn_graph" },
+            cell_labelling: { human_references: [], mouse_references: [ "ImmGen" ] }
+        },
+        datasets: {}
+    };
+
+    let out = bakana.migrateConfiguration(config);
+    expect(bakana.validateParameters(out.configuration.parameters)).toEqual([]);
+
+    let migrated = out.configuration.parameters;
+    expect(migrated.rna_quality_control).toEqual({ use_reference_mito: false, mito_prefix: "mt-", nmads: 3 });
+    expect(migrated.batch_correction).toEqual({ method: "mnn" });
+    expect(migrated.cell_labelling).toEqual({ references: [ "ImmGen" ], species: [ "10090" ] });
+
+    // Missing steps are filled with their defaults, and reported as changes.
+    let defaults = bakana.analysisDefaults();
+    for (const step of [ "adt_quality_control", "crispr_quality_control", "cell_filtering", "rna_normalization", "adt_pca", "combine_embeddings", "marker_detection", "feature_set_enrichment" ]) {
+        expect(migrated[step]).toEqual(defaults[step]);
+        expect(out.changes.some(x => x.description == "added the '" + step + "' step with default parameters")).toBe(true);
+    }
+    expect(out.changes.some(x => x.description.match("'tsne' step"))).toBe(false);
+
+    // Current configurations with missing steps are left for validation to reject.
+    let current = bakana.migrateConfiguration({ version: bakana_version, parameters: { rna_pca: {} }, datasets: {} });
+    expect(current.configuration.parameters).toEqual({ rna_pca: {} });
+})
+
+test("configurations from newer major versions are refused", () => {
+    let major = Number(bakana_version.split(".")[0]);
+    expect(() => bakana.migrateConfiguration({ version: String(major + 1) + ".0.0", parameters: {} })).toThrow("update bakana");
+    expect(bakana.migrateConfiguration({ version: String(major) + ".999.0", parameters: {} }).changes).toEqual([]);
+    expect(() => bakana.migrateConfiguration({ version: "foo", parameters: {} })).toThrow("invalid version");
+})
@@ -14,46 +14,6 @@ export function pathExists(chosen) {
     }
 }
 
-export class LocalProjectDirectoryNavigator {
-    #directory;
-
-    constructor(d) {
-        this.#directory = d;
-    }
-
-    serialize() {
-        let enc = new TextEncoder;
-        let contents = enc.encode(this.#directory);
-        let f = new bakana.SimpleFile(contents, { name: this.#directory });
-        return [{ type: "directory", file: f }];
-    }
-
-    metadata(p) {
-        let fullpath = this.#directory + "/" + p;
-
-        while (1) {
-            if (!fullpath.endsWith(".json")) { 
-                fullpath += ".json";
-            }
-            let contents = fs.readFileSync(fullpath);
-
-            let dec = new TextDecoder;
-            let json = dec.decode(contents);
-            let values = JSON.parse(json);
-
-            if (values["$schema"].startsWith("redirection/")){
-                fullpath = this.#directory + "/" + values.redirection.targets[0].location;
-            } else {
-                return values;
-            }
-        }
-    }
-
-    file(p) {
-        return this.#directory + "/" + p;
-    }
-}
-
 function list_json(directory, prefix, files) {
     const target = (prefix == null ? directory : directory + "/" + prefix);
     return fs.readdirSync(target).forEach(f => {
@@ -0,0 +1,72 @@
+import * as bakana from "../src/index.js";
+import * as utils from "./utils.js";
+
+beforeAll(utils.initializeAll);
+afterAll(async () => await bakana.terminate());
+
+function changedSteps(state) {
+    return Object.keys(bakana.analysisDefaults()).filter(x => state[x].changed).sort();
+}
+
+test("planAnalysis reports the steps to be rerun", async () => {
+    let datasets = { default: utils.mockDataset("TEST_plan_A_", 20, 30) };
+    let state = await bakana.createAnalysis();
+    let params = utils.baseParams();
+    params.rna_quality_control.use_reference_mito = false;
+    params.rna_pca.num_pcs = 5;
+
+    // Everything is run the first time.
+    let plan = bakana.planAnalysis(state, datasets, params);
+    expect(plan[0].step).toEqual("inputs");
+    expect(plan.length).toEqual(Object.keys(params).length);
+    expect(plan.every(x => x.reasons[0].type == "uncomputed")).toBe(true);
+    await bakana.runAnalysis(state, datasets, params);
+
+    // Nothing is rerun if nothing changes.
+    expect(bakana.planAnalysis(state, null, params)).toEqual([]);
+    params.tsne.animate = true;
+    expect(bakana.planAnalysis(state, null, params)).toEqual([]);
+
+    // Changing the number of PCs affects everything downstream.
+    params.rna_pca.num_pcs = 4;
+    plan = bakana.planAnalysis(state, null, params);
+    let steps = plan.map(x => x.step);
+    expect(steps[0]).toEqual("rna_pca");
+    expect(plan[0].reasons).toEqual([{ type: "parameters", parameters: [ "num_pcs" ] }]);
+    expect(plan[0].cost).toEqual("high");
+    for (const x of [ "combine_embeddings", "neighbor_index", "tsne", "umap", "snn_graph_cluster", "marker_detection" ]) {
+        expect(steps.indexOf(x)).toBeGreaterThan(0);
+    }
+    expect(steps.indexOf("rna_quality_control")).toBe(-1);
+    expect(steps.indexOf("adt_pca")).toBe(-1); // no ADTs in this dataset.
+
+    let neighbors = plan.find(x => x.step == "neighbor_index");
+    expect(neighbors.reasons).toEqual([{ type: "upstream", steps: [ "batch_correction" ] }]);
+    let kmeans = plan.find(x => x.step == "kmeans_cluster");
+    expect(kmeans.cost).toEqual("low"); // not the chosen method.
+
+    await bakana.runAnalysis(state, null, params);
+    expect(changedSteps(state)).toEqual(steps.slice().sort());
+
+    // Switching the clustering method requires k-means to be computed.
+    params.choose_clustering.method = "kmeans";
+    plan = bakana.planAnalysis(state, null, params);
+    expect(plan.map(x => x.step)).toEqual([ "kmeans_cluster", "choose_clustering", "marker_detection" ]);
+    expect(plan[0].reasons).toEqual([{ type: "uncomputed" }]);
+    expect(plan[1].reasons).toEqual([{ type: "parameters", parameters: [ "method" ] }, { type: "upstream", steps: [ "kmeans_cluster" ] }]);
+
+    await bakana.runAnalysis(state, null, params);
+    expect(changedSteps(state)).toEqual(plan.map(x => x.step).sort());
+
+    // Changing the datasets causes everything to rerun.
+    let datasets2 = { default: utils.mockDataset("TEST_plan_B_", 20, 25) };
+    plan = bakana.planAnalysis(state, datasets2, params);
+    expect(plan[0]).toEqual({ step: "inputs", cost: "high", reasons: [{ type: "datasets" }] });
+    expect(plan.find(x => x.step == "rna_quality_control").reasons).toEqual([{ type: "upstream", steps: [ "inputs" ] }]);
+
+    // Invalid parameters are rejected.
+    params.rna_pca.num_pcs = 0;
+    expect(() => bakana.planAnalysis(state, null, params)).toThrow("rna_pca.num_pcs");
+
+    await bakana.freeAnalysis(state);
+})
@@ -0,0 +1,240 @@
+import * as bakana from "../src/index.js";
+import * as utils from "./utils.js";
+import * as sce from "../src/dump/SingleCellExperiment.js";
+
+beforeAll(utils.initializeAll);
+afterAll(async () => await bakana.terminate());
+
+var freed = 0;
+
+class CellScoreState {
+    #norm;
+    #parameters;
+    #scores;
+
+    constructor(upstream) {
+        this.#norm = upstream.rna_normalization;
+        this.#parameters = {};
+        this.#scores = null;
+        this.changed = false;
+    }
+
+    static defaults() {
+        return { scale: 1 };
+    }
+
+    static schema() {
+        return { scale: { type: "number", min: 0 } };
+    }
+
+    compute(parameters) {
+        parameters = { ...CellScoreState.defaults(), ...parameters };
+        this.changed = false;
+        if (this.#norm.changed || parameters.scale !== this.#parameters.scale) {
+            this.#scores = this.#norm.fetchSizeFactors().array().map(x => x * parameters.scale);
+            this.changed = true;
+        }
+        this.#parameters = parameters;
+    }
+
+    // Scores are never modified in place, so they can be shared with the fork.
+    _fork(upstream) {
+        let forked = new CellScoreState(upstream);
+        forked.#parameters = { ...this.#parameters };
+        forked.#scores = this.#scores;
+        return forked;
+    }
+
+    fetchScores() {
+        return this.#scores;
+    }
+
+    fetchParameters() {
+        return { ...this.#parameters };
+    }
+
+    fetchColumnData() {
+        return { score: this.#scores };
+    }
+
+    fetchMetadata() {
+        return { scale: this.#parameters.scale };
+    }
+
+    free() {
+        freed++;
+    }
+}
+
+class ScoreSummaryState {
+    #scores;
+    #parameters;
+    #summary;
+
+    constructor(upstream) {
+        this.#scores = upstream.cell_scores;
+        this.#parameters = {};
+        this.#summary = null;
+        this.changed = false;
+    }
+
+    static defaults() {
+        return { use_max: false };
+    }
+
+    // Computing this asynchronously, just to check that it works.
+    async compute(parameters) {
+        parameters = { ...ScoreSummaryState.defaults(), ...parameters };
+        this.changed = false;
+        if (this.#scores.changed || parameters.use_max !== this.#parameters.use_max) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+            let scores = this.#scores.fetchScores();
+            if (parameters.use_max) {
+                this.#summary = scores.reduce((a, b) => Math.max(a, b));
+            } else {
+                this.#summary = scores.reduce((a, b) => a + b) / scores.length;
+            }
+            this.changed = true;
+        }
+        this.#parameters = parameters;
+    }
+
+    fetchSummary() {
+        return this.#summary;
+    }
+
+    fetchParameters() {
+        return { ...this.#parameters };
+    }
+
+    free() {
+        freed++;
+    }
+}
+
+test("registering custom steps works correctly", () => {
+    expect(() => bakana.registerStep("rna_pca", CellScoreState)).toThrow("already exists");
+    expect(() => bakana.registerStep("cell_scores", CellScoreState, { upstream: [ "foo" ] })).toThrow("unknown upstream step");
+    expect(() => bakana.registerStep("cell_scores", class { static defaults() { return {}; } })).toThrow("compute");
+    expect(() => bakana.registerStep("cell_scores", CellScoreState, { cost: "huge" })).toThrow("cost");
+    expect(bakana.registeredSteps()).toEqual([]);
+
+    bakana.registerStep("cell_scores", CellScoreState, { upstream: [ "rna_normalization" ], cost: "low" });
+    bakana.registerStep("score_summary", ScoreSummaryState, { upstream: [ "cell_scores" ] });
+    expect(bakana.registeredSteps()).toEqual([ "cell_scores", "score_summary" ]);
+    expect(() => bakana.registerStep("cell_scores", CellScoreState)).toThrow("already exists");
+
+    let params = bakana.analysisDefaults();
+    expect(params.cell_scores).toEqual({ scale: 1 });
+    expect(params.score_summary).toEqual({ use_max: false });
+
+    params.cell_scores.scale = -1;
+    params.score_summary.whee = 2; // not checked, as there is no schema.
+    expect(bakana.validateParameters(params)).toEqual([{ path: "cell_scores.scale", message: "should be no less than 0, not -1" }]);
+    delete params.score_summary;
+    expect(bakana.validateParameters(params).map(x => x.path)).toEqual([ "cell_scores.scale", "score_summary" ]);
+
+    expect(() => bakana.unregisterStep("cell_scores")).toThrow("upstream step of 'score_summary'");
+    expect(() => bakana.unregisterStep("foo")).toThrow("no custom step");
+})
+
+test("custom steps are run alongside the built-in steps", async () => {
+    let datasets = { default: utils.mockDataset("TEST_plugins_", 20, 30) };
+    let params = utils.baseParams();
+    params.rna_quality_control.use_reference_mito = false;
+    params.rna_pca.num_pcs = 5;
+
+    let state = await bakana.createAnalysis();
+    expect(state.cell_scores instanceof CellScoreState).toBe(true);
+    expect(bakana.planAnalysis(state, datasets, params).map(x => x.step).slice(-2)).toEqual([ "cell_scores", "score_summary" ]);
+
+    let finished = [];
+    await bakana.runAnalysis(state, datasets, params, { finishFun: step => finished.push(step) });
+    expect(finished.indexOf("rna_normalization")).toBeLessThan(finished.indexOf("cell_scores"));
+    expect(finished.indexOf("cell_scores")).toBeLessThan(finished.indexOf("score_summary"));
+
+    let sf = state.rna_normalization.fetchSizeFactors().array();
+    expect(state.cell_scores.fetchScores()).toEqual(sf);
+    let mean = state.score_summary.fetchSummary();
+    expect(mean).toBeCloseTo(sf.reduce((a, b) => a + b) / sf.length);
+
+    // Changes to the custom step's parameters propagate to the downstream custom steps.
+    params.cell_scores.scale = 2;
+    let plan = bakana.planAnalysis(state, null, params);
+    expect(plan).toEqual([
+        { step: "cell_scores", cost: "low", reasons: [{ type: "parameters", parameters: [ "scale" ] }] },
+        { step: "score_summary", cost: "medium", reasons: [{ type: "upstream", steps: [ "cell_scores" ] }] }
+    ]);
+
+    await bakana.runAnalysis(state, null, params);
+    expect(state.rna_pca.changed).toBe(false);
+    expect(state.cell_scores.changed).toBe(true);
+    expect(state.score_summary.changed).toBe(true);
+    expect(state.score_summary.fetchSummary()).toBeCloseTo(mean * 2);
+
+    // Changes to the built-in steps propagate to the custom steps.
+    params.rna_quality_control.nmads = 1;
+    await bakana.runAnalysis(state, null, params);
+    expect(state.cell_filtering.changed).toBe(true);
+    expect(state.cell_scores.changed).toBe(true);
+    expect(state.cell_scores.fetchScores().length).toEqual(state.cell_filtering.fetchFilteredMatrix().numberOfColumns());
+
+    params.score_summary.use_max = true;
+    await bakana.runAnalysis(state, null, params);
+    expect(state.cell_scores.changed).toBe(false);
+    expect(state.score_summary.changed).toBe(true);
+    expect(state.score_summary.fetchSummary()).toEqual(Math.max(...state.cell_scores.fetchScores()));
+
+    // Custom steps are included in the parameters and the saved configuration.
+    let retrieved = bakana.retrieveParameters(state);
+    expect(retrieved.cell_scores).toEqual({ scale: 2 });
+    expect(retrieved.score_summary).toEqual({ use_max: true });
+
+    let saved = [];
+    let config = await bakana.serializeConfiguration(state, (k, f, file) => {
+        saved.push(file.buffer());
+        return String(saved.length);
+    });
+    expect(config.parameters.cell_scores).toEqual({ scale: 2 });
+
+    let reloaded = await bakana.unserializeConfiguration(config, id => saved[Number(id) - 1]);
+    expect(reloaded.score_summary.fetchSummary()).toEqual(state.score_summary.fetchSummary());
+
+    // Custom steps are included in the SingleCellExperiment.
+    let formatted = await sce.formatSingleCellExperiment(state);
+    expect(Array.from(formatted.columnData().column("kana::cell_scores::score"))).toEqual(Array.from(state.cell_scores.fetchScores()));
+    expect(formatted.metadata().get("kana::cell_scores")).toEqual({ scale: 2 });
+
+    // Custom steps with a _fork() method are shared with the fork, while the others are recomputed.
+    let fork = await bakana.forkAnalysis(state);
+    expect(fork.cell_scores.fetchScores()).toEqual(state.cell_scores.fetchScores());
+    expect(fork.score_summary.fetchParameters()).toEqual({});
+    await bakana.runAnalysis(fork, null, params);
+    expect(fork.cell_scores.changed).toBe(false);
+    expect(fork.score_summary.changed).toBe(true);
+    expect(fork.score_summary.fetchSummary()).toEqual(state.score_summary.fetchSummary());
+
+    freed = 0;
+    await bakana.freeAnalysis(state);
+    await bakana.freeAnalysis(reloaded);
+    await bakana.freeAnalysis(fork);
+    expect(freed).toBe(6);
+
+    bakana.unregisterStep("score_summary");
+    bakana.unregisterStep("cell_scores");
+    expect(bakana.registeredSteps()).toEqual([]);
+    expect("cell_scores" in bakana.analysisDefaults()).toBe(false);
+})
+
+test("runAnalysis complains about custom steps that were registered too late", async () => {
+    let state = await bakana.createAnalysis();
+    bakana.registerStep("cell_scores", CellScoreState, { upstream: [ "rna_normalization" ] });
+
+    try {
+        let params = utils.baseParams();
+        await expect(bakana.runAnalysis(state, null, params)).rejects.toThrow("registered after 'createAnalysis'");
+    } finally {
+        bakana.unregisterStep("cell_scores");
+        await bakana.freeAnalysis(state);
+    }
+})
@@ -0,0 +1,229 @@
+import * as bakana from "../src/index.js";
+import * as scran from "scran.js";
+import * as utils from "./utils.js";
+import * as fs from "fs";
+import * as pako from "pako";
+import { Worker } from "worker_threads";
+
+beforeAll(utils.initializeAll);
+afterAll(async () => await bakana.terminate());
+
+// The server lives in its own thread, as remote SimpleFiles block the main thread while waiting for a response.
+const server_code = `
+const { parentPort } = require("worker_threads");
+const http = require("http");
+const fs = require("fs");
+
+let served = {};
+let server = http.createServer((req, res) => {
+    let path = decodeURIComponent(req.url.slice(1));
+    if (path == "__stats") {
+        res.end(JSON.stringify(served));
+        return;
+    }
+
+    let ranged = true;
+    if (path.startsWith("norange/")) {
+        path = path.slice(8);
+        ranged = false;
+    }
+    if (!fs.existsSync(path)) {
+        res.statusCode = 404;
+        res.end();
+        return;
+    }
+
+    let contents = fs.readFileSync(path);
+    if (!(path in served)) {
+        served[path] = 0;
+    }
+
+    if (req.method == "HEAD") {
+        res.setHeader("Content-Length", contents.length);
+        res.end();
+        return;
+    }
+
+    let range = req.headers["range"];
+    if (ranged && typeof range == "string") {
+        let [ start, end ] = range.replace("bytes=", "").split("-").map(Number);
+        end = Math.min(end, contents.length - 1);
+        res.statusCode = 206;
+        res.setHeader("Content-Range", "bytes " + start + "-" + end + "/" + contents.length);
+        contents = contents.subarray(start, end + 1);
+    }
+
+    served[path] += contents.length;
+    res.setHeader("Content-Length", contents.length);
+    res.end(contents);
+});
+
+server.listen(0, "127.0.0.1", () => parentPort.postMessage(server.address().port));
+parentPort.on("message", () => server.close(() => process.exit(0)));
+`;
+
+let server;
+let host;
+
+beforeAll(async () => {
+    server = new Worker(server_code, { eval: true });
+    let port = await new Promise(resolve => server.once("message", resolve));
+    host = "http://127.0.0.1:" + String(port) + "/";
+});
+
+afterAll(async () => {
+    server.postMessage("close");
+    await new Promise(resolve => server.once("exit", resolve));
+});
+
+async function served(path) {
+    let res = await fetch(host + "__stats");
+    let stats = await res.json();
+    return (path in stats ? stats[path] : 0);
+}
+
+test("remote SimpleFiles only fetch the requested blocks", async () => {
+    let path = "TEST_remote.bin";
+    let contents = new Uint8Array(200000);
+    contents.forEach((x, i) => { contents[i] = (i * 13) % 256; });
+    fs.writeFileSync(path, contents);
+
+    let f = new bakana.SimpleFile(new URL(host + path), { blockSize: 10000, maxBlocks: 4 });
+    expect(f.name()).toEqual(path);
+    expect(f.url()).toEqual(host + path);
+    expect(f.size()).toEqual(contents.length);
+
+    expect(Array.from(f.slice(12345, 12400))).toEqual(Array.from(contents.slice(12345, 12400)));
+    expect(await served(path)).toEqual(10000);
+
+    // Second request is served from the cache.
+    expect(Array.from(f.slice(12000, 12100))).toEqual(Array.from(contents.slice(12000, 12100)));
+    expect(await served(path)).toEqual(10000);
+
+    // Spanning multiple blocks.
+    expect(Array.from(f.slice(15000, 45000))).toEqual(Array.from(contents.slice(15000, 45000)));
+    expect(await served(path)).toEqual(40000);
+
+    // Past the end of the file.
+    expect(Array.from(f.slice(199990, 300000))).toEqual(Array.from(contents.slice(199990)));
+
+    // Full contents are still correct after evictions.
+    expect(Array.from(f.buffer())).toEqual(Array.from(contents));
+    expect(Array.from(f.content())).toEqual(Array.from(contents));
+
+    // Other modes support slicing as well.
+    let local = new bakana.SimpleFile(path);
+    expect(Array.from(local.slice(100, 200))).toEqual(Array.from(contents.slice(100, 200)));
+    expect(local.url()).toBeNull();
+    let inmem = new bakana.SimpleFile(contents, { name: "foo" });
+    expect(Array.from(inmem.slice(100, 200))).toEqual(Array.from(contents.slice(100, 200)));
+})
+
+test("remote SimpleFiles fall back to full downloads without range support", async () => {
+    let path = "TEST_remote_norange.bin";
+    let contents = new Uint8Array(50000);
+    contents.forEach((x, i) => { contents[i] = (i * 7) % 256; });
+    fs.writeFileSync(path, contents);
+
+    let f = new bakana.SimpleFile(new URL(host + "norange/" + path), { blockSize: 1000 });
+    expect(f.size()).toEqual(contents.length);
+    expect(Array.from(f.slice(5000, 5100))).toEqual(Array.from(contents.slice(5000, 5100)));
+    expect(Array.from(f.slice(40000, 40100))).toEqual(Array.from(contents.slice(40000, 40100)));
+    expect(await served(path)).toEqual(contents.length);
+
+    let missing = new bakana.SimpleFile(new URL(host + "TEST_missing.bin"));
+    expect(() => missing.size()).toThrow("404");
+})
+
+function mockMatrixMarket(prefix, ngenes, ncells) {
+    let lines = [ "%%MatrixMarket matrix coordinate integer general" ];
+    let entries = [];
+    for (var c = 0; c < ncells; c++) {
+        for (var g = 0; g < ngenes; g++) {
+            if ((c + g) % 3 == 0) {
+                entries.push(String(g + 1) + " " + String(c + 1) + " " + String(c + g + 1));
+            }
+        }
+    }
+    lines.push(String(ngenes) + " " + String(ncells) + " " + String(entries.length));
+    fs.writeFileSync(prefix + ".mtx", lines.concat(entries).join("\n") + "\n");
+    fs.writeFileSync(prefix + ".genes.tsv", Array.from({ length: ngenes }, (_, i) => "ENSG" + String(i) + "\tGENE" + String(i) + "\tGene Expression").join("\n") + "\n");
+    fs.writeFileSync(prefix + ".barcodes.tsv", Array.from({ length: ncells }, (_, i) => "BARCODE" + String(i) + "-1").join("\n") + "\n");
+}
+
+test("MatrixMarket datasets can be read from URLs", async () => {
+    let prefix = "TEST_remote_mtx";
+    mockMatrixMarket(prefix, 200, 500);
+    let mtx_size = fs.statSync(prefix + ".mtx").size;
+
+    let ds = new bakana.TenxMatrixMarketDataset(
+        new bakana.SimpleFile(new URL(host + prefix + ".mtx"), { blockSize: 4096 }),
+        new URL(host + prefix + ".genes.tsv"),
+        new URL(host + prefix + ".barcodes.tsv")
+    );
+
+    let summ = await utils.checkDatasetSummary(ds);
+    expect(summ.modality_features["Gene Expression"].numberOfRows()).toEqual(200);
+    expect(summ.cells.numberOfRows()).toEqual(500);
+    expect(await served(prefix + ".mtx")).toBeLessThan(mtx_size);
+
+    let loaded = await utils.checkDatasetLoad(ds);
+    let ref = new bakana.TenxMatrixMarketDataset(prefix + ".mtx", prefix + ".genes.tsv", prefix + ".barcodes.tsv");
+    utils.sameDatasetLoad(loaded, await ref.load());
+    ds.clear();
+
+    // Also works with Gzip-compressed files.
+    fs.writeFileSync(prefix + ".mtx.gz", pako.gzip(fs.readFileSync(prefix + ".mtx")));
+    fs.writeFileSync(prefix + ".genes.tsv.gz", pako.gzip(fs.readFileSync(prefix + ".genes.tsv")));
+    let gzds = new bakana.TenxMatrixMarketDataset(new URL(host + prefix + ".mtx.gz"), new URL(host + prefix + ".genes.tsv.gz"), new URL(host + prefix + ".barcodes.tsv"));
+    let gzsumm = await gzds.summary();
+    expect(gzsumm.cells.numberOfRows()).toEqual(500);
+    expect(gzsumm.modality_features["Gene Expression"].column("id")).toEqual(summ.modality_features["Gene Expression"].column("id"));
+    utils.sameDatasetLoad(await gzds.load(), await ref.load());
+    gzds.clear();
+    ref.clear();
+})
+
+function mockH5ad(path, ngenes, ncells) {
+    let fhandle = scran.createNewHdf5File(path);
+
+    let counts = new Int32Array(ngenes * ncells);
+    counts.forEach((x, i) => { counts[i] = i % 5; });
+    fhandle.writeDataSet("X", "Int32", [ncells, ngenes], counts);
+
+    let obs = fhandle.createGroup("obs");
+    obs.writeDataSet("_index", "String", null, Array.from({ length: ncells }, (_, i) => "cell" + String(i)));
+    let var_ = fhandle.createGroup("var");
+    var_.writeDataSet("_index", "String", null, Array.from({ length: ngenes }, (_, i) => "GENE" + String(i)));
+}
+
+test("H5AD datasets can be read and serialized from URLs", async () => {
+    let path = "TEST_remote.h5ad";
+    mockH5ad(path, 20, 30);
+
+    let size = fs.statSync(path).size;
+
+    // The whole file is downloaded exactly once, even if it does not fit in the block cache.
+    let ds = new bakana.H5adDataset(new bakana.SimpleFile(new URL(host + path), { blockSize: 1024, maxBlocks: 2 }));
+    let preview = await ds.previewPrimaryIds({ cache: true });
+    expect(preview.RNA).toEqual(Array.from({ length: 20 }, (_, i) => "GENE" + String(i)));
+    expect(await served(path)).toEqual(size);
+
+    // The realized file is reused across calls while cached.
+    let summ = await utils.checkDatasetSummary(ds);
+    expect(summ.cells.numberOfRows()).toEqual(30);
+    expect(await served(path)).toEqual(size);
+
+    // Serialization records the URL rather than the file contents.
+    let saved = [];
+    let serialized = await bakana.serializeDatasets({ foo: ds }, (k, f, x) => { saved.push(x); return "whee"; });
+    expect(saved.length).toEqual(0);
+    expect(serialized.foo.files[0].url).toEqual(host + path);
+    expect(serialized.foo.files[0].name).toEqual(path);
+
+    let restored = await bakana.unserializeDatasets(serialized, id => { throw new Error("shouldn't be called"); });
+    expect(restored.foo.abbreviate()).toEqual(ds.abbreviate());
+    utils.sameDatasetLoad(await restored.foo.load(), await ds.load());
+    ds.clear();
+    restored.foo.clear();
+})
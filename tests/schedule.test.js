@@ -0,0 +1,94 @@
+import * as bakana from "../src/index.js";
+import * as utils from "./utils.js";
+
+beforeAll(utils.initializeAll);
+afterAll(async () => await bakana.terminate());
+
+test("runAnalysis runs independent steps concurrently", async () => {
+    let datasets = { default: utils.mockDataset("TEST_schedule_", 20, 30) };
+    let params = utils.baseParams();
+    params.rna_quality_control.use_reference_mito = false;
+    params.rna_pca.num_pcs = 5;
+
+    // Holding up the cell labelling until the markers are computed; this
+    // would never finish if the steps were run one after the other.
+    let release;
+    let markers_done = new Promise(resolve => { release = resolve; });
+    let timeout = setTimeout(release, 10000);
+
+    let events = [];
+    let startFun = async step => {
+        events.push("start:" + step);
+        if (step == "cell_labelling") {
+            await markers_done;
+        }
+    };
+    let finishFun = step => {
+        events.push("finish:" + step);
+        if (step == "marker_detection") {
+            release();
+        }
+    };
+
+    let state = await bakana.createAnalysis();
+    await bakana.runAnalysis(state, datasets, params, { startFun, finishFun });
+    clearTimeout(timeout);
+
+    let all_steps = Object.keys(params);
+    for (const step of all_steps) {
+        expect(events.filter(x => x == "start:" + step).length).toBe(1);
+        expect(events.filter(x => x == "finish:" + step).length).toBe(1);
+    }
+    expect(events.indexOf("finish:marker_detection")).toBeLessThan(events.indexOf("finish:cell_labelling"));
+    expect(events.indexOf("start:cell_labelling")).toBeLessThan(events.indexOf("start:rna_pca"));
+
+    // Steps are only started after their upstream steps are finished.
+    let dependencies = [
+        [ "inputs", "rna_quality_control" ],
+        [ "rna_quality_control", "cell_filtering" ],
+        [ "adt_quality_control", "cell_filtering" ],
+        [ "feature_selection", "rna_pca" ],
+        [ "combine_embeddings", "batch_correction" ],
+        [ "neighbor_index", "tsne" ],
+        [ "neighbor_index", "snn_graph_cluster" ],
+        [ "kmeans_cluster", "choose_clustering" ],
+        [ "choose_clustering", "marker_detection" ],
+        [ "rna_normalization", "custom_selections" ]
+    ];
+    for (const [up, down] of dependencies) {
+        expect(events.indexOf("finish:" + up)).toBeLessThan(events.indexOf("start:" + down));
+    }
+
+    // Rerunning only calls the callbacks for each step once.
+    events = [];
+    params.rna_pca.num_pcs = 4;
+    await bakana.runAnalysis(state, null, params, { startFun: step => events.push("start:" + step), finishFun: step => events.push("finish:" + step) });
+    expect(events.length).toBe(2 * all_steps.length);
+    expect(state.rna_pca.changed).toBe(true);
+    expect(state.cell_labelling.changed).toBe(false);
+
+    await bakana.freeAnalysis(state);
+})
+
+test("runAnalysis stops starting new steps after an error", async () => {
+    let datasets = { default: utils.mockDataset("TEST_schedule_", 20, 30) };
+    let params = utils.baseParams();
+    params.rna_quality_control.use_reference_mito = false;
+    params.rna_pca.num_pcs = 5;
+
+    let started = [];
+    let startFun = step => {
+        started.push(step);
+        if (step == "neighbor_index") {
+            throw new Error("oops");
+        }
+    };
+
+    let state = await bakana.createAnalysis();
+    await expect(bakana.runAnalysis(state, datasets, params, { startFun })).rejects.toThrow("oops");
+    expect(started).toContain("cell_labelling");
+    expect(started).not.toContain("tsne");
+    expect(started).not.toContain("marker_detection");
+
+    await bakana.freeAnalysis(state);
+})
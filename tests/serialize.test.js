@@ -0,0 +1,341 @@
+import * as bakana from "../src/index.js";
+import * as utils from "./utils.js";
+import * as fs from "fs";
+import * as os from "os";
+import * as npath from "path";
+import { sha256 } from "hash-wasm";
+import JSZip from "jszip";
+
+beforeAll(utils.initializeAll);
+afterAll(async () => await bakana.terminate());
+
+function mockMatrixMarket(prefix, ngenes, ncells, shift) {
+    let entries = [];
+    for (var c = 0; c < ncells; c++) {
+        for (var g = 0; g < ngenes; g++) {
+            if ((c + g) % 3 == 0) {
+                entries.push(String(g + 1) + " " + String(c + 1) + " " + String(c + g + shift));
+            }
+        }
+    }
+
+    let header = [ "%%MatrixMarket matrix coordinate integer general", String(ngenes) + " " + String(ncells) + " " + String(entries.length) ];
+    fs.writeFileSync(prefix + "matrix.mtx", header.concat(entries).join("\n") + "\n");
+    fs.writeFileSync(prefix + "barcodes.tsv", Array.from({ length: ncells }, (_, i) => prefix + String(i)).join("\n") + "\n");
+    return prefix + "matrix.mtx";
+}
+
+function mockDatasets() {
+    let features = "TEST_serialize_features.tsv";
+    let ngenes = 20;
+    fs.writeFileSync(features, Array.from({ length: ngenes }, (_, i) => "ENSG" + String(i) + "\tGENE" + String(i) + "\tGene Expression").join("\n") + "\n");
+    return {
+        A: new bakana.TenxMatrixMarketDataset(mockMatrixMarket("TEST_serialize_A_", ngenes, 10, 1), features, "TEST_serialize_A_barcodes.tsv"),
+        B: new bakana.TenxMatrixMarketDataset(mockMatrixMarket("TEST_serialize_B_", ngenes, 15, 2), features, "TEST_serialize_B_barcodes.tsv")
+    };
+}
+
+test("serialized datasets record the file hashes", async () => {
+    let datasets = mockDatasets();
+
+    let saved = [];
+    let fingerprints = [];
+    let serialized = await bakana.serializeDatasets(datasets, (k, f, x, fp) => {
+        saved.push(x.buffer());
+        fingerprints.push(fp);
+        return String(saved.length);
+    });
+
+    // Shared features file is only saved once.
+    expect(saved.length).toEqual(5);
+    let featA = serialized.A.files.find(x => x.type == "genes");
+    let featB = serialized.B.files.find(x => x.type == "genes");
+    expect(featA.id).toEqual(featB.id);
+
+    for (const val of Object.values(serialized)) {
+        for (const obj of val.files) {
+            let contents = saved[Number(obj.id) - 1];
+            expect(obj.size).toEqual(contents.length);
+            expect(obj.sha256).toEqual(await sha256(contents));
+            expect(fingerprints[Number(obj.id) - 1]).toEqual({ sha256: obj.sha256, size: obj.size });
+        }
+    }
+
+    let restored = await bakana.unserializeDatasets(serialized, x => saved[Number(x) - 1]);
+    utils.sameDatasetLoad(await datasets.A.load(), await restored.A.load());
+    utils.sameDatasetLoad(await datasets.B.load(), await restored.B.load());
+})
+
+test("unserialized datasets are checked against their hashes", async () => {
+    let datasets = mockDatasets();
+    let saved = [];
+    let serialized = await bakana.serializeDatasets(datasets, (k, f, x) => {
+        saved.push(x.buffer({ copy: true }));
+        return String(saved.length);
+    });
+
+    let id = serialized.A.files.find(x => x.type == "mtx").id;
+    let corrupted = saved.slice();
+    corrupted[Number(id) - 1] = saved[Number(id) - 1].slice();
+    corrupted[Number(id) - 1][0] += 1;
+    let loader = x => corrupted[Number(x) - 1];
+    await expect(bakana.unserializeDatasets(serialized, loader)).rejects.toThrow("SHA-256 hash");
+
+    let truncated = saved.slice();
+    truncated[Number(id) - 1] = saved[Number(id) - 1].slice(1);
+    await expect(bakana.unserializeDatasets(serialized, x => truncated[Number(x) - 1])).rejects.toThrow("different size");
+
+    // Warnings are emitted instead.
+    let warned = [];
+    let original = console.warn;
+    console.warn = msg => warned.push(msg);
+    try {
+        let restored = await bakana.unserializeDatasets(serialized, loader, { verify: "warn" });
+        expect(Object.keys(restored)).toEqual(["A", "B"]);
+        expect(warned.length).toEqual(1);
+        expect(warned[0]).toMatch("dataset 'A'");
+
+        await bakana.unserializeDatasets(serialized, loader, { verify: "none" });
+        expect(warned.length).toEqual(1);
+    } finally {
+        console.warn = original;
+    }
+
+    await expect(bakana.unserializeDatasets(serialized, loader, { verify: "foo" })).rejects.toThrow("'verify'");
+
+    // Entries without hashes are not checked.
+    for (const val of Object.values(serialized)) {
+        for (const obj of val.files) {
+            delete obj.sha256;
+            delete obj.size;
+        }
+    }
+    let legacy = await bakana.unserializeDatasets(serialized, loader);
+    expect(Object.keys(legacy)).toEqual(["A", "B"]);
+})
+
+test("analyses can be saved to and loaded from archives", async () => {
+    let datasets = mockDatasets();
+    let state = await bakana.createAnalysis();
+    let params = utils.baseParams();
+    params.rna_quality_control.use_reference_mito = false;
+    params.rna_pca.num_pcs = 5;
+    await bakana.runAnalysis(state, datasets, params);
+
+    let checkReloaded = async reloaded => {
+        expect(bakana.retrieveParameters(reloaded)).toEqual(bakana.retrieveParameters(state));
+        let original = state.inputs.fetchCountMatrix().get("RNA");
+        let restored = reloaded.inputs.fetchCountMatrix().get("RNA");
+        expect(restored.numberOfColumns()).toEqual(original.numberOfColumns());
+        expect(restored.column(3)).toEqual(original.column(3));
+        await bakana.freeAnalysis(reloaded);
+    };
+
+    // Saving to a buffer.
+    let buffer = await bakana.saveAnalysisArchive(state);
+    expect(buffer instanceof Uint8Array).toBe(true);
+
+    let zip = await JSZip.loadAsync(buffer);
+    let manifest = JSON.parse(await zip.file("manifest.json").async("string"));
+    expect(manifest.format).toEqual("bakana-analysis-archive");
+    expect(typeof manifest.bakana_version).toEqual("string");
+    expect(manifest.files.length).toEqual(5); // shared features file is only stored once.
+    for (const f of manifest.files) {
+        let contents = await zip.file(f.path).async("uint8array");
+        expect(f.size).toEqual(contents.length);
+        expect(f.sha256).toEqual(await sha256(contents));
+    }
+
+    await checkReloaded(await bakana.loadAnalysisArchive(buffer));
+
+    // Streaming to a file.
+    let path = "TEST_serialize_archive.zip";
+    expect(await bakana.saveAnalysisArchive(state, { path })).toEqual(path);
+    expect(new Uint8Array(fs.readFileSync(path)).length).toBeGreaterThan(0);
+    let fromfile = await bakana.loadAnalysisArchive(path);
+    let extracted = (await Object.values(fromfile.inputs.fetchDatasets())[0].serialize()).files[0].file.content();
+    expect(typeof extracted).toEqual("string"); // input files are extracted to disk rather than held in memory.
+    expect(extracted.startsWith(os.tmpdir())).toBe(true);
+
+    // Extracted files are kept by forks and removed once all states are freed.
+    let forked = await bakana.forkAnalysis(fromfile);
+    await checkReloaded(fromfile);
+    expect(fs.existsSync(extracted)).toBe(true);
+    await bakana.freeAnalysis(forked);
+    expect(fs.existsSync(npath.dirname(extracted))).toBe(false);
+
+    // Compressed entries are inflated on extraction.
+    fs.writeFileSync(path, await zip.generateAsync({ type: "uint8array", compression: "DEFLATE" }));
+    await checkReloaded(await bakana.loadAnalysisArchive(path));
+
+    // Tampered archives are detected.
+    zip.file(manifest.files[0].path, "foo");
+    let tampered = await zip.generateAsync({ type: "uint8array" });
+    let listTemporary = () => fs.readdirSync(os.tmpdir()).filter(x => x.startsWith("bakana-archive-")).sort();
+    let existing = listTemporary();
+    await expect(bakana.loadAnalysisArchive(tampered)).rejects.toThrow("different size");
+    expect(listTemporary()).toEqual(existing); // extracted files are removed after a failed load.
+
+    let other = new JSZip;
+    other.file("manifest.json", JSON.stringify({ format: "foo" }));
+    await expect(bakana.loadAnalysisArchive(await other.generateAsync({ type: "uint8array" }))).rejects.toThrow("unknown format");
+
+    await bakana.freeAnalysis(state);
+})
+
+test("analysis results can be reloaded from a snapshot", async () => {
+    let datasets = mockDatasets();
+    let state = await bakana.createAnalysis();
+    let params = utils.baseParams();
+    params.rna_quality_control.use_reference_mito = false;
+    params.rna_pca.num_pcs = 5;
+    await bakana.runAnalysis(state, datasets, params);
+    state.custom_selections.addSelection("odd", [1, 3, 5, 7, 9]);
+
+    let saved = [];
+    let config = await bakana.serializeConfiguration(state, (k, f, x) => {
+        saved.push(x.buffer());
+        return String(saved.length);
+    });
+    let results = await bakana.serializeResults(state);
+    expect(results instanceof Uint8Array).toBe(true);
+
+    let reloaded = await bakana.unserializeConfiguration(config, x => saved[Number(x) - 1], { results });
+    expect(bakana.retrieveParameters(reloaded)).toEqual(bakana.retrieveParameters(state));
+
+    // Nothing is recomputed except for the steps that are not saved.
+    for (const [k, v] of Object.entries(reloaded)) {
+        if (k != "feature_set_enrichment") {
+            expect(v.changed).toBe(false);
+        }
+    }
+
+    expect(reloaded.rna_quality_control.fetchMetrics().sum()).toEqual(state.rna_quality_control.fetchMetrics().sum());
+    expect(reloaded.rna_quality_control.fetchKeep().array()).toEqual(state.rna_quality_control.fetchKeep().array());
+    expect(reloaded.cell_filtering.fetchKeep().array()).toEqual(state.cell_filtering.fetchKeep().array());
+    expect(reloaded.rna_normalization.fetchSizeFactors().array()).toEqual(state.rna_normalization.fetchSizeFactors().array());
+    expect(reloaded.rna_normalization.fetchNormalizedMatrix().column(0)).toEqual(state.rna_normalization.fetchNormalizedMatrix().column(0));
+    expect(reloaded.feature_selection.fetchSortedResiduals()).toEqual(state.feature_selection.fetchSortedResiduals());
+    expect(reloaded.rna_pca.fetchPCs().principalComponents()).toEqual(state.rna_pca.fetchPCs().principalComponents());
+    expect(reloaded.rna_pca.fetchPCs().varianceExplained()).toEqual(state.rna_pca.fetchPCs().varianceExplained());
+    expect(reloaded.batch_correction.fetchCorrected().array()).toEqual(state.batch_correction.fetchCorrected().array());
+    expect(reloaded.choose_clustering.fetchClusters().array()).toEqual(state.choose_clustering.fetchClusters().array());
+    expect(await reloaded.tsne.fetchResults()).toEqual(await state.tsne.fetchResults());
+    expect(await reloaded.umap.fetchResults()).toEqual(await state.umap.fetchResults());
+
+    let refmarkers = state.marker_detection.fetchResults().RNA;
+    let remarkers = reloaded.marker_detection.fetchResults().RNA;
+    expect(remarkers.numberOfGroups()).toEqual(refmarkers.numberOfGroups());
+    expect(remarkers.mean(0)).toEqual(refmarkers.mean(0));
+    expect(remarkers.cohensD(0, { summary: "min-rank" })).toEqual(refmarkers.cohensD(0, { summary: "min-rank" }));
+    expect(remarkers.auc(0)).toEqual(refmarkers.auc(0));
+
+    expect(reloaded.custom_selections.fetchSelections()).toEqual({ odd: new Int32Array([1, 3, 5, 7, 9]) });
+    expect(reloaded.custom_selections.fetchResults("odd").RNA.deltaMean(1)).toEqual(state.custom_selections.fetchResults("odd").RNA.deltaMean(1));
+
+    // Cluster labels are reloaded without building the references.
+    expect(reloaded.cell_labelling.computeLabels(remarkers)).toEqual(state.cell_labelling.computeLabels(refmarkers));
+    expect(() => reloaded.cell_labelling.computeLabels(reloaded.custom_selections.fetchResults("odd").RNA)).toThrow("reloaded marker results");
+
+    // Changes to the parameters trigger recomputation from the reloaded results.
+    params.snn_graph_cluster.multilevel_resolution = 0.5;
+    params.rna_quality_control.nmads = 2;
+    await bakana.runAnalysis(state, null, params);
+    let plan = bakana.planAnalysis(reloaded, null, params);
+    expect(plan.find(x => x.step == "cell_labelling").reasons).toEqual([{ type: "upstream", steps: [ "marker_detection" ] }]);
+    let labelsChanged = null;
+    await bakana.runAnalysis(reloaded, null, params, {
+        finishFun: step => {
+            if (step == "cell_labelling") {
+                labelsChanged = reloaded.cell_labelling.changed;
+            }
+        }
+    });
+    expect(reloaded.rna_quality_control.changed).toBe(true);
+    expect(reloaded.cell_filtering.fetchKeep().array()).toEqual(state.cell_filtering.fetchKeep().array());
+    expect(reloaded.rna_pca.fetchPCs().principalComponents()).toEqual(state.rna_pca.fetchPCs().principalComponents());
+    expect(reloaded.choose_clustering.fetchClusters().array()).toEqual(state.choose_clustering.fetchClusters().array());
+
+    // References are built once the markers change.
+    expect(reloaded.marker_detection.changed).toBe(true);
+    expect(reloaded.cell_labelling.changed).toBe(true);
+    expect(labelsChanged).toBe(true); // callbacks see the same status as the state.
+    let newmarkers = reloaded.marker_detection.fetchResults().RNA;
+    expect(reloaded.cell_labelling.computeLabels(newmarkers)).toEqual(state.cell_labelling.computeLabels(state.marker_detection.fetchResults().RNA));
+
+    // Snapshots are included in archives on request.
+    let buffer = await bakana.saveAnalysisArchive(state, { results: true });
+    let manifest = JSON.parse(await (await JSZip.loadAsync(buffer)).file("manifest.json").async("string"));
+    expect(manifest.results).toEqual("results.h5");
+    let fromarchive = await bakana.loadAnalysisArchive(buffer);
+    expect(fromarchive.rna_pca.changed).toBe(false);
+    expect(fromarchive.choose_clustering.fetchClusters().array()).toEqual(state.choose_clustering.fetchClusters().array());
+
+    // Snapshots must match the inputs.
+    let other = await bakana.createAnalysis();
+    await other.inputs.compute({ A: datasets.A }, params.inputs);
+    await expect(bakana.reloadAnalysis(other, results)).rejects.toThrow("number of cells");
+
+    await bakana.freeAnalysis(other);
+    await bakana.freeAnalysis(fromarchive);
+    await bakana.freeAnalysis(reloaded);
+    await bakana.freeAnalysis(state);
+})
+
+test("configurations from older versions are migrated on unserialization", async () => {
+    let datasets = mockDatasets();
+    let state = await bakana.createAnalysis();
+    let params = utils.baseParams();
+    params.rna_quality_control.use_reference_mito = false;
+    params.rna_pca.num_pcs = 5;
+    await bakana.runAnalysis(state, datasets, params);
+
+    let saved = [];
+    let config = await bakana.serializeConfiguration(state, (k, f, x) => {
+        saved.push(x.buffer());
+        return String(saved.length);
+    });
+
+    // Mimicking an old configuration.
+    let old = { ...config, version: "1.0.0", parameters: { ...config.parameters } };
+    old.parameters.pca = { ...old.parameters.rna_pca, block_method: "mnn" };
+    delete old.parameters.rna_pca;
+    old.parameters.rna_quality_control = { ...old.parameters.rna_quality_control, use_mito_default: false };
+    delete old.parameters.rna_quality_control.use_reference_mito;
+    delete old.parameters.batch_correction;
+
+    let reported = null;
+    let reloaded = await bakana.unserializeConfiguration(old, x => saved[Number(x) - 1], { migrateFun: changes => { reported = changes; } });
+    expect(reported.length).toBeGreaterThan(0);
+
+    let expected = bakana.retrieveParameters(state);
+    expected.rna_pca.block_method = "project";
+    expected.batch_correction.method = "mnn";
+    expect(bakana.retrieveParameters(reloaded)).toEqual(expected);
+
+    // Newer major versions are refused.
+    await expect(bakana.unserializeConfiguration({ ...config, version: "999.0.0" }, x => saved[Number(x) - 1])).rejects.toThrow("update bakana");
+
+    await bakana.freeAnalysis(reloaded);
+    await bakana.freeAnalysis(state);
+})
+
+test("invalid parameters are rejected before any computation", async () => {
+    let datasets = mockDatasets();
+    let state = await bakana.createAnalysis();
+    let params = utils.baseParams();
+    params.rna_pca.num_pcs = -1;
+    params.snn_graph_cluster.algorithm = "louvain";
+    let started = [];
+    await expect(bakana.runAnalysis(state, datasets, params, { startFun: step => started.push(step) })).rejects.toThrow(/rna_pca.num_pcs[\s\S]*snn_graph_cluster.algorithm/);
+    expect(started).toEqual([]);
+
+    let config = {
+        version: "1.0.0",
+        parameters: { ...utils.baseParams(), tsne: { perplexity: "30" } },
+        datasets: {}
+    };
+    await expect(bakana.unserializeConfiguration(config, x => { throw new Error("should not be called"); })).rejects.toThrow("tsne.perplexity");
+
+    await bakana.freeAnalysis(state);
+})
@@ -55,16 +55,16 @@ test("subsetting behaves correctly with indices", async () => {
         expect(istate.changed).toBe(false);
     }
 
-    // Unsetting works as expected.
+    // Unsetting works as expected. This needs to reload the unsubsetted cells from the files.
     istate.setDirectSubset(null);
-    istate.compute(null, idefaults);
+    await istate.compute(null, idefaults);
     expect(istate.changed).toBe(true);
     expect(istate.fetchCountMatrix().numberOfColumns()).toBeGreaterThan(3000);
     expect(istate.fetchCountMatrix().get("RNA").column(1)).toEqual(fullstate.fetchCountMatrix().get("RNA").column(1));
 
     // Resetting works as expected.
     istate.setDirectSubset(subset);
-    istate.compute(null, idefaults);
+    await istate.compute(null, idefaults);
     expect(istate.changed).toBe(true);
     expect(istate.fetchCountMatrix().numberOfColumns()).toBe(subset.length);
     expect(istate.fetchCountMatrix().get("RNA").column(3)).toEqual(fullstate.fetchCountMatrix().get("RNA").column(6));
@@ -402,3 +402,133 @@ test("end-to-end run works with (direct) subsetting", async () => {
 
     await bakana.freeAnalysis(state);
 })
+
+function mockTenxHdf5(path, ngenes, ncells, prefix) {
+    let data = [];
+    let indices = [];
+    let indptr = [0];
+    for (var c = 0; c < ncells; c++) {
+        for (var g = 0; g < ngenes; g++) {
+            if ((c + g) % 3 == 0) {
+                data.push(c * 10 + g + 1);
+                indices.push(g);
+            }
+        }
+        indptr.push(data.length);
+    }
+
+    let fhandle = scran.createNewHdf5File(path);
+    let mhandle = fhandle.createGroup("matrix");
+    mhandle.writeDataSet("barcodes", "String", null, Array.from({ length: ncells }, (_, i) => prefix + String(i) + "-1"));
+    mhandle.writeDataSet("data", "Int32", null, data);
+    mhandle.writeDataSet("indices", "Int32", null, indices);
+    mhandle.writeDataSet("indptr", "Int32", null, indptr);
+    mhandle.writeDataSet("shape", "Int32", null, [ngenes, ncells]);
+    let fghandle = mhandle.createGroup("features");
+    fghandle.writeDataSet("id", "String", null, Array.from({ length: ngenes }, (_, i) => "ENSG" + String(i)));
+    fghandle.writeDataSet("name", "String", null, Array.from({ length: ngenes }, (_, i) => "GENE" + String(i)));
+    fghandle.writeDataSet("feature_type", "String", null, Array(ngenes).fill("Gene Expression"));
+}
+
+class SpyTenxHdf5Dataset extends bakana.TenxHdf5Dataset {
+    constructor(path) {
+        super(path);
+        this.requested = [];
+    }
+
+    load(options = {}) {
+        this.requested.push("columns" in options && options.columns !== null ? Array.from(options.columns) : null);
+        return super.load(options);
+    }
+}
+
+test("subsets are only loaded from the datasets", async () => {
+    mockTenxHdf5("TEST_subset_A.h5", 20, 30, "A");
+    mockTenxHdf5("TEST_subset_B.h5", 20, 25, "B");
+    let files = { A: new SpyTenxHdf5Dataset("TEST_subset_A.h5"), B: new SpyTenxHdf5Dataset("TEST_subset_B.h5") };
+
+    let fullstate = new inputs.InputsState;
+    let idefaults = inputs.InputsState.defaults();
+    await fullstate.compute(files, idefaults);
+    expect(files.A.requested).toEqual([null]);
+    expect(files.B.requested).toEqual([null]);
+    let fullmat = fullstate.fetchCountMatrix().get("RNA");
+    expect(fullmat.numberOfColumns()).toEqual(55);
+
+    // Subset spans both datasets.
+    let subset = [ 1, 5, 29, 30, 40, 54 ];
+    files.A.requested = [];
+    files.B.requested = [];
+    let istate = new inputs.InputsState;
+    istate.setDirectSubset(new Int32Array(subset));
+    await istate.compute(files, idefaults);
+
+    expect(files.A.requested).toEqual([[1, 5, 29]]);
+    expect(files.B.requested).toEqual([[0, 10, 24]]);
+    let submat = istate.fetchCountMatrix().get("RNA");
+    expect(submat.numberOfColumns()).toEqual(subset.length);
+    subset.forEach((x, i) => { expect(submat.column(i)).toEqual(fullmat.column(x)); });
+    expect(istate.fetchCellAnnotations().column("__batch__")).toEqual([ "A", "A", "A", "B", "B", "B" ]);
+    expect(Array.from(istate.fetchBlock().array())).toEqual([0, 0, 0, 1, 1, 1]);
+
+    let idx = [0, 3, 5];
+    istate.undoSubset(idx);
+    expect(idx).toEqual([1, 30, 54]);
+
+    // Narrowing the subset doesn't require a reload.
+    files.A.requested = [];
+    istate.setDirectSubset(new Int32Array([5, 40]), { onOriginal: true });
+    await istate.compute(files, idefaults);
+    expect(files.A.requested).toEqual([]);
+    expect(istate.fetchCountMatrix().get("RNA").column(1)).toEqual(fullmat.column(40));
+
+    // Subsets on the cell annotations are also pushed down.
+    istate.setDirectSubset(null);
+    await istate.compute(files, { ...idefaults, subset: { field: "__batch__", values: [ "B" ] } });
+    expect(files.A.requested).toEqual([[]]);
+    expect(files.B.requested.at(-1)).toEqual(Array.from({ length: 25 }, (_, i) => i));
+    expect(istate.fetchCountMatrix().numberOfColumns()).toEqual(25);
+    expect(istate.fetchCountMatrix().get("RNA").column(0)).toEqual(fullmat.column(30));
+
+    // Creating a new subset from cells that were never loaded triggers a reload.
+    let substate = istate.createDirectSubset(new Int32Array([0, 2, 31]), { onOriginal: true });
+    expect(substate.fetchCountMatrix()).toBeUndefined();
+    await substate.compute(null, substate.fetchParameters());
+    expect(substate.fetchCountMatrix().get("RNA").column(0)).toEqual(fullmat.column(0));
+    expect(substate.fetchCountMatrix().get("RNA").column(2)).toEqual(fullmat.column(31));
+
+    substate.free();
+    istate.free();
+    fullstate.free();
+})
+
+test("readers that ignore the requested columns are subsetted after loading", async () => {
+    let ngenes = 10;
+    let ncells = 8;
+    let values = Int32Array.from({ length: ngenes * ncells }, (_, i) => i % 7);
+    let cells = new bioc.DataFrame({ group: [ "x", null, "y", "x", null, "y", "x", "y" ] });
+    let files = { default: new bakana.InMemoryDataset({ RNA: { numberOfRows: ngenes, numberOfColumns: ncells, values } }, {}, cells) };
+
+    let istate = new inputs.InputsState;
+    let params = inputs.InputsState.defaults();
+    params.block_factor = "group";
+    await istate.compute(files, params);
+
+    // Cells with missing block factors are dropped.
+    let expected = [0, 2, 3, 5, 6, 7];
+    let mat = istate.fetchCountMatrix().get("RNA");
+    expect(mat.numberOfColumns()).toEqual(expected.length);
+    expected.forEach((x, i) => { expect(Array.from(mat.column(i))).toEqual(Array.from(values.slice(x * ngenes, (x + 1) * ngenes))); });
+    expect(istate.fetchCellAnnotations().column("group")).toEqual(bioc.SLICE(cells.column("group"), expected));
+
+    let idx = [0, 1, 2];
+    istate.undoSubset(idx);
+    expect(idx).toEqual([0, 2, 3]);
+
+    // Removing the blocking factor reloads the dropped cells.
+    params.block_factor = null;
+    await istate.compute(files, params);
+    expect(istate.fetchCountMatrix().numberOfColumns()).toEqual(ncells);
+
+    istate.free();
+})
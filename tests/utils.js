@@ -71,6 +71,30 @@ export function mockOffsets(paths) {
     return offsets;
 }
 
+export function mockDataset(prefix, ngenes, ncells) {
+    let entries = [];
+    for (var c = 0; c < ncells; c++) {
+        for (var g = 0; g < ngenes; g++) {
+            if ((c + g) % 3 == 0) {
+                entries.push(String(g + 1) + " " + String(c + 1) + " " + String(c + g + 1));
+            }
+        }
+    }
+
+    let header = [ "%%MatrixMarket matrix coordinate integer general", String(ngenes) + " " + String(ncells) + " " + String(entries.length) ];
+    fs.writeFileSync(prefix + "matrix.mtx", header.concat(entries).join("\n") + "\n");
+    fs.writeFileSync(prefix + "features.tsv", Array.from({ length: ngenes }, (_, i) => "ENSG" + String(i) + "\tGENE" + String(i) + "\tGene Expression").join("\n") + "\n");
+    return new bakana.TenxMatrixMarketDataset(prefix + "matrix.mtx", prefix + "features.tsv", null);
+}
+
+// Parameters for analyzing the output of mockDataset().
+export function mockParams() {
+    let params = baseParams();
+    params.rna_quality_control.use_reference_mito = false;
+    params.rna_pca.num_pcs = 5;
+    return params;
+}
+
 function is_same(left, right) {
     if (left.length != right.length) {
         throw new Error("mismatch in array lengths");
@@ -1246,39 +1270,8 @@ export function hasNonInteger(x) {
 
 /***********************************/
 
-export class LocalDirectoryNavigator {
-    #host;
-
-    constructor(d) {
-        this.#host = d;
-    }
-
-    #full(path) {
-        if (!path.startsWith("/")) {
-            path = "/" + path;
-        }
-        return this.#host + path;
-    }
-
-    get(path, asBuffer) {
-        let full = this.#full(path);
-        if (asBuffer) {
-            let contents = fs.readFileSync(full);
-            return new Uint8Array(contents);
-        } else {
-            return full;
-        }
-    }
-
-    exists(path) {
-        return fs.existsSync(this.#full(path));
-    }
-
-    clean(getPath) {}
-}
-
 export async function checkSavedExperiment(save_dir, state) {
-    let res = new bakana.AbstractAlabasterResult(new LocalDirectoryNavigator(save_dir));
+    let res = new bakana.LocalAlabasterResult(save_dir);
 
     // Check the count matrix.
     res.setOptions({ primaryAssay: "counts", isPrimaryNormalized: true });
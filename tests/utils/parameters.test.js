@@ -66,3 +66,81 @@ test("configureApproximateNeighbors works as expected", () => {
     expect(params.guessApproximateNeighborsConfig(stuff)).toBe(true);
     expect(params.guessApproximateNeighborsConfig(stuff, { strict: true })).toBeNull();
 });
+
+test("validateParameters accepts the defaults", () => {
+    let stuff = params.analysisDefaults();
+    expect(params.validateParameters(stuff)).toEqual([]);
+
+    // Omitted parameters are allowed as they are filled in with defaults.
+    stuff.rna_pca = { num_pcs: 10 };
+    expect(params.validateParameters(stuff)).toEqual([]);
+
+    // Back-compatible parameters are also allowed.
+    stuff.rna_quality_control.automatic = true;
+    stuff.rna_pca.block_method = "weight";
+    expect(params.validateParameters(stuff)).toEqual([]);
+});
+
+test("validateParameters reports all problems", () => {
+    let stuff = params.analysisDefaults();
+    stuff.rna_pca.num_pcs = "20";
+    stuff.rna_pca.num_hvgs = 2.5;
+    stuff.snn_graph_cluster.algorithm = "louvain";
+    stuff.rna_quality_control.mito_threshold = 1.5;
+    stuff.tsne.animate = null;
+    stuff.kmeans_cluster.foo = 1;
+    stuff.cell_labelling.references = [ "BlueprintEncode", 1 ];
+    stuff.inputs.subset = { values: [ "A" ] };
+    stuff.foobar = {};
+    delete stuff.umap;
+
+    let problems = params.validateParameters(stuff);
+    let paths = problems.map(x => x.path);
+    expect(paths).toEqual([
+        "foobar",
+        "inputs.subset.field",
+        "rna_quality_control.mito_threshold",
+        "rna_pca.num_hvgs",
+        "rna_pca.num_pcs",
+        "snn_graph_cluster.algorithm",
+        "tsne.animate",
+        "umap",
+        "kmeans_cluster.foo",
+        "cell_labelling.references[1]"
+    ]);
+
+    let messages = {};
+    problems.forEach(x => { messages[x.path] = x.message; });
+    expect(messages["foobar"]).toMatch("unknown step");
+    expect(messages["umap"]).toMatch("required");
+    expect(messages["rna_pca.num_pcs"]).toMatch("type number");
+    expect(messages["rna_pca.num_hvgs"]).toMatch("integer");
+    expect(messages["snn_graph_cluster.algorithm"]).toMatch("'leiden'");
+    expect(messages["rna_quality_control.mito_threshold"]).toMatch("no greater than 1");
+    expect(messages["tsne.animate"]).toMatch("null");
+    expect(messages["kmeans_cluster.foo"]).toMatch("unknown parameter");
+    expect(messages["inputs.subset.field"]).toMatch("required");
+
+    expect(params.validateParameters(null)).toEqual([{ path: "", message: "parameters should be an object" }]);
+});
+
+test("validateParameters checks dependencies between parameters", () => {
+    let stuff = params.analysisDefaults();
+    stuff.rna_quality_control.guess_ids = false;
+    stuff.feature_set_enrichment.guess_ids = false;
+
+    let problems = params.validateParameters(stuff);
+    expect(problems.map(x => x.path)).toEqual([ "rna_quality_control.species", "feature_set_enrichment.species" ]);
+    expect(problems[0].message).toMatch("guess_ids = false");
+
+    // Only relevant when the reference mitochondrial genes are used, or when enrichment is not skipped.
+    stuff.rna_quality_control.use_reference_mito = false;
+    stuff.feature_set_enrichment.skip = true;
+    expect(params.validateParameters(stuff)).toEqual([]);
+
+    stuff.rna_quality_control.use_reference_mito = true;
+    stuff.rna_quality_control.species = [ "9606" ];
+    stuff.feature_set_enrichment.skip = false;
+    stuff.feature_set_enrichment.species = [ "10090" ];
+    expect(params.validateParameters(stuff)).toEqual([]);
+});